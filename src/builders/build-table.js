@@ -1,6 +1,14 @@
-import { formatAmount } from "../utils/formatAmount.js";
+import {
+  amountFormatOf,
+  formatAmount,
+  formatAmountWithCurrency,
+  formatNumber,
+} from "../utils/formatAmount.js";
 
-export const buildTableInvoice = (data) => {
+export const buildTableInvoice = (
+  data,
+  amountFormat = amountFormatOf(data),
+) => {
   const body = [];
 
   // header
@@ -53,7 +61,7 @@ export const buildTableInvoice = (data) => {
           border: [false, false, true, false],
         },
         {
-          text: formatAmount(item.quantity),
+          text: formatNumber(item.quantity, amountFormat),
           alignment: 'right',
           border: [true, false, true, false],
         },
@@ -63,22 +71,22 @@ export const buildTableInvoice = (data) => {
           border: [true, false, true, false],
         },
         {
-          text: formatAmount(item.item_amount),
+          text: formatAmount(item.item_amount, amountFormat),
           alignment: 'right',
           border: [true, false, true, false],
         },
         {
-          text: formatAmount(item.discount_amount),
+          text: formatAmount(item.discount_amount, amountFormat),
           alignment: 'right',
           border: [true, false, true, false],
         },
         {
-          text: formatAmount(item.payer_amount),
+          text: formatAmount(item.payer_amount, amountFormat),
           alignment: 'right',
           border: [true, false, true, false],
         },
         {
-          text: formatAmount(item.patient_amount),
+          text: formatAmount(item.patient_amount, amountFormat),
           alignment: 'right',
           border: [true, false, true, false],
         },
@@ -100,25 +108,25 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [true, false, true, false] },
       { text: '', border: [true, false, true, false] },
       {
-        text: formatAmount(group.total_item_amount),
+        text: formatAmount(group.total_item_amount, amountFormat),
         alignment: 'right',
         bold: true,
         border: [true, false, true, false],
       },
       {
-        text: formatAmount(group.total_discount_amount),
+        text: formatAmount(group.total_discount_amount, amountFormat),
         alignment: 'right',
         bold: true,
         border: [true, false, true, false],
       },
       {
-        text: formatAmount(group.total_payer_amount),
+        text: formatAmount(group.total_payer_amount, amountFormat),
         alignment: 'right',
         bold: true,
         border: [true, false, true, false],
       },
       {
-        text: formatAmount(group.total_patient_amount),
+        text: formatAmount(group.total_patient_amount, amountFormat),
         alignment: 'right',
         bold: true,
         border: [true, false, true, false],
@@ -140,22 +148,34 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, true, false, false] },
       { text: '', border: [false, true, false, false] },
       {
-        text: formatAmount(data.invoice_details.total_item_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.total_item_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, true, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.total_discount_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.total_discount_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, true, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.total_payer_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.total_payer_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, true, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.total_patient_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.total_patient_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, true, false, false],
       },
@@ -175,12 +195,12 @@ export const buildTableInvoice = (data) => {
       { text: '', alignment: 'right', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(0),
+        text: formatAmountWithCurrency(0, amountFormat),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(0),
+        text: formatAmountWithCurrency(0, amountFormat),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -200,12 +220,18 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(data.invoice_details.payer_admin_fee),
+        text: formatAmountWithCurrency(
+          data.invoice_details.payer_admin_fee,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.patient_admin_fee),
+        text: formatAmountWithCurrency(
+          data.invoice_details.patient_admin_fee,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -225,12 +251,18 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(data.invoice_details.payer_round_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.payer_round_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.patient_round_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.patient_round_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -250,12 +282,18 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(data.invoice_details.payer_net_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.payer_net_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.patient_net_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.patient_net_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -275,12 +313,18 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(data.invoice_details.paid_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.paid_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.paid_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.paid_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -300,12 +344,18 @@ export const buildTableInvoice = (data) => {
       { text: '', border: [false, false, false, false] },
       { text: '', alignment: 'right', border: [false, false, false, false] },
       {
-        text: formatAmount(data.invoice_details.payer_balance_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.payer_balance_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
       {
-        text: formatAmount(data.invoice_details.patient_balance_amount),
+        text: formatAmountWithCurrency(
+          data.invoice_details.patient_balance_amount,
+          amountFormat,
+        ),
         alignment: 'right',
         border: [false, false, false, false],
       },
@@ -1,6 +1,10 @@
-import { formatAmount } from "../utils/formatAmount.js";
+import { amountInWords } from "../utils/amountInWords.js";
+import {
+  amountFormatOf,
+  formatAmountWithCurrency,
+} from "../utils/formatAmount.js";
 
-export const buildTax = (data) => {
+export const buildTax = (data, amountFormat = amountFormatOf(data)) => {
   return {
     margin: [0, 10, 0, 0],
     stack: [
@@ -9,17 +13,22 @@ export const buildTax = (data) => {
           { text: 'Tax Base :\u00A0', style: 'tax' },
           {
             text:
-              formatAmount(data.tax_base_amount) +
+              formatAmountWithCurrency(data.tax_base_amount, amountFormat) +
               '\u00A0\u00A0\u00A0\u00A0\u00A0',
             style: 'taxValue',
           },
           { text: 'VAT : ', style: 'tax' },
           {
-            text: formatAmount(data.vat) + '\u00A0\u00A0\u00A0\u00A0\u00A0',
+            text:
+              formatAmountWithCurrency(data.vat, amountFormat) +
+              '\u00A0\u00A0\u00A0\u00A0\u00A0',
             style: 'taxValue',
           },
           { text: '*) VAT Exempted : ', style: 'tax' },
-          { text: formatAmount(data.vat_exempted), style: 'taxValue' },
+          {
+            text: formatAmountWithCurrency(data.vat_exempted, amountFormat),
+            style: 'taxValue',
+          },
         ],
       },
       {
@@ -29,7 +38,12 @@ export const buildTax = (data) => {
             style: 'tax',
           },
           {
-            text: data.in_words_patient,
+            text:
+              data.in_words_patient ||
+              amountInWords(data.patient_net_amount, {
+                ...amountFormat,
+                titleCase: true,
+              }),
             style: 'taxValue',
           },
         ],
@@ -41,7 +55,12 @@ export const buildTax = (data) => {
             style: 'tax',
           },
           {
-            text: data.in_words_payer,
+            text:
+              data.in_words_payer ||
+              amountInWords(data.payer_net_amount, {
+                ...amountFormat,
+                titleCase: true,
+              }),
             style: 'taxValue',
           },
         ],
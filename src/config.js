@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import { statSync } from "fs";
 import { cpus } from "os";
 
 dotenv.config();
@@ -59,6 +60,58 @@ const config = {
       10,
     ),
 
+    // Worker stats (GET /debug/workers)
+    workerStatsInterval: parseInt(
+      process.env.PDF_WORKER_STATS_INTERVAL || "10000",
+      10,
+    ),
+    memoryWarningHorizon: parseInt(
+      process.env.PDF_MEMORY_WARNING_HORIZON || "300000",
+      10,
+    ),
+
+    // Worker recycling (0 disables a trigger)
+    recycleAfterRenders: parseInt(
+      process.env.PDF_RECYCLE_AFTER_RENDERS || "0",
+      10,
+    ),
+    recycleAfterMs: parseInt(process.env.PDF_RECYCLE_AFTER_MS || "0", 10),
+    recycleMemoryChecks: parseInt(
+      process.env.PDF_RECYCLE_MEMORY_CHECKS || "5",
+      10,
+    ),
+
+    // Priority lanes (X-Priority), highest first
+    // share: part of the worker slots a lane may fill; maxQueue: its backlog
+    defaultLane: process.env.PDF_DEFAULT_LANE || "normal",
+    // Scope a caller needs for a lane above the default one ("" = anyone)
+    priorityScope: process.env.PDF_PRIORITY_SCOPE ?? "pdf:priority",
+    lanes: {
+      interactive: {
+        share: parseFloat(process.env.PDF_LANE_INTERACTIVE_SHARE || "1"),
+        maxQueue: parseInt(
+          process.env.PDF_LANE_INTERACTIVE_MAX_QUEUE || "100",
+          10,
+        ),
+      },
+      normal: {
+        share: parseFloat(process.env.PDF_LANE_NORMAL_SHARE || "0.75"),
+        maxQueue: parseInt(process.env.PDF_LANE_NORMAL_MAX_QUEUE || "500", 10),
+      },
+      bulk: {
+        share: parseFloat(process.env.PDF_LANE_BULK_SHARE || "0.5"),
+        maxQueue: parseInt(process.env.PDF_LANE_BULK_MAX_QUEUE || "5000", 10),
+      },
+    },
+
+    // TTF/OTF files every worker embeds, on top of the standard PDF fonts
+    fontDir: process.env.PDF_FONT_DIR || null,
+    // Families tried in order for characters a document's font lacks
+    fontFallbacks: (process.env.PDF_FONT_FALLBACKS || "")
+      .split(",")
+      .map((family) => family.trim())
+      .filter(Boolean),
+
     // Warmup
     warmup: process.env.PDF_WARMUP !== "false",
 
@@ -71,20 +124,83 @@ const config = {
     maxRetries: parseInt(process.env.TRACKER_MAX_RETRIES || "3", 10),
     retryDelay: parseInt(process.env.TRACKER_RETRY_DELAY || "1000", 10),
     requestTimeout: parseInt(process.env.TRACKER_TIMEOUT || "30000", 10),
+    // How long finished requests (and render job results) are kept
+    maxAge: parseInt(process.env.TRACKER_MAX_AGE || "300000", 10),
     enableLogging: process.env.TRACKER_LOGGING !== "false",
   },
 
   // Dead Letter Queue
   deadLetterQueue: {
     maxSize: parseInt(process.env.DLQ_MAX_SIZE || "1000", 10),
+    // "memory" (lost on restart), "file" (JSONL at filePath) or "redis"
+    store: process.env.DLQ_STORE || "memory",
+    filePath: process.env.DLQ_FILE_PATH || "./data/dlq.jsonl",
+    // Seals payloads (patient data) in the file and redis stores; without
+    // it those stores keep entries without a replayable payload. Also seals
+    // the jobs in the shutdown snapshot, which production refuses to write
+    // without it, and the tasks of the redis job queue
+    encryptionKey: process.env.DLQ_ENCRYPTION_KEY || null,
     enableLogging: process.env.DLQ_LOGGING !== "false",
   },
 
+  // Render job queue
+  queue: {
+    // "memory" keeps jobs in-process, "redis" shares them across instances
+    mode: process.env.QUEUE_MODE || "memory",
+    redisUrl: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+    keyPrefix: process.env.REDIS_QUEUE_PREFIX || "pdfgen:",
+    // Jobs pulled at once by this instance (default: pool capacity)
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || "0", 10),
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || "200", 10),
+    heartbeatInterval: parseInt(
+      process.env.QUEUE_HEARTBEAT_INTERVAL || "5000",
+      10,
+    ),
+    consumerTTL: parseInt(process.env.QUEUE_CONSUMER_TTL || "15000", 10),
+    enableLogging: process.env.QUEUE_LOGGING !== "false",
+  },
+
+  // Webhook callbacks for async render jobs
+  webhooks: {
+    // HMAC-SHA256 signing key; callbacks are rejected while unset
+    secret: process.env.WEBHOOK_SECRET,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || "1000", 10),
+    retryBackoff: parseFloat(process.env.WEBHOOK_RETRY_BACKOFF || "2"),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT || "10000", 10),
+    // PDFs up to this size are embedded (base64), larger ones only linked
+    inlineMaxBytes: parseInt(
+      process.env.WEBHOOK_INLINE_MAX_BYTES || "1048576",
+      10,
+    ),
+    // Base URL for download links; required with WEBHOOK_SECRET so links
+    // never carry a Host header the client chose
+    publicBaseUrl: process.env.PUBLIC_BASE_URL?.replace(/\/+$/, ""),
+    // Comma-separated callback hosts ("*.example.com" for subdomains);
+    // empty allows any host that resolves to a public address
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim())
+      .filter(Boolean),
+    // Allow callbacks to private and loopback addresses (local testing only)
+    allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE === "true",
+    enableLogging: process.env.WEBHOOK_LOGGING !== "false",
+  },
+
   // Security Configuration
   security: {
-    // JWT
+    // JWT - auth is enforced once a secret (HS256) or JWKS file is set
     jwtSecret: process.env.JWT_SECRET,
+    jwksPath: process.env.JWT_JWKS_PATH,
+    // Production refuses to start without either unless this is set, e.g.
+    // behind a gateway that authenticates for us
+    authDisabled: process.env.AUTH_DISABLED === "true",
+    // Tokens issued (iat) longer ago than this are rejected
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || "24h",
+    jwtIssuer: process.env.JWT_ISSUER,
+    jwtAudience: process.env.JWT_AUDIENCE,
+    // Claim naming the tenant, exposed to templates for branding
+    jwtTenantClaim: process.env.JWT_TENANT_CLAIM || "tenant",
 
     // CORS
     corsOrigin: process.env.CORS_ORIGIN || "*",
@@ -105,6 +221,37 @@ const config = {
     message: process.env.RATE_LIMIT_MESSAGE || "Too many requests",
     standardHeaders: process.env.RATE_LIMIT_HEADERS !== "false",
     legacyHeaders: process.env.RATE_LIMIT_LEGACY === "true",
+    // Separate budget for /pdf/stream (default: same as max)
+    streamMax: parseInt(process.env.RATE_LIMIT_STREAM_MAX || "0", 10),
+    // "memory" (per instance) or "redis" (shared, uses REDIS_URL)
+    store: process.env.RATE_LIMIT_STORE || "memory",
+    // Header identifying API clients when no JWT subject is present
+    apiKeyHeader: process.env.RATE_LIMIT_API_KEY_HEADER || "x-api-key",
+    // Comma-separated keys accepted in that header; unknown keys bill by IP
+    apiKeys: (process.env.RATE_LIMIT_API_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+    // Express "trust proxy" so req.ip is the client behind a load balancer
+    trustProxy: process.env.TRUST_PROXY,
+  },
+
+  // Admission control - 503 + Retry-After while the render queue is full
+  admission: {
+    enabled: process.env.ADMISSION_ENABLED !== "false",
+    // "static" (one threshold) or "adaptive" (bulk renders are shed first)
+    mode: process.env.ADMISSION_MODE || "static",
+    // Queued renders at which new ones are refused (default: PDF_QUEUE_WARNING)
+    queueThreshold: parseInt(process.env.ADMISSION_QUEUE_THRESHOLD || "0", 10),
+    // Adaptive mode: bulk renders are refused from this share of the threshold
+    bulkShedRatio: parseFloat(process.env.ADMISSION_BULK_SHED_RATIO || "0.5"),
+    // Window of recent throughput that Retry-After is computed from
+    throughputWindow: parseInt(
+      process.env.ADMISSION_THROUGHPUT_WINDOW || "30000",
+      10,
+    ),
+    minRetryAfter: parseInt(process.env.ADMISSION_MIN_RETRY_AFTER || "1", 10),
+    maxRetryAfter: parseInt(process.env.ADMISSION_MAX_RETRY_AFTER || "60", 10),
   },
 
   // Monitoring & Observability
@@ -113,6 +260,11 @@ const config = {
     enableDebug: process.env.DEBUG_STATS === "true",
     metricsPath: process.env.METRICS_PATH || "/metrics",
     healthPath: process.env.HEALTH_PATH || "/health",
+    // /health/live fails once a timer fired this much later than scheduled
+    maxEventLoopLag: parseInt(
+      process.env.HEALTH_MAX_EVENT_LOOP_LAG || "5000",
+      10,
+    ),
 
     // Debug endpoints
     enableDebugEndpoints: process.env.ENABLE_DEBUG_ENDPOINTS === "true",
@@ -121,14 +273,45 @@ const config = {
     statsInterval: parseInt(process.env.STATS_INTERVAL || "60000", 10),
   },
 
+  // Tracing (OpenTelemetry-style spans per request, render and attempt)
+  tracing: {
+    enabled: process.env.TRACING_ENABLED === "true",
+    serviceName: process.env.OTEL_SERVICE_NAME || "pdfgen",
+    // "file" (JSON lines at filePath) or "otlp" (OTLP/HTTP JSON)
+    exporter: process.env.TRACING_EXPORTER || "file",
+    filePath: process.env.TRACING_FILE_PATH || "./data/traces.jsonl",
+    otlpEndpoint:
+      process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://localhost:4318"}/v1/traces`,
+    // "key=value,key2=value2", e.g. an API key for a hosted collector
+    // Values may contain "=" themselves (base64 padding in Basic auth)
+    otlpHeaders: Object.fromEntries(
+      (process.env.OTEL_EXPORTER_OTLP_HEADERS || "")
+        .split(",")
+        .filter((pair) => pair.includes("="))
+        .map((pair) => {
+          const split = pair.indexOf("=");
+          return [pair.slice(0, split).trim(), pair.slice(split + 1).trim()];
+        }),
+    ),
+    // Share of new traces recorded; incoming traceparent decides for its own
+    sampleRatio: parseFloat(process.env.TRACING_SAMPLE_RATIO || "1"),
+    flushInterval: parseInt(process.env.TRACING_FLUSH_INTERVAL || "5000", 10),
+  },
+
   // Logging
   logging: {
+    // debug | info | warn | error
     level: process.env.LOG_LEVEL || "info",
+    // "json" (one object per line) or "pretty" (console only, files stay JSON)
     format: process.env.LOG_FORMAT || "json",
     enableConsole: process.env.LOG_CONSOLE !== "false",
     enableFile: process.env.LOG_FILE === "true",
     filePath: process.env.LOG_FILE_PATH || "./logs/app.log",
     errorFilePath: process.env.LOG_ERROR_PATH || "./logs/error.log",
+    // Rotate a log file once it reaches maxSize bytes, keeping maxFiles old ones
+    maxSize: parseInt(process.env.LOG_MAX_SIZE || "10485760", 10), // 10MB
+    maxFiles: parseInt(process.env.LOG_MAX_FILES || "5", 10),
   },
 
   // Performance Optimization
@@ -140,10 +323,12 @@ const config = {
       10,
     ),
 
-    // Template caching
+    // Template caching (rendered PDFs keyed by template + input hash)
     enableTemplateCache: process.env.ENABLE_TEMPLATE_CACHE === "true",
     templateCacheMax: parseInt(process.env.TEMPLATE_CACHE_MAX || "100", 10),
     templateCacheTTL: parseInt(process.env.TEMPLATE_CACHE_TTL || "3600000", 10),
+    // "memory" (per instance LRU) or "redis" (shared, uses REDIS_URL)
+    templateCacheStore: process.env.TEMPLATE_CACHE_STORE || "memory",
 
     // Automatic garbage collection
     autoGC: process.env.AUTO_GC === "true",
@@ -177,6 +362,15 @@ const config = {
   shutdown: {
     timeout: parseInt(process.env.SHUTDOWN_TIMEOUT || "5000", 10),
     enableGraceful: process.env.ENABLE_GRACEFUL_SHUTDOWN !== "false",
+    // Time between readiness turning false and closing the listener, so
+    // load balancers stop sending traffic first (at least one probe period)
+    readinessDelay: parseInt(
+      process.env.SHUTDOWN_READINESS_DELAY || "5000",
+      10,
+    ),
+    // Unfinished render jobs are written here and resumed on the next start
+    snapshotPath:
+      process.env.SHUTDOWN_SNAPSHOT_PATH || "./data/shutdown-snapshot.json",
   },
 
   // Data & API
@@ -194,4 +388,107 @@ if (config.pdf.maxThreads < config.pdf.minThreads) {
   process.exit(1);
 }
 
+if (!Object.hasOwn(config.pdf.lanes, config.pdf.defaultLane)) {
+  console.error(
+    `❌ PDF_DEFAULT_LANE must be "interactive", "normal" or "bulk" (got "${config.pdf.defaultLane}")`,
+  );
+  process.exit(1);
+}
+
+if (
+  config.pdf.fontDir &&
+  !statSync(config.pdf.fontDir, { throwIfNoEntry: false })?.isDirectory()
+) {
+  console.error(
+    `❌ PDF_FONT_DIR must be a directory (got "${config.pdf.fontDir}")`,
+  );
+  process.exit(1);
+}
+
+if (
+  config.nodeEnv === "production" &&
+  !config.security.jwtSecret &&
+  !config.security.jwksPath &&
+  !config.security.authDisabled
+) {
+  console.error(
+    "❌ JWT_SECRET or JWT_JWKS_PATH is required in production (AUTH_DISABLED=true to run without auth)",
+  );
+  process.exit(1);
+}
+
+if (
+  config.nodeEnv === "production" &&
+  config.queue.mode === "redis" &&
+  !config.deadLetterQueue.encryptionKey
+) {
+  console.error(
+    "❌ DLQ_ENCRYPTION_KEY is required with QUEUE_MODE=redis in production (job payloads are stored in Redis)",
+  );
+  process.exit(1);
+}
+
+if (config.webhooks.secret && !config.webhooks.publicBaseUrl) {
+  console.error(
+    "❌ PUBLIC_BASE_URL is required with WEBHOOK_SECRET (download links in callbacks)",
+  );
+  process.exit(1);
+}
+
+if (!["memory", "redis"].includes(config.queue.mode)) {
+  console.error(
+    `❌ QUEUE_MODE must be "memory" or "redis" (got "${config.queue.mode}")`,
+  );
+  process.exit(1);
+}
+
+if (!["memory", "file", "redis"].includes(config.deadLetterQueue.store)) {
+  console.error(
+    `❌ DLQ_STORE must be "memory", "file" or "redis" (got "${config.deadLetterQueue.store}")`,
+  );
+  process.exit(1);
+}
+
+if (!["memory", "redis"].includes(config.performance.templateCacheStore)) {
+  console.error(
+    `❌ TEMPLATE_CACHE_STORE must be "memory" or "redis" (got "${config.performance.templateCacheStore}")`,
+  );
+  process.exit(1);
+}
+
+if (!["memory", "redis"].includes(config.rateLimit.store)) {
+  console.error(
+    `❌ RATE_LIMIT_STORE must be "memory" or "redis" (got "${config.rateLimit.store}")`,
+  );
+  process.exit(1);
+}
+
+if (!["static", "adaptive"].includes(config.admission.mode)) {
+  console.error(
+    `❌ ADMISSION_MODE must be "static" or "adaptive" (got "${config.admission.mode}")`,
+  );
+  process.exit(1);
+}
+
+if (!["file", "otlp"].includes(config.tracing.exporter)) {
+  console.error(
+    `❌ TRACING_EXPORTER must be "file" or "otlp" (got "${config.tracing.exporter}")`,
+  );
+  process.exit(1);
+}
+
+if (!["debug", "info", "warn", "error"].includes(config.logging.level)) {
+  console.error(
+    `❌ LOG_LEVEL must be "debug", "info", "warn" or "error" (got "${config.logging.level}")`,
+  );
+  process.exit(1);
+}
+
+if (!["json", "pretty"].includes(config.logging.format)) {
+  console.error(
+    `❌ LOG_FORMAT must be "json" or "pretty" (got "${config.logging.format}")`,
+  );
+  process.exit(1);
+}
+
 export default config;
@@ -0,0 +1,154 @@
+/**
+ * Admission Control Middleware
+ * Refuses new renders with 503 + Retry-After while the render queue is at
+ * its threshold, instead of queueing them past any client timeout.
+ *
+ * Retry-After is how long the pool needs, at its recent throughput, to work
+ * the queue back below the threshold. In adaptive mode bulk renders are
+ * refused from `bulkShedRatio` of the threshold on, which keeps the rest of
+ * the queue for interactive and normal traffic.
+ */
+export class AdmissionControl {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled !== false,
+      // "static" (one threshold for all lanes) or "adaptive"
+      mode: options.mode || "static",
+      queueThreshold: options.queueThreshold || 400,
+      bulkShedRatio: options.bulkShedRatio ?? 0.5,
+      throughputWindow: options.throughputWindow || 30_000,
+      minRetryAfter: options.minRetryAfter || 1, // seconds
+      maxRetryAfter: options.maxRetryAfter || 60, // seconds
+    };
+
+    // Render service providing getQueueSize() and task events
+    this.service = options.service;
+
+    this.startedAt = Date.now();
+    this.closed = false; // refusing everything, see close()
+    this.finished = []; // times renders left the pool, within the window
+    this.stats = { admitted: 0, rejected: {} }; // lane -> count
+
+    // Failed and cancelled renders free their slot as well
+    const onFinished = () => this.recordFinished();
+    for (const event of ["task-completed", "task-failed", "task-cancelled"]) {
+      this.service.on(event, onFinished);
+    }
+  }
+
+  recordFinished(now = Date.now()) {
+    this.finished.push(now);
+    this.trim(now);
+  }
+
+  trim(now) {
+    const cutoff = now - this.options.throughputWindow;
+    while (this.finished.length > 0 && this.finished[0] <= cutoff) {
+      this.finished.shift();
+    }
+  }
+
+  /**
+   * Renders finished per second over the throughput window
+   */
+  throughput(now = Date.now()) {
+    this.trim(now);
+    const window = Math.min(
+      this.options.throughputWindow,
+      now - this.startedAt,
+    );
+    return window > 0 ? this.finished.length / (window / 1000) : 0;
+  }
+
+  /**
+   * Queue size at which renders of a lane are refused
+   */
+  limitFor(priority) {
+    const { mode, queueThreshold, bulkShedRatio } = this.options;
+    if (mode === "adaptive" && priority === "bulk") {
+      return Math.floor(queueThreshold * bulkShedRatio);
+    }
+    return queueThreshold;
+  }
+
+  /**
+   * Seconds until the queue should be back below `limit`
+   * Without recent throughput there is nothing to go by but the maximum
+   */
+  retryAfter(queueSize, limit) {
+    const { minRetryAfter, maxRetryAfter } = this.options;
+    const rate = this.throughput();
+    const seconds =
+      rate > 0 ? Math.ceil((queueSize - limit + 1) / rate) : maxRetryAfter;
+    return Math.min(maxRetryAfter, Math.max(minRetryAfter, seconds));
+  }
+
+  /**
+   * Middleware admitting renders while their lane is under its limit
+   * Expects req.priority, see resolvePriority
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.closed) {
+        // Kept-alive connections would bring the next render right back
+        res.setHeader("Connection", "close");
+        return res.status(503).json({
+          error: "Server shutting down",
+          requestId: req.id,
+        });
+      }
+
+      if (!this.options.enabled) return next();
+
+      if (this.service.getQueueSize() < this.limitFor(req.priority)) {
+        this.stats.admitted++;
+        return next();
+      }
+
+      this.reject(req, res);
+    };
+  }
+
+  /**
+   * Answer 503 with Retry-After
+   * Also used by routes whose render was refused by a full lane queue
+   */
+  reject(req, res) {
+    const queueSize = this.service.getQueueSize();
+    const retryAfter = this.retryAfter(queueSize, this.limitFor(req.priority));
+
+    this.stats.rejected[req.priority] =
+      (this.stats.rejected[req.priority] || 0) + 1;
+
+    res.setHeader("Retry-After", retryAfter);
+    return res.status(503).json({
+      error: "Server overloaded",
+      priority: req.priority,
+      queueSize,
+      retryAfter,
+      requestId: req.id,
+    });
+  }
+
+  /**
+   * Refuse all further renders, regardless of `enabled` (shutdown)
+   */
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      enabled: this.options.enabled,
+      mode: this.options.mode,
+      queueThreshold: this.options.queueThreshold,
+      bulkThreshold: this.limitFor("bulk"),
+      throughput: Math.round(this.throughput() * 100) / 100,
+      admitted: this.stats.admitted,
+      rejected: { ...this.stats.rejected },
+    };
+  }
+}
@@ -0,0 +1,191 @@
+import { readFile } from "fs/promises";
+import { createLocalJWKSet, jwtVerify, errors as joseErrors } from "jose";
+import { logger } from "../services/logger.js";
+
+// Asymmetric algorithms accepted for keys from the JWKS file
+const JWKS_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+  "EdDSA",
+];
+
+/**
+ * JWT Authentication Middleware
+ * Verifies bearer tokens signed with an HS256 secret or with a key from a
+ * local JWKS file, and checks the scopes a route requires.
+ *
+ * On success `req.auth` holds { subject, tenant, scopes, claims }.
+ * Without a secret or JWKS file auth is disabled and every request passes;
+ * in production config.js only allows that with AUTH_DISABLED=true.
+ */
+export class JwtAuth {
+  constructor(options = {}) {
+    this.options = {
+      secret: options.secret || null,
+      jwksPath: options.jwksPath || null,
+      issuer: options.issuer || undefined,
+      audience: options.audience || undefined,
+      // Oldest accepted token, by its "iat" claim (e.g. "24h")
+      maxTokenAge: options.maxTokenAge || undefined,
+      tenantClaim: options.tenantClaim || "tenant",
+      clockTolerance: options.clockTolerance || 30, // seconds
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger = options.logger || logger.child({ component: "JwtAuth" });
+
+    this.secretKey = this.options.secret
+      ? new TextEncoder().encode(this.options.secret)
+      : null;
+    this.jwks = null;
+
+    this.ready = this.loadJwks();
+  }
+
+  /**
+   * Whether any key is configured
+   */
+  isEnabled() {
+    return Boolean(this.options.secret || this.options.jwksPath);
+  }
+
+  /**
+   * Load the local JWKS file (if configured)
+   */
+  async loadJwks() {
+    if (!this.options.jwksPath) return;
+
+    const jwks = JSON.parse(await readFile(this.options.jwksPath, "utf-8"));
+    this.jwks = createLocalJWKSet(jwks);
+
+    this.log(
+      `🔑 Loaded ${jwks.keys?.length || 0} keys from ${this.options.jwksPath}`,
+    );
+  }
+
+  /**
+   * Verify a token and return its payload
+   * HS256 tokens are checked against the secret, others against the JWKS
+   */
+  async verify(token) {
+    await this.ready;
+
+    const algorithms = [
+      ...(this.secretKey ? ["HS256"] : []),
+      ...(this.jwks ? JWKS_ALGORITHMS : []),
+    ];
+
+    const getKey = (header) => {
+      if (header.alg === "HS256") return this.secretKey;
+      return this.jwks(header);
+    };
+
+    const { payload } = await jwtVerify(token, getKey, {
+      algorithms,
+      issuer: this.options.issuer,
+      audience: this.options.audience,
+      maxTokenAge: this.options.maxTokenAge,
+      clockTolerance: this.options.clockTolerance,
+    });
+
+    return payload;
+  }
+
+  /**
+   * Scopes from the OAuth2 "scope" string or an "scp"/"scopes" array
+   */
+  getScopes(payload) {
+    const scopes = payload.scope ?? payload.scp ?? payload.scopes ?? [];
+    return Array.isArray(scopes) ? scopes : String(scopes).split(" ");
+  }
+
+  /**
+   * Middleware requiring a valid token carrying all given scopes
+   */
+  middleware(...requiredScopes) {
+    return async (req, res, next) => {
+      if (!this.isEnabled()) return next();
+
+      const [type, token] = (req.get("Authorization") || "").split(" ");
+      if (type?.toLowerCase() !== "bearer" || !token) {
+        return this.reject(req, res, 401, "Missing bearer token");
+      }
+
+      let payload;
+      try {
+        payload = await this.verify(token);
+      } catch (err) {
+        return this.reject(req, res, 401, this.describeError(err), {
+          error: "invalid_token",
+        });
+      }
+
+      const scopes = this.getScopes(payload);
+      const missing = requiredScopes.filter(
+        (scope) => !scopes.includes(scope),
+      );
+      if (missing.length > 0) {
+        const message = `Missing scope: ${missing.join(" ")}`;
+        return this.reject(req, res, 403, message, {
+          error: "insufficient_scope",
+          scopes: missing,
+        });
+      }
+
+      req.auth = {
+        subject: payload.sub,
+        tenant: payload[this.options.tenantClaim] ?? null,
+        scopes,
+        claims: payload,
+      };
+
+      next();
+    };
+  }
+
+  /**
+   * Message for a failed verification that doesn't leak key details
+   */
+  describeError(err) {
+    if (err instanceof joseErrors.JWTExpired) return "Token expired";
+    if (err instanceof joseErrors.JWTClaimValidationFailed) {
+      return `Invalid token claim: ${err.claim}`;
+    }
+    return "Invalid token";
+  }
+
+  /**
+   * Send a 401/403 JSON error with the matching WWW-Authenticate header
+   * (RFC 6750: no error code when the request had no credentials)
+   */
+  reject(req, res, status, message, { error, scopes } = {}) {
+    let challenge = `Bearer realm="pdfgen"`;
+    if (error) challenge += `, error="${error}"`;
+    if (scopes) challenge += `, scope="${scopes.join(" ")}"`;
+
+    res.setHeader("WWW-Authenticate", challenge);
+
+    return res.status(status).json({
+      error: status === 401 ? "Unauthorized" : "Forbidden",
+      message,
+      requiredScopes: scopes,
+      requestId: req.id,
+    });
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { createHash } from "crypto";
+import { logger } from "../services/logger.js";
+
+const hashApiKey = (apiKey) =>
+  createHash("sha256").update(apiKey).digest("hex");
+
+/**
+ * Rate Limiter Middleware
+ * Fixed-window request budgets per client and per bucket, so e.g. /pdf and
+ * /pdf/stream can be limited separately.
+ *
+ * Clients are identified by JWT subject, then a configured API key, then IP.
+ * Counters live in memory, or in Redis (INCR + PEXPIRE per window) when
+ * several instances must share one budget.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled !== false,
+      windowMs: options.windowMs || 60_000,
+      max: options.max || 30,
+      message: options.message || "Too many requests",
+      standardHeaders: options.standardHeaders !== false,
+      legacyHeaders: options.legacyHeaders === true,
+      apiKeyHeader: options.apiKeyHeader || "x-api-key",
+      apiKeys: options.apiKeys || [],
+      keyPrefix: options.keyPrefix || "pdfgen:",
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger = options.logger || logger.child({ component: "RateLimiter" });
+
+    this.redis = options.redis || null;
+
+    // Hashes of the API keys that count as a client identity; any other
+    // header value is ignored so random keys can't mint fresh budgets
+    this.apiKeyHashes = new Set(this.options.apiKeys.map(hashApiKey));
+
+    this.counters = new Map(); // bucket:client:window -> { count, resetAt }
+    this.stats = { allowed: 0, limited: 0, storeErrors: 0 };
+
+    // Drop counters of past windows
+    if (!this.redis) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanup();
+      }, this.options.windowMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  get store() {
+    return this.redis ? "redis" : "memory";
+  }
+
+  /**
+   * Identify the client a request is billed to
+   * Only a verified JWT subject or a configured API key counts as an
+   * identity; keys are hashed so raw keys never end up in the store
+   */
+  clientKey(req) {
+    if (req.auth?.subject) {
+      return `sub:${req.auth.subject}`;
+    }
+
+    const apiKey = req.get(this.options.apiKeyHeader);
+    if (apiKey) {
+      const hash = hashApiKey(apiKey);
+      if (this.apiKeyHashes.has(hash)) {
+        return `key:${hash.slice(0, 32)}`;
+      }
+    }
+
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Count one request and return the window state
+   */
+  async hit(bucket, client, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const key = `${bucket}:${client}:${windowStart}`;
+
+    if (this.redis) {
+      const [[, count]] = await this.redis
+        .multi()
+        .incr(`${this.options.keyPrefix}ratelimit:${key}`)
+        .pexpire(`${this.options.keyPrefix}ratelimit:${key}`, windowMs)
+        .exec();
+      return { count, resetAt };
+    }
+
+    const counter = this.counters.get(key) || { count: 0, resetAt };
+    counter.count++;
+    this.counters.set(key, counter);
+    return counter;
+  }
+
+  /**
+   * Middleware enforcing a budget for one bucket
+   * `max` and `windowMs` default to the global config
+   */
+  middleware(bucket, overrides = {}) {
+    const max = overrides.max || this.options.max;
+    const windowMs = overrides.windowMs || this.options.windowMs;
+
+    return async (req, res, next) => {
+      if (!this.options.enabled) return next();
+
+      let state;
+      try {
+        state = await this.hit(bucket, this.clientKey(req), windowMs);
+      } catch (err) {
+        // Fail open - an unreachable store must not take renders down
+        this.stats.storeErrors++;
+        this.log(`Rate limit store failed: ${err.message}`, "warn");
+        return next();
+      }
+
+      const remaining = Math.max(0, max - state.count);
+      const resetSeconds = Math.ceil((state.resetAt - Date.now()) / 1000);
+
+      if (this.options.standardHeaders) {
+        res.setHeader("RateLimit-Policy", `${max};w=${windowMs / 1000}`);
+        res.setHeader("RateLimit-Limit", max);
+        res.setHeader("RateLimit-Remaining", remaining);
+        res.setHeader("RateLimit-Reset", resetSeconds);
+      }
+
+      if (this.options.legacyHeaders) {
+        res.setHeader("X-RateLimit-Limit", max);
+        res.setHeader("X-RateLimit-Remaining", remaining);
+        res.setHeader("X-RateLimit-Reset", Math.ceil(state.resetAt / 1000));
+      }
+
+      if (state.count > max) {
+        this.stats.limited++;
+        res.setHeader("Retry-After", resetSeconds);
+        return res.status(429).json({
+          error: this.options.message,
+          bucket,
+          retryAfter: resetSeconds,
+          requestId: req.id,
+        });
+      }
+
+      this.stats.allowed++;
+      next();
+    };
+  }
+
+  /**
+   * Remove counters whose window has passed
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      enabled: this.options.enabled,
+      store: this.store,
+      windowMs: this.options.windowMs,
+      max: this.options.max,
+      activeCounters: this.redis ? null : this.counters.size,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  shutdown() {
+    clearInterval(this.cleanupTimer);
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
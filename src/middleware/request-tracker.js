@@ -1,4 +1,12 @@
 import { randomUUID } from "crypto";
+import { appendFile, mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { logger } from "../services/logger.js";
+import {
+  createPayloadKey,
+  openPayload,
+  sealPayload,
+} from "../services/payload-seal.js";
 
 /**
  * Request Tracker Middleware
@@ -15,6 +23,9 @@ export class RequestTracker {
       enableLogging: options.enableLogging !== false,
     };
 
+    this.logger =
+      options.logger || logger.child({ component: "RequestTracker" });
+
     // In-memory tracking store
     // In production, use Redis or similar for persistence
     this.activeRequests = new Map();
@@ -40,20 +51,24 @@ export class RequestTracker {
 
   /**
    * Create a tracked request
+   * `restored` carries id, creation time and failed attempts of a request
+   * taken over from a previous process
    */
-  createRequest(metadata = {}) {
-    const requestId = randomUUID();
+  createRequest(metadata = {}, restored = {}) {
+    const requestId = restored.id || randomUUID();
+    const errors = restored.errors || []; // per-attempt error history
     const request = {
       id: requestId,
       metadata,
       status: "pending",
-      attempts: 0,
+      attempts: errors.length,
       maxRetries: this.options.maxRetries,
-      createdAt: Date.now(),
+      createdAt: restored.createdAt || Date.now(),
       startedAt: null,
       completedAt: null,
       lastAttemptAt: null,
       error: null,
+      errors,
       result: null,
     };
 
@@ -82,6 +97,7 @@ export class RequestTracker {
 
     this.log(
       `▶️  Request started: ${requestId} (attempt ${request.attempts})`,
+      "debug",
     );
   }
 
@@ -91,7 +107,10 @@ export class RequestTracker {
   completeRequest(requestId, result = null) {
     const request = this.activeRequests.get(requestId);
     if (!request) {
-      this.log(`⚠️  Request ${requestId} not found in active requests`);
+      this.log(
+        `⚠️  Request ${requestId} not found in active requests`,
+        "warn",
+      );
       return;
     }
 
@@ -120,12 +139,20 @@ export class RequestTracker {
   failRequest(requestId, error) {
     const request = this.activeRequests.get(requestId);
     if (!request) {
-      this.log(`⚠️  Request ${requestId} not found in active requests`);
+      this.log(
+        `⚠️  Request ${requestId} not found in active requests`,
+        "warn",
+      );
       return null;
     }
 
     request.error = error.message || String(error);
     request.lastAttemptAt = Date.now();
+    request.errors.push({
+      attempt: request.attempts,
+      timestamp: request.lastAttemptAt,
+      error: request.error,
+    });
 
     // Check if we should retry
     if (request.attempts < request.maxRetries) {
@@ -146,7 +173,7 @@ export class RequestTracker {
       this.stats.active--;
       this.stats.failed++;
 
-      this.log(`❌ Request failed: ${requestId} - ${request.error}`);
+      this.log(`❌ Request failed: ${requestId} - ${request.error}`, "error");
       return { shouldRetry: false, request };
     }
   }
@@ -344,9 +371,9 @@ export class RequestTracker {
   /**
    * Log helper
    */
-  log(message) {
+  log(message, level = "info") {
     if (this.options.enableLogging) {
-      console.log(`[RequestTracker] ${message}`);
+      this.logger[level](message);
     }
   }
 
@@ -361,57 +388,390 @@ export class RequestTracker {
 
 /**
  * Dead Letter Queue for permanently failed requests
+ *
+ * Entries keep the document definition that failed so they can be replayed.
+ * By default they live in memory; with `filePath` they are also appended to
+ * a JSONL file and reloaded on start, with `redis` they are shared by all
+ * instances (summaries and payloads in separate hashes, ordered by a zset).
+ *
+ * Document definitions carry patient data, so the file and Redis stores
+ * only keep them sealed with `encryptionKey` (AES-256-GCM). Without a key
+ * those stores record the failure but drop the payload, and the entry
+ * can't be replayed.
  */
 export class DeadLetterQueue {
   constructor(options = {}) {
     this.options = {
       maxSize: options.maxSize || 1000,
+      filePath: options.filePath || null,
+      keyPrefix: options.keyPrefix || "pdfgen:",
       enableLogging: options.enableLogging !== false,
     };
 
+    this.logger =
+      options.logger || logger.child({ component: "DeadLetterQueue" });
+
+    this.payloadKey = createPayloadKey(options.encryptionKey);
+
+    this.redis = options.redis || null;
+    this.keys = {
+      index: `${this.options.keyPrefix}dlq:index`,
+      entries: `${this.options.keyPrefix}dlq:entries`,
+      payloads: `${this.options.keyPrefix}dlq:payloads`,
+    };
+
     this.queue = [];
+    this.fileLines = 0; // lines in the JSONL file, compacted when > 2x maxSize
+    this.writeChain = Promise.resolve(); // serializes file writes
+
+    if (!this.keepsPayloads) {
+      this.log(
+        `⚠️  No DLQ encryption key - ${this.store} entries are kept without their payload and can't be replayed`,
+        "warn",
+      );
+    }
+
+    this.ready = this.load();
+  }
+
+  get store() {
+    if (this.redis) return "redis";
+    return this.options.filePath ? "file" : "memory";
+  }
+
+  /**
+   * Whether document payloads are kept (memory, or sealed when persisted)
+   */
+  get keepsPayloads() {
+    return this.store === "memory" || Boolean(this.payloadKey);
+  }
+
+  /**
+   * Encrypt a document definition for the file or Redis store
+   */
+  sealPayload(docDefinition) {
+    return sealPayload(this.payloadKey, docDefinition);
+  }
+
+  /**
+   * Decrypt a sealed payload (throws on a wrong key or tampered data)
+   */
+  openPayload(sealed) {
+    return openPayload(this.payloadKey, sealed);
+  }
+
+  /**
+   * Open the payload of a stored entry, or mark it not replayable
+   */
+  unsealEntry(entry, payload) {
+    if (!payload) return entry;
+
+    try {
+      entry.docDefinition = this.openPayload(payload);
+    } catch {
+      entry.replayable = false;
+      this.log(`Could not decrypt DLQ payload of ${entry.id}`, "warn");
+    }
+    return entry;
+  }
+
+  /**
+   * Line written to the JSONL file, with the payload sealed
+   */
+  toFileLine(entry) {
+    const { docDefinition, ...summary } = entry;
+    const record = docDefinition
+      ? { ...summary, payload: this.sealPayload(docDefinition) }
+      : summary;
+    return `${JSON.stringify(record)}\n`;
+  }
+
+  /**
+   * Load persisted entries from the JSONL file (file store only)
+   */
+  async load() {
+    if (this.store !== "file") return;
+
+    let content;
+    try {
+      content = await readFile(this.options.filePath, "utf-8");
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const lines = content.split("\n").filter(Boolean);
+    const entries = [];
+    let plaintext = 0;
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // Skip a torn last line from a crash mid-append
+        continue;
+      }
+
+      const { payload, docDefinition, ...entry } = record;
+      if (docDefinition) {
+        // Written before payloads were sealed
+        plaintext++;
+        if (this.keepsPayloads) entry.docDefinition = docDefinition;
+        else entry.replayable = false;
+      }
+      entries.push(this.unsealEntry(entry, payload));
+    }
+
+    this.queue = entries.slice(-this.options.maxSize);
+    this.fileLines = lines.length;
+
+    if (plaintext > 0) {
+      await this.enqueueWrite(() => this.rewriteFile());
+      this.log(`🔒 Rewrote ${plaintext} unencrypted DLQ payloads`);
+    }
+
+    this.log(
+      `📂 Loaded ${this.queue.length} DLQ entries from ${this.options.filePath}`,
+    );
   }
 
   /**
    * Add failed request to DLQ
+   * `request.docDefinition` is kept as the replayable payload when the
+   * store can keep it (see keepsPayloads)
    */
-  add(request, reason) {
-    const entry = {
+  async add(request, reason) {
+    await this.ready;
+
+    const { docDefinition, ...summary } = {
       ...request,
+      id: request.id || randomUUID(),
       dlqAddedAt: Date.now(),
       dlqReason: reason,
     };
+    const payload = this.keepsPayloads ? docDefinition : undefined;
+    const entry = payload ? { ...summary, docDefinition: payload } : summary;
+
+    if (this.redis) {
+      summary.replayable = Boolean(payload);
+
+      const multi = this.redis
+        .multi()
+        .zadd(this.keys.index, entry.dlqAddedAt, entry.id)
+        .hset(this.keys.entries, entry.id, JSON.stringify(summary));
+      if (payload) {
+        multi.hset(this.keys.payloads, entry.id, this.sealPayload(payload));
+      }
+      await multi.exec();
+      await this.trimRedis();
+    } else {
+      this.queue.push(entry);
+
+      // Limit queue size
+      if (this.queue.length > this.options.maxSize) {
+        this.queue.shift(); // Remove oldest
+      }
+
+      if (this.store === "file") {
+        await this.append(entry);
+      }
+    }
+
+    this.log(`💀 Added to DLQ: ${entry.id} - ${reason}`);
+    return entry;
+  }
 
-    this.queue.push(entry);
+  /**
+   * Drop the oldest Redis entries beyond maxSize
+   */
+  async trimRedis() {
+    const size = await this.redis.zcard(this.keys.index);
+    const excess = size - this.options.maxSize;
+    if (excess <= 0) return;
+
+    const ids = await this.redis.zrange(this.keys.index, 0, excess - 1);
+    await this.removeRedis(ids);
+  }
+
+  /**
+   * Remove entries from the Redis index and both hashes
+   */
+  async removeRedis(ids) {
+    if (ids.length === 0) return 0;
+
+    const [[, removed]] = await this.redis
+      .multi()
+      .zrem(this.keys.index, ...ids)
+      .hdel(this.keys.entries, ...ids)
+      .hdel(this.keys.payloads, ...ids)
+      .exec();
+    return removed;
+  }
+
+  /**
+   * Append one entry to the JSONL file, compacting it when it grows too long
+   */
+  append(entry) {
+    return this.enqueueWrite(async () => {
+      if (this.fileLines >= this.options.maxSize * 2) {
+        await this.rewriteFile();
+        return;
+      }
+
+      await mkdir(dirname(this.options.filePath), { recursive: true });
+      await appendFile(this.options.filePath, this.toFileLine(entry));
+      this.fileLines++;
+    });
+  }
+
+  /**
+   * Replace the JSONL file with the current entries
+   */
+  async rewriteFile() {
+    const tmpPath = `${this.options.filePath}.tmp`;
+    const content = this.queue.map((entry) => this.toFileLine(entry));
+
+    await mkdir(dirname(this.options.filePath), { recursive: true });
+    await writeFile(tmpPath, content.join(""));
+    await rename(tmpPath, this.options.filePath);
+    this.fileLines = this.queue.length;
+  }
+
+  /**
+   * Run a file write after the ones already queued
+   */
+  enqueueWrite(fn) {
+    const write = this.writeChain.then(fn);
+    this.writeChain = write.catch((err) =>
+      this.log(`Failed to persist DLQ: ${err.message}`, "error"),
+    );
+    return write;
+  }
+
+  /**
+   * Get one entry including its payload (or null)
+   */
+  async get(id) {
+    await this.ready;
 
-    // Limit queue size
-    if (this.queue.length > this.options.maxSize) {
-      this.queue.shift(); // Remove oldest
+    if (this.redis) {
+      const [summary, payload] = await Promise.all([
+        this.redis.hget(this.keys.entries, id),
+        this.redis.hget(this.keys.payloads, id),
+      ]);
+      if (!summary) return null;
+
+      return this.unsealEntry(JSON.parse(summary), payload);
     }
 
-    this.log(`💀 Added to DLQ: ${request.id} - ${reason}`);
+    return this.queue.find((entry) => entry.id === id) || null;
+  }
+
+  /**
+   * Find entries, oldest first, without their payloads
+   * Filters: since/until (ms timestamps), reason (case-insensitive
+   * substring), template (exact), limit (most recent N matches)
+   */
+  async query({ since, until, reason, template, limit } = {}) {
+    await this.ready;
+
+    let entries;
+    if (this.redis) {
+      const ids = await this.redis.zrangebyscore(
+        this.keys.index,
+        since ?? "-inf",
+        until ?? "+inf",
+      );
+      const summaries =
+        ids.length > 0 ? await this.redis.hmget(this.keys.entries, ...ids) : [];
+      entries = summaries.filter(Boolean).map((summary) => JSON.parse(summary));
+    } else {
+      entries = this.queue.filter(
+        (entry) =>
+          (since === undefined || entry.dlqAddedAt >= since) &&
+          (until === undefined || entry.dlqAddedAt <= until),
+      );
+    }
+
+    const needle = reason?.toLowerCase();
+    const matches = entries
+      .filter(
+        (entry) =>
+          (!needle || entry.dlqReason?.toLowerCase().includes(needle)) &&
+          (!template || entry.template === template),
+      )
+      .map(({ docDefinition, ...summary }) => ({
+        ...summary,
+        replayable: summary.replayable ?? Boolean(docDefinition),
+      }));
+
+    return limit ? matches.slice(-limit) : matches;
+  }
+
+  /**
+   * Remove one entry, e.g. after it was replayed
+   */
+  async remove(id) {
+    return (await this.removeMany([id])) > 0;
+  }
+
+  /**
+   * Remove several entries at once; the file is rewritten a single time
+   * Returns how many were found
+   */
+  async removeMany(ids) {
+    await this.ready;
+
+    if (ids.length === 0) return 0;
+    if (this.redis) return this.removeRedis(ids);
+
+    const doomed = new Set(ids);
+    const before = this.queue.length;
+    this.queue = this.queue.filter((entry) => !doomed.has(entry.id));
+
+    const removed = before - this.queue.length;
+    if (removed > 0 && this.store === "file") {
+      await this.enqueueWrite(() => this.rewriteFile());
+    }
+    return removed;
   }
 
   /**
    * Get all DLQ entries
    */
-  getAll() {
-    return [...this.queue];
+  async getAll() {
+    return this.query();
   }
 
   /**
    * Get recent failures
    */
-  getRecent(limit = 10) {
-    return this.queue.slice(-limit);
+  async getRecent(limit = 10) {
+    return this.query({ limit });
   }
 
   /**
    * Clear DLQ
    */
-  clear() {
-    const count = this.queue.length;
-    this.queue = [];
+  async clear() {
+    await this.ready;
+
+    let count;
+    if (this.redis) {
+      count = await this.redis.zcard(this.keys.index);
+      await this.redis.del(
+        this.keys.index,
+        this.keys.entries,
+        this.keys.payloads,
+      );
+    } else {
+      count = this.queue.length;
+      this.queue = [];
+      if (this.store === "file") {
+        await this.enqueueWrite(() => this.rewriteFile());
+      }
+    }
+
     this.log(`🧹 Cleared ${count} DLQ entries`);
     return count;
   }
@@ -419,17 +779,42 @@ export class DeadLetterQueue {
   /**
    * Get stats
    */
-  getStats() {
+  async getStats() {
+    await this.ready;
+
+    if (this.redis) {
+      const [totalEntries, oldest, newest] = await Promise.all([
+        this.redis.zcard(this.keys.index),
+        this.redis.zrange(this.keys.index, 0, 0, "WITHSCORES"),
+        this.redis.zrange(this.keys.index, -1, -1, "WITHSCORES"),
+      ]);
+
+      return {
+        store: this.store,
+        totalEntries,
+        oldestEntry: oldest[1] ? parseInt(oldest[1], 10) : null,
+        newestEntry: newest[1] ? parseInt(newest[1], 10) : null,
+      };
+    }
+
     return {
+      store: this.store,
       totalEntries: this.queue.length,
       oldestEntry: this.queue[0]?.dlqAddedAt || null,
       newestEntry: this.queue[this.queue.length - 1]?.dlqAddedAt || null,
     };
   }
 
-  log(message) {
+  /**
+   * Wait for pending file writes
+   */
+  async shutdown() {
+    await this.writeChain;
+  }
+
+  log(message, level = "info") {
     if (this.options.enableLogging) {
-      console.log(`[DeadLetterQueue] ${message}`);
+      this.logger[level](message);
     }
   }
 }
@@ -0,0 +1,148 @@
+/**
+ * JSON Schema for the invoice template input
+ * Mirrors the fields read by build-header, builder-admission, build-table
+ * and builder-tax so bad payloads fail validation instead of the render
+ */
+const amount = { type: "number" };
+const text = { type: "string" };
+const identifier = { type: ["string", "number"] };
+
+export const invoiceSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: "https://pdfgen.local/schemas/invoice.json",
+  title: "Invoice",
+  type: "object",
+  required: [
+    "company_details",
+    "admission_details",
+    "invoiced_items",
+    "invoice_details",
+  ],
+  properties: {
+    // Number format of the document's amounts, see utils/formatAmount.js
+    // BCP 47 tag Intl supports, see the "locale" format of TemplateRegistry
+    locale: { type: "string", format: "locale" },
+    currency: { type: "string", pattern: "^[A-Z]{3}$" },
+    negative_style: { enum: ["minus", "parentheses"] },
+    company_details: {
+      type: "object",
+      required: ["company_name", "company_address", "company_contact_no"],
+      properties: {
+        company_name: text,
+        company_address: text,
+        company_contact_no: text,
+      },
+    },
+    admission_details: {
+      type: "object",
+      required: [
+        "admission_no",
+        "patient_name",
+        "patient_type",
+        "payer_name",
+        "primary_doctor",
+        "invoice_no",
+        "invoice_date",
+        "admission_date",
+      ],
+      properties: {
+        admission_no: identifier,
+        patient_name: text,
+        address: text,
+        patient_type: text,
+        payer_name: text,
+        primary_doctor: text,
+        invoice_no: identifier,
+        invoice_date: text,
+        admission_date: text,
+        email: text,
+      },
+    },
+    invoiced_items: {
+      type: "array",
+      items: {
+        type: "object",
+        required: [
+          "sales_item_type_name",
+          "total_item_amount",
+          "total_discount_amount",
+          "total_payer_amount",
+          "total_patient_amount",
+          "items",
+        ],
+        properties: {
+          sales_item_type_name: text,
+          total_item_amount: amount,
+          total_discount_amount: amount,
+          total_payer_amount: amount,
+          total_patient_amount: amount,
+          items: {
+            type: "array",
+            items: {
+              type: "object",
+              required: [
+                "sales_item_name",
+                "quantity",
+                "item_amount",
+                "discount_amount",
+                "payer_amount",
+                "patient_amount",
+              ],
+              properties: {
+                sales_item_name: text,
+                quantity: amount,
+                uom_name: text,
+                item_amount: amount,
+                discount_amount: amount,
+                payer_amount: amount,
+                patient_amount: amount,
+              },
+            },
+          },
+        },
+      },
+    },
+    invoice_details: {
+      type: "object",
+      required: [
+        "total_item_amount",
+        "total_discount_amount",
+        "total_payer_amount",
+        "total_patient_amount",
+        "payer_admin_fee",
+        "patient_admin_fee",
+        "payer_round_amount",
+        "patient_round_amount",
+        "payer_net_amount",
+        "patient_net_amount",
+        "paid_amount",
+        "payer_balance_amount",
+        "patient_balance_amount",
+        "tax_base_amount",
+        "vat",
+        "vat_exempted",
+      ],
+      properties: {
+        total_item_amount: amount,
+        total_discount_amount: amount,
+        total_payer_amount: amount,
+        total_patient_amount: amount,
+        payer_admin_fee: amount,
+        patient_admin_fee: amount,
+        payer_round_amount: amount,
+        patient_round_amount: amount,
+        payer_net_amount: amount,
+        patient_net_amount: amount,
+        paid_amount: amount,
+        payer_balance_amount: amount,
+        patient_balance_amount: amount,
+        tax_base_amount: amount,
+        vat: amount,
+        vat_exempted: amount,
+        // Generated from the net amounts when absent, see template-invoice.js
+        in_words_patient: text,
+        in_words_payer: text,
+      },
+    },
+  },
+};
@@ -1,20 +1,47 @@
 import express from "express";
 import helmet from "helmet";
+import Redis from "ioredis";
 import { readFile } from "fs/promises";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { randomUUID } from "crypto";
 import config from "./config.js";
-import { PdfRenderServiceResilient } from "./services/pdf-render-service-resilient.js";
+import {
+  PdfRenderServiceResilient,
+  pageBucket,
+} from "./services/pdf-render-service-resilient.js";
 import {
   RequestTracker,
   DeadLetterQueue,
 } from "./middleware/request-tracker.js";
-import { buildInvoice } from "./template-invoice.js";
+import { RenderJobService } from "./services/render-job-service.js";
+import { RedisRenderQueue } from "./services/redis-render-queue.js";
+import { WebhookDispatcher } from "./services/webhook-dispatcher.js";
+import { RenderCache } from "./services/render-cache.js";
+import { createPayloadKey } from "./services/payload-seal.js";
+import {
+  readSnapshot,
+  removeSnapshot,
+  writeSnapshot,
+} from "./services/shutdown-snapshot.js";
+import { JwtAuth } from "./middleware/auth.js";
+import { RateLimiter } from "./middleware/rate-limiter.js";
+import { AdmissionControl } from "./middleware/admission-control.js";
+import { MetricsRegistry } from "./services/metrics-registry.js";
+import { logger } from "./services/logger.js";
+import {
+  Tracer,
+  FileSpanExporter,
+  OtlpHttpExporter,
+  parseTraceparent,
+} from "./services/tracer.js";
+import { templateRegistry } from "./templates/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+logger.configure(config.logging);
+
 const statsBuffer = new SharedArrayBuffer(32);
 const atomicStats = new Int32Array(statsBuffer);
 
@@ -24,7 +51,7 @@ const ATOMIC_STATS = {
   FAILED_RENDERS: 2,
   RETRIED_TASKS: 3,
   WORKER_CRASHES: 4,
-  RESERVED_1: 5,
+  CANCELLED_RENDERS: 5,
   RESERVED_2: 6,
   RESERVED_3: 7,
 };
@@ -42,6 +69,16 @@ const app = express();
 app.disable("x-powered-by");
 app.disable("etag");
 
+// TRUST_PROXY: "true", a hop count or a list of subnets (Express syntax)
+const { trustProxy } = config.rateLimit;
+if (trustProxy === "true") {
+  app.set("trust proxy", true);
+} else if (/^\d+$/.test(trustProxy || "")) {
+  app.set("trust proxy", Number(trustProxy));
+} else if (trustProxy) {
+  app.set("trust proxy", trustProxy);
+}
+
 app.use(
   helmet({
     contentSecurityPolicy: false,
@@ -55,12 +92,104 @@ app.use(
 
 app.use(express.json({ limit: config.security.jsonLimit }));
 
+const tracer = new Tracer({
+  enabled: config.tracing.enabled,
+  sampleRatio: config.tracing.sampleRatio,
+  flushInterval: config.tracing.flushInterval,
+  exporter:
+    config.tracing.exporter === "otlp"
+      ? new OtlpHttpExporter({
+          endpoint: config.tracing.otlpEndpoint,
+          headers: config.tracing.otlpHeaders,
+          serviceName: config.tracing.serviceName,
+        })
+      : new FileSpanExporter({ filePath: config.tracing.filePath }),
+});
+
+// Scrapes and probes would drown the traces that matter
+const isUntracedPath = (path) =>
+  path.startsWith(config.monitoring.metricsPath) || path.startsWith("/health");
+
+/**
+ * Start the request span, continuing the caller's trace from a W3C
+ * traceparent header; it ends when the response is finished or aborted
+ */
+function startRequestSpan(req, res) {
+  if (isUntracedPath(req.path)) return null;
+
+  const span = tracer.startSpan(`${req.method} ${req.path}`, {
+    kind: "server",
+    parent: parseTraceparent(req.get("traceparent")) || undefined,
+    attributes: {
+      "http.request.method": req.method,
+      "url.path": req.path,
+      "request.id": req.id,
+    },
+  });
+  if (!span) return null;
+
+  res.setHeader("X-Trace-Id", span.traceId);
+
+  res.on("close", () => {
+    if (req.route) {
+      span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      span.setAttribute("http.route", `${req.baseUrl}${req.route.path}`);
+    }
+    span.setAttribute("http.response.status_code", res.statusCode);
+    if (res.statusCode >= 500) span.setStatus("error");
+    if (!res.writableFinished) span.addEvent("client aborted");
+    span.end();
+  });
+
+  return span;
+}
+
+// Every log entry written while handling the request carries its id (and
+// trace id), and spans started for it become children of the request span
 app.use((req, res, next) => {
   req.id = randomUUID();
   req.startTime = Date.now();
-  next();
+
+  const span = startRequestSpan(req, res);
+  const fields = span
+    ? { requestId: req.id, traceId: span.traceId }
+    : { requestId: req.id };
+
+  logger.runWithContext(fields, () => tracer.withSpan(span, next));
+});
+
+const auth = new JwtAuth({
+  secret: config.security.jwtSecret,
+  jwksPath: config.security.jwksPath,
+  issuer: config.security.jwtIssuer,
+  audience: config.security.jwtAudience,
+  maxTokenAge: config.security.jwtExpiresIn,
+  tenantClaim: config.security.jwtTenantClaim,
 });
 
+auth.ready.catch((err) => {
+  logger.error("Failed to load JWKS", { error: err.message });
+});
+
+// Patient data and renders need pdf:render, debug tooling admin:debug
+app.use(["/pdf", "/jobs", "/api/invoice-data"], auth.middleware("pdf:render"));
+app.use("/debug", auth.middleware("admin:debug"));
+
+/**
+ * Request facts passed to template builders
+ */
+const renderContext = (req) => ({ tenant: req.auth?.tenant ?? null });
+
+/**
+ * Build a template's docDefinition inside a "template.build" span
+ */
+const buildDocument = (req, templateName, data) =>
+  tracer.trace(
+    "template.build",
+    () => templateRegistry.build(templateName, data, renderContext(req)),
+    { attributes: { "pdf.template": templateName } },
+  );
+
 const pdfService = new PdfRenderServiceResilient({
   minThreads: config.pdf.minThreads,
   maxThreads: config.pdf.maxThreads,
@@ -82,53 +211,378 @@ const pdfService = new PdfRenderServiceResilient({
   hangThreshold: config.pdf.hangThreshold,
   workerTerminationTimeout: config.pdf.workerTerminationTimeout,
 
+  workerStatsInterval: config.pdf.workerStatsInterval,
+  memoryWarningHorizon: config.pdf.memoryWarningHorizon,
+
+  recycleAfterRenders: config.pdf.recycleAfterRenders,
+  recycleAfterMs: config.pdf.recycleAfterMs,
+  recycleMemoryChecks: config.pdf.recycleMemoryChecks,
+
+  lanes: config.pdf.lanes,
+  defaultLane: config.pdf.defaultLane,
+
+  fontDir: config.pdf.fontDir,
+  fontFallbacks: config.pdf.fontFallbacks,
+
   enableLogging: config.pdf.enableLogging,
+  tracer,
 });
 
 const requestTracker = new RequestTracker({
   maxRetries: config.requestTracker.maxRetries,
   retryDelay: config.requestTracker.retryDelay,
   requestTimeout: config.requestTracker.requestTimeout,
+  maxAge: config.requestTracker.maxAge,
   enableLogging: config.requestTracker.enableLogging,
 });
 
+const useRenderCache = config.performance.enableTemplateCache;
+
+const redis =
+  config.queue.mode === "redis" ||
+  config.deadLetterQueue.store === "redis" ||
+  (useRenderCache && config.performance.templateCacheStore === "redis") ||
+  (config.rateLimit.enabled && config.rateLimit.store === "redis")
+    ? new Redis(config.queue.redisUrl)
+    : null;
+
+redis?.on("error", (err) => {
+  logger.error("Redis error", { error: err.message });
+});
+
 const deadLetterQueue = new DeadLetterQueue({
   maxSize: config.deadLetterQueue.maxSize,
+  filePath:
+    config.deadLetterQueue.store === "file"
+      ? config.deadLetterQueue.filePath
+      : null,
+  redis: config.deadLetterQueue.store === "redis" ? redis : null,
+  keyPrefix: config.queue.keyPrefix,
+  encryptionKey: config.deadLetterQueue.encryptionKey,
   enableLogging: config.deadLetterQueue.enableLogging,
 });
 
+deadLetterQueue.ready.catch((err) => {
+  logger.error("Failed to load dead letter queue", { error: err.message });
+});
+
+const rateLimiter = new RateLimiter({
+  enabled: config.rateLimit.enabled,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  message: config.rateLimit.message,
+  standardHeaders: config.rateLimit.standardHeaders,
+  legacyHeaders: config.rateLimit.legacyHeaders,
+  apiKeyHeader: config.rateLimit.apiKeyHeader,
+  apiKeys: config.rateLimit.apiKeys,
+  redis: config.rateLimit.store === "redis" ? redis : null,
+  keyPrefix: config.queue.keyPrefix,
+});
+
+// Buffered renders (incl. jobs) and streams are budgeted separately
+const limitRender = rateLimiter.middleware("render");
+const limitStream = rateLimiter.middleware("stream", {
+  max: config.rateLimit.streamMax,
+});
+
+// Lanes ranked above the default one, which callers must be trusted with
+const elevatedLanes = Object.keys(config.pdf.lanes).slice(
+  0,
+  Object.keys(config.pdf.lanes).indexOf(config.pdf.defaultLane),
+);
+
+/**
+ * Priority lane of a render: X-Priority header, else a `priority` body
+ * option, else the default lane. Lanes above the default need the
+ * priority scope, so anonymous callers can't jump the queue
+ */
+const resolvePriority = (req, res, next) => {
+  const priority = String(
+    req.get("X-Priority") || req.body?.priority || config.pdf.defaultLane,
+  ).toLowerCase();
+
+  if (!Object.hasOwn(config.pdf.lanes, priority)) {
+    return res.status(400).json({
+      error: "Unknown priority",
+      priority,
+      lanes: Object.keys(config.pdf.lanes),
+      requestId: req.id,
+    });
+  }
+
+  const scope = config.pdf.priorityScope;
+  if (
+    scope &&
+    elevatedLanes.includes(priority) &&
+    !req.auth?.scopes.includes(scope)
+  ) {
+    return auth.reject(
+      req,
+      res,
+      403,
+      `Priority "${priority}" requires scope ${scope}`,
+      { error: "insufficient_scope", scopes: [scope] },
+    );
+  }
+
+  req.priority = priority;
+  next();
+};
+
+const admissionControl = new AdmissionControl({
+  enabled: config.admission.enabled,
+  mode: config.admission.mode,
+  queueThreshold:
+    config.admission.queueThreshold || config.pdf.queueWarningThreshold,
+  bulkShedRatio: config.admission.bulkShedRatio,
+  throughputWindow: config.admission.throughputWindow,
+  minRetryAfter: config.admission.minRetryAfter,
+  maxRetryAfter: config.admission.maxRetryAfter,
+  service: pdfService,
+});
+
+// After resolvePriority: the lane decides how early a render is shed
+const admit = admissionControl.middleware();
+
+const renderCache = useRenderCache
+  ? new RenderCache({
+      max: config.performance.templateCacheMax,
+      ttl: config.performance.templateCacheTTL,
+      redis: config.performance.templateCacheStore === "redis" ? redis : null,
+      keyPrefix: config.queue.keyPrefix,
+    })
+  : null;
+
+const metrics = new MetricsRegistry();
+
+const renderDuration = metrics.histogram(
+  "render_duration_seconds",
+  "Render time per template and page count, including retries",
+);
+
+const renderSize = metrics.histogram(
+  "render_size_bytes",
+  "PDF size per template and page count",
+  // 10KB .. 50MB
+  { buckets: [1e4, 5e4, 1e5, 2.5e5, 5e5, 1e6, 2.5e6, 5e6, 1e7, 5e7] },
+);
+
+pdfService.on(
+  "task-completed",
+  ({ duration, size, pages, metadata, streaming }) => {
+    const labels = {
+      template: metadata?.template || "unknown",
+      pages: pageBucket(pages),
+    };
+
+    renderDuration.observe(
+      { ...labels, mode: streaming ? "stream" : "buffer" },
+      duration / 1000,
+    );
+    renderSize.observe(labels, size);
+  },
+);
+
 pdfService.on("worker-crash", (crash) => {
-  console.error(
-    `🚨 Worker crash detected at ${new Date(crash.timestamp).toISOString()}`,
-  );
-  console.error(`   Workers: ${crash.workerCount}/${crash.expectedCount}`);
+  logger.error("🚨 Worker crash detected", {
+    crashedAt: new Date(crash.timestamp).toISOString(),
+    workers: crash.workerCount,
+    expectedWorkers: crash.expectedCount,
+  });
+});
+
+pdfService.on("worker-memory-warning", (warning) => {
+  logger.warn("🧠 Worker memory warning", warning);
+});
+
+pdfService.on("worker-recycled", (event) => {
+  logger.info("♻️  Worker recycled", event);
 });
 
 pdfService.on("task-retry", ({ taskId, attempt, delay }) => {
-  console.log(
-    `🔄 Task ${taskId} retry scheduled (attempt ${attempt}, delay ${delay}ms)`,
-  );
+  logger.info("🔄 Task retry scheduled", { taskId, attempt, delay });
 });
 
 pdfService.on("task-recovered", ({ taskId, attempts }) => {
-  console.log(`✅ Task ${taskId} recovered after ${attempts} attempts`);
+  logger.info("✅ Task recovered", { taskId, attempts });
 });
 
-pdfService.on("task-failed", ({ taskId, attempts, error }) => {
-  console.error(
-    `❌ Task ${taskId} permanently failed after ${attempts} attempts`,
-  );
-  deadLetterQueue.add({ taskId, attempts }, error.message);
+pdfService.on("task-failed", (event) => {
+  const { taskId, attempts, error, metadata, docDefinition } = event;
+
+  logger.error("❌ Task permanently failed", {
+    taskId,
+    attempts,
+    template: metadata?.template,
+    requestId: metadata?.requestId,
+    error: error.message,
+  });
+
+  // Render jobs retry through the tracker; only their final failure is dead
+  if (metadata?.type === "render-job") return;
+
+  deadLetterQueue
+    .add(
+      {
+        id: taskId,
+        taskId,
+        attempts,
+        template: metadata?.template,
+        requestId: metadata?.requestId,
+        tenant: metadata?.tenant,
+        docDefinition,
+      },
+      error.message,
+    )
+    .catch((err) =>
+      logger.error("Failed to add to DLQ", { error: err.message }),
+    );
+});
+
+pdfService.on("render-warning", ({ taskId, code, message, metadata }) => {
+  logger.warn("⚠️  Render warning", {
+    taskId,
+    code,
+    template: metadata?.template,
+    requestId: metadata?.requestId,
+    message,
+  });
 });
 
 pdfService.on("task-hung", ({ taskId, executionTime, attempts, threshold }) => {
-  console.warn(
-    `⏱️  HUNG TASK: ${taskId} running for ${executionTime}ms (threshold: ${threshold}ms, attempt ${attempts})`,
-  );
+  logger.warn("⏱️  Hung task", {
+    taskId,
+    executionTime,
+    threshold,
+    attempts,
+  });
 });
 
 pdfService.on("recovery-triggered", ({ taskCount, tasks }) => {
-  console.log(`🔧 Recovery triggered for ${taskCount} tasks`);
+  logger.info("🔧 Recovery triggered", { taskCount });
+});
+
+const renderQueue =
+  config.queue.mode === "redis"
+    ? new RedisRenderQueue({
+        redis,
+        keyPrefix: config.queue.keyPrefix,
+        concurrency:
+          config.queue.concurrency ||
+          config.pdf.maxThreads * config.pdf.concurrentTasksPerWorker,
+        pollInterval: config.queue.pollInterval,
+        maxRetries: config.requestTracker.maxRetries,
+        retryDelay: config.requestTracker.retryDelay,
+        retryBackoff: config.pdf.retryBackoff,
+        heartbeatInterval: config.queue.heartbeatInterval,
+        consumerTTL: config.queue.consumerTTL,
+        resultTTL: Math.ceil(config.requestTracker.maxAge / 1000),
+        encryptionKey: config.deadLetterQueue.encryptionKey,
+        enableLogging: config.queue.enableLogging,
+      })
+    : null;
+
+const renderJobs = new RenderJobService({
+  pdfService,
+  requestTracker,
+  queue: renderQueue,
+  enableLogging: config.requestTracker.enableLogging,
+});
+
+renderJobs.start().catch((err) => {
+  logger.error("Failed to start render job consumer", { error: err.message });
+});
+
+// Seals job payloads in the shutdown snapshot, like the DLQ's
+const snapshotKey = createPayloadKey(config.deadLetterQueue.encryptionKey);
+
+// Jobs the previous process could not finish before it stopped; the file
+// goes only once they are queued again
+readSnapshot(config.shutdown.snapshotPath, { key: snapshotKey })
+  .then(async (snapshot) => {
+    if (!snapshot) return;
+    if (snapshot.jobs.length > 0) renderJobs.restore(snapshot.jobs);
+    await removeSnapshot(config.shutdown.snapshotPath);
+  })
+  .catch((err) => {
+    logger.error("Failed to resume jobs from the shutdown snapshot", {
+      error: err.message,
+    });
+  });
+
+const webhooks = new WebhookDispatcher({
+  secret: config.webhooks.secret,
+  maxAttempts: config.webhooks.maxAttempts,
+  retryDelay: config.webhooks.retryDelay,
+  retryBackoff: config.webhooks.retryBackoff,
+  timeout: config.webhooks.timeout,
+  allowedHosts: config.webhooks.allowedHosts,
+  allowPrivateAddresses: config.webhooks.allowPrivateAddresses,
+  enableLogging: config.webhooks.enableLogging,
+});
+
+/**
+ * Deliver the job outcome to the callback URL the caller registered
+ */
+function sendJobCallback(jobId, metadata, payload) {
+  if (!metadata?.callbackUrl) return;
+
+  webhooks.deliver(jobId, metadata.callbackUrl, {
+    jobId,
+    template: metadata.template,
+    requestId: metadata.requestId,
+    timestamp: new Date().toISOString(),
+    ...payload,
+  });
+}
+
+renderJobs.on("job-completed", ({ jobId, size, metadata, result }) => {
+  incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
+
+  if (!metadata?.callbackUrl) return;
+
+  const baseUrl = config.webhooks.publicBaseUrl;
+  const inline = size <= config.webhooks.inlineMaxBytes;
+
+  sendJobCallback(jobId, metadata, {
+    event: "render.completed",
+    status: "completed",
+    size,
+    downloadUrl: `${baseUrl}/jobs/${jobId}/result`,
+    pdf: inline ? result.toString("base64") : undefined,
+  });
+});
+
+renderJobs.on("job-failed", (event) => {
+  const { jobId, attempts, error, metadata, docDefinition } = event;
+
+  incrementAtomic(ATOMIC_STATS.FAILED_RENDERS);
+
+  deadLetterQueue
+    .add(
+      {
+        id: jobId,
+        jobId,
+        attempts,
+        template: metadata?.template,
+        requestId: metadata?.requestId,
+        tenant: metadata?.tenant,
+        callbackUrl: metadata?.callbackUrl,
+        replayOf: metadata?.replayOf,
+        docDefinition,
+      },
+      error.message,
+    )
+    .catch((err) =>
+      logger.error("Failed to add to DLQ", { error: err.message }),
+    );
+
+  sendJobCallback(jobId, metadata, {
+    event: "render.failed",
+    status: "failed",
+    attempts,
+    reason: error.message,
+  });
 });
 
 let mockApiData = null;
@@ -142,9 +596,9 @@ const loadMockApiData = async () => {
     const data = JSON.parse(jsonData);
     mockApiData = Object.freeze(data);
 
-    console.log("✓ Mock API data loaded (immutable)");
+    logger.info("✓ Mock API data loaded (immutable)");
   } catch (err) {
-    console.error("Failed to load mock API data:", err.message);
+    logger.error("Failed to load mock API data", { error: err.message });
     mockApiData = Object.freeze({ data: {} });
   }
 };
@@ -161,19 +615,234 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.get("/metrics", (req, res) => {
+// Set by gracefulShutdown; both probes fail from then on
+let isShuttingDown = false;
+
+// Event loop lag, as seen by a timer that should fire every second
+const EVENT_LOOP_CHECK_INTERVAL = 1000;
+let eventLoopLag = 0;
+let lastEventLoopCheck = performance.now();
+
+setInterval(() => {
+  const now = performance.now();
+  eventLoopLag = Math.max(
+    0,
+    now - lastEventLoopCheck - EVENT_LOOP_CHECK_INTERVAL,
+  );
+  lastEventLoopCheck = now;
+}, EVENT_LOOP_CHECK_INTERVAL).unref();
+
+/**
+ * Liveness: the process works and is not on its way out
+ * A busy pool is not a reason to restart it, see /health/ready
+ */
+app.get("/health/live", (req, res) => {
+  const live =
+    !isShuttingDown && eventLoopLag < config.monitoring.maxEventLoopLag;
+
+  res.status(live ? 200 : 503).json({
+    live,
+    shuttingDown: isShuttingDown,
+    eventLoopLag: Math.round(eventLoopLag),
+  });
+});
+
+/**
+ * Readiness: the instance should get new traffic
+ */
+app.get("/health/ready", (req, res) => {
+  const stats = pdfService.getStats();
+  const checks = {
+    serving: !isShuttingDown,
+    warmup: stats.warmedUp,
+    workers: stats.threads >= config.pdf.minThreads,
+    queue: stats.queueSize < config.pdf.queueWarningThreshold,
+  };
+  if (redis) checks.redis = redis.status === "ready";
+
+  const ready = Object.values(checks).every(Boolean);
+
+  res.status(ready ? 200 : 503).json({
+    ready,
+    checks,
+    q: stats.queueSize,
+    t: stats.threads,
+  });
+});
+
+const counters = {
+  requests: metrics.counter("requests_total", "Render requests received"),
+  renders: metrics.counter("renders_total", "Successful worker renders"),
+  errors: metrics.counter(
+    "render_errors_total",
+    "Renders failed after all retries",
+  ),
+  retries: metrics.counter("render_retries_total", "Render attempts retried"),
+  cancelled: metrics.counter(
+    "render_cancelled_total",
+    "Renders stopped because the client disconnected",
+  ),
+  warnings: metrics.counter(
+    "render_warnings_total",
+    "Warnings of completed renders (e.g. characters no font covers)",
+  ),
+  recovered: metrics.counter(
+    "render_recovered_total",
+    "Renders that succeeded on a retry",
+  ),
+  workerCrashes: metrics.counter(
+    "worker_crashes_total",
+    "Worker thread crashes",
+  ),
+  hungTasks: metrics.counter(
+    "hung_tasks_total",
+    "Tasks flagged by hang detection",
+  ),
+  cache: metrics.counter(
+    "render_cache_lookups_total",
+    "Render cache lookups by result",
+  ),
+  workerRecycles: metrics.counter(
+    "worker_recycles_total",
+    "Worker threads replaced by recycling, by reason",
+  ),
+  laneRejected: metrics.counter(
+    "lane_rejected_total",
+    "Tasks rejected because their lane queue was full",
+  ),
+  rateLimited: metrics.counter(
+    "rate_limited_total",
+    "Requests rejected by the rate limiter",
+  ),
+  admissionRejected: metrics.counter(
+    "admission_rejected_total",
+    "Renders refused with 503 while the queue was full, per lane",
+  ),
+};
+
+const gauges = {
+  queueSize: metrics.gauge("queue_size", "Tasks waiting for a worker"),
+  threads: metrics.gauge("threads", "Worker threads running"),
+  activeTasks: metrics.gauge(
+    "active_tasks",
+    "Tasks in flight, including retries",
+  ),
+  retryQueue: metrics.gauge("retry_queue_size", "Tasks waiting for a retry"),
+  utilization: metrics.gauge(
+    "worker_utilization",
+    "Worker pool utilization (0-1)",
+  ),
+  dlqSize: metrics.gauge(
+    "dead_letter_queue_size",
+    "Entries in the dead letter queue",
+  ),
+  cacheEntries: metrics.gauge(
+    "render_cache_entries",
+    "PDFs in the render cache",
+  ),
+  healthy: metrics.gauge("healthy", "1 when the worker pool is healthy"),
+  workerHeap: metrics.gauge(
+    "worker_heap_used_bytes",
+    "Heap used per worker thread, as last reported",
+  ),
+  laneQueue: metrics.gauge(
+    "lane_queue_size",
+    "Tasks waiting for a worker slot, per priority lane",
+  ),
+  laneActive: metrics.gauge(
+    "lane_active_tasks",
+    "Tasks running on a worker, per priority lane",
+  ),
+  workerMemoryWarnings: metrics.gauge(
+    "worker_memory_warnings",
+    "Workers at or trending toward their memory limit",
+  ),
+};
+
+// Copy service stats into the registry right before each scrape
+metrics.collect(async () => {
+  const stats = pdfService.getStats();
+
+  counters.requests.set(getAtomic(ATOMIC_STATS.TOTAL_REQUESTS));
+  counters.renders.set(stats.renders);
+  counters.errors.set(stats.errors);
+  counters.retries.set(stats.retries);
+  counters.cancelled.set(stats.cancelled);
+  counters.warnings.set(stats.warnings);
+  counters.recovered.set(stats.recovered);
+  counters.workerCrashes.set(stats.workerCrashes);
+  counters.hungTasks.set(stats.hungTasksTotal);
+  for (const [reason, count] of Object.entries(stats.recycledWorkers)) {
+    counters.workerRecycles.set({ reason }, count);
+  }
+  counters.rateLimited.set(rateLimiter.getStats().limited);
+  const { rejected } = admissionControl.getStats();
+  for (const [lane, count] of Object.entries(rejected)) {
+    counters.admissionRejected.set({ lane }, count);
+  }
+
+  gauges.queueSize.set(stats.queueSize);
+  gauges.threads.set(stats.threads);
+  gauges.activeTasks.set(stats.activeTasks);
+  gauges.retryQueue.set(stats.retryQueueSize);
+  gauges.utilization.set(stats.utilization);
+  gauges.healthy.set(pdfService.isHealthy() ? 1 : 0);
+  gauges.workerMemoryWarnings.set(stats.workerMemoryWarnings);
+
+  for (const [lane, laneStats] of Object.entries(stats.lanes)) {
+    gauges.laneQueue.set({ lane }, laneStats.queued);
+    gauges.laneActive.set({ lane }, laneStats.running);
+    counters.laneRejected.set({ lane }, laneStats.rejected);
+  }
+
+  // Threads come and go; only export the ones still reporting
+  gauges.workerHeap.reset();
+  for (const worker of pdfService.getWorkerStats()) {
+    gauges.workerHeap.set({ thread: worker.threadId }, worker.heapUsed);
+  }
+  gauges.dlqSize.set((await deadLetterQueue.getStats()).totalEntries);
+
+  if (renderCache) {
+    const cacheStats = await renderCache.getStats();
+    counters.cache.set({ result: "hit" }, cacheStats.hits);
+    counters.cache.set({ result: "miss" }, cacheStats.misses);
+    gauges.cacheEntries.set(cacheStats.entries);
+  }
+});
+
+const sendPrometheusMetrics = async (req, res) => {
+  res.setHeader("Content-Type", MetricsRegistry.contentType);
+  res.send(await metrics.expose());
+};
+
+// Prometheus scrapers ask for text/plain; everything else gets JSON
+const PROMETHEUS_TYPES = ["text/plain", "text/plain; version=0.0.4"];
+
+app.get(`${config.monitoring.metricsPath}/prometheus`, sendPrometheusMetrics);
+
+app.get(config.monitoring.metricsPath, async (req, res) => {
+  if (PROMETHEUS_TYPES.includes(req.accepts(["json", ...PROMETHEUS_TYPES]))) {
+    return sendPrometheusMetrics(req, res);
+  }
+
   const pdfStats = pdfService.getStats();
   const trackerStats = requestTracker.getStats();
-  const dlqStats = deadLetterQueue.getStats();
+  const dlqStats = await deadLetterQueue.getStats();
+  const cacheStats = renderCache ? await renderCache.getStats() : null;
 
   res.json({
     pdf: pdfStats,
     requests: trackerStats,
     deadLetterQueue: dlqStats,
+    renderCache: cacheStats,
+    rateLimit: rateLimiter.getStats(),
+    admission: admissionControl.getStats(),
+    tracing: tracer.getStats(),
     atomic: {
       totalRequests: getAtomic(ATOMIC_STATS.TOTAL_REQUESTS),
       successfulRenders: getAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS),
       failedRenders: getAtomic(ATOMIC_STATS.FAILED_RENDERS),
+      cancelledRenders: getAtomic(ATOMIC_STATS.CANCELLED_RENDERS),
       retriedTasks: getAtomic(ATOMIC_STATS.RETRIED_TASKS),
       workerCrashes: getAtomic(ATOMIC_STATS.WORKER_CRASHES),
     },
@@ -186,18 +855,182 @@ app.get("/metrics", (req, res) => {
       stuckTasks: pdfStats.stuckTasksCount > 0,
       cpuOversubscription: parseFloat(pdfStats.cpuOversubscription) > 1.0,
       hungTasks: pdfStats.hungTasksTotal > 0,
+      workerMemory: pdfStats.workerMemoryWarnings > 0,
     },
   });
 });
 
-app.get("/debug/dlq", (req, res) => {
-  const limit = parseInt(req.query.limit) || 10;
+/**
+ * Parse DLQ filters from a query string or request body
+ * since/until accept epoch milliseconds or ISO dates
+ */
+function parseDeadLetterFilters(source = {}) {
+  const filters = {
+    reason: source.reason || undefined,
+    template: source.template || undefined,
+    limit: parseInt(source.limit) || undefined,
+  };
+
+  for (const key of ["since", "until"]) {
+    const value = source[key];
+    if (value === undefined || value === "") continue;
+
+    const time = /^\d+$/.test(String(value))
+      ? Number(value)
+      : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`${key} must be a timestamp or ISO date`);
+    }
+    filters[key] = time;
+  }
+
+  return filters;
+}
+
+/**
+ * Resubmit a dead letter as a render job for the tenant that sent it
+ * The caller drops it from the DLQ once submitted
+ */
+function replayDeadLetter(req, entry) {
+  return renderJobs.submit(entry.docDefinition, {
+    template: entry.template,
+    requestId: req.id,
+    tenant: entry.tenant,
+    // Callbacks can only be signed while webhooks are configured
+    callbackUrl: webhooks.isEnabled() ? entry.callbackUrl : undefined,
+    replayOf: entry.id,
+  });
+}
+
+app.get("/debug/dlq", async (req, res) => {
+  let filters;
+  try {
+    filters = parseDeadLetterFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message, requestId: req.id });
+  }
+
   res.json({
-    recent: deadLetterQueue.getRecent(limit),
-    stats: deadLetterQueue.getStats(),
+    recent: await deadLetterQueue.query({
+      ...filters,
+      limit: filters.limit || 10,
+    }),
+    stats: await deadLetterQueue.getStats(),
   });
 });
 
+app.post("/debug/dlq/replay", async (req, res) => {
+  const { ids, all, ...criteria } = req.body || {};
+
+  let filters;
+  try {
+    filters = parseDeadLetterFilters(criteria);
+  } catch (err) {
+    return res.status(400).json({ error: err.message, requestId: req.id });
+  }
+
+  // An empty body must not replay the whole DLQ by accident
+  const filtered =
+    Array.isArray(ids) ||
+    Object.values(filters).some((value) => value !== undefined);
+  if (!filtered && all !== true) {
+    return res.status(400).json({
+      error: "Give ids, since, until, reason, template or limit, or all: true",
+      requestId: req.id,
+    });
+  }
+
+  let entries = await deadLetterQueue.query(filters);
+  if (Array.isArray(ids)) {
+    entries = entries.filter((entry) => ids.includes(entry.id));
+  }
+
+  const replayed = [];
+  const skipped = [];
+
+  for (const { id } of entries) {
+    const entry = await deadLetterQueue.get(id);
+    if (!entry?.docDefinition) {
+      skipped.push({ id, reason: "No document payload" });
+      continue;
+    }
+
+    try {
+      replayed.push({ id, jobId: await replayDeadLetter(req, entry) });
+    } catch (err) {
+      skipped.push({ id, reason: err.message });
+    }
+  }
+
+  await deadLetterQueue.removeMany(replayed.map(({ id }) => id));
+
+  res.status(202).json({ replayed, skipped });
+});
+
+app.get("/debug/dlq/:id", async (req, res) => {
+  const entry = await deadLetterQueue.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: "DLQ entry not found", id: req.params.id });
+  }
+
+  res.json(entry);
+});
+
+app.post("/debug/dlq/:id/replay", async (req, res) => {
+  const entry = await deadLetterQueue.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: "DLQ entry not found", id: req.params.id });
+  }
+
+  if (!entry.docDefinition) {
+    return res.status(409).json({
+      error: "DLQ entry has no document payload",
+      id: entry.id,
+    });
+  }
+
+  try {
+    const jobId = await replayDeadLetter(req, entry);
+    await deadLetterQueue.remove(entry.id);
+
+    res.status(202).location(`/jobs/${jobId}`).json({
+      id: entry.id,
+      jobId,
+      status: "pending",
+      links: {
+        status: `/jobs/${jobId}`,
+        result: `/jobs/${jobId}/result`,
+      },
+    });
+  } catch (err) {
+    logger.error("DLQ replay failed", { error: err.message });
+    res.status(500).json({
+      error: "DLQ replay failed",
+      requestId: req.id,
+      message: config.nodeEnv === "production" ? undefined : err.message,
+    });
+  }
+});
+
+app.get("/debug/cache", async (req, res) => {
+  if (!renderCache) {
+    return res.status(404).json({ error: "Render cache is disabled" });
+  }
+
+  res.json(await renderCache.getStats());
+});
+
+app.delete("/debug/cache", async (req, res) => {
+  if (!renderCache) {
+    return res.status(404).json({ error: "Render cache is disabled" });
+  }
+
+  const template = req.query.template || undefined;
+  const purged = await renderCache.purge({ template });
+
+  res.json({ purged, template });
+});
+
 app.get("/debug/tasks", (req, res) => {
   const stats = pdfService.getStats();
   res.json({
@@ -208,86 +1041,263 @@ app.get("/debug/tasks", (req, res) => {
   });
 });
 
+app.get("/debug/workers", (req, res) => {
+  const workers = pdfService.getWorkerStats();
+  res.json({
+    threads: pdfService.getStats().threads,
+    reporting: workers.length,
+    memoryWarnings: workers.filter((worker) => worker.memoryWarning).length,
+    workers,
+  });
+});
+
 app.get("/api/invoice-data", (req, res) => {
   res.json(mockApiData);
 });
 
-app.post("/pdf", async (req, res) => {
-  incrementAtomic(ATOMIC_STATS.TOTAL_REQUESTS);
+const withMockData = (customData = {}) =>
+  mockApiData?.data ? { ...mockApiData.data, ...customData } : customData;
 
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader(
-    "Content-Disposition",
-    `inline; filename="invoice-${Date.now()}.pdf"`,
-  );
-  res.setHeader("X-Request-ID", req.id);
+const sendTemplateNotFound = (req, res, templateName) =>
+  res.status(404).json({
+    error: "Template not found",
+    template: templateName,
+    available: templateRegistry.list().map((t) => t.name),
+    requestId: req.id,
+  });
 
-  const startTime = Date.now();
+const sendUnknownFont = (req, res, err) =>
+  res.status(422).json({
+    error: "Unknown font",
+    fonts: err.fonts,
+    available: pdfService.getFonts().map((f) => f.family),
+    requestId: req.id,
+  });
 
-  try {
-    const customData = req.body || {};
-    const apiData = mockApiData?.data
-      ? { ...mockApiData.data, ...customData }
-      : customData;
-    const docDefinition = buildInvoice(apiData);
-    const buffer = await pdfService.renderToBuffer(docDefinition);
+/**
+ * Validate request data against the template schema
+ * Responds with 422 and per-field JSON pointers when invalid
+ */
+function validateTemplateData(req, res, templateName, data) {
+  const { valid, errors } = templateRegistry.validate(templateName, data);
+  if (valid) return true;
+
+  res.status(422).json({
+    error: "Validation failed",
+    template: templateName,
+    requestId: req.id,
+    errors,
+  });
+  return false;
+}
 
-    incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
+/**
+ * Enqueue a render job and answer 202 right away
+ * With a callbackUrl the outcome is also pushed as a signed webhook
+ */
+async function submitRenderJob(req, res, templateName, data, callbackUrl) {
+  if (callbackUrl !== undefined) {
+    if (!webhooks.isEnabled()) {
+      return res.status(501).json({
+        error: "Webhook callbacks are not configured",
+        requestId: req.id,
+      });
+    }
 
-    const renderTime = Date.now() - startTime;
-    res.setHeader("X-Render-Time", `${renderTime}ms`);
-    res.setHeader("Content-Length", buffer.length);
-    res.end(buffer);
+    const refused = await webhooks.checkUrl(callbackUrl);
+    if (refused) {
+      return res.status(422).json({
+        error: "Validation failed",
+        template: templateName,
+        requestId: req.id,
+        errors: [
+          {
+            pointer: "/callbackUrl",
+            message: refused,
+            keyword: "format",
+          },
+        ],
+      });
+    }
+  }
+
+  if (!validateTemplateData(req, res, templateName, data)) return;
+
+  incrementAtomic(ATOMIC_STATS.TOTAL_REQUESTS);
+
+  try {
+    const docDefinition = buildDocument(req, templateName, data);
+    pdfService.validateFonts(docDefinition);
+
+    const jobId = await renderJobs.submit(docDefinition, {
+      template: templateName,
+      requestId: req.id,
+      tenant: req.auth?.tenant,
+      priority: req.priority,
+      callbackUrl,
+    });
+
+    res.status(202).location(`/jobs/${jobId}`).json({
+      jobId,
+      status: "pending",
+      callbackUrl,
+      links: {
+        status: `/jobs/${jobId}`,
+        result: `/jobs/${jobId}/result`,
+        deliveries: callbackUrl ? `/jobs/${jobId}/deliveries` : undefined,
+      },
+    });
   } catch (err) {
-    incrementAtomic(ATOMIC_STATS.FAILED_RENDERS);
+    if (err.code === "UNKNOWN_FONT") {
+      return sendUnknownFont(req, res, err);
+    }
 
-    console.error(`[${req.id}] PDF generation failed: ${err.message}`, {
-      timestamp: new Date().toISOString(),
-      renderTime: Date.now() - startTime,
-      bodySize: JSON.stringify(req.body || {}).length,
+    logger.error("Job submission failed", { error: err.message });
+    res.status(500).json({
+      error: "Job submission failed",
+      requestId: req.id,
+      message: config.nodeEnv === "production" ? undefined : err.message,
     });
+  }
+}
 
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: "PDF generation failed",
-        requestId: req.id,
-        message: config.nodeEnv === "production" ? undefined : err.message,
-      });
+/**
+ * Whether If-None-Match lists the ETag (weak comparison, RFC 9110 13.1.2)
+ */
+const matchesIfNoneMatch = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+  return header.split(",").some((tag) => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Signal aborted when the client goes away before the response is complete
+ * Watches the response: the request emits "close" as soon as its body has
+ * been read, long before the render is done
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error("Client disconnected"));
     }
+  });
+  return controller.signal;
+}
+
+/**
+ * Drop the PDF headers of a render that failed before sending anything,
+ * so its JSON error isn't labelled as a PDF attachment. The ETag goes too:
+ * it names the PDF, and a client revalidating against it would get a 304
+ * for a document it never received
+ */
+function clearPdfHeaders(res) {
+  for (const name of [
+    "Content-Type",
+    "Content-Disposition",
+    "Transfer-Encoding",
+    "ETag",
+  ]) {
+    res.removeHeader(name);
   }
-});
+}
 
-app.get("/pdf", async (req, res) => {
+/**
+ * Render a registered template and send the whole PDF buffer
+ * With the render cache enabled, identical input is served from the cache
+ * (X-Cache: HIT) and revalidated through ETag / If-None-Match
+ */
+async function sendPdf(req, res, templateName, data) {
   incrementAtomic(ATOMIC_STATS.TOTAL_REQUESTS);
 
+  if (!validateTemplateData(req, res, templateName, data)) return;
+
+  const cacheKey = renderCache?.keyFor(
+    templateName,
+    templateRegistry.get(templateName).version,
+    data,
+    renderContext(req),
+  );
+
+  if (cacheKey) {
+    const etag = renderCache.etagFor(cacheKey);
+    res.setHeader("ETag", etag);
+
+    if (matchesIfNoneMatch(req.get("If-None-Match"), etag)) {
+      res.setHeader("X-Request-ID", req.id);
+      return res.status(304).end();
+    }
+  }
+
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader(
     "Content-Disposition",
-    `inline; filename="invoice-${Date.now()}.pdf"`,
+    `inline; filename="${templateName}-${Date.now()}.pdf"`,
   );
   res.setHeader("X-Request-ID", req.id);
 
   const startTime = Date.now();
+  const signal = abortOnDisconnect(res);
 
   try {
-    const apiData = mockApiData?.data ? { ...mockApiData.data } : {};
-    const docDefinition = buildInvoice(apiData);
-    const buffer = await pdfService.renderToBuffer(docDefinition);
+    let buffer = cacheKey ? await renderCache.get(cacheKey) : null;
+
+    if (buffer) {
+      res.setHeader("X-Cache", "HIT");
+    } else {
+      const docDefinition = buildDocument(req, templateName, data);
+      buffer = await pdfService.renderToBuffer(docDefinition, {
+        signal,
+        priority: req.priority,
+        metadata: {
+          template: templateName,
+          requestId: req.id,
+          tenant: req.auth?.tenant,
+        },
+      });
 
-    incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
+      incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
+
+      if (cacheKey) {
+        res.setHeader("X-Cache", "MISS");
+        renderCache.set(cacheKey, buffer, { template: templateName });
+      }
+    }
 
     const renderTime = Date.now() - startTime;
     res.setHeader("X-Render-Time", `${renderTime}ms`);
     res.setHeader("Content-Length", buffer.length);
     res.end(buffer);
   } catch (err) {
+    if (!res.headersSent) clearPdfHeaders(res);
+
+    if (err.code === "QUEUE_FULL") {
+      return admissionControl.reject(req, res);
+    }
+
+    if (err.code === "UNKNOWN_FONT") {
+      return sendUnknownFont(req, res, err);
+    }
+
+    if (signal.aborted) {
+      incrementAtomic(ATOMIC_STATS.CANCELLED_RENDERS);
+      logger.info("PDF render cancelled, client disconnected", {
+        template: templateName,
+        renderTime: Date.now() - startTime,
+      });
+      return;
+    }
+
     incrementAtomic(ATOMIC_STATS.FAILED_RENDERS);
 
-    console.error(`[${req.id}] PDF generation failed: ${err.message}`, {
-      timestamp: new Date().toISOString(),
+    logger.error("PDF generation failed", {
+      error: err.message,
+      template: templateName,
       renderTime: Date.now() - startTime,
+      bodySize: JSON.stringify(req.body || {}).length,
     });
 
     if (!res.headersSent) {
@@ -298,40 +1308,68 @@ app.get("/pdf", async (req, res) => {
       });
     }
   }
-});
+}
 
-app.post("/pdf/stream", async (req, res) => {
+/**
+ * Render a registered template and stream it to the response
+ */
+async function streamPdf(req, res, templateName, data) {
   incrementAtomic(ATOMIC_STATS.TOTAL_REQUESTS);
 
+  if (!validateTemplateData(req, res, templateName, data)) return;
+
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader("Transfer-Encoding", "chunked");
   res.setHeader(
     "Content-Disposition",
-    `inline; filename="invoice-${Date.now()}.pdf"`,
+    `inline; filename="${templateName}-${Date.now()}.pdf"`,
   );
   res.setHeader("X-Request-ID", req.id);
 
   const startTime = Date.now();
+  const signal = abortOnDisconnect(res);
 
   try {
-    const customData = req.body || {};
-    const apiData = mockApiData?.data
-      ? { ...mockApiData.data, ...customData }
-      : customData;
-    const docDefinition = buildInvoice(apiData);
-    await pdfService.renderToStream(docDefinition, res);
+    const docDefinition = buildDocument(req, templateName, data);
+    await pdfService.renderToStream(docDefinition, res, {
+      signal,
+      priority: req.priority,
+      metadata: {
+        template: templateName,
+        requestId: req.id,
+        tenant: req.auth?.tenant,
+      },
+    });
 
     incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
 
     const renderTime = Date.now() - startTime;
-    if (config.monitoring.enableDebug) {
-      console.log(`[${req.id}] ✓ PDF streamed in ${renderTime}ms`);
-    }
+    logger.debug("✓ PDF streamed", { template: templateName, renderTime });
   } catch (err) {
+    if (!res.headersSent) clearPdfHeaders(res);
+
+    if (err.code === "QUEUE_FULL" && !res.headersSent) {
+      return admissionControl.reject(req, res);
+    }
+
+    if (err.code === "UNKNOWN_FONT" && !res.headersSent) {
+      return sendUnknownFont(req, res, err);
+    }
+
+    if (signal.aborted) {
+      incrementAtomic(ATOMIC_STATS.CANCELLED_RENDERS);
+      logger.info("PDF stream cancelled, client disconnected", {
+        template: templateName,
+        renderTime: Date.now() - startTime,
+      });
+      return;
+    }
+
     incrementAtomic(ATOMIC_STATS.FAILED_RENDERS);
 
-    console.error(`[${req.id}] PDF streaming failed: ${err.message}`, {
-      timestamp: new Date().toISOString(),
+    logger.error("PDF streaming failed", {
+      error: err.message,
+      template: templateName,
       renderTime: Date.now() - startTime,
       bodySize: JSON.stringify(req.body || {}).length,
     });
@@ -342,50 +1380,153 @@ app.post("/pdf/stream", async (req, res) => {
         requestId: req.id,
         message: config.nodeEnv === "production" ? undefined : err.message,
       });
+    } else {
+      // Part of the PDF is out; abort so the client sees a truncated body
+      res.destroy(err);
     }
   }
+}
+
+app.get("/templates", (req, res) => {
+  res.json({ templates: templateRegistry.list() });
 });
 
-app.get("/pdf/stream", async (req, res) => {
-  incrementAtomic(ATOMIC_STATS.TOTAL_REQUESTS);
+app.get("/templates/:name/schema", (req, res) => {
+  const templateName = req.params.name;
 
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Transfer-Encoding", "chunked");
-  res.setHeader(
-    "Content-Disposition",
-    `inline; filename="invoice-${Date.now()}.pdf"`,
-  );
-  res.setHeader("X-Request-ID", req.id);
+  if (!templateRegistry.has(templateName)) {
+    return sendTemplateNotFound(req, res, templateName);
+  }
 
-  const startTime = Date.now();
+  const schema = templateRegistry.getSchema(templateName);
+  if (!schema) {
+    return res.status(404).json({
+      error: "Template has no schema",
+      template: templateName,
+      requestId: req.id,
+    });
+  }
 
-  try {
-    const apiData = mockApiData?.data ? { ...mockApiData.data } : {};
-    const docDefinition = buildInvoice(apiData);
-    await pdfService.renderToStream(docDefinition, res);
+  res.type("application/schema+json").json(schema);
+});
 
-    incrementAtomic(ATOMIC_STATS.SUCCESSFUL_RENDERS);
+app.get("/fonts", (req, res) => {
+  res.json({ fonts: pdfService.getFonts() });
+});
 
-    const renderTime = Date.now() - startTime;
-    if (config.monitoring.enableDebug) {
-      console.log(`[${req.id}] ✓ PDF streamed in ${renderTime}ms`);
-    }
-  } catch (err) {
-    incrementAtomic(ATOMIC_STATS.FAILED_RENDERS);
+app.post("/pdf", limitRender, resolvePriority, admit, (req, res) => {
+  const { callbackUrl, priority, ...customData } = req.body || {};
+  const data = withMockData(customData);
 
-    console.error(`[${req.id}] PDF streaming failed: ${err.message}`, {
-      timestamp: new Date().toISOString(),
-      renderTime: Date.now() - startTime,
+  if (callbackUrl !== undefined) {
+    return submitRenderJob(req, res, "invoice", data, callbackUrl);
+  }
+
+  return sendPdf(req, res, "invoice", data);
+});
+
+app.get("/pdf", limitRender, resolvePriority, admit, (req, res) =>
+  sendPdf(req, res, "invoice", withMockData()),
+);
+
+app.post("/pdf/stream", limitStream, resolvePriority, admit, (req, res) => {
+  const { priority, ...customData } = req.body || {};
+  return streamPdf(req, res, "invoice", withMockData(customData));
+});
+
+app.get("/pdf/stream", limitStream, resolvePriority, admit, (req, res) =>
+  streamPdf(req, res, "invoice", withMockData()),
+);
+
+// Must stay after /pdf/stream so the fixed route wins
+app.post("/pdf/:template", limitRender, resolvePriority, admit, (req, res) => {
+  const templateName = req.params.template;
+
+  if (!templateRegistry.has(templateName)) {
+    return sendTemplateNotFound(req, res, templateName);
+  }
+
+  const { callbackUrl, priority, ...data } = req.body || {};
+
+  if (callbackUrl !== undefined) {
+    return submitRenderJob(req, res, templateName, data, callbackUrl);
+  }
+
+  return sendPdf(req, res, templateName, data);
+});
+
+app.post("/jobs", limitRender, resolvePriority, admit, (req, res) => {
+  const {
+    template: templateName = "invoice",
+    data = {},
+    callbackUrl,
+  } = req.body || {};
+
+  if (!templateRegistry.has(templateName)) {
+    return sendTemplateNotFound(req, res, templateName);
+  }
+
+  return submitRenderJob(req, res, templateName, data, callbackUrl);
+});
+
+/**
+ * Look up a job for the caller; other tenants' jobs are reported missing
+ */
+async function findJob(req) {
+  const job = await renderJobs.getJob(req.params.id);
+  if (!job) return null;
+
+  const tenant = req.auth?.tenant ?? null;
+  if (job.tenant && job.tenant !== tenant) return null;
+
+  return job;
+}
+
+app.get("/jobs/:id", async (req, res) => {
+  const job = await findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: req.params.id });
+  }
+
+  res.json(job);
+});
+
+app.get("/jobs/:id/result", async (req, res) => {
+  const job = await findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: req.params.id });
+  }
+
+  const buffer = await renderJobs.getResult(job.id);
+  if (!buffer) {
+    return res.status(409).json({
+      error: job.status === "failed" ? "Job failed" : "Job not finished",
+      jobId: job.id,
+      status: job.status,
+      message: job.status === "failed" ? job.error : undefined,
     });
+  }
 
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: "PDF streaming failed",
-        requestId: req.id,
-        message: config.nodeEnv === "production" ? undefined : err.message,
-      });
-    }
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="${job.template}-${job.id}.pdf"`,
+  );
+  res.setHeader("Content-Length", buffer.length);
+  res.end(buffer);
+});
+
+app.get("/jobs/:id/deliveries", async (req, res) => {
+  const job = await findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: req.params.id });
   }
+
+  res.json({
+    jobId: job.id,
+    callbackUrl: job.callbackUrl,
+    delivery: webhooks.getDeliveries(job.id),
+  });
 });
 
 app.use((req, res) => {
@@ -393,33 +1534,60 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
-  console.error("Error:", err.message);
+  logger.error("Unhandled request error", { error: err });
   if (!res.headersSent) {
     res.status(500).json({ error: "Server error" });
   }
 });
 
 const server = app.listen(config.port, config.host, () => {
-  console.log(`🚀 PDF Server ready on ${config.host}:${config.port}`);
-  console.log(`   Environment: ${config.nodeEnv}`);
-  console.log(`   Process ID: ${process.pid}`);
-  console.log(
-    `   Worker threads: ${config.pdf.minThreads}-${config.pdf.maxThreads}`,
-  );
-  console.log(`   Retry enabled: ${config.pdf.maxRetries} attempts`);
-  console.log(`   Recovery enabled: ${config.pdf.enableRecovery}`);
-  console.log(`   Thread-safe state: ✅ Immutable + Atomic operations`);
-  console.log(
-    `   Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
-  );
-  console.log(`\n📍 Endpoints:`);
-  console.log(`   GET  /health - Health check`);
-  console.log(`   GET  /metrics - Metrics & monitoring`);
-  console.log(`   GET  /pdf - Generate PDF (with mock data)`);
-  console.log(`   POST /pdf - Generate PDF (with custom data)`);
-  console.log(`   GET  /pdf/stream - Stream PDF (with mock data)`);
-  console.log(`   POST /pdf/stream - Stream PDF (with custom data)`);
-  console.log(`   GET  /api/invoice-data - Get mock data`);
+  const { metricsPath } = config.monitoring;
+
+  logger.info(`🚀 PDF Server ready on ${config.host}:${config.port}`, {
+    environment: config.nodeEnv,
+    pid: process.pid,
+    workerThreads: `${config.pdf.minThreads}-${config.pdf.maxThreads}`,
+    maxRetries: config.pdf.maxRetries,
+    recovery: config.pdf.enableRecovery,
+    memoryMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+  });
+
+  if (!auth.isEnabled()) {
+    logger.warn(
+      config.security.authDisabled
+        ? "⚠️  JWT auth disabled (AUTH_DISABLED=true)"
+        : "⚠️  JWT auth disabled (set JWT_SECRET or JWT_JWKS_PATH)",
+    );
+  }
+
+  logger.debug("📍 Endpoints", {
+    endpoints: [
+      "GET  /health - Health check",
+      "GET  /health/live - Liveness probe",
+      "GET  /health/ready - Readiness probe",
+      `GET  ${metricsPath} - Metrics & monitoring`,
+      `GET  ${metricsPath}/prometheus - Prometheus metrics`,
+      "GET  /pdf - Generate PDF (with mock data)",
+      "POST /pdf - Generate PDF (with custom data)",
+      "GET  /pdf/stream - Stream PDF (with mock data)",
+      "POST /pdf/stream - Stream PDF (with custom data)",
+      "POST /pdf/:template - Generate PDF for a registered template",
+      "POST /jobs - Enqueue an asynchronous render job",
+      "GET  /jobs/:id - Render job status",
+      "GET  /jobs/:id/result - Download a finished job",
+      "GET  /jobs/:id/deliveries - Webhook delivery log",
+      "GET  /debug/dlq - Dead letters (since, until, reason, template)",
+      "POST /debug/dlq/:id/replay - Replay a dead letter as a job",
+      "POST /debug/dlq/replay - Replay matching dead letters",
+      "GET  /debug/cache - Render cache stats",
+      "DELETE /debug/cache - Purge render cache (?template=)",
+      "GET  /debug/workers - Per-thread stats and memory warnings",
+      "GET  /templates - List registered templates",
+      "GET  /templates/:name/schema - Template input JSON Schema",
+      "GET  /fonts - List available font families",
+      "GET  /api/invoice-data - Get mock data",
+    ],
+  });
 });
 
 server.keepAliveTimeout = config.server.keepAliveTimeout;
@@ -438,42 +1606,99 @@ server.on("connection", (socket) => {
   socket.setWriteBufferSize?.(config.server.writeBufferSize);
 });
 
-let isShuttingDown = false;
-
+/**
+ * Stop taking renders, give in-flight ones until the deadline and persist
+ * the render jobs that are left. Without ENABLE_GRACEFUL_SHUTDOWN nothing
+ * is waited for; unfinished jobs are still persisted.
+ */
 const gracefulShutdown = async (signal) => {
   if (isShuttingDown) return;
   isShuttingDown = true;
 
-  console.log(`\n⚠️  Received ${signal}, shutting down gracefully...`);
+  const { enableGraceful, readinessDelay, timeout } = config.shutdown;
 
+  logger.warn(
+    `⚠️  Received ${signal}, shutting down${enableGraceful ? " gracefully" : ""}...`,
+  );
+
+  // Readiness is failing now; keep serving until load balancers noticed
+  if (enableGraceful && readinessDelay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, readinessDelay));
+  }
+
+  admissionControl.close();
   server.close(() => {
-    console.log("✓ HTTP server closed");
+    logger.info("✓ HTTP server closed");
   });
 
   try {
     const finalStats = pdfService.getStats();
-    console.log(`📊 Final stats:`);
-    console.log(`   Total renders: ${finalStats.renders}`);
-    console.log(`   Errors: ${finalStats.errors}`);
-    console.log(`   Retries: ${finalStats.retries}`);
-    console.log(`   Recovered: ${finalStats.recovered}`);
-    console.log(`   Worker crashes: ${finalStats.workerCrashes}`);
-    console.log(`   Recovery rate: ${finalStats.recoveryRate}%`);
-
-    await Promise.race([
-      pdfService.drain(),
-      new Promise((resolve) => setTimeout(resolve, config.shutdown.timeout)),
-    ]);
-
-    await pdfService.close();
-    console.log("✓ PDF service closed");
+    logger.info("📊 Final stats", {
+      renders: finalStats.renders,
+      errors: finalStats.errors,
+      retries: finalStats.retries,
+      recovered: finalStats.recovered,
+      workerCrashes: finalStats.workerCrashes,
+      recoveryRate: finalStats.recoveryRate,
+    });
+
+    // Stop pulling queued jobs before the pool goes away
+    await renderJobs.shutdown();
+
+    const drained = await pdfService.drain(enableGraceful ? timeout : 0);
+
+    // Render jobs only; HTTP renders have no one to answer after a
+    // restart and are abandoned (see shutdown-snapshot.js)
+    const jobs = renderJobs.snapshot();
+    let persistedJobs = 0;
+    if (jobs.length > 0) {
+      try {
+        // Patient data never goes to disk unencrypted in production
+        await writeSnapshot(
+          config.shutdown.snapshotPath,
+          { jobs },
+          {
+            key: snapshotKey,
+            requireKey: config.nodeEnv === "production",
+          },
+        );
+        persistedJobs = jobs.length;
+      } catch (err) {
+        logger.error("Failed to write the shutdown snapshot, jobs are lost", {
+          error: err.message,
+          jobs: jobs.length,
+        });
+      }
+    }
+
+    logger.info("📊 Shutdown summary", {
+      ...drained,
+      persistedJobs,
+      lostJobs: jobs.length - persistedJobs,
+      snapshotPath: persistedJobs > 0 ? config.shutdown.snapshotPath : undefined,
+    });
+
+    await pdfService.close({ drainTimeout: 0 });
+    logger.info("✓ PDF service closed");
 
+    await webhooks.shutdown();
+    await deadLetterQueue.shutdown();
+    await tracer.shutdown();
+
+    if (redis) {
+      await redis.quit();
+      logger.info("✓ Redis connection closed");
+    }
+
+    rateLimiter.shutdown();
     await requestTracker.shutdown();
-    console.log("✓ Request tracker closed");
+    logger.info("✓ Request tracker closed");
 
+    await logger.close();
     process.exit(0);
   } catch (err) {
-    console.error("Error during shutdown:", err);
+    logger.error("Error during shutdown", { error: err });
+    await logger.close();
     process.exit(1);
   }
 };
@@ -482,12 +1707,12 @@ process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
 process.on("SIGINT", () => gracefulShutdown("SIGINT"));
 
 process.on("uncaughtException", (err) => {
-  console.error("Uncaught Exception:", err);
+  logger.error("Uncaught exception", { error: err });
   gracefulShutdown("uncaughtException");
 });
 
 process.on("unhandledRejection", (reason) => {
-  console.error("Unhandled Rejection:", reason);
+  logger.error("Unhandled rejection", { error: reason });
   if (config.nodeEnv !== "production") {
     gracefulShutdown("unhandledRejection");
   }
@@ -507,9 +1732,10 @@ if (config.performance.autoGC) {
       const afterMB = afterGC.heapUsed / 1024 / 1024;
 
       if (heapUsedMB - afterMB > config.performance.gcMinFreedMemory) {
-        console.log(
-          `♻️  GC: ${Math.round(heapUsedMB)}MB → ${Math.round(afterMB)}MB`,
-        );
+        logger.debug("♻️  GC", {
+          beforeMB: Math.round(heapUsedMB),
+          afterMB: Math.round(afterMB),
+        });
       }
     }
   }, config.performance.gcInterval);
@@ -518,8 +1744,17 @@ if (config.performance.autoGC) {
 if (config.monitoring.enableDebug) {
   setInterval(() => {
     const stats = pdfService.getStats();
-    console.log(
-      `📊 Stats - Threads: ${stats.threads} | Queue: ${stats.queueSize} | Active: ${stats.activeTasks} | Retry: ${stats.retryQueueSize} | Renders: ${stats.renders} | Retries: ${stats.retries} | Recovered: ${stats.recovered} | Crashes: ${stats.workerCrashes} | Avg: ${stats.avgTime}ms | RPS: ${Math.round(stats.rps * 10) / 10}`,
-    );
+    logger.info("📊 Stats", {
+      threads: stats.threads,
+      queue: stats.queueSize,
+      active: stats.activeTasks,
+      retryQueue: stats.retryQueueSize,
+      renders: stats.renders,
+      retries: stats.retries,
+      recovered: stats.recovered,
+      crashes: stats.workerCrashes,
+      avgTime: stats.avgTime,
+      rps: Math.round(stats.rps * 10) / 10,
+    });
   }, config.monitoring.statsInterval);
 }
@@ -0,0 +1,480 @@
+import { readdirSync, readFileSync } from "fs";
+import { extname, join } from "path";
+import fontkit from "@foliojs-fork/fontkit";
+
+// PDF standard fonts, always available without embedding
+// Roboto is pdfmake's default font, so documents without one still render
+const STANDARD_FONTS = {
+  Helvetica: {
+    normal: "Helvetica",
+    bold: "Helvetica-Bold",
+    italics: "Helvetica-Oblique",
+    bolditalics: "Helvetica-BoldOblique",
+  },
+  Times: {
+    normal: "Times-Roman",
+    bold: "Times-Bold",
+    italics: "Times-Italic",
+    bolditalics: "Times-BoldItalic",
+  },
+  Courier: {
+    normal: "Courier",
+    bold: "Courier-Bold",
+    italics: "Courier-Oblique",
+    bolditalics: "Courier-BoldOblique",
+  },
+  Roboto: {
+    normal: "Helvetica",
+    bold: "Helvetica-Bold",
+    italics: "Helvetica-Oblique",
+    bolditalics: "Helvetica-BoldOblique",
+  },
+};
+
+export const FONT_STYLES = ["normal", "bold", "italics", "bolditalics"];
+
+// Style used when a family lacks one, in order of preference
+const STYLE_FALLBACKS = {
+  normal: ["bold", "italics", "bolditalics"],
+  bold: ["normal", "bolditalics", "italics"],
+  italics: ["normal", "bolditalics", "bold"],
+  bolditalics: ["bold", "italics", "normal"],
+};
+
+const FONT_EXTENSIONS = new Set([".ttf", ".otf"]);
+
+// Code points above Latin-1 the standard fonts encode (WinAnsiEncoding)
+const WIN_ANSI_EXTRA = new Set([
+  0x152, 0x153, 0x160, 0x161, 0x178, 0x17d, 0x17e, 0x192, 0x2c6, 0x2dc, 0x2013,
+  0x2014, 0x2018, 0x2019, 0x201a, 0x201c, 0x201d, 0x201e, 0x2020, 0x2021,
+  0x2022, 0x2026, 0x2030, 0x2039, 0x203a, 0x20ac, 0x2122,
+]);
+
+const winAnsiCovers = (codePoint) =>
+  (codePoint >= 0x20 && codePoint <= 0x7e) ||
+  (codePoint >= 0xa0 && codePoint <= 0xff) ||
+  WIN_ANSI_EXTRA.has(codePoint);
+
+// Marks, joiners and variation selectors stay in the run of the character
+// they modify; control characters (line breaks, tabs) in the current run
+const ATTACHED = /[\p{M}\u200d\ufe00-\ufe0f]/u;
+
+// Uncovered characters listed in a warning, at most
+const MAX_REPORTED_CHARACTERS = 50;
+
+/**
+ * Parse a TTF/OTF file with fontkit, the parser PDFKit embeds it with
+ * Malformed tables throw here instead of being read out of bounds
+ */
+function openFont(data) {
+  let font;
+  try {
+    font = fontkit.create(data);
+  } catch {
+    throw new Error("Not a TrueType or OpenType font");
+  }
+
+  // Collections (TTC, DFont) parse too, but hold several faces
+  if (typeof font.hasGlyphForCodePoint !== "function") {
+    throw new Error("Not a TrueType or OpenType font");
+  }
+  return font;
+}
+
+/**
+ * Family and pdfmake style of a TTF/OTF file
+ * Uses the legacy family name (name ID 1), which groups at most regular,
+ * bold, italic and bold italic - the four styles pdfmake knows
+ */
+export function readFontInfo(data) {
+  const font = openFont(data);
+
+  let family;
+  let subfamily;
+  let fsSelection;
+  try {
+    family = font.familyName;
+    subfamily = font.subfamilyName || "";
+    fsSelection = font["OS/2"]?.fsSelection;
+    if (!font.cmap) throw new Error("no character map");
+    // Builds the Unicode cmap lookup that coverage checks use
+    font.hasGlyphForCodePoint(0x20);
+  } catch (err) {
+    throw new Error(`Unreadable font: ${err.message}`);
+  }
+  if (!family) throw new Error("Font has no family name");
+
+  const bold = /bold/i.test(subfamily) || Boolean(fsSelection?.bold);
+  const italic =
+    /italic|oblique/i.test(subfamily) || Boolean(fsSelection?.italic);
+
+  let style = "normal";
+  if (bold && italic) style = "bolditalics";
+  else if (bold) style = "bold";
+  else if (italic) style = "italics";
+
+  return { family, subfamily, style };
+}
+
+// Font, bold and italics a node renders with: its own properties over its
+// named styles (`style` may be a name, a style object or a list of both)
+// over what it inherits
+function nodeFont(inherited, node, styles) {
+  const font = { ...inherited };
+  const apply = (source) => {
+    if (!source || typeof source !== "object") return;
+    if (typeof source.font === "string") font.font = source.font;
+    if (source.bold !== undefined) font.bold = Boolean(source.bold);
+    if (source.italics !== undefined) font.italics = Boolean(source.italics);
+  };
+
+  for (const style of [].concat(node.style ?? [])) {
+    apply(typeof style === "string" ? styles[style] : style);
+  }
+  apply(node);
+  return font;
+}
+
+const styleOf = ({ bold, italics }) =>
+  bold && italics
+    ? "bolditalics"
+    : bold
+      ? "bold"
+      : italics
+        ? "italics"
+        : "normal";
+
+const formatCodePoint = (codePoint) =>
+  `U+${codePoint.toString(16).toUpperCase().padStart(4, "0")}`;
+
+/**
+ * Font Registry
+ * Font families available to documents: the PDF standard fonts plus
+ * TTF/OTF files from a directory, grouped by their family name. A file
+ * family replaces a standard one of the same name (e.g. a real Roboto).
+ *
+ * Workers build their pdfmake printer from it; the main thread uses it to
+ * reject documents naming unknown fonts before they are queued, and to
+ * list families. Pass `loadData: false` where the files are not rendered.
+ *
+ * Text a font has no glyphs for is set in the first family of the
+ * `fallbacks` chain that has them, see applyFallbacks.
+ */
+export class FontRegistry {
+  constructor(options = {}) {
+    this.options = {
+      loadData: options.loadData !== false,
+      // Families tried in order for characters the chosen font lacks
+      fallbacks: options.fallbacks || [],
+    };
+
+    // family -> { source, styles: { style -> { file, data } | standard name } }
+    this.families = new Map();
+    this.skipped = []; // { file, reason } of files that could not be used
+
+    for (const [family, styles] of Object.entries(STANDARD_FONTS)) {
+      this.families.set(family, { source: "standard", styles: { ...styles } });
+    }
+  }
+
+  /**
+   * Register all TTF/OTF files of a directory
+   * A missing directory is an error; unusable files are skipped
+   */
+  loadDirectory(dir) {
+    const files = readdirSync(dir)
+      .filter((file) => FONT_EXTENSIONS.has(extname(file).toLowerCase()))
+      .sort();
+
+    const loaded = new Map(); // family -> styles from this directory
+
+    for (const file of files) {
+      const filePath = join(dir, file);
+
+      let data;
+      let info;
+      try {
+        data = readFileSync(filePath);
+        info = readFontInfo(data);
+      } catch (err) {
+        this.skipped.push({ file, reason: err.message });
+        continue;
+      }
+
+      const styles = loaded.get(info.family) || {};
+      if (styles[info.style]) {
+        this.skipped.push({
+          file,
+          reason: `Duplicate ${info.style} style of "${info.family}" (${styles[info.style].file})`,
+        });
+        continue;
+      }
+
+      styles[info.style] = {
+        file,
+        data: this.options.loadData ? data : null,
+      };
+      loaded.set(info.family, styles);
+    }
+
+    for (const [family, styles] of loaded) {
+      this.families.set(family, { source: "file", styles });
+    }
+
+    return loaded.size;
+  }
+
+  has(family) {
+    return this.families.has(family);
+  }
+
+  /**
+   * Font rendering a style of a family
+   * Styles a family lacks are served by its closest available style
+   */
+  face(family, style) {
+    const { styles } = this.families.get(family);
+    const match = [style, ...STYLE_FALLBACKS[style]].find(
+      (candidate) => styles[candidate],
+    );
+    return styles[match];
+  }
+
+  /**
+   * Font descriptors for pdfmake's PdfPrinter
+   */
+  toPdfmake() {
+    const fonts = {};
+
+    for (const [family, { source }] of this.families) {
+      const descriptor = {};
+      for (const style of FONT_STYLES) {
+        const face = this.face(family, style);
+        descriptor[style] = source === "standard" ? face : face.data;
+      }
+      fonts[family] = descriptor;
+    }
+
+    return fonts;
+  }
+
+  /**
+   * Whether a style of a family has a glyph for the code point
+   * Needs the font data; a file is parsed on first use
+   */
+  covers(family, style, codePoint) {
+    if (this.families.get(family).source === "standard") {
+      return winAnsiCovers(codePoint);
+    }
+
+    const face = this.face(family, style);
+    face.font ??= openFont(face.data);
+    return face.font.hasGlyphForCodePoint(codePoint);
+  }
+
+  /**
+   * Split a string into runs by the font that covers them: plain strings
+   * for the chosen font, { text, font } for a fallback family
+   * Returns null when the chosen font covers it all (or nothing does)
+   */
+  splitText(text, font, uncovered) {
+    const style = styleOf(font);
+    const runs = [];
+    let current = null; // { text, family }
+
+    for (const char of text) {
+      const codePoint = char.codePointAt(0);
+
+      let family = current?.family ?? font.font;
+      if (codePoint >= 0x20 && !(current && ATTACHED.test(char))) {
+        family = font.font;
+        if (!this.covers(family, style, codePoint)) {
+          family =
+            this.options.fallbacks.find((fallback) =>
+              this.covers(fallback, style, codePoint),
+            ) ?? family;
+          if (family === font.font) uncovered.add(codePoint);
+        }
+      }
+
+      if (current?.family === family) {
+        current.text += char;
+      } else {
+        current = { text: char, family };
+        runs.push(current);
+      }
+    }
+
+    if (runs.every((run) => run.family === font.font)) return null;
+
+    return runs.map((run) =>
+      run.family === font.font
+        ? run.text
+        : { text: run.text, font: run.family },
+    );
+  }
+
+  /**
+   * Set characters the chosen font lacks in the first fallback family that
+   * has them, by splitting text into inline runs. Header, footer and
+   * background functions are wrapped, so they are split as they are laid out.
+   *
+   * Returns the set of code points no font covers; it keeps filling while
+   * the document is laid out
+   */
+  applyFallbacks(docDefinition) {
+    const uncovered = new Set();
+    const styles = docDefinition.styles || {};
+
+    // pdfmake flattens nested inline text and drops the outer inline's
+    // properties, so an inline is split into siblings that each keep them
+    const visitInline = (part, inherited) => {
+      if (typeof part === "string") {
+        return this.splitText(part, inherited, uncovered) ?? part;
+      }
+      if (!part || typeof part !== "object") return part;
+
+      const font = nodeFont(inherited, part, styles);
+      if (typeof part.text !== "string") {
+        return { ...part, text: visitText(part.text, font) };
+      }
+
+      const runs = this.splitText(part.text, font, uncovered);
+      if (!runs) return part;
+      return runs.map((run) =>
+        typeof run === "string"
+          ? { ...part, text: run }
+          : { ...part, text: run.text, font: run.font },
+      );
+    };
+
+    const visitText = (text, font) => {
+      if (typeof text === "string") {
+        return this.splitText(text, font, uncovered) ?? text;
+      }
+      if (Array.isArray(text)) {
+        return text.flatMap((part) => visitInline(part, font));
+      }
+      return visitInline(text, font);
+    };
+
+    const visit = (node, inherited) => {
+      if (typeof node === "string") {
+        const runs = this.splitText(node, inherited, uncovered);
+        return runs ? { text: runs } : node;
+      }
+      if (Array.isArray(node)) {
+        return node.map((child) => visit(child, inherited));
+      }
+      if (!node || typeof node !== "object") return node;
+
+      const font = nodeFont(inherited, node, styles);
+
+      if (node.text !== undefined) {
+        node.text = visitText(node.text, font);
+      }
+      for (const key of ["stack", "columns", "ul", "ol"]) {
+        if (Array.isArray(node[key])) node[key] = visit(node[key], font);
+      }
+      if (Array.isArray(node.table?.body)) {
+        node.table.body = node.table.body.map((row) => visit(row, font));
+      }
+
+      return node;
+    };
+
+    const base = nodeFont(
+      { font: "Roboto", bold: false, italics: false },
+      docDefinition.defaultStyle || {},
+      styles,
+    );
+
+    docDefinition.content = visit(docDefinition.content, base);
+
+    for (const key of ["header", "footer", "background"]) {
+      const section = docDefinition[key];
+      if (typeof section === "function") {
+        docDefinition[key] = (...args) => visit(section(...args), base);
+      } else if (section) {
+        docDefinition[key] = visit(section, base);
+      }
+    }
+
+    return uncovered;
+  }
+
+  /**
+   * Render warning for characters no font covers, or null
+   */
+  missingGlyphsWarning(uncovered) {
+    if (uncovered.size === 0) return null;
+
+    const characters = [...uncovered]
+      .slice(0, MAX_REPORTED_CHARACTERS)
+      .map((codePoint) => ({
+        char: String.fromCodePoint(codePoint),
+        codePoint: formatCodePoint(codePoint),
+      }));
+
+    return {
+      code: "MISSING_GLYPHS",
+      message: `No font covers ${uncovered.size} character${uncovered.size > 1 ? "s" : ""}: ${characters.map((c) => c.codePoint).join(", ")}${uncovered.size > characters.length ? ", ..." : ""}`,
+      characters,
+    };
+  }
+
+  /**
+   * Families with their own styles, for GET /fonts
+   */
+  list() {
+    return [...this.families].map(([family, { source, styles }]) => ({
+      family,
+      source,
+      styles: FONT_STYLES.filter((style) => styles[style]),
+      files:
+        source === "file"
+          ? Object.values(styles).map((font) => font.file)
+          : undefined,
+    }));
+  }
+
+  /**
+   * Font names a document asks for (`font` in styles, defaultStyle or
+   * any content node)
+   */
+  fontsUsed(docDefinition) {
+    const used = new Set();
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      for (const [key, value] of Object.entries(node)) {
+        if (key === "font" && typeof value === "string") used.add(value);
+        else visit(value);
+      }
+    };
+
+    visit(docDefinition);
+    return used;
+  }
+
+  /**
+   * Throw when a document asks for fonts that are not registered
+   * The error has code UNKNOWN_FONT and the missing names in `fonts`
+   */
+  validate(docDefinition) {
+    const missing = [...this.fontsUsed(docDefinition)].filter(
+      (family) => !this.has(family),
+    );
+    if (missing.length === 0) return;
+
+    const err = new Error(
+      `Unknown font${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`,
+    );
+    err.code = "UNKNOWN_FONT";
+    err.fonts = missing;
+    throw err;
+  }
+}
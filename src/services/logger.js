@@ -0,0 +1,241 @@
+import { AsyncLocalStorage } from "async_hooks";
+import {
+  createWriteStream,
+  existsSync,
+  mkdirSync,
+  openSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+} from "fs";
+import { dirname } from "path";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields bound to the current request (e.g. requestId), see runWithContext
+const context = new AsyncLocalStorage();
+
+// Errors don't survive JSON.stringify; keep what is useful for debugging
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] =
+      value instanceof Error
+        ? { name: value.name, message: value.message, stack: value.stack }
+        : value;
+  }
+  return result;
+}
+
+/**
+ * Append-only log file rotated by size
+ * app.log -> app.log.1 -> ... -> app.log.<maxFiles>, oldest dropped
+ */
+class RotatingFile {
+  constructor(filePath, { maxSize, maxFiles }) {
+    this.filePath = filePath;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+
+    mkdirSync(dirname(filePath), { recursive: true });
+    this.size = existsSync(filePath) ? statSync(filePath).size : 0;
+    this.stream = this.open();
+  }
+
+  // Opened synchronously so the file exists before the next rotate, even
+  // when a burst of writes rotates several times in one tick
+  open() {
+    const fd = openSync(this.filePath, "a");
+    const stream = createWriteStream(this.filePath, { fd });
+    stream.on("error", (err) => {
+      process.stderr.write(`Log file ${this.filePath}: ${err.message}\n`);
+    });
+    return stream;
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift old files up by one and start a fresh file
+   * Pending writes still land in the renamed file, its fd stays valid
+   */
+  rotate() {
+    this.stream.end();
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (existsSync(from)) renameSync(from, `${this.filePath}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      // No old files kept; reopening in append mode would never shrink it
+      unlinkSync(this.filePath);
+    }
+
+    this.size = 0;
+    this.stream = this.open();
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Logger
+ * Structured logging shared by the server, services and (forwarded) workers.
+ *
+ * Every entry is one JSON line: { time, level, msg, ...fields }. Child
+ * loggers add fixed fields (e.g. component), and fields bound with
+ * runWithContext (e.g. requestId) are added to every entry logged while
+ * handling that request, including from services it calls.
+ *
+ * Console output follows `format` ("json" or "pretty"); files are always
+ * JSON. Errors are also written to `errorFilePath`.
+ */
+export class Logger {
+  constructor(options = {}, bindings = {}) {
+    this.bindings = bindings;
+    this.files = [];
+    this.configure(options);
+  }
+
+  /**
+   * Apply logging config
+   * Children share their root's config, so this also affects them
+   */
+  configure(options = {}) {
+    for (const file of this.files) file.close();
+
+    this.options = {
+      level: LOG_LEVELS[options.level] ? options.level : "info",
+      format: options.format || "json",
+      enableConsole: options.enableConsole !== false,
+      enableFile: options.enableFile === true,
+      filePath: options.filePath || "./logs/app.log",
+      errorFilePath: options.errorFilePath || null,
+      maxSize: options.maxSize || 10 * 1024 * 1024, // 10MB
+      maxFiles: options.maxFiles ?? 5,
+    };
+
+    const rotation = {
+      maxSize: this.options.maxSize,
+      maxFiles: this.options.maxFiles,
+    };
+
+    this.file = this.options.enableFile
+      ? new RotatingFile(this.options.filePath, rotation)
+      : null;
+    this.errorFile =
+      this.options.enableFile && this.options.errorFilePath
+        ? new RotatingFile(this.options.errorFilePath, rotation)
+        : null;
+    this.files = [this.file, this.errorFile].filter(Boolean);
+  }
+
+  /**
+   * Logger adding `bindings` to every entry
+   */
+  child(bindings) {
+    const child = Object.create(this);
+    child.bindings = { ...this.bindings, ...bindings };
+    return child;
+  }
+
+  /**
+   * Run `fn` with `fields` added to every entry logged inside it
+   */
+  runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.options.level];
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+
+  /**
+   * Log at a level given by name (e.g. forwarded from a worker)
+   */
+  log(level, msg, fields) {
+    this.write(LOG_LEVELS[level] ? level : "info", msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    // Listed again after the fields so a field named e.g. "level" can't
+    // relabel the entry; the first listing keeps them at the front
+    const time = new Date().toISOString();
+    const entry = {
+      time,
+      level,
+      msg,
+      ...this.bindings,
+      ...context.getStore(),
+      ...serializeFields(fields),
+      time,
+      level,
+      msg,
+    };
+
+    const json = `${JSON.stringify(entry)}\n`;
+
+    if (this.options.enableConsole) {
+      const line = this.options.format === "json" ? json : this.pretty(entry);
+      const out =
+        LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+      out.write(line);
+    }
+
+    this.file?.write(json);
+    if (level === "error") this.errorFile?.write(json);
+  }
+
+  /**
+   * Human readable line for local development
+   */
+  pretty({ time, level, msg, component, ...fields }) {
+    const prefix = component ? `[${component}] ` : "";
+    const rest =
+      Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : "";
+    return `${time} ${level.toUpperCase().padEnd(5)} ${prefix}${msg}${rest}\n`;
+  }
+
+  /**
+   * Flush and close log files
+   */
+  async close() {
+    await Promise.all(this.files.map((file) => file.close()));
+    this.files = [];
+    this.file = null;
+    this.errorFile = null;
+  }
+}
+
+// Shared logger, configured by the server from config.logging
+export const logger = new Logger();
@@ -0,0 +1,179 @@
+// Default latency buckets in seconds, from cached hits to timeouts
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+// {a="1",b="2"} for a label object, "" without labels
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(Number(value));
+};
+
+// Samples of one metric, keyed by their label set
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map(); // label string -> { labels, value }
+  }
+
+  set(labels, value) {
+    if (typeof labels === "number") [labels, value] = [{}, labels];
+    this.values.set(formatLabels(labels), { labels, value });
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === "number") [labels, value] = [{}, labels];
+    const key = formatLabels(labels);
+    const current = this.values.get(key)?.value || 0;
+    this.values.set(key, { labels, value: current + value });
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  lines() {
+    return [...this.values].map(
+      ([labels, { value }]) => `${this.name}${labels} ${formatValue(value)}`,
+    );
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, "histogram");
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    if (typeof labels === "number") [labels, value] = [{}, labels];
+    const key = formatLabels(labels);
+
+    let series = this.values.get(key);
+    if (!series) {
+      series = {
+        labels,
+        counts: new Array(this.buckets.length).fill(0),
+        sum: 0,
+        count: 0,
+      };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const lines = [];
+
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        const le = formatLabels({ ...labels, le: formatValue(bound) });
+        lines.push(`${this.name}_bucket${le} ${counts[i]}`);
+      });
+      const inf = formatLabels({ ...labels, le: "+Inf" });
+      lines.push(`${this.name}_bucket${inf} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Metrics Registry
+ * Minimal Prometheus text exposition (format 0.0.4) for counters, gauges
+ * and histograms.
+ *
+ * Histograms are observed as events happen. Values that already live in
+ * service stats (render counts, queue sizes, ...) are copied in by
+ * collectors right before each scrape instead of being counted twice.
+ */
+export class MetricsRegistry {
+  static contentType = "text/plain; version=0.0.4; charset=utf-8";
+
+  constructor(options = {}) {
+    this.options = {
+      prefix: options.prefix ?? "pdfgen_",
+    };
+
+    this.metrics = new Map(); // name -> Metric
+    this.collectors = [];
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(
+      new Metric(`${this.options.prefix}${name}`, help, "counter"),
+    );
+  }
+
+  gauge(name, help) {
+    return this.register(
+      new Metric(`${this.options.prefix}${name}`, help, "gauge"),
+    );
+  }
+
+  histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    return this.register(
+      new Histogram(`${this.options.prefix}${name}`, help, buckets),
+    );
+  }
+
+  /**
+   * Run `fn` before every scrape to refresh metrics from current stats
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  /**
+   * Render all metrics in the text exposition format
+   */
+  async expose() {
+    for (const collector of this.collectors) {
+      await collector();
+    }
+
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      blocks.push(
+        [
+          `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...metric.lines(),
+        ].join("\n"),
+      );
+    }
+
+    return `${blocks.join("\n")}\n`;
+  }
+}
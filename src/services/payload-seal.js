@@ -0,0 +1,47 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+/**
+ * Payload Seal
+ * AES-256-GCM for document definitions (patient data) that leave the
+ * process: the DLQ's file and Redis stores, Redis queue tasks and the
+ * shutdown snapshot. A sealed payload is "<iv>.<tag>.<data>", base64url.
+ */
+
+/**
+ * Key for sealPayload/openPayload from a configured secret, or null
+ * Any secret works; it is stretched to the 32 bytes AES-256 needs
+ */
+export function createPayloadKey(secret) {
+  return secret ? createHash("sha256").update(secret).digest() : null;
+}
+
+/**
+ * Encrypt a JSON value
+ */
+export function sealPayload(key, value) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf-8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+/**
+ * Decrypt a sealed payload (throws on a wrong key or tampered data)
+ */
+export function openPayload(key, sealed) {
+  const [iv, tag, data] = sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+
+  return JSON.parse(
+    Buffer.concat([decipher.update(data), decipher.final()]).toString("utf-8"),
+  );
+}
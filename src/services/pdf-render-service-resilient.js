@@ -3,10 +3,145 @@ import path from "path";
 import { Piscina } from "piscina";
 import { fileURLToPath } from "url";
 import { EventEmitter } from "events";
+import { setTimeout as sleep } from "timers/promises";
+import { MessageChannel } from "worker_threads";
+import { FontRegistry } from "./font-registry.js";
+import { logger } from "./logger.js";
+import { Tracer } from "./tracer.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Page-count buckets for per-document stats: [upper bound, label]
+const PAGE_BUCKETS = [
+  [1, "1"],
+  [5, "2-5"],
+  [10, "6-10"],
+  [20, "11-20"],
+  [50, "21-50"],
+  [Infinity, "51+"],
+];
+
+/**
+ * Page-count bucket label of a render ("unknown" if the worker didn't say)
+ */
+export function pageBucket(pages) {
+  if (!pages) return "unknown";
+  return PAGE_BUCKETS.find(([max]) => pages <= max)[1];
+}
+
+function percentiles(values) {
+  if (values.length === 0) return { p50: 0, p95: 0, p99: 0 };
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const len = sorted.length;
+
+  return {
+    p50: sorted[Math.floor(len * 0.5)] || 0,
+    p95: sorted[Math.floor(len * 0.95)] || 0,
+    p99: sorted[Math.floor(len * 0.99)] || 0,
+  };
+}
+
+// Priority lanes, highest first. `share` caps the part of the worker slots
+// a lane may fill, so bulk work always leaves room; `maxQueue` caps how many
+// of its tasks may wait
+export const DEFAULT_LANES = {
+  interactive: { share: 1, maxQueue: 100 },
+  normal: { share: 0.75, maxQueue: 500 },
+  bulk: { share: 0.5, maxQueue: 5000 },
+};
+
+// Heap samples per worker used to estimate its memory trend
+const WORKER_MEMORY_SAMPLES = 12;
+// Share of the memory limit that flags a worker regardless of its trend
+const WORKER_MEMORY_WARNING_RATIO = 0.8;
+
+/**
+ * Heap growth in bytes per second: least-squares slope over the samples,
+ * so a single GC cycle doesn't flip the trend
+ */
+function heapSlope(samples) {
+  if (samples.length < 3) return 0;
+
+  const start = samples[0].time;
+  const meanTime =
+    samples.reduce((sum, { time }) => sum + (time - start), 0) / samples.length;
+  const meanHeap =
+    samples.reduce((sum, { heapUsed }) => sum + heapUsed, 0) / samples.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const { time, heapUsed } of samples) {
+    const dt = time - start - meanTime;
+    covariance += dt * (heapUsed - meanHeap);
+    variance += dt * dt;
+  }
+
+  return variance > 0 ? (covariance / variance) * 1000 : 0;
+}
+
+/**
+ * Render time and output size of one group of renders (a template or a
+ * page-count bucket), sampled like the global timings
+ */
+class RenderStatsGroup {
+  constructor(maxSamples) {
+    this.maxSamples = maxSamples;
+    this.renders = 0;
+    this.errors = 0;
+    this.totalTime = 0;
+    this.maxTime = 0;
+    this.totalSize = 0;
+    this.maxSize = 0;
+    this.totalPages = 0;
+    this.timings = [];
+    this.sizes = [];
+  }
+
+  record(duration, size, pages) {
+    this.renders++;
+    this.totalTime += duration;
+    this.maxTime = Math.max(this.maxTime, duration);
+    this.totalSize += size;
+    this.maxSize = Math.max(this.maxSize, size);
+    this.totalPages += pages || 0;
+
+    if (this.timings.length >= this.maxSamples) {
+      this.timings.shift();
+      this.sizes.shift();
+    }
+    this.timings.push(duration);
+    this.sizes.push(size);
+  }
+
+  summary() {
+    const time = percentiles(this.timings);
+    const size = percentiles(this.sizes);
+    const avg = (total) =>
+      this.renders > 0 ? Math.round(total / this.renders) : 0;
+
+    return {
+      renders: this.renders,
+      errors: this.errors,
+      avgTime: avg(this.totalTime),
+      p50: Math.round(time.p50),
+      p95: Math.round(time.p95),
+      p99: Math.round(time.p99),
+      maxTime: Math.round(this.maxTime),
+      avgSize: avg(this.totalSize),
+      sizeP50: size.p50,
+      sizeP95: size.p95,
+      sizeP99: size.p99,
+      maxSize: this.maxSize,
+      avgPages:
+        this.renders > 0
+          ? Math.round((this.totalPages / this.renders) * 10) / 10
+          : 0,
+    };
+  }
+}
+
 export class PdfRenderServiceResilient extends EventEmitter {
   constructor(options = {}) {
     super();
@@ -38,16 +173,85 @@ export class PdfRenderServiceResilient extends EventEmitter {
       hangThreshold: options.hangThreshold || 45_000, // Kill task if running > 45s
       workerTerminationTimeout: options.workerTerminationTimeout || 5000, // Force kill worker after 5s
 
+      // Worker stats reporting
+      workerStatsInterval: options.workerStatsInterval || 10_000, // Workers report at most every 10s
+      memoryWarningHorizon: options.memoryWarningHorizon || 300_000, // Flag workers reaching their memory limit within 5m
+
+      // Worker recycling (0 disables a trigger)
+      recycleAfterRenders: options.recycleAfterRenders || 0, // Replace a worker after N renders
+      recycleAfterMs: options.recycleAfterMs || 0, // Replace a worker after this lifetime
+      recycleMemoryChecks: options.recycleMemoryChecks ?? 5, // Renders in a row ending above the soft heap limit
+
+      // Priority lanes
+      lanes: options.lanes || DEFAULT_LANES,
+      defaultLane: options.defaultLane || "normal",
+
+      // Directory of TTF/OTF files loaded by every worker (null: standard fonts only)
+      fontDir: options.fontDir || null,
+      fontFallbacks: options.fontFallbacks || [], // Families tried in order for characters a font lacks
+
       // Logging
       enableLogging: options.enableLogging !== false,
     };
 
+    this.logger =
+      options.logger || logger.child({ component: "PdfServiceResilient" });
+
+    // Tasks wait in their lane until a worker slot is free for it
+    const slots =
+      this.options.maxThreads * this.options.concurrentTasksPerWorker;
+    this.lanes = new Map(); // name -> lane state, highest priority first
+    for (const [name, { share, maxQueue }] of Object.entries(
+      this.options.lanes,
+    )) {
+      this.lanes.set(name, {
+        share,
+        maxQueue,
+        slots: Math.max(1, Math.floor(share * slots)),
+        queue: [],
+        running: 0,
+        completed: 0,
+        rejected: 0,
+      });
+    }
+    this.runningTasks = 0;
+
+    if (!this.lanes.has(this.options.defaultLane)) {
+      throw new Error(`Unknown default lane "${this.options.defaultLane}"`);
+    }
+
+    // Font families, to refuse documents naming unknown ones before queueing
+    // Workers load the same directory with the font data
+    this.fonts = new FontRegistry({ loadData: false });
+    if (this.options.fontDir) {
+      const families = this.fonts.loadDirectory(this.options.fontDir);
+      this.log(
+        `🔤 Loaded ${families} font families from ${this.options.fontDir}`,
+      );
+      for (const { file, reason } of this.fonts.skipped) {
+        this.log(`Skipped font file ${file}: ${reason}`, "warn");
+      }
+    }
+    for (const family of this.options.fontFallbacks) {
+      if (!this.fonts.has(family)) {
+        throw new Error(`Unknown fallback font "${family}"`);
+      }
+    }
+
+    // Spans for renders and attempts; a disabled tracer records nothing
+    this.tracer = options.tracer || new Tracer();
+
     // Task tracking for recovery
     this.activeTasks = new Map(); // taskId -> task info
     this.retryQueue = []; // Tasks waiting for retry
 
     // Worker health tracking
-    this.workerHealth = new Map(); // workerId -> health info
+    this.workerHealth = new Map(); // threadId -> { stats, samples, memoryWarning, ... }
+
+    // Worker recycling
+    this.poolWorkers = new Map(); // threadId -> { worker, createdAt }
+    this.recycleRequests = new Map(); // threadId -> reason, waiting their turn
+    this.retiringWorkers = new Map(); // threadId -> { reason, since, terminating }
     this.lastWorkerCrash = null;
 
     // Hang detection tracking
@@ -73,6 +277,16 @@ export class PdfRenderServiceResilient extends EventEmitter {
       maxQueue: this.options.maxQueue,
       idleTimeout: this.options.idleTimeout,
       useAtomics: true,
+      workerData: {
+        statsInterval: this.options.workerStatsInterval,
+        fontDir: this.options.fontDir,
+        fontFallbacks: this.options.fontFallbacks,
+        recycle: {
+          afterRenders: this.options.recycleAfterRenders,
+          memoryChecks: this.options.recycleMemoryChecks,
+        },
+      },
+      loadBalancer: (task, workers) => this.pickWorker(task, workers),
 
       env: {
         UV_THREADPOOL_SIZE: Math.min(64, cpuCount * 4),
@@ -89,6 +303,20 @@ export class PdfRenderServiceResilient extends EventEmitter {
     // Listen to worker events
     this.setupWorkerMonitoring();
 
+    // Workers post their log entries and finished spans to us
+    this.workerLogger = this.logger.child({ component: "Worker" });
+    this.piscina.on("message", (message) => {
+      if (message?.type === "log" && this.options.enableLogging) {
+        this.workerLogger.log(message.level, message.msg, message.fields);
+      } else if (message?.type === "spans") {
+        this.tracer.exportSpans(message.spans);
+      } else if (message?.type === "stats") {
+        this.recordWorkerStats(message.stats);
+      } else if (message?.type === "recycle") {
+        this.requestRecycle(message.threadId, message.reason);
+      }
+    });
+
     // Stats tracking
     this.stats = {
       created: Date.now(),
@@ -96,7 +324,10 @@ export class PdfRenderServiceResilient extends EventEmitter {
       errors: 0,
       retries: 0,
       recovered: 0,
+      cancelled: 0,
+      warnings: 0,
       workerCrashes: 0,
+      recycledWorkers: {}, // reason -> count
       totalTime: 0,
       minTime: Infinity,
       maxTime: 0,
@@ -104,11 +335,19 @@ export class PdfRenderServiceResilient extends EventEmitter {
       maxTimings: 1000,
     };
 
-    // Warmup pool
+    this.templateStats = new Map(); // template -> RenderStatsGroup
+    this.pageBucketStats = new Map(); // page bucket -> RenderStatsGroup
+
+    // Warmup pool; readiness probes wait for it
+    this.warmedUp = !this.options.warmup;
     if (this.options.warmup) {
-      this.warmupPool().catch((err) => {
-        this.log(`Warmup failed: ${err.message}`);
-      });
+      this.warmupPool()
+        .catch((err) => {
+          this.log(`Warmup failed: ${err.message}`, "warn");
+        })
+        .finally(() => {
+          this.warmedUp = true;
+        });
     }
 
     // Recovery mechanism
@@ -153,14 +392,38 @@ export class PdfRenderServiceResilient extends EventEmitter {
 
         this.log(
           `⚠️  Worker crash detected! Workers: ${currentWorkers}/${this.options.minThreads}`,
+          "warn",
         );
         this.emit("worker-crash", crash);
 
         // Trigger recovery for in-flight tasks
         this.recoverInFlightTasks();
       }
+
+      // Workers past their lifetime; idle ones can't ask for it themselves
+      if (this.options.recycleAfterMs > 0) {
+        const now = Date.now();
+        for (const [threadId, { createdAt }] of this.poolWorkers) {
+          if (now - createdAt >= this.options.recycleAfterMs) {
+            this.requestRecycle(threadId, "lifetime");
+          }
+        }
+      }
+      this.processRecycling();
     };
 
+    this.piscina.on("workerCreate", (worker) => {
+      this.poolWorkers.set(worker.id, { worker, createdAt: Date.now() });
+    });
+
+    // The id of a thread that already exited reads -1 here, so look for
+    // the destroyed workers instead
+    this.piscina.on("workerDestroy", () => {
+      for (const [threadId, { worker, createdAt }] of this.poolWorkers) {
+        if (worker.destroyed) this.forgetWorker(threadId, createdAt);
+      }
+    });
+
     // Check periodically
     this.workerCheckInterval = setInterval(
       checkWorkers,
@@ -168,6 +431,207 @@ export class PdfRenderServiceResilient extends EventEmitter {
     );
   }
 
+  /**
+   * Drop what we track about a worker that exited, crashed, idled out or
+   * was recycled
+   */
+  forgetWorker(threadId, createdAt) {
+    this.workerHealth.delete(threadId);
+    this.poolWorkers.delete(threadId);
+    this.recycleRequests.delete(threadId);
+
+    const retiring = this.retiringWorkers.get(threadId);
+    if (!retiring) return;
+
+    this.retiringWorkers.delete(threadId);
+    this.stats.recycledWorkers[retiring.reason] =
+      (this.stats.recycledWorkers[retiring.reason] || 0) + 1;
+
+    this.log(`♻️  Worker ${threadId} recycled (${retiring.reason})`);
+    this.emit("worker-recycled", {
+      threadId,
+      reason: retiring.reason,
+      lifetime: Date.now() - createdAt,
+      drainTime: Date.now() - retiring.since,
+    });
+
+    // Next one in line
+    this.processRecycling();
+  }
+
+  /**
+   * Piscina load balancer: the least busy worker that is not being
+   * recycled (otherwise the same rules as Piscina's LeastBusyBalancer)
+   * Returning null queues the task, or spawns a worker below maxThreads
+   */
+  pickWorker(task, workers) {
+    let candidate = null;
+    let checkpoint = this.options.concurrentTasksPerWorker;
+
+    for (const worker of workers) {
+      if (this.retiringWorkers.has(worker.id)) continue;
+
+      if (worker.currentUsage === 0) return worker;
+      if (worker.isRunningAbortableTask) continue;
+
+      if (task.isAbortable === false && worker.currentUsage < checkpoint) {
+        candidate = worker;
+        checkpoint = worker.currentUsage;
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Queue a worker for recycling (see processRecycling)
+   */
+  requestRecycle(threadId, reason) {
+    if (this.retiringWorkers.has(threadId)) return;
+    if (!this.recycleRequests.has(threadId)) {
+      this.recycleRequests.set(threadId, reason);
+    }
+    this.processRecycling();
+  }
+
+  /**
+   * Retire recycled workers: no new tasks go to a retiring worker, and it
+   * is terminated once its in-flight tasks are done. Piscina replaces it
+   * (right away below minThreads, otherwise on demand).
+   *
+   * Workers retire one at a time, so a pool started at once doesn't
+   * restart at once when the lifetime runs out.
+   */
+  processRecycling() {
+    if (this.retiringWorkers.size === 0) {
+      for (const [threadId, reason] of this.recycleRequests) {
+        this.recycleRequests.delete(threadId);
+        if (!this.poolWorkers.has(threadId)) continue; // Already gone
+
+        this.retiringWorkers.set(threadId, {
+          reason,
+          since: Date.now(),
+          terminating: false,
+        });
+        this.log(`♻️  Recycling worker ${threadId} (${reason}), draining...`);
+        this.emit("worker-recycling", { threadId, reason });
+        break;
+      }
+    }
+
+    for (const [threadId, retiring] of this.retiringWorkers) {
+      const worker = this.poolWorkers.get(threadId)?.worker;
+      if (retiring.terminating || worker?.currentUsage > 0) continue;
+
+      retiring.terminating = true;
+      const thread = this.piscina.threads.find(
+        (thread) => thread.threadId === threadId,
+      );
+
+      if (!thread) {
+        // Exited on its own meanwhile
+        this.retiringWorkers.delete(threadId);
+        continue;
+      }
+
+      thread.terminate().catch((err) => {
+        this.log(
+          `Failed to terminate worker ${threadId}: ${err.message}`,
+          "warn",
+        );
+
+        // Free the slot so recycling goes on; the next worker check
+        // retries this one if it is still around
+        this.retiringWorkers.delete(threadId);
+        if (this.poolWorkers.has(threadId)) {
+          this.recycleRequests.set(threadId, retiring.reason);
+        }
+      });
+    }
+  }
+
+  /**
+   * Keep the latest stats a worker reported, with a short heap history to
+   * tell where its memory is heading
+   */
+  recordWorkerStats(stats) {
+    const now = Date.now();
+    const health = this.workerHealth.get(stats.threadId) || {
+      samples: [],
+      memoryWarning: null,
+    };
+
+    health.stats = stats;
+    health.updatedAt = now;
+    health.samples.push({ time: now, heapUsed: stats.heapUsed });
+    if (health.samples.length > WORKER_MEMORY_SAMPLES) {
+      health.samples.shift();
+    }
+
+    // bytes/s, and seconds until the limit at that rate
+    health.memoryTrend = heapSlope(health.samples);
+    health.secondsToLimit =
+      health.memoryTrend > 0
+        ? Math.max(0, (stats.memoryLimit - stats.heapUsed) / health.memoryTrend)
+        : null;
+
+    const warning =
+      stats.heapUsed >= stats.memoryLimit * WORKER_MEMORY_WARNING_RATIO
+        ? "near-limit"
+        : health.secondsToLimit !== null &&
+            health.secondsToLimit * 1000 < this.options.memoryWarningHorizon
+          ? "trending"
+          : null;
+
+    if (warning && !health.memoryWarning) {
+      this.log(
+        `⚠️  Worker ${stats.threadId} memory ${warning}: ${stats.memoryMB}MB of ${Math.round(stats.memoryLimit / 1024 / 1024)}MB`,
+        "warn",
+      );
+      this.emit("worker-memory-warning", {
+        threadId: stats.threadId,
+        reason: warning,
+        heapUsed: stats.heapUsed,
+        memoryLimit: stats.memoryLimit,
+        secondsToLimit: health.secondsToLimit,
+      });
+    }
+    health.memoryWarning = warning;
+
+    this.workerHealth.set(stats.threadId, health);
+  }
+
+  /**
+   * Per-thread table built from the stats workers report
+   */
+  getWorkerStats() {
+    const toMB = (bytes) => Math.round(bytes / 1024 / 1024);
+
+    return [...this.workerHealth.values()]
+      .map(
+        ({ stats, memoryTrend, secondsToLimit, memoryWarning, updatedAt }) => ({
+          threadId: stats.threadId,
+          uptime: stats.uptime,
+          renders: stats.renders,
+          errors: stats.errors,
+          errorRate: stats.errorRate,
+          avgTime: stats.avgTime,
+          memoryMB: stats.memoryMB,
+          heapUsed: stats.heapUsed,
+          memoryLimitMB: toMB(stats.memoryLimit),
+          memoryTrendMBPerMin:
+            Math.round((memoryTrend * 60 * 10) / 1024 / 1024) / 10,
+          secondsToLimit:
+            secondsToLimit === null ? null : Math.round(secondsToLimit),
+          memoryWarning,
+          recycling: this.retiringWorkers.get(stats.threadId)?.reason || null,
+          gcCount: stats.gcCount,
+          reportedAt: new Date(updatedAt).toISOString(),
+        }),
+      )
+      .sort((a, b) => a.threadId - b.threadId);
+  }
+
   /**
    * Warmup worker pool
    */
@@ -208,50 +672,135 @@ export class PdfRenderServiceResilient extends EventEmitter {
     );
   }
 
+  /**
+   * Wait before a retry; cancelling ends the wait with the caller's reason,
+   * like a cancel at any other point of the render
+   */
+  async waitForRetry(taskInfo, delay) {
+    try {
+      await sleep(delay, undefined, { signal: taskInfo.signal });
+    } catch (err) {
+      throw taskInfo.signal?.reason ?? err;
+    }
+  }
+
+  /**
+   * Span covering a render with all its attempts
+   * Child of the caller's active span (e.g. the HTTP request)
+   */
+  startRenderSpan(taskInfo) {
+    return this.tracer.startSpan("pdf.render", {
+      attributes: {
+        "pdf.task_id": taskInfo.id,
+        "pdf.template": taskInfo.options.metadata?.template,
+        "pdf.streaming": Boolean(taskInfo.streaming),
+        "pdf.priority": taskInfo.priority,
+      },
+    });
+  }
+
+  /**
+   * Span for one worker attempt; its context goes to the worker, which adds
+   * queue wait, resolve and layout spans below it
+   */
+  startAttemptSpan(taskInfo) {
+    if (!taskInfo.span) return null;
+
+    return this.tracer.startSpan("pdf.attempt", {
+      parent: taskInfo.span,
+      attributes: { "pdf.attempt": taskInfo.attempts },
+    });
+  }
+
   /**
    * Render PDF with automatic retry on failure
    */
   async renderToBuffer(docDefinition, options = {}) {
+    // Unknown fonts fail the same way on every attempt
+    this.validateFonts(docDefinition);
+
     const taskId = this.generateTaskId();
     const startTime = performance.now();
 
+    // The signal can't be cloned into the worker, so it stays out of options
+    const { signal, ...renderOptions } = options;
+
     const taskInfo = {
       id: taskId,
       docDefinition,
-      options,
+      options: renderOptions,
+      signal,
       attempts: 0,
       maxRetries: options.maxRetries || this.options.maxRetries,
       createdAt: Date.now(),
       lastAttemptAt: null,
       errors: [],
+      priority: this.laneFor(options.priority),
     };
 
     // Track task
     this.activeTasks.set(taskId, taskInfo);
 
+    taskInfo.span = this.startRenderSpan(taskInfo);
+
     try {
       const buffer = await this.executeTask(taskInfo);
 
       // Success - update stats
       const duration = performance.now() - startTime;
-      this.updateStats(duration, taskInfo.attempts);
+      this.updateStats(duration, taskInfo.attempts, taskInfo, buffer.length);
+
+      taskInfo.span?.setAttributes({
+        "pdf.attempts": taskInfo.attempts,
+        "pdf.size": buffer.length,
+        "pdf.pages": taskInfo.pages,
+      });
+      this.reportWarnings(taskInfo);
+      taskInfo.span?.end();
+
+      this.emit("task-completed", {
+        taskId,
+        duration,
+        attempts: taskInfo.attempts,
+        size: buffer.length,
+        pages: taskInfo.pages,
+        metadata: options.metadata,
+      });
 
       // Cleanup
       this.activeTasks.delete(taskId);
 
       return buffer;
     } catch (err) {
-      // Final failure after all retries
       this.activeTasks.delete(taskId);
-      this.stats.errors++;
+
+      if (this.isCancelled(taskInfo)) {
+        this.recordCancellation(taskInfo);
+        throw err;
+      }
+
+      if (err.code === "QUEUE_FULL") {
+        this.recordRejection(taskInfo);
+        throw err;
+      }
+
+      // Final failure after all retries
+      this.updateErrorStats(taskInfo);
+
+      taskInfo.span?.setAttribute("pdf.attempts", taskInfo.attempts);
+      taskInfo.span?.recordException(err);
+      taskInfo.span?.end();
 
       this.log(
         `❌ Task ${taskId} failed after ${taskInfo.attempts} attempts: ${err.message}`,
+        "error",
       );
       this.emit("task-failed", {
         taskId,
         attempts: taskInfo.attempts,
         error: err,
+        metadata: options.metadata,
+        docDefinition,
       });
 
       throw err;
@@ -268,6 +817,7 @@ export class PdfRenderServiceResilient extends EventEmitter {
 
       this.log(
         `▶️  Task ${taskInfo.id} attempt ${taskInfo.attempts}/${taskInfo.maxRetries}`,
+        "debug",
       );
 
       // Track task execution start time for hang detection
@@ -277,22 +827,28 @@ export class PdfRenderServiceResilient extends EventEmitter {
         taskInfo: taskInfo,
       });
 
+      const attemptSpan = this.startAttemptSpan(taskInfo);
+
       try {
         // Execute on worker
-        const arrayBuffer = await this.piscina.run(
+        const result = await this.runOnPool(
           {
             docDefinition: taskInfo.docDefinition,
             options: taskInfo.options,
+            trace: attemptSpan?.context(),
+            enqueuedAt: performance.timeOrigin + performance.now(),
           },
           {
             timeout: taskInfo.options.timeout || this.options.taskTimeout,
-            signal: taskInfo.options.signal,
+            signal: taskInfo.signal,
           },
+          taskInfo.priority,
         );
 
         // Success! Remove from execution tracking
         this.taskExecutionTimes.delete(taskInfo.id);
         this.stuckTasks.delete(taskInfo.id);
+        attemptSpan?.end();
 
         const executionTime = Date.now() - executionStart;
 
@@ -307,10 +863,19 @@ export class PdfRenderServiceResilient extends EventEmitter {
           });
         }
 
-        return Buffer.from(arrayBuffer);
+        taskInfo.pages = result.pages;
+        taskInfo.warnings = result.warnings;
+        return Buffer.from(result.pdf);
       } catch (err) {
         // Remove from execution tracking
         this.taskExecutionTimes.delete(taskInfo.id);
+        attemptSpan?.recordException(err);
+        attemptSpan?.end();
+
+        // Cancelled renders and full lanes go straight back to the caller
+        if (this.isCancelled(taskInfo) || err.code === "QUEUE_FULL") {
+          throw err;
+        }
 
         // Track error
         taskInfo.errors.push({
@@ -325,6 +890,7 @@ export class PdfRenderServiceResilient extends EventEmitter {
           : "ERROR";
         this.log(
           `⚠️  Task ${taskInfo.id} attempt ${taskInfo.attempts} failed [${errorType}]: ${err.message}`,
+          "warn",
         );
 
         // Clear stuck flag for retry
@@ -345,9 +911,12 @@ export class PdfRenderServiceResilient extends EventEmitter {
             attempt: taskInfo.attempts,
             delay,
           });
+          taskInfo.span?.addEvent("retry", {
+            "pdf.attempt": taskInfo.attempts,
+            "pdf.retry_delay_ms": delay,
+          });
 
-          // Wait before retry
-          await new Promise((resolve) => setTimeout(resolve, delay));
+          await this.waitForRetry(taskInfo, delay);
 
           // Continue to next retry
           continue;
@@ -365,26 +934,398 @@ export class PdfRenderServiceResilient extends EventEmitter {
 
   /**
    * Render to stream (with retry support)
+   * pdfmake lays the whole document out before the worker can read any
+   * output, so the first byte is sent about when a buffered render would
+   * finish. Streaming saves memory, not latency: the worker forwards
+   * PDFKit chunks over a MessagePort and the main thread never holds the
+   * whole file. Retries only happen until the first byte was written;
+   * after that the failure is thrown to the caller.
    */
   async renderToStream(docDefinition, response, options = {}) {
-    const buffer = await this.renderToBuffer(docDefinition, options);
-    const chunkSize = options.chunkSize || 128 * 1024;
-    let offset = 0;
-
-    while (offset < buffer.length) {
-      const chunk = buffer.subarray(
-        offset,
-        Math.min(offset + chunkSize, buffer.length),
+    // Unknown fonts fail the same way on every attempt
+    this.validateFonts(docDefinition);
+
+    const taskId = this.generateTaskId();
+    const startTime = performance.now();
+
+    // The signal can't be cloned into the worker, so it stays out of options
+    const { signal, ...renderOptions } = options;
+
+    const taskInfo = {
+      id: taskId,
+      docDefinition,
+      options: renderOptions,
+      signal,
+      attempts: 0,
+      maxRetries: options.maxRetries || this.options.maxRetries,
+      createdAt: Date.now(),
+      lastAttemptAt: null,
+      errors: [],
+      priority: this.laneFor(options.priority),
+      streaming: true,
+      bytesSent: 0,
+    };
+
+    this.activeTasks.set(taskId, taskInfo);
+
+    taskInfo.span = this.startRenderSpan(taskInfo);
+
+    try {
+      const size = await this.executeStreamTask(taskInfo, response);
+
+      const duration = performance.now() - startTime;
+      this.updateStats(duration, taskInfo.attempts, taskInfo, size);
+
+      taskInfo.span?.setAttributes({
+        "pdf.attempts": taskInfo.attempts,
+        "pdf.size": size,
+        "pdf.pages": taskInfo.pages,
+      });
+      this.reportWarnings(taskInfo);
+      taskInfo.span?.end();
+
+      this.emit("task-completed", {
+        taskId,
+        duration,
+        attempts: taskInfo.attempts,
+        size,
+        pages: taskInfo.pages,
+        metadata: options.metadata,
+        streaming: true,
+      });
+
+      this.activeTasks.delete(taskId);
+
+      return size;
+    } catch (err) {
+      this.activeTasks.delete(taskId);
+
+      if (this.isCancelled(taskInfo)) {
+        this.recordCancellation(taskInfo);
+        throw err;
+      }
+
+      if (err.code === "QUEUE_FULL") {
+        this.recordRejection(taskInfo);
+        throw err;
+      }
+
+      this.updateErrorStats(taskInfo);
+
+      taskInfo.span?.setAttributes({
+        "pdf.attempts": taskInfo.attempts,
+        "pdf.bytes_sent": taskInfo.bytesSent,
+      });
+      taskInfo.span?.recordException(err);
+      taskInfo.span?.end();
+
+      this.log(
+        `❌ Task ${taskId} failed after ${taskInfo.attempts} attempts (${taskInfo.bytesSent} bytes sent): ${err.message}`,
+        "error",
       );
+      this.emit("task-failed", {
+        taskId,
+        attempts: taskInfo.attempts,
+        error: err,
+        metadata: options.metadata,
+        docDefinition,
+      });
+
+      throw err;
+    }
+  }
+
+  /**
+   * Execute streaming task, retrying only while nothing was sent
+   */
+  async executeStreamTask(taskInfo, response) {
+    while (true) {
+      taskInfo.attempts++;
+      taskInfo.lastAttemptAt = Date.now();
+
+      this.log(
+        `▶️  Task ${taskInfo.id} stream attempt ${taskInfo.attempts}/${taskInfo.maxRetries}`,
+        "debug",
+      );
+
+      this.taskExecutionTimes.set(taskInfo.id, {
+        startTime: Date.now(),
+        taskInfo: taskInfo,
+      });
+
+      const attemptSpan = this.startAttemptSpan(taskInfo);
+
+      try {
+        const size = await this.streamAttempt(taskInfo, response, attemptSpan);
+
+        this.taskExecutionTimes.delete(taskInfo.id);
+        this.stuckTasks.delete(taskInfo.id);
+        attemptSpan?.end();
+
+        if (taskInfo.attempts > 1) {
+          this.stats.recovered++;
+          this.emit("task-recovered", {
+            taskId: taskInfo.id,
+            attempts: taskInfo.attempts,
+          });
+        }
+
+        return size;
+      } catch (err) {
+        this.taskExecutionTimes.delete(taskInfo.id);
+        attemptSpan?.recordException(err);
+        attemptSpan?.end();
+
+        // Cancelled renders and full lanes go straight back to the caller
+        if (this.isCancelled(taskInfo) || err.code === "QUEUE_FULL") {
+          throw err;
+        }
+
+        taskInfo.errors.push({
+          attempt: taskInfo.attempts,
+          timestamp: Date.now(),
+          error: err.message,
+          wasStuck: this.stuckTasks.has(taskInfo.id),
+          bytesSent: taskInfo.bytesSent,
+        });
+
+        this.stuckTasks.delete(taskInfo.id);
 
-      if (!response.write(chunk)) {
-        await new Promise((resolve) => response.once("drain", resolve));
+        // Once bytes are out a retry would corrupt the response
+        const canRetry =
+          taskInfo.bytesSent === 0 &&
+          !response.destroyed &&
+          taskInfo.attempts < taskInfo.maxRetries;
+
+        if (!canRetry) {
+          throw new Error(
+            `Task failed after ${taskInfo.attempts} attempts: ${err.message}`,
+          );
+        }
+
+        this.stats.retries++;
+
+        const delay = this.calculateRetryDelay(taskInfo.attempts);
+        this.log(
+          `🔄 Task ${taskInfo.id} will retry stream in ${delay}ms (attempt ${taskInfo.attempts + 1}/${taskInfo.maxRetries})`,
+        );
+
+        this.emit("task-retry", {
+          taskId: taskInfo.id,
+          attempt: taskInfo.attempts,
+          delay,
+        });
+        taskInfo.span?.addEvent("retry", {
+          "pdf.attempt": taskInfo.attempts,
+          "pdf.retry_delay_ms": delay,
+        });
+
+        await this.waitForRetry(taskInfo, delay);
+      }
+    }
+  }
+
+  /**
+   * Run one streaming attempt on a worker
+   * Chunks are acknowledged once the response flushed them, which lets the
+   * worker pause PDFKit while the client reads slowly.
+   */
+  streamAttempt(taskInfo, response, attemptSpan) {
+    const { port1, port2 } = new MessageChannel();
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let taskDone = false;
+      let size = null;
+
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        port1.close();
+
+        if (err) reject(err);
+        else resolve(size);
+      };
+
+      port1.on("message", (message) => {
+        if (settled) return;
+
+        if (message.type === "chunk") {
+          const { buffer, byteOffset, byteLength } = message.chunk;
+          const chunk = Buffer.from(buffer, byteOffset, byteLength);
+
+          taskInfo.bytesSent += byteLength;
+          response.write(chunk, () => {
+            if (!settled) port1.postMessage({ type: "ack", bytes: byteLength });
+          });
+        } else if (message.type === "end") {
+          size = message.size;
+          taskInfo.pages = message.pages;
+          response.end();
+
+          // The task result and the port are separate channels
+          if (taskDone) finish();
+        }
+      });
+
+      this.runOnPool(
+        {
+          docDefinition: taskInfo.docDefinition,
+          options: taskInfo.options,
+          port: port2,
+          trace: attemptSpan?.context(),
+          enqueuedAt: performance.timeOrigin + performance.now(),
+        },
+        {
+          transferList: [port2],
+          timeout: taskInfo.options.timeout || this.options.taskTimeout,
+          signal: taskInfo.signal,
+        },
+        taskInfo.priority,
+      )
+        .then((result) => {
+          taskInfo.warnings = result.warnings;
+          taskDone = true;
+          if (size !== null) finish();
+        })
+        .catch(finish);
+    });
+  }
+
+  /**
+   * Lane of a render; unknown lanes are a caller error
+   */
+  laneFor(priority) {
+    const lane = priority || this.options.defaultLane;
+    if (!this.lanes.has(lane)) {
+      throw new Error(`Unknown priority lane "${priority}"`);
+    }
+    return lane;
+  }
+
+  /**
+   * Run a task on the pool once its lane gets a worker slot
+   * Afterwards a worker being recycled may be idle and ready to go
+   */
+  runOnPool(task, options, laneName = this.options.defaultLane) {
+    const lane = this.lanes.get(laneName);
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      if (lane.queue.length >= lane.maxQueue) {
+        lane.rejected++;
+        const err = new Error(`Queue of lane "${laneName}" is full`);
+        err.code = "QUEUE_FULL";
+        reject(err);
+        return;
       }
 
-      offset += chunk.length;
+      // Cancelled while waiting in the lane; once dispatched, the worker is
+      // asked to stop, see dispatchLanes
+      const entry = { task, options, resolve, reject };
+      entry.onAbort = () => {
+        lane.queue.splice(lane.queue.indexOf(entry), 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", entry.onAbort, { once: true });
+
+      lane.queue.push(entry);
+      this.dispatchLanes();
+    }).finally(() => this.processRecycling());
+  }
+
+  /**
+   * Hand waiting tasks to Piscina, highest lane first, while worker slots
+   * are free and each lane stays within its share
+   */
+  dispatchLanes() {
+    const slots =
+      this.options.maxThreads * this.options.concurrentTasksPerWorker;
+
+    for (const lane of this.lanes.values()) {
+      while (
+        lane.queue.length > 0 &&
+        lane.running < lane.slots &&
+        this.runningTasks < slots
+      ) {
+        const { task, options, resolve, reject, onAbort } = lane.queue.shift();
+        const { signal, ...runOptions } = options;
+        signal?.removeEventListener("abort", onAbort);
+        lane.running++;
+        this.runningTasks++;
+
+        // The signal stays away from Piscina: it terminates the worker of an
+        // aborted task and gives abortable tasks idle workers only. The
+        // worker checks this flag between phases and stops on its own; the
+        // slot is held until it has
+        let onRunningAbort = null;
+        if (signal) {
+          task.cancel = new Int32Array(new SharedArrayBuffer(4));
+          onRunningAbort = () => {
+            Atomics.store(task.cancel, 0, 1);
+            reject(signal.reason);
+          };
+          signal.addEventListener("abort", onRunningAbort, { once: true });
+        }
+
+        this.piscina
+          .run(task, runOptions)
+          .finally(() => {
+            signal?.removeEventListener("abort", onRunningAbort);
+            lane.running--;
+            lane.completed++;
+            this.runningTasks--;
+            this.dispatchLanes();
+          })
+          .then(resolve, reject);
+      }
     }
+  }
 
-    response.end();
+  /**
+   * Throw an UNKNOWN_FONT error when the document names unregistered fonts
+   */
+  validateFonts(docDefinition) {
+    this.fonts.validate(docDefinition);
+  }
+
+  /**
+   * Registered font families and their styles
+   */
+  getFonts() {
+    return this.fonts.list();
+  }
+
+  /**
+   * Tasks waiting for a worker, in their lane or in Piscina
+   */
+  getQueueSize() {
+    let queued = this.piscina.queueSize;
+    for (const lane of this.lanes.values()) queued += lane.queue.length;
+    return queued;
+  }
+
+  /**
+   * Queue depth and running tasks per lane
+   */
+  getLaneStats() {
+    const lanes = {};
+    for (const [name, lane] of this.lanes) {
+      lanes[name] = {
+        queued: lane.queue.length,
+        running: lane.running,
+        slots: lane.slots,
+        maxQueue: lane.maxQueue,
+        completed: lane.completed,
+        rejected: lane.rejected,
+      };
+    }
+    return lanes;
   }
 
   /**
@@ -394,6 +1335,9 @@ export class PdfRenderServiceResilient extends EventEmitter {
     const inFlightTasks = [];
 
     for (const [taskId, taskInfo] of this.activeTasks) {
+      // Streams retry on their own and can't restart once bytes were sent
+      if (taskInfo.streaming || this.isCancelled(taskInfo)) continue;
+
       // Check if task is actively processing and has retries left
       if (taskInfo.attempts < taskInfo.maxRetries) {
         // Add to retry queue
@@ -458,6 +1402,7 @@ export class PdfRenderServiceResilient extends EventEmitter {
 
           this.log(
             `🚨 HUNG TASK DETECTED: ${taskId} running for ${executionTime}ms (threshold: ${this.options.hangThreshold}ms)`,
+            "warn",
           );
 
           this.emit("task-hung", {
@@ -477,6 +1422,7 @@ export class PdfRenderServiceResilient extends EventEmitter {
     if (stuckTasksFound.length > 0) {
       this.log(
         `⚠️  ${stuckTasksFound.length} hung task(s) detected. Piscina timeout will handle termination.`,
+        "warn",
       );
       this.log(
         `   Note: Piscina taskTimeout (${this.options.taskTimeout}ms) will auto-abort these tasks.`,
@@ -492,23 +1438,6 @@ export class PdfRenderServiceResilient extends EventEmitter {
     }
   }
 
-  /**
-   * Update stats
-   */
-  updateStats(duration, attempts) {
-    this.stats.renders++;
-    this.stats.totalTime += duration;
-
-    if (duration < this.stats.minTime) this.stats.minTime = duration;
-    if (duration > this.stats.maxTime) this.stats.maxTime = duration;
-
-    // Ring buffer for percentiles
-    if (this.stats.timings.length >= this.stats.maxTimings) {
-      this.stats.timings.shift();
-    }
-    this.stats.timings.push(duration);
-  }
-
   /**
    * Process tasks in retry queue
    */
@@ -546,6 +1475,8 @@ export class PdfRenderServiceResilient extends EventEmitter {
               taskId: taskInfo.id,
               attempts: taskInfo.attempts,
               error: err,
+              metadata: taskInfo.options.metadata,
+              docDefinition: taskInfo.docDefinition,
             });
           });
       }
@@ -555,7 +1486,7 @@ export class PdfRenderServiceResilient extends EventEmitter {
   /**
    * Update stats
    */
-  updateStats(duration, attempts) {
+  updateStats(duration, attempts, taskInfo, size) {
     this.stats.renders++;
     this.stats.totalTime += duration;
 
@@ -567,24 +1498,119 @@ export class PdfRenderServiceResilient extends EventEmitter {
       this.stats.timings.shift();
     }
     this.stats.timings.push(duration);
+
+    // Per template and per page count, so long documents don't hide
+    // behind the global percentiles
+    const template = this.templateOf(taskInfo);
+    const bucket = pageBucket(taskInfo.pages);
+    this.statsGroup(this.templateStats, template).record(
+      duration,
+      size,
+      taskInfo.pages,
+    );
+    this.statsGroup(this.pageBucketStats, bucket).record(
+      duration,
+      size,
+      taskInfo.pages,
+    );
   }
 
   /**
-   * Calculate percentiles
+   * Whether the caller gave up on a render (e.g. the client disconnected)
    */
-  calculatePercentiles() {
-    if (this.stats.timings.length === 0) {
-      return { p50: 0, p95: 0, p99: 0 };
+  isCancelled(taskInfo) {
+    return taskInfo.signal?.aborted === true;
+  }
+
+  /**
+   * Log and emit what a finished render warned about (e.g. characters no
+   * font has glyphs for)
+   */
+  reportWarnings(taskInfo) {
+    for (const warning of taskInfo.warnings || []) {
+      this.stats.warnings++;
+
+      taskInfo.span?.addEvent("warning", {
+        "warning.code": warning.code,
+        "warning.message": warning.message,
+      });
+
+      this.log(`⚠️  Task ${taskInfo.id}: ${warning.message}`, "warn");
+      this.emit("render-warning", {
+        taskId: taskInfo.id,
+        ...warning,
+        metadata: taskInfo.options.metadata,
+      });
     }
+  }
+
+  /**
+   * Count a cancelled render; it is neither a success nor a failure
+   */
+  recordCancellation(taskInfo) {
+    this.stats.cancelled++;
 
-    const sorted = [...this.stats.timings].sort((a, b) => a - b);
-    const len = sorted.length;
+    taskInfo.span?.setAttribute("pdf.attempts", taskInfo.attempts);
+    taskInfo.span?.addEvent("cancelled");
+    taskInfo.span?.end();
 
-    return {
-      p50: sorted[Math.floor(len * 0.5)] || 0,
-      p95: sorted[Math.floor(len * 0.95)] || 0,
-      p99: sorted[Math.floor(len * 0.99)] || 0,
-    };
+    this.log(
+      `🚫 Task ${taskInfo.id} cancelled after ${taskInfo.attempts} attempts`,
+    );
+    this.emit("task-cancelled", {
+      taskId: taskInfo.id,
+      attempts: taskInfo.attempts,
+      metadata: taskInfo.options.metadata,
+      streaming: Boolean(taskInfo.streaming),
+    });
+  }
+
+  /**
+   * A render refused by its full lane never ran, so it is neither a failure
+   * nor a finished render; the lane already counted it as rejected
+   */
+  recordRejection(taskInfo) {
+    taskInfo.span?.addEvent("rejected", { "pdf.lane": taskInfo.priority });
+    taskInfo.span?.end();
+
+    this.log(
+      `🚦 Task ${taskInfo.id} rejected, lane "${taskInfo.priority}" is full`,
+      "debug",
+    );
+  }
+
+  /**
+   * Count a render that failed for good, also against its template
+   */
+  updateErrorStats(taskInfo) {
+    this.stats.errors++;
+    this.statsGroup(this.templateStats, this.templateOf(taskInfo)).errors++;
+  }
+
+  templateOf(taskInfo) {
+    return taskInfo.options.metadata?.template || "unknown";
+  }
+
+  statsGroup(groups, key) {
+    let group = groups.get(key);
+    if (!group) {
+      group = new RenderStatsGroup(this.stats.maxTimings);
+      groups.set(key, group);
+    }
+    return group;
+  }
+
+  summarizeGroups(groups) {
+    return Object.fromEntries(
+      [...groups].map(([key, group]) => [key, group.summary()]),
+    );
+  }
+
+  /**
+   * Calculate percentiles
+   */
+  calculatePercentiles() {
+    return percentiles(this.stats.timings);
   }
 
   /**
@@ -597,11 +1623,13 @@ export class PdfRenderServiceResilient extends EventEmitter {
       this.stats.renders > 0
         ? Math.round(this.stats.totalTime / this.stats.renders)
         : 0;
+    const lanes = this.getLaneStats();
 
     return {
-      // Piscina stats
+      // Piscina stats; queueSize includes tasks waiting in their lane
       threads: this.piscina.threads.length,
-      queueSize: this.piscina.queueSize,
+      warmedUp: this.warmedUp,
+      queueSize: this.getQueueSize(),
       completed: this.piscina.completed,
       utilization: this.piscina.utilization,
 
@@ -611,6 +1639,8 @@ export class PdfRenderServiceResilient extends EventEmitter {
       errors: this.stats.errors,
       retries: this.stats.retries,
       recovered: this.stats.recovered,
+      cancelled: this.stats.cancelled,
+      warnings: this.stats.warnings,
       workerCrashes: this.stats.workerCrashes,
       avgTime,
       minTime:
@@ -640,6 +1670,24 @@ export class PdfRenderServiceResilient extends EventEmitter {
       hangDetectionEnabled: this.options.enableHangDetection,
       hangThreshold: this.options.hangThreshold,
 
+      // Worker reports, see getWorkerStats()
+      workersReporting: this.workerHealth.size,
+      workerMemoryWarnings: [...this.workerHealth.values()].filter(
+        (health) => health.memoryWarning,
+      ).length,
+
+      // Priority lanes
+      lanes,
+
+      // Worker recycling
+      recycledWorkers: { ...this.stats.recycledWorkers },
+      retiringWorkers: [...this.retiringWorkers.keys()],
+      pendingRecycles: this.recycleRequests.size,
+
+      // Breakdown per template and per page-count bucket
+      templates: this.summarizeGroups(this.templateStats),
+      pageBuckets: this.summarizeGroups(this.pageBucketStats),
+
       // Resource utilization - NEW!
       maxConcurrentTasks:
         this.options.maxThreads * this.options.concurrentTasksPerWorker,
@@ -669,34 +1717,67 @@ export class PdfRenderServiceResilient extends EventEmitter {
   }
 
   /**
-   * Drain all pending tasks
+   * Wait for in-flight tasks to finish, at most `timeout` ms
+   * Returns how many of them completed, failed or were cancelled meanwhile,
+   * and how many were still unfinished at the deadline (`abandoned`, with
+   * those waiting in the retry queue). `abandonedRenders` are the part
+   * that isn't a render job, which the job service can't resume
    */
-  async drain() {
-    const maxWait = 10_000;
+  async drain(timeout = 10_000) {
     const startTime = Date.now();
+    const counts = {
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      abandoned: 0,
+      abandonedRenders: 0,
+    };
+
+    const listeners = {
+      "task-completed": () => counts.completed++,
+      "task-failed": () => counts.failed++,
+      "task-cancelled": () => counts.cancelled++,
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      this.on(event, listener);
+    }
 
     this.log(
-      `⏳ Draining... Active: ${this.activeTasks.size}, Queue: ${this.piscina.queueSize}`,
+      `⏳ Draining... Active: ${this.activeTasks.size}, Queue: ${this.getQueueSize()}`,
     );
 
     while (
-      (this.activeTasks.size > 0 || this.piscina.queueSize > 0) &&
-      Date.now() - startTime < maxWait
+      (this.activeTasks.size > 0 || this.getQueueSize() > 0) &&
+      Date.now() - startTime < timeout
     ) {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
 
-    if (this.activeTasks.size > 0) {
+    for (const [event, listener] of Object.entries(listeners)) {
+      this.off(event, listener);
+    }
+
+    counts.abandoned = this.activeTasks.size;
+    for (const taskInfo of this.activeTasks.values()) {
+      if (taskInfo.options.metadata?.type !== "render-job") {
+        counts.abandonedRenders++;
+      }
+    }
+    if (counts.abandoned > 0) {
       this.log(
-        `⚠️  ${this.activeTasks.size} tasks still active after drain timeout`,
+        `⚠️  ${counts.abandoned} tasks still active after drain timeout`,
+        "warn",
       );
     }
+
+    return counts;
   }
 
   /**
    * Shutdown
+   * Pass `drainTimeout: 0` when the caller already drained
    */
-  async close() {
+  async close({ drainTimeout = 5000 } = {}) {
     this.log("🛑 Closing Resilient PDF Service...");
 
     // Stop recovery loop
@@ -716,17 +1797,16 @@ export class PdfRenderServiceResilient extends EventEmitter {
 
     try {
       // Drain pending tasks
-      await Promise.race([
-        this.drain(),
-        new Promise((resolve) => setTimeout(resolve, 5000)),
-      ]);
+      if (drainTimeout > 0) {
+        await this.drain(drainTimeout);
+      }
 
       // Close Piscinia
       await this.piscina.destroy();
 
       this.log("✓ Service closed");
     } catch (err) {
-      this.log(`Error closing service: ${err.message}`);
+      this.log(`Error closing service: ${err.message}`, "error");
       throw err;
     }
   }
@@ -734,9 +1814,9 @@ export class PdfRenderServiceResilient extends EventEmitter {
   /**
    * Log helper
    */
-  log(message) {
+  log(message, level = "info") {
     if (this.options.enableLogging) {
-      console.log(`[PdfServiceResilient] ${message}`);
+      this.logger[level](message);
     }
   }
 }
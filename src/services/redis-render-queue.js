@@ -0,0 +1,502 @@
+import os from "os";
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { logger } from "./logger.js";
+import { createPayloadKey, openPayload, sealPayload } from "./payload-seal.js";
+
+// Moves due retries onto the pending list in one step, so no instance can
+// crash between taking a task off the retry set and requeueing it
+const PROMOTE_RETRIES_SCRIPT = `
+local due = redis.call("zrangebyscore", KEYS[1], 0, ARGV[1], "LIMIT", 0, ARGV[2])
+for _, taskId in ipairs(due) do
+  redis.call("zrem", KEYS[1], taskId)
+  redis.call("lpush", KEYS[2], taskId)
+end
+return #due
+`;
+
+/**
+ * Redis Render Queue
+ * Distributed queue for render tasks. Pending tasks, retries and failed
+ * task state live in Redis so they survive restarts, and every server
+ * instance pulls work from the same queue. Permanently failed tasks are
+ * reported with "task-failed"; the server's DeadLetterQueue keeps them.
+ *
+ * Task payloads carry patient data and are sealed with `encryptionKey`
+ * (see payload-seal.js); without a key they are stored as plain JSON.
+ *
+ * Keys (under keyPrefix):
+ *   queue:pending            list  - task ids waiting for a consumer
+ *   queue:processing:<id>    list  - task ids claimed by a consumer
+ *   queue:retry              zset  - task ids scored by next attempt time
+ *   task:<id>                hash  - task payload and state
+ *   result:<id>              string - rendered PDF (expires)
+ *   consumers                set   - known consumer ids
+ *   consumer:<id>            string - consumer heartbeat (expires)
+ */
+export class RedisRenderQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (!options.redis) {
+      throw new Error("RedisRenderQueue requires a redis client");
+    }
+
+    this.redis = options.redis;
+
+    this.options = {
+      keyPrefix: options.keyPrefix || "pdfgen:",
+      consumerId:
+        options.consumerId ||
+        `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`,
+      concurrency: options.concurrency || 1,
+      pollInterval: options.pollInterval || 200,
+
+      // Retry config
+      maxRetries: options.maxRetries || 3,
+      retryDelay: options.retryDelay || 1000,
+      retryBackoff: options.retryBackoff || 1.5,
+
+      // Consumer liveness - tasks of consumers without a heartbeat are requeued
+      heartbeatInterval: options.heartbeatInterval || 5000,
+      consumerTTL: options.consumerTTL || 15_000,
+
+      resultTTL: options.resultTTL || 300, // seconds
+
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger =
+      options.logger || logger.child({ component: "RedisRenderQueue" });
+
+    this.payloadKey = createPayloadKey(options.encryptionKey);
+
+    const prefix = this.options.keyPrefix;
+    this.keys = {
+      pending: `${prefix}queue:pending`,
+      processing: (consumerId) => `${prefix}queue:processing:${consumerId}`,
+      retry: `${prefix}queue:retry`,
+      task: (taskId) => `${prefix}task:${taskId}`,
+      result: (taskId) => `${prefix}result:${taskId}`,
+      consumers: `${prefix}consumers`,
+      consumer: (consumerId) => `${prefix}consumer:${consumerId}`,
+    };
+
+    this.processor = null;
+    this.running = false;
+    this.inFlight = 0;
+    this.active = new Set(); // ids of the tasks this consumer is running
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Calculate retry delay with exponential backoff
+   */
+  calculateRetryDelay(attempt) {
+    return (
+      this.options.retryDelay * Math.pow(this.options.retryBackoff, attempt - 1)
+    );
+  }
+
+  /**
+   * Persist a task and push it onto the pending list
+   */
+  async enqueue(payload, metadata = {}) {
+    const taskId = randomUUID();
+
+    await this.redis
+      .multi()
+      .hset(this.keys.task(taskId), {
+        id: taskId,
+        status: "pending",
+        ...this.encodePayload(payload),
+        metadata: JSON.stringify(metadata),
+        attempts: 0,
+        maxRetries: this.options.maxRetries,
+        createdAt: Date.now(),
+        errors: "[]",
+      })
+      .lpush(this.keys.pending, taskId)
+      .exec();
+
+    this.log(`📥 Task ${taskId} enqueued`);
+    return taskId;
+  }
+
+  /**
+   * Start consuming tasks with the given processor
+   * processor(payload, task) must resolve to a Buffer
+   */
+  async start(processor) {
+    if (this.running) return;
+
+    this.processor = processor;
+    this.running = true;
+
+    await this.heartbeat();
+    await this.redis.sadd(this.keys.consumers, this.options.consumerId);
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.reapDeadConsumers())
+        .catch((err) => this.log(`Heartbeat failed: ${err.message}`, "error"));
+    }, this.options.heartbeatInterval);
+
+    this.log(
+      `🚀 Consumer ${this.options.consumerId} started (concurrency: ${this.options.concurrency})`,
+    );
+
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Refresh this consumer's heartbeat key
+   */
+  heartbeat() {
+    return this.redis.set(
+      this.keys.consumer(this.options.consumerId),
+      String(Date.now()),
+      "PX",
+      this.options.consumerTTL,
+    );
+  }
+
+  /**
+   * Schedule the next poll tick
+   */
+  schedulePoll(delay = this.options.pollInterval) {
+    if (!this.running || this.pollTimer) return;
+
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll()
+        .catch((err) => this.log(`Poll failed: ${err.message}`, "error"))
+        .finally(() => this.schedulePoll());
+    }, delay);
+  }
+
+  /**
+   * Promote due retries and claim pending tasks up to the concurrency limit
+   */
+  async poll() {
+    await this.promoteRetries();
+
+    while (this.running && this.inFlight < this.options.concurrency) {
+      const taskId = await this.redis.rpoplpush(
+        this.keys.pending,
+        this.keys.processing(this.options.consumerId),
+      );
+      if (!taskId) break;
+
+      this.inFlight++;
+      this.active.add(taskId);
+      this.processTask(taskId)
+        .catch((err) => this.log(`Task ${taskId} crashed: ${err.message}`))
+        .finally(() => {
+          this.inFlight--;
+          this.active.delete(taskId);
+        });
+    }
+  }
+
+  /**
+   * Move retries whose backoff elapsed back onto the pending list
+   */
+  promoteRetries() {
+    return this.redis.eval(
+      PROMOTE_RETRIES_SCRIPT,
+      2,
+      this.keys.retry,
+      this.keys.pending,
+      Date.now(),
+      100,
+    );
+  }
+
+  /**
+   * Requeue tasks claimed by consumers whose heartbeat expired
+   */
+  async reapDeadConsumers() {
+    const consumers = await this.redis.smembers(this.keys.consumers);
+
+    for (const consumerId of consumers) {
+      if (consumerId === this.options.consumerId) continue;
+      if (await this.redis.exists(this.keys.consumer(consumerId))) continue;
+
+      let recovered = 0;
+      while (
+        await this.redis.rpoplpush(
+          this.keys.processing(consumerId),
+          this.keys.pending,
+        )
+      ) {
+        recovered++;
+      }
+
+      await this.redis.srem(this.keys.consumers, consumerId);
+
+      if (recovered > 0) {
+        this.log(
+          `🔧 Requeued ${recovered} tasks from dead consumer ${consumerId}`,
+        );
+        this.emit("consumer-reaped", { consumerId, recovered });
+      }
+    }
+  }
+
+  /**
+   * Run one attempt of a claimed task
+   */
+  async processTask(taskId) {
+    const processingKey = this.keys.processing(this.options.consumerId);
+    const task = await this.getTask(taskId);
+
+    if (!task) {
+      await this.redis.lrem(processingKey, 1, taskId);
+      return;
+    }
+
+    // Sealed with another key (or the key is gone); no attempt can succeed
+    if (task.payload === null) {
+      const reason = "Task payload can't be opened with the configured key";
+      await this.deadLetter(task, task.errors, reason);
+      this.emit("task-failed", {
+        taskId,
+        attempts: task.attempts,
+        error: new Error(reason),
+        metadata: task.metadata,
+        payload: null,
+      });
+      return;
+    }
+
+    // Attempts are counted when a task is claimed, so a document that kills
+    // its consumer comes back here from the reaper with its budget used up
+    if (task.attempts >= task.maxRetries) {
+      const reason = `Consumer died on attempt ${task.attempts} of ${task.maxRetries}`;
+      await this.deadLetter(task, task.errors, reason);
+      this.emit("task-failed", {
+        taskId,
+        attempts: task.attempts,
+        error: new Error(reason),
+        metadata: task.metadata,
+        payload: task.payload,
+      });
+      return;
+    }
+
+    task.attempts++;
+    await this.redis.hset(this.keys.task(taskId), {
+      status: "processing",
+      attempts: task.attempts,
+      startedAt: Date.now(),
+      consumer: this.options.consumerId,
+    });
+
+    try {
+      const buffer = await this.processor(task.payload, task);
+
+      await this.redis
+        .multi()
+        .set(this.keys.result(taskId), buffer, "EX", this.options.resultTTL)
+        .hset(this.keys.task(taskId), {
+          status: "completed",
+          completedAt: Date.now(),
+          resultSize: buffer.length,
+        })
+        .expire(this.keys.task(taskId), this.options.resultTTL)
+        .lrem(processingKey, 1, taskId)
+        .exec();
+
+      this.log(`✅ Task ${taskId} completed (${buffer.length} bytes)`);
+      this.emit("task-completed", {
+        taskId,
+        size: buffer.length,
+        metadata: task.metadata,
+        result: buffer,
+      });
+    } catch (err) {
+      const errors = [
+        ...task.errors,
+        { attempt: task.attempts, timestamp: Date.now(), error: err.message },
+      ];
+
+      if (task.attempts < task.maxRetries) {
+        const delay = this.calculateRetryDelay(task.attempts);
+
+        await this.redis
+          .multi()
+          .hset(this.keys.task(taskId), {
+            status: "retry_pending",
+            error: err.message,
+            errors: JSON.stringify(errors),
+          })
+          .zadd(this.keys.retry, Date.now() + delay, taskId)
+          .lrem(processingKey, 1, taskId)
+          .exec();
+
+        this.log(`🔄 Task ${taskId} will retry in ${delay}ms`);
+        this.emit("task-retry", { taskId, attempt: task.attempts, delay });
+        return;
+      }
+
+      await this.deadLetter(task, errors, err.message);
+      this.emit("task-failed", {
+        taskId,
+        attempts: task.attempts,
+        error: err,
+        metadata: task.metadata,
+        payload: task.payload,
+      });
+    }
+  }
+
+  /**
+   * Mark a claimed task failed for good and release it
+   */
+  async deadLetter(task, errors, reason) {
+    await this.redis
+      .multi()
+      .hset(this.keys.task(task.id), {
+        status: "failed",
+        completedAt: Date.now(),
+        error: reason,
+        errors: JSON.stringify(errors),
+      })
+      .expire(this.keys.task(task.id), this.options.resultTTL)
+      .lrem(this.keys.processing(this.options.consumerId), 1, task.id)
+      .exec();
+
+    this.log(`❌ Task ${task.id} failed: ${reason}`, "error");
+  }
+
+  /**
+   * Hash fields holding a task payload, sealed when a key is set
+   */
+  encodePayload(payload) {
+    return this.payloadKey
+      ? { payload: sealPayload(this.payloadKey, payload), sealed: 1 }
+      : { payload: JSON.stringify(payload) };
+  }
+
+  /**
+   * Payload of a task hash, or null when it is sealed and can't be opened
+   */
+  decodePayload(raw) {
+    if (raw.sealed !== "1") return JSON.parse(raw.payload);
+    if (!this.payloadKey) return null;
+
+    try {
+      return openPayload(this.payloadKey, raw.payload);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get a task with its state decoded (or null)
+   * `payload` is null when it is sealed and can't be opened with our key
+   */
+  async getTask(taskId) {
+    const raw = await this.redis.hgetall(this.keys.task(taskId));
+    if (!raw || !raw.id) return null;
+
+    return {
+      id: raw.id,
+      status: raw.status,
+      payload: this.decodePayload(raw),
+      metadata: JSON.parse(raw.metadata || "{}"),
+      attempts: parseInt(raw.attempts, 10),
+      maxRetries: parseInt(raw.maxRetries, 10),
+      createdAt: parseInt(raw.createdAt, 10),
+      startedAt: raw.startedAt ? parseInt(raw.startedAt, 10) : null,
+      completedAt: raw.completedAt ? parseInt(raw.completedAt, 10) : null,
+      consumer: raw.consumer || null,
+      error: raw.error || null,
+      errors: JSON.parse(raw.errors || "[]"),
+      resultSize: raw.resultSize ? parseInt(raw.resultSize, 10) : null,
+    };
+  }
+
+  /**
+   * Get the rendered PDF of a completed task (or null)
+   */
+  getResult(taskId) {
+    return this.redis.getBuffer(this.keys.result(taskId));
+  }
+
+  /**
+   * Get statistics
+   */
+  async getStats() {
+    const [pending, retry, processing] = await Promise.all([
+      this.redis.llen(this.keys.pending),
+      this.redis.zcard(this.keys.retry),
+      this.redis.llen(this.keys.processing(this.options.consumerId)),
+    ]);
+
+    return {
+      consumerId: this.options.consumerId,
+      running: this.running,
+      inFlight: this.inFlight,
+      pending,
+      retry,
+      processing,
+    };
+  }
+
+  /**
+   * Stop pulling work and wait for in-flight tasks
+   * Claimed tasks that aren't running are requeued. Tasks still running at
+   * the deadline stay claimed: requeueing them would render them twice.
+   * Their consumer is left to expire, so if this process exits before they
+   * finish, another instance's reaper requeues them
+   */
+  async stop(timeout = 5000) {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+
+    const deadline = Date.now() + timeout;
+    while (this.inFlight > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    const processingKey = this.keys.processing(this.options.consumerId);
+    const claimed = await this.redis.lrange(processingKey, 0, -1);
+
+    let requeued = 0;
+    for (const taskId of claimed) {
+      if (this.active.has(taskId)) continue;
+
+      const [[, removed]] = await this.redis
+        .multi()
+        .lrem(processingKey, 1, taskId)
+        .lpush(this.keys.pending, taskId)
+        .exec();
+      if (removed) requeued++;
+    }
+
+    if (this.inFlight === 0) {
+      await this.redis.del(this.keys.consumer(this.options.consumerId));
+      await this.redis.srem(this.keys.consumers, this.options.consumerId);
+    }
+
+    this.log(
+      `👋 Consumer ${this.options.consumerId} stopped (in-flight: ${this.inFlight}, requeued: ${requeued})`,
+    );
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
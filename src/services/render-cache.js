@@ -0,0 +1,248 @@
+import { createHash } from "crypto";
+import { logger } from "./logger.js";
+
+// JSON with object keys sorted, so equal data always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Render Cache
+ * Keeps rendered PDFs keyed by a hash of template name, template version
+ * and input data, so identical reprints skip the worker pool.
+ *
+ * In memory it is an LRU bounded by `max` entries. With a redis client the
+ * PDFs are shared by all instances: each entry expires on its own and a
+ * zset of last access times trims the cache back to `max`.
+ *
+ * Keys (under keyPrefix):
+ *   cache:pdf:<key>   string - rendered PDF (expires)
+ *   cache:meta:<key>  string - template name, for purging by template
+ *   cache:index       zset   - keys scored by last access
+ */
+export class RenderCache {
+  constructor(options = {}) {
+    this.options = {
+      max: options.max || 100,
+      ttl: options.ttl || 3_600_000, // 1h
+      keyPrefix: options.keyPrefix || "pdfgen:",
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger = options.logger || logger.child({ component: "RenderCache" });
+
+    this.redis = options.redis || null;
+
+    const prefix = `${this.options.keyPrefix}cache:`;
+    this.keys = {
+      pdf: (key) => `${prefix}pdf:${key}`,
+      meta: (key) => `${prefix}meta:${key}`,
+      index: `${prefix}index`,
+    };
+
+    this.entries = new Map(); // key -> { buffer, template, expiresAt }
+
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  get store() {
+    return this.redis ? "redis" : "memory";
+  }
+
+  /**
+   * Hash of everything that determines the PDF
+   */
+  keyFor(template, version, data, context = {}) {
+    return createHash("sha256")
+      .update(stableStringify({ template, version, data, context }))
+      .digest("hex");
+  }
+
+  /**
+   * ETag for a cache key
+   * Weak: the same input re-rendered gives an equivalent, not identical, file
+   */
+  etagFor(key) {
+    return `W/"${key.slice(0, 32)}"`;
+  }
+
+  /**
+   * Get a cached PDF (or null)
+   * Redis errors count as a miss so an outage only costs a re-render
+   */
+  async get(key) {
+    let buffer = null;
+    try {
+      buffer = this.redis ? await this.getRedis(key) : this.getMemory(key);
+    } catch (err) {
+      this.log(`Cache read failed: ${err.message}`, "warn");
+    }
+
+    if (buffer) this.stats.hits++;
+    else this.stats.misses++;
+
+    return buffer;
+  }
+
+  getMemory(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so Map order stays least -> most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.buffer;
+  }
+
+  async getRedis(key) {
+    const buffer = await this.redis.getBuffer(this.keys.pdf(key));
+    if (!buffer) return null;
+
+    await this.redis.zadd(this.keys.index, Date.now(), key);
+    return buffer;
+  }
+
+  /**
+   * Store a rendered PDF
+   */
+  async set(key, buffer, { template } = {}) {
+    if (this.redis) {
+      try {
+        await this.redis
+          .multi()
+          .set(this.keys.pdf(key), buffer, "PX", this.options.ttl)
+          .set(this.keys.meta(key), template || "", "PX", this.options.ttl)
+          .zadd(this.keys.index, Date.now(), key)
+          .exec();
+        await this.trimRedis();
+      } catch (err) {
+        this.log(`Cache write failed: ${err.message}`, "warn");
+      }
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      buffer,
+      template,
+      expiresAt: Date.now() + this.options.ttl,
+    });
+
+    // Map iterates in insertion order, so the first key is the LRU one
+    while (this.entries.size > this.options.max) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Evict least recently used Redis entries beyond max
+   * Index entries whose PDF already expired are dropped on the way
+   */
+  async trimRedis() {
+    const size = await this.redis.zcard(this.keys.index);
+    const excess = size - this.options.max;
+    if (excess <= 0) return;
+
+    const keys = await this.redis.zrange(this.keys.index, 0, excess - 1);
+    await this.removeRedis(keys);
+    this.stats.evictions += keys.length;
+  }
+
+  /**
+   * Remove Redis entries and their index records
+   */
+  async removeRedis(keys) {
+    if (keys.length === 0) return;
+
+    await this.redis
+      .multi()
+      .zrem(this.keys.index, ...keys)
+      .del(...keys.map(this.keys.pdf), ...keys.map(this.keys.meta))
+      .exec();
+  }
+
+  /**
+   * Drop cached PDFs, all or only those of one template
+   * Returns the number of entries removed
+   */
+  async purge({ template } = {}) {
+    let purged;
+
+    if (this.redis) {
+      let keys = await this.redis.zrange(this.keys.index, 0, -1);
+
+      if (template && keys.length > 0) {
+        const owners = await this.redis.mget(...keys.map(this.keys.meta));
+        keys = keys.filter((key, i) => owners[i] === template);
+      }
+
+      await this.removeRedis(keys);
+      purged = keys.length;
+    } else if (template) {
+      purged = 0;
+      for (const [key, entry] of this.entries) {
+        if (entry.template === template) {
+          this.entries.delete(key);
+          purged++;
+        }
+      }
+    } else {
+      purged = this.entries.size;
+      this.entries.clear();
+    }
+
+    this.log(
+      `🧹 Purged ${purged} cached PDFs${template ? ` (${template})` : ""}`,
+    );
+    return purged;
+  }
+
+  /**
+   * Get statistics
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const entries = this.redis
+      ? await this.redis.zcard(this.keys.index)
+      : this.entries.size;
+
+    return {
+      store: this.store,
+      entries,
+      max: this.options.max,
+      ttl: this.options.ttl,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      evictions: this.stats.evictions,
+      hitRate:
+        lookups > 0 ? ((this.stats.hits / lookups) * 100).toFixed(2) : 0,
+    };
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
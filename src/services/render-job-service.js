@@ -0,0 +1,312 @@
+import { EventEmitter } from "events";
+import { logger } from "./logger.js";
+
+/**
+ * Render Job Service
+ * Runs renders in the background so callers don't hold HTTP connections
+ * open. Job state (pending/processing/completed/failed, attempts, errors)
+ * lives in the RequestTracker; the tracker's retry budget drives re-runs.
+ *
+ * With a RedisRenderQueue the jobs are persisted in Redis instead and any
+ * server instance sharing the queue may render them.
+ */
+export class RenderJobService extends EventEmitter {
+  constructor({ pdfService, requestTracker, queue, ...options } = {}) {
+    super();
+
+    if (!pdfService || !requestTracker) {
+      throw new Error("RenderJobService requires pdfService and requestTracker");
+    }
+
+    this.pdfService = pdfService;
+    this.requestTracker = requestTracker;
+    this.queue = queue || null;
+
+    this.options = {
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger =
+      options.logger || logger.child({ component: "RenderJobService" });
+
+    // Document definitions waiting to be (re)rendered: jobId -> docDefinition
+    // Dropped once the job reaches a final state
+    this.pendingDocs = new Map();
+    this.retryTimers = new Map(); // jobId -> retry timeout
+    this.stopped = false;
+
+    if (this.queue) {
+      this.setupQueue();
+    }
+  }
+
+  /**
+   * Render tasks pulled from the distributed queue and relay its events
+   */
+  setupQueue() {
+    this.queue.on("task-completed", ({ taskId, size, metadata, result }) => {
+      this.emit("job-completed", { jobId: taskId, size, metadata, result });
+    });
+
+    this.queue.on("task-retry", ({ taskId, attempt, delay }) => {
+      this.emit("job-retry", { jobId: taskId, attempt, delay });
+    });
+
+    this.queue.on(
+      "task-failed",
+      ({ taskId, attempts, error, metadata, payload }) => {
+        this.emit("job-failed", {
+          jobId: taskId,
+          attempts,
+          error,
+          metadata,
+          // null when the task was sealed with another key
+          docDefinition: payload?.docDefinition,
+        });
+      },
+    );
+  }
+
+  /**
+   * Start pulling work from the distributed queue (no-op in memory mode)
+   */
+  async start() {
+    if (!this.queue) return;
+
+    // Retries are owned by the queue so attempts are reported per job
+    await this.queue.start(({ docDefinition }, task) =>
+      this.pdfService.renderToBuffer(docDefinition, {
+        maxRetries: 1,
+        priority: task.metadata?.priority,
+        metadata: { ...task.metadata, type: "render-job" },
+      }),
+    );
+  }
+
+  /**
+   * Enqueue a render and return the job id
+   */
+  async submit(docDefinition, metadata = {}) {
+    if (this.queue) {
+      const jobId = await this.queue.enqueue({ docDefinition }, metadata);
+      this.emit("job-created", { jobId, metadata });
+      return jobId;
+    }
+
+    const jobId = this.requestTracker.createRequest({
+      type: "render-job",
+      ...metadata,
+    });
+
+    this.pendingDocs.set(jobId, docDefinition);
+
+    setImmediate(() => this.run(jobId));
+
+    this.emit("job-created", { jobId, metadata });
+    return jobId;
+  }
+
+  /**
+   * Run one attempt of a job
+   * The tracker decides whether a failure is retried or final
+   */
+  async run(jobId) {
+    this.retryTimers.delete(jobId);
+    if (this.stopped) return;
+
+    const docDefinition = this.pendingDocs.get(jobId);
+    if (!docDefinition) return;
+
+    this.requestTracker.startRequest(jobId);
+    const metadata = this.requestTracker.getRequest(jobId)?.metadata;
+
+    try {
+      // Retries are owned by the tracker so attempts are reported per job
+      const buffer = await this.pdfService.renderToBuffer(docDefinition, {
+        maxRetries: 1,
+        priority: metadata?.priority,
+        metadata,
+      });
+
+      this.pendingDocs.delete(jobId);
+      this.requestTracker.completeRequest(jobId, buffer);
+
+      this.log(`✅ Job ${jobId} completed (${buffer.length} bytes)`);
+      this.emit("job-completed", {
+        jobId,
+        size: buffer.length,
+        metadata,
+        result: buffer,
+      });
+    } catch (err) {
+      // Cut short by shutdown: the job stays pending, see snapshot()
+      if (this.stopped) return;
+
+      const outcome = this.requestTracker.failRequest(jobId, err);
+
+      if (outcome?.shouldRetry) {
+        const delay = this.requestTracker.options.retryDelay;
+        this.log(`🔄 Job ${jobId} will retry in ${delay}ms`);
+        this.emit("job-retry", {
+          jobId,
+          attempt: outcome.request.attempts,
+          delay,
+        });
+        this.retryTimers.set(
+          jobId,
+          setTimeout(() => this.run(jobId), delay),
+        );
+        return;
+      }
+
+      this.pendingDocs.delete(jobId);
+
+      this.log(`❌ Job ${jobId} failed: ${err.message}`, "error");
+      this.emit("job-failed", {
+        jobId,
+        attempts: outcome?.request.attempts,
+        error: err,
+        metadata,
+        docDefinition,
+      });
+    }
+  }
+
+  /**
+   * Jobs not finished yet, to be persisted across a restart
+   * Memory mode only; the Redis queue keeps its jobs itself
+   */
+  snapshot() {
+    if (this.queue) return [];
+
+    return [...this.pendingDocs].map(([jobId, docDefinition]) => {
+      const request = this.requestTracker.getRequest(jobId);
+      return {
+        jobId,
+        docDefinition,
+        metadata: request?.metadata,
+        createdAt: request?.createdAt,
+        errors: request?.errors,
+      };
+    });
+  }
+
+  /**
+   * Re-queue jobs from a snapshot under their previous ids, so clients
+   * polling /jobs/:id still find them
+   */
+  restore(jobs) {
+    for (const { jobId, docDefinition, metadata, createdAt, errors } of jobs) {
+      this.requestTracker.createRequest(metadata, {
+        id: jobId,
+        createdAt,
+        errors,
+      });
+      this.pendingDocs.set(jobId, docDefinition);
+
+      setImmediate(() => this.run(jobId));
+    }
+
+    this.log(`📂 Restored ${jobs.length} jobs from the previous process`);
+  }
+
+  /**
+   * Get the public view of a job (or null)
+   */
+  async getJob(jobId) {
+    if (this.queue) {
+      const task = await this.queue.getTask(jobId);
+      if (!task) return null;
+
+      return {
+        id: task.id,
+        status: task.status,
+        template: task.metadata.template,
+        tenant: task.metadata.tenant,
+        callbackUrl: task.metadata.callbackUrl,
+        attempts: task.attempts,
+        maxRetries: task.maxRetries,
+        createdAt: task.createdAt,
+        startedAt: task.startedAt,
+        completedAt: task.completedAt,
+        error: task.error,
+        errors: task.errors,
+        resultSize: task.resultSize,
+      };
+    }
+
+    const request = this.requestTracker.getRequest(jobId);
+    if (!request || request.metadata?.type !== "render-job") return null;
+
+    return {
+      id: request.id,
+      status: request.status,
+      template: request.metadata.template,
+      tenant: request.metadata.tenant,
+      callbackUrl: request.metadata.callbackUrl,
+      attempts: request.attempts,
+      maxRetries: request.maxRetries,
+      createdAt: request.createdAt,
+      startedAt: request.startedAt,
+      completedAt: request.completedAt,
+      error: request.error,
+      errors: request.errors,
+      resultSize: request.result ? request.result.length : null,
+    };
+  }
+
+  /**
+   * Get the rendered PDF of a completed job (or null)
+   */
+  async getResult(jobId) {
+    if (this.queue) {
+      return this.queue.getResult(jobId);
+    }
+
+    const request = this.requestTracker.getRequest(jobId);
+    if (!request || request.status !== "completed") return null;
+    return request.result;
+  }
+
+  /**
+   * Get statistics
+   */
+  async getStats() {
+    if (this.queue) {
+      return { mode: "redis", ...(await this.queue.getStats()) };
+    }
+
+    return {
+      mode: "memory",
+      pending: this.pendingDocs.size,
+      retryScheduled: this.retryTimers.size,
+    };
+  }
+
+  /**
+   * Stop scheduled retries (memory) or stop consuming (redis)
+   */
+  async shutdown() {
+    this.stopped = true;
+
+    if (this.queue) {
+      await this.queue.stop();
+      return;
+    }
+
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    this.log(`👋 Shutdown - Pending jobs: ${this.pendingDocs.size}`);
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import { mkdir, readFile, rename, unlink, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { openPayload, sealPayload } from "./payload-seal.js";
+
+/**
+ * Shutdown Snapshot
+ * Work a stopping process could not finish, written to disk so the next
+ * start picks it up: { createdAt, pid, jobs: [...] }, see
+ * RenderJobService#snapshot. Each job's document definition carries
+ * patient data and is stored sealed (`payload`, see payload-seal.js).
+ *
+ * Only render jobs are kept. HTTP renders still running or waiting in
+ * PdfRenderService#retryQueue at the deadline are abandoned: their
+ * connection is gone by the next start, so there is no one to answer. The
+ * shutdown summary counts them as `abandonedRenders`. A render job's
+ * retries are driven by RenderJobService, so the job is in the snapshot.
+ */
+
+/**
+ * Write the snapshot (replacing an older one in one rename)
+ * Job payloads are sealed with `key`. Without one they are written as
+ * plain JSON, unless `requireKey` is set, which refuses to write instead
+ */
+export async function writeSnapshot(
+  filePath,
+  snapshot,
+  { key = null, requireKey = false } = {},
+) {
+  if (!key && requireKey) {
+    throw new Error(
+      `Refusing to write ${snapshot.jobs.length} jobs without an encryption key`,
+    );
+  }
+
+  const jobs = key
+    ? snapshot.jobs.map(({ docDefinition, ...job }) => ({
+        ...job,
+        payload: sealPayload(key, docDefinition),
+      }))
+    : snapshot.jobs;
+  const tmpPath = `${filePath}.tmp`;
+
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(
+    tmpPath,
+    JSON.stringify({
+      createdAt: Date.now(),
+      pid: process.pid,
+      ...snapshot,
+      jobs,
+    }),
+  );
+  await rename(tmpPath, filePath);
+}
+
+/**
+ * Read the snapshot with its job payloads opened, or null when there is
+ * none. The file stays until removeSnapshot, so a crash before the jobs
+ * were restored doesn't lose them. A snapshot that can't be parsed or
+ * opened with `key` is renamed to `<filePath>.corrupt-<time>` for
+ * inspection before throwing
+ */
+export async function readSnapshot(filePath, { key = null } = {}) {
+  let content;
+  try {
+    content = await readFile(filePath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  try {
+    const snapshot = JSON.parse(content);
+    snapshot.jobs = snapshot.jobs.map(({ payload, ...job }) => {
+      if (payload === undefined) return job;
+      if (!key) throw new Error("Job payloads are sealed, but no key is set");
+      return { ...job, docDefinition: openPayload(key, payload) };
+    });
+    return snapshot;
+  } catch (err) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    await rename(filePath, corruptPath);
+    err.message = `${err.message} (moved to ${corruptPath})`;
+    throw err;
+  }
+}
+
+/**
+ * Remove the snapshot once its jobs were restored, so they resume only once
+ */
+export async function removeSnapshot(filePath) {
+  try {
+    await unlink(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
@@ -0,0 +1,146 @@
+import Ajv from "ajv";
+import { isSupportedLocale } from "../utils/formatAmount.js";
+
+// RFC 6901: "~" and "/" must be escaped inside a JSON pointer token
+const escapePointerToken = (token) =>
+  String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+
+/**
+ * Template Registry
+ * Maps document type names (invoice, receipt, ...) to the builders that
+ * turn request data into a pdfmake docDefinition
+ */
+export class TemplateRegistry {
+  constructor(options = {}) {
+    this.options = {
+      // Names that would shadow fixed routes under /pdf
+      reservedNames: options.reservedNames || ["stream"],
+    };
+
+    this.templates = new Map(); // name -> template definition
+    this.validators = new Map(); // name -> compiled JSON Schema validator
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+
+    // Locale tags the number formatting can use ("id-ID", "en-US")
+    this.ajv.addFormat("locale", isSupportedLocale);
+  }
+
+  /**
+   * Register a document builder under a template name
+   */
+  register(name, definition = {}) {
+    if (typeof name !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(
+        `Invalid template name "${name}" (use lowercase letters, digits and dashes)`,
+      );
+    }
+
+    if (this.options.reservedNames.includes(name)) {
+      throw new Error(`Template name "${name}" is reserved`);
+    }
+
+    if (this.templates.has(name)) {
+      throw new Error(`Template "${name}" is already registered`);
+    }
+
+    if (typeof definition.build !== "function") {
+      throw new Error(`Template "${name}" must provide a build function`);
+    }
+
+    if (definition.check && typeof definition.check !== "function") {
+      throw new Error(`Template "${name}" check must be a function`);
+    }
+
+    this.templates.set(
+      name,
+      Object.freeze({
+        name,
+        description: definition.description || "",
+        version: definition.version || "1.0.0",
+        schema: definition.schema || null,
+        check: definition.check || null,
+        build: definition.build,
+      }),
+    );
+
+    if (definition.schema) {
+      this.validators.set(name, this.ajv.compile(definition.schema));
+    }
+
+    return this;
+  }
+
+  /**
+   * Check whether a template is registered
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * Get a registered template (or undefined)
+   */
+  get(name) {
+    return this.templates.get(name);
+  }
+
+  /**
+   * List registered templates without their builders
+   */
+  list() {
+    return Array.from(this.templates.values()).map(
+      ({ name, description, version, schema }) => ({
+        name,
+        description,
+        version,
+        hasSchema: schema !== null,
+      }),
+    );
+  }
+
+  /**
+   * Get the JSON Schema a template declares for its input (or null)
+   */
+  getSchema(name) {
+    return this.templates.get(name)?.schema || null;
+  }
+
+  /**
+   * Validate input data against the template schema, then run the
+   * template's own `check` for rules a schema can't express
+   * (it only sees data that passed the schema)
+   * Errors carry a JSON pointer to the offending field
+   */
+  validate(name, data) {
+    const validator = this.validators.get(name);
+    if (!validator || validator(data)) {
+      const errors = this.templates.get(name)?.check?.(data) || [];
+      return { valid: errors.length === 0, errors };
+    }
+
+    const errors = validator.errors.map((err) => ({
+      pointer:
+        err.keyword === "required"
+          ? `${err.instancePath}/${escapePointerToken(err.params.missingProperty)}`
+          : err.instancePath,
+      message: err.message,
+      keyword: err.keyword,
+    }));
+
+    return { valid: false, errors };
+  }
+
+  /**
+   * Build the docDefinition for a template
+   * `context` carries request facts such as the caller's tenant
+   */
+  build(name, data, context = {}) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Template "${name}" not found`);
+    }
+
+    return template.build(data, context);
+  }
+}
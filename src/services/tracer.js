@@ -0,0 +1,397 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import { appendFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { logger } from "./logger.js";
+
+// OTLP span kinds and status codes
+const SPAN_KINDS = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5,
+};
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const randomId = (bytes) => randomBytes(bytes).toString("hex");
+
+// Epoch milliseconds with sub-millisecond precision, comparable across threads
+const now = () => performance.timeOrigin + performance.now();
+
+/**
+ * Parse a W3C traceparent header into { traceId, spanId, sampled }
+ * Returns null for missing or malformed headers (incl. all-zero ids)
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(
+    String(header || "")
+      .trim()
+      .toLowerCase(),
+  );
+  if (!match) return null;
+
+  const [, traceId, spanId, flags] = match;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Format a span context as a W3C traceparent header
+ */
+export function formatTraceparent({ traceId, spanId, sampled }) {
+  return `00-${traceId}-${spanId}-${sampled ? "01" : "00"}`;
+}
+
+/**
+ * Span
+ * One timed operation. Also used inside worker threads, where it has no
+ * tracer: finished spans are posted to the main thread as plain objects.
+ */
+export class Span {
+  constructor(name, options = {}) {
+    const { parent, kind = "internal", attributes = {}, startTime } = options;
+
+    this.name = name;
+    this.traceId = parent?.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = parent
+      ? parent.sampled !== false
+      : options.sampled !== false;
+    this.kind = kind;
+    this.startTime = startTime ?? now();
+    this.endTime = null;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: "unset" };
+
+    this.tracer = options.tracer || null;
+  }
+
+  /**
+   * Context handed to child spans and propagated to workers
+   */
+  context() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      sampled: this.sampled,
+    };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordException(err) {
+    this.addEvent("exception", {
+      "exception.type": err.name,
+      "exception.message": err.message,
+    });
+    return this.setStatus("error", err.message);
+  }
+
+  end(endTime = now()) {
+    if (this.endTime !== null) return;
+    this.endTime = endTime;
+    this.tracer?.onEnd(this);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      sampled: this.sampled,
+      kind: this.kind,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.endTime === null ? null : this.endTime - this.startTime,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status,
+    };
+  }
+}
+
+// OTLP/JSON attribute value
+function otlpValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === "number") return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+const otlpAttributes = (attributes = {}) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+const toNanos = (ms) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+/**
+ * Appends finished spans as JSON lines, for offline analysis
+ */
+export class FileSpanExporter {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+  }
+
+  async export(spans) {
+    await mkdir(dirname(this.filePath), { recursive: true });
+    const lines = spans.map((span) => JSON.stringify(span)).join("\n");
+    await appendFile(this.filePath, `${lines}\n`);
+  }
+}
+
+/**
+ * Sends finished spans to an OTLP/HTTP collector as JSON
+ */
+export class OtlpHttpExporter {
+  constructor({ endpoint, headers = {}, serviceName, timeout = 10_000 }) {
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.serviceName = serviceName;
+    this.timeout = timeout;
+  }
+
+  toOtlp(spans) {
+    return {
+      resourceSpans: [
+        {
+          resource: {
+            attributes: otlpAttributes({ "service.name": this.serviceName }),
+          },
+          scopeSpans: [
+            {
+              scope: { name: "pdfgen" },
+              spans: spans.map((span) => ({
+                traceId: span.traceId,
+                spanId: span.spanId,
+                parentSpanId: span.parentSpanId || undefined,
+                name: span.name,
+                kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+                startTimeUnixNano: toNanos(span.startTime),
+                endTimeUnixNano: toNanos(span.endTime),
+                attributes: otlpAttributes(span.attributes),
+                events: span.events.map((event) => ({
+                  name: event.name,
+                  timeUnixNano: toNanos(event.time),
+                  attributes: otlpAttributes(event.attributes),
+                })),
+                status: {
+                  code: STATUS_CODES[span.status.code] || 0,
+                  message: span.status.message,
+                },
+              })),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  async export(spans) {
+    const response = await fetch(this.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...this.headers },
+      body: JSON.stringify(this.toOtlp(spans)),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP export failed with HTTP ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Tracer
+ * OpenTelemetry-style spans without the SDK: W3C trace context in and out,
+ * an active span per async context, and batched export of finished spans.
+ *
+ * Spans from worker threads arrive already finished (see Span) and are
+ * handed to `exportSpans`.
+ */
+export class Tracer {
+  constructor(options = {}) {
+    this.options = {
+      enabled: options.enabled === true,
+      // Share of new traces that are recorded; incoming ones follow the caller
+      sampleRatio: options.sampleRatio ?? 1,
+      batchSize: options.batchSize || 100,
+      flushInterval: options.flushInterval || 5000,
+      maxBuffer: options.maxBuffer || 10_000,
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.exporter = options.exporter || null;
+    this.logger = options.logger || logger.child({ component: "Tracer" });
+
+    this.activeSpans = new AsyncLocalStorage();
+    this.buffer = [];
+    this.stats = { exported: 0, dropped: 0, exportErrors: 0 };
+
+    if (this.options.enabled && this.exporter) {
+      this.flushTimer = setInterval(() => {
+        this.flush();
+      }, this.options.flushInterval);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Span of the current async context (e.g. the request span)
+   */
+  activeSpan() {
+    return this.activeSpans.getStore() || null;
+  }
+
+  /**
+   * Start a span, by default as child of the active span
+   * `parent` may be a Span or a context from parseTraceparent
+   * Returns null while tracing is disabled, so callers use `span?.`
+   */
+  startSpan(name, options = {}) {
+    if (!this.options.enabled) return null;
+
+    const parent = options.parent ?? this.activeSpan()?.context();
+
+    return new Span(name, {
+      ...options,
+      parent: parent || undefined,
+      sampled: Math.random() < this.options.sampleRatio,
+      tracer: this,
+    });
+  }
+
+  /**
+   * Run `fn` with `span` as the active span
+   */
+  withSpan(span, fn) {
+    return span ? this.activeSpans.run(span, fn) : fn();
+  }
+
+  /**
+   * Run `fn` inside a new span that ends when `fn` returns or settles
+   */
+  trace(name, fn, options = {}) {
+    const span = this.startSpan(name, options);
+    if (!span) return fn(null);
+
+    const fail = (err) => {
+      span.recordException(err);
+      span.end();
+      throw err;
+    };
+
+    let result;
+    try {
+      result = this.withSpan(span, () => fn(span));
+    } catch (err) {
+      fail(err);
+    }
+
+    if (typeof result?.then === "function") {
+      return result.then((value) => {
+        span.end();
+        return value;
+      }, fail);
+    }
+
+    span.end();
+    return result;
+  }
+
+  onEnd(span) {
+    if (span.sampled) this.exportSpans([span.toJSON()]);
+  }
+
+  /**
+   * Queue finished spans (plain objects) for export
+   */
+  exportSpans(spans) {
+    if (!this.options.enabled || !this.exporter) return;
+
+    for (const span of spans) {
+      if (span.sampled === false) continue;
+
+      if (this.buffer.length >= this.options.maxBuffer) {
+        this.stats.dropped++;
+        continue;
+      }
+      this.buffer.push(span);
+    }
+
+    if (this.buffer.length >= this.options.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Export buffered spans; a failed batch is dropped, not retried
+   */
+  async flush() {
+    if (this.buffer.length === 0) return;
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+    try {
+      await this.exporter.export(batch);
+      this.stats.exported += batch.length;
+    } catch (err) {
+      this.stats.exportErrors++;
+      this.stats.dropped += batch.length;
+      this.log(`Span export failed: ${err.message}`, "warn");
+    }
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    return {
+      enabled: this.options.enabled,
+      exporter: this.exporter?.constructor.name || null,
+      buffered: this.buffer.length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Stop the flush timer and export what is left
+   */
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    await this.flush();
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
@@ -0,0 +1,363 @@
+import { EventEmitter } from "events";
+import { createHmac, randomUUID } from "crypto";
+import { lookup as lookupCallback } from "dns";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { Agent, fetch } from "undici";
+import { logger } from "./logger.js";
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges a
+// callback must not reach, so a caller can't make us POST to internal hosts
+const privateRanges = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateRanges.addSubnet(network, prefix, "ipv6");
+}
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.1) to the IPv4 ranges
+const isPrivateAddress = (address) =>
+  privateRanges.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+
+// "billing.example.com" matches itself, "*.example.com" its subdomains
+const hostMatches = (hostname, pattern) =>
+  pattern.startsWith("*.")
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern;
+
+/**
+ * Webhook Dispatcher
+ * Delivers HMAC-signed job callbacks with exponential backoff and keeps a
+ * delivery log per job
+ */
+export class WebhookDispatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      secret: options.secret,
+      maxAttempts: options.maxAttempts || 5,
+      retryDelay: options.retryDelay || 1000,
+      retryBackoff: options.retryBackoff || 2,
+      timeout: options.timeout || 10_000,
+      maxLogEntries: options.maxLogEntries || 1000,
+      // Hosts callbacks may go to; empty allows any public host
+      allowedHosts: (options.allowedHosts || []).map((host) =>
+        host.toLowerCase(),
+      ),
+      // Let callbacks reach private and loopback addresses (local testing)
+      allowPrivateAddresses: options.allowPrivateAddresses === true,
+      enableLogging: options.enableLogging !== false,
+    };
+
+    this.logger =
+      options.logger || logger.child({ component: "WebhookDispatcher" });
+
+    this.deliveries = new Map(); // jobId -> delivery log
+    this.retryTimers = new Set();
+
+    // Connections only go to addresses checked while connecting
+    this.agent = new Agent({
+      connect: { lookup: (...args) => this.lookupPublic(...args) },
+    });
+  }
+
+  /**
+   * Whether callbacks can be signed
+   */
+  isEnabled() {
+    return Boolean(this.options.secret);
+  }
+
+  /**
+   * Calculate retry delay with exponential backoff
+   */
+  calculateRetryDelay(attempt) {
+    return (
+      this.options.retryDelay * Math.pow(this.options.retryBackoff, attempt - 1)
+    );
+  }
+
+  /**
+   * Why a callback URL may not be used, or null when it may
+   * Checked when a job is submitted and again before every attempt, since
+   * the host may resolve differently by then. The resolved addresses are
+   * only a preview: the connection resolves the host again, so lookupPublic
+   * checks the addresses actually connected to
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return "must be an http(s) URL";
+    }
+
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return "must be an http(s) URL";
+    }
+
+    // URL keeps the brackets of IPv6 literals
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    const { allowedHosts, allowPrivateAddresses } = this.options;
+
+    if (
+      allowedHosts.length > 0 &&
+      !allowedHosts.some((pattern) => hostMatches(hostname, pattern))
+    ) {
+      return "host is not allowed for callbacks";
+    }
+
+    if (allowPrivateAddresses) return null;
+
+    let addresses;
+    try {
+      addresses = isIP(hostname)
+        ? [{ address: hostname }]
+        : await lookup(hostname, { all: true, verbatim: true });
+    } catch {
+      return "host does not resolve";
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return "host resolves to a private or loopback address";
+    }
+
+    return null;
+  }
+
+  /**
+   * dns.lookup for callback connections that refuses private and loopback
+   * addresses, so a host can't pass checkUrl and then resolve to an
+   * internal one when connecting (DNS rebinding)
+   */
+  lookupPublic(hostname, options, callback) {
+    lookupCallback(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+
+      if (
+        !this.options.allowPrivateAddresses &&
+        addresses.some(({ address }) => isPrivateAddress(address))
+      ) {
+        const error = new Error(
+          "host resolves to a private or loopback address",
+        );
+        error.code = "PRIVATE_ADDRESS";
+        return callback(error);
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * HMAC-SHA256 over "<timestamp>.<body>"
+   */
+  sign(timestamp, body) {
+    return createHmac("sha256", this.options.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Start delivering a payload for a job
+   */
+  deliver(jobId, url, payload) {
+    if (!this.isEnabled()) {
+      throw new Error("Webhook secret is not configured");
+    }
+
+    const delivery = {
+      id: randomUUID(),
+      jobId,
+      url,
+      event: payload.event,
+      status: "pending",
+      createdAt: Date.now(),
+      completedAt: null,
+      attempts: [],
+    };
+
+    this.deliveries.set(jobId, delivery);
+
+    // Keep the log bounded - Map iterates in insertion order
+    if (this.deliveries.size > this.options.maxLogEntries) {
+      const oldest = this.deliveries.keys().next().value;
+      this.deliveries.delete(oldest);
+    }
+
+    this.attempt(delivery, JSON.stringify(payload));
+
+    return delivery.id;
+  }
+
+  /**
+   * Send one delivery attempt and schedule a retry when it fails
+   */
+  async attempt(delivery, body) {
+    const attempt = delivery.attempts.length + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    const entry = {
+      attempt,
+      timestamp: startTime,
+      statusCode: null,
+      duration: null,
+      error: null,
+    };
+    delivery.attempts.push(entry);
+
+    let retryable = true;
+
+    try {
+      const refused = await this.checkUrl(delivery.url);
+      if (refused) {
+        retryable = false;
+        throw new Error(`Callback URL refused: ${refused}`);
+      }
+
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "pdfgen-webhook/1.0",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${this.sign(timestamp, body)}`,
+        },
+        body,
+        // A redirect could point anywhere, past checkUrl
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.options.timeout),
+        dispatcher: this.agent,
+      });
+
+      entry.statusCode = response.status;
+      entry.duration = Date.now() - startTime;
+
+      // Drain the body so the socket can be reused
+      await response.arrayBuffer().catch(() => {});
+
+      if (response.ok) {
+        delivery.status = "delivered";
+        delivery.completedAt = Date.now();
+
+        this.log(`📨 Webhook for job ${delivery.jobId} delivered (attempt ${attempt})`);
+        this.emit("delivery-succeeded", { jobId: delivery.jobId, attempt });
+        return;
+      }
+
+      entry.error = `HTTP ${response.status}`;
+
+      // Client errors won't fix themselves, except timeouts and throttling
+      retryable =
+        response.status >= 500 ||
+        response.status === 408 ||
+        response.status === 429;
+    } catch (err) {
+      entry.duration = Date.now() - startTime;
+      entry.error = err.message;
+
+      // fetch reports connection errors as "fetch failed" with a cause
+      if (err.cause?.code === "PRIVATE_ADDRESS") {
+        retryable = false;
+        entry.error = `Callback URL refused: ${err.cause.message}`;
+      }
+    }
+
+    if (retryable && attempt < this.options.maxAttempts) {
+      const delay = this.calculateRetryDelay(attempt);
+
+      this.log(
+        `🔄 Webhook for job ${delivery.jobId} failed (${entry.error}), retry in ${delay}ms`,
+      );
+      this.emit("delivery-retry", {
+        jobId: delivery.jobId,
+        attempt,
+        delay,
+        error: entry.error,
+      });
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        this.attempt(delivery, body);
+      }, delay);
+      this.retryTimers.add(timer);
+      return;
+    }
+
+    delivery.status = "failed";
+    delivery.completedAt = Date.now();
+
+    this.log(
+      `❌ Webhook for job ${delivery.jobId} failed after ${attempt} attempts: ${entry.error}`,
+      "error",
+    );
+    this.emit("delivery-failed", {
+      jobId: delivery.jobId,
+      attempts: attempt,
+      error: entry.error,
+    });
+  }
+
+  /**
+   * Get the delivery log for a job (or null)
+   */
+  getDeliveries(jobId) {
+    return this.deliveries.get(jobId) || null;
+  }
+
+  /**
+   * Get statistics
+   */
+  getStats() {
+    const stats = { pending: 0, delivered: 0, failed: 0 };
+    for (const delivery of this.deliveries.values()) {
+      stats[delivery.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Stop scheduled retries
+   */
+  async shutdown() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    await this.agent.close();
+    this.log(`👋 Shutdown - Pending deliveries: ${this.getStats().pending}`);
+  }
+
+  /**
+   * Log helper
+   */
+  log(message, level = "info") {
+    if (this.options.enableLogging) {
+      this.logger[level](message);
+    }
+  }
+}
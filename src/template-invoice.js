@@ -2,12 +2,21 @@ import dummy from "../src/data/opd-data.json" with { type: "json" };
 import { buildTableInvoice } from "./builders/build-table.js";
 import { buildNotes } from "./builders/builder-notes.js";
 import { buildTax } from "./builders/builder-tax.js";
+import {
+  amountFromWords,
+  amountInWords,
+  wordsMatchAmount,
+} from "./utils/amountInWords.js";
+import { amountFormatOf } from "./utils/formatAmount.js";
 import { pdfStyles } from "./utils/pdf-style.util.js";
 
 export const buildInvoice = (data = null) => {
   // Use provided data or fallback to dummy data
   const invoiceData = data || dummy.data;
 
+  // Locale, currency and negative style of every amount in the document
+  const amountFormat = amountFormatOf(invoiceData);
+
   return {
     pageSize: "A4",
     pageMargins: [30, 200, 30, 140],
@@ -15,8 +24,8 @@ export const buildInvoice = (data = null) => {
     background: { type: "border" },
     header: { type: "header", data: invoiceData },
     content: [
-      buildTableInvoice(invoiceData),
-      buildTax(invoiceData.invoice_details),
+      buildTableInvoice(invoiceData, amountFormat),
+      buildTax(invoiceData.invoice_details, amountFormat),
       buildNotes(invoiceData),
     ],
     footer: { type: "footer" },
@@ -25,3 +34,52 @@ export const buildInvoice = (data = null) => {
     defaultStyle: { font: "Helvetica" },
   };
 };
+
+// "In words" fields and the totals they must spell out
+const AMOUNT_WORDS_FIELDS = [
+  ["in_words_patient", "patient_net_amount"],
+  ["in_words_payer", "payer_net_amount"],
+];
+
+/**
+ * Cross-check "in words" text sent in the payload against the net totals
+ * Only text that reads as a different amount is rejected; wording the
+ * reader doesn't know is printed as sent. Absent fields are generated by
+ * buildTax, so their totals must be small enough to be written out
+ */
+export const checkInvoice = (data) => {
+  const amountFormat = amountFormatOf(data);
+  const details = data.invoice_details;
+  const errors = [];
+
+  for (const [wordsField, amountField] of AMOUNT_WORDS_FIELDS) {
+    const words = details[wordsField];
+
+    if (!words) {
+      try {
+        amountInWords(details[amountField], amountFormat);
+      } catch (err) {
+        if (!(err instanceof RangeError)) throw err;
+        errors.push({
+          pointer: `/invoice_details/${amountField}`,
+          message: "is too large to write in words",
+          keyword: "amountInWords",
+        });
+      }
+      continue;
+    }
+
+    const said = amountFromWords(words, amountFormat);
+    if (said === null) continue;
+
+    if (!wordsMatchAmount(words, details[amountField], amountFormat)) {
+      errors.push({
+        pointer: `/invoice_details/${wordsField}`,
+        message: `says ${said} but ${amountField} is ${details[amountField]}`,
+        keyword: "amountInWords",
+      });
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,18 @@
+import { TemplateRegistry } from "../services/template-registry.js";
+import { buildInvoice, checkInvoice } from "../template-invoice.js";
+import { invoiceSchema } from "../schemas/invoice.schema.js";
+
+/**
+ * Built-in document templates
+ * New document types register their builder here and become available
+ * under POST /pdf/:template
+ */
+export const templateRegistry = new TemplateRegistry();
+
+templateRegistry.register("invoice", {
+  description: "Hospital invoice with itemised charges, tax and notes",
+  version: "1.2.0",
+  schema: invoiceSchema,
+  check: checkInvoice,
+  build: buildInvoice,
+});
@@ -0,0 +1,333 @@
+import { DEFAULT_AMOUNT_FORMAT, currencyDecimals } from './formatAmount.js';
+
+// Currency unit names per language as [singular, plural] for the main unit
+// and the fraction; a currency not listed is named by its ISO code
+const CURRENCY_UNITS = {
+  id: {
+    IDR: [['rupiah', 'rupiah'], ['sen', 'sen']],
+    USD: [['dolar', 'dolar'], ['sen', 'sen']],
+    SGD: [['dolar Singapura', 'dolar Singapura'], ['sen', 'sen']],
+    AUD: [['dolar Australia', 'dolar Australia'], ['sen', 'sen']],
+    EUR: [['euro', 'euro'], ['sen', 'sen']],
+    MYR: [['ringgit', 'ringgit'], ['sen', 'sen']],
+    JPY: [['yen', 'yen'], ['sen', 'sen']],
+  },
+  en: {
+    IDR: [['rupiah', 'rupiah'], ['sen', 'sen']],
+    USD: [['dollar', 'dollars'], ['cent', 'cents']],
+    SGD: [['Singapore dollar', 'Singapore dollars'], ['cent', 'cents']],
+    AUD: [['Australian dollar', 'Australian dollars'], ['cent', 'cents']],
+    EUR: [['euro', 'euros'], ['cent', 'cents']],
+    MYR: [['ringgit', 'ringgit'], ['sen', 'sen']],
+    JPY: [['yen', 'yen'], ['sen', 'sen']],
+  },
+};
+
+const ID_DIGITS = [
+  'nol', 'satu', 'dua', 'tiga', 'empat',
+  'lima', 'enam', 'tujuh', 'delapan', 'sembilan',
+];
+const ID_SCALES = ['', 'ribu', 'juta', 'miliar', 'triliun', 'kuadriliun'];
+
+const EN_ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight',
+  'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen',
+  'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+const EN_TENS = [
+  '', '', 'twenty', 'thirty', 'forty',
+  'fifty', 'sixty', 'seventy', 'eighty', 'ninety',
+];
+const EN_SCALES = ['', 'thousand', 'million', 'billion', 'trillion', 'quadrillion'];
+
+// 0..999 in Bahasa Indonesia: "se-" stands for "satu" before
+// puluh, belas, ratus (and ribu, handled by the caller)
+const idHundreds = (n) => {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds === 1) words.push('seratus');
+  else if (hundreds > 1) words.push(ID_DIGITS[hundreds], 'ratus');
+
+  if (rest === 10) words.push('sepuluh');
+  else if (rest === 11) words.push('sebelas');
+  else if (rest > 11 && rest < 20) words.push(ID_DIGITS[rest - 10], 'belas');
+  else if (rest >= 20) {
+    words.push(ID_DIGITS[Math.floor(rest / 10)], 'puluh');
+    if (rest % 10) words.push(ID_DIGITS[rest % 10]);
+  } else if (rest > 0) words.push(ID_DIGITS[rest]);
+
+  return words;
+};
+
+const enHundreds = (n) => {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds) words.push(EN_ONES[hundreds], 'hundred');
+  if (rest >= 20) {
+    words.push(
+      rest % 10
+        ? `${EN_TENS[Math.floor(rest / 10)]}-${EN_ONES[rest % 10]}`
+        : EN_TENS[Math.floor(rest / 10)],
+    );
+  } else if (rest > 0) words.push(EN_ONES[rest]);
+
+  return words;
+};
+
+// Whole number in words, grouped by thousands from the largest scale down
+const integerInWords = (n, language) => {
+  if (n === 0) return language === 'id' ? 'nol' : 'zero';
+
+  const groups = [];
+  for (let rest = n; rest > 0; rest = Math.floor(rest / 1000)) {
+    groups.push(rest % 1000);
+  }
+  if (groups.length > ID_SCALES.length) {
+    throw new RangeError(`${n} is beyond the largest scale word`);
+  }
+
+  const words = [];
+  for (let scale = groups.length - 1; scale >= 0; scale--) {
+    const group = groups[scale];
+    if (!group) continue;
+
+    if (language === 'id') {
+      if (scale === 1 && group === 1) words.push('seribu');
+      else words.push(...idHundreds(group), ID_SCALES[scale]);
+    } else {
+      words.push(...enHundreds(group), EN_SCALES[scale]);
+    }
+  }
+
+  return words.filter(Boolean).join(' ');
+};
+
+/**
+ * Language the words are written in for a locale: Bahasa Indonesia for
+ * `id` (and the legacy `in`), English otherwise
+ */
+export const wordsLanguageOf = (locale = DEFAULT_AMOUNT_FORMAT.locale) =>
+  /^(id|in)\b/i.test(locale) ? 'id' : 'en';
+
+const unitsOf = (currency, language) =>
+  CURRENCY_UNITS[language][currency] || [
+    [currency, currency],
+    [currency, currency],
+  ];
+
+// Amount split into sign, whole units and fraction units of the currency
+const splitAmount = (amount, currency) => {
+  const decimals = currencyDecimals(currency);
+  const minorPerMajor = 10 ** decimals;
+  const scaled = Math.round(Math.abs(Number(amount) || 0) * minorPerMajor);
+  if (!Number.isSafeInteger(scaled)) {
+    throw new RangeError(`Amount ${amount} is too large to write in words`);
+  }
+
+  return {
+    negative: Number(amount) < 0 && scaled > 0,
+    major: Math.floor(scaled / minorPerMajor),
+    minor: scaled % minorPerMajor,
+  };
+};
+
+const titleCase = (text) =>
+  text.replace(/(^|[\s-])(\p{Ll})/gu, (_, sep, ch) => sep + ch.toUpperCase());
+
+/**
+ * Amount in words with the currency's unit names, rounded to its decimals,
+ * e.g. 90000 → "sembilan puluh ribu rupiah" (id-ID, IDR) or
+ * 1234.5 → "one thousand two hundred thirty-four dollars and fifty cents"
+ * (en-US, USD). `language` ('id' or 'en') defaults to the locale's,
+ * `titleCase` capitalises every word as printed invoices do
+ * Throws a RangeError for amounts beyond Number.MAX_SAFE_INTEGER units
+ */
+export const amountInWords = (amount, options = {}) => {
+  const currency = options.currency || DEFAULT_AMOUNT_FORMAT.currency;
+  const language = options.language || wordsLanguageOf(options.locale);
+  const [majorUnit, minorUnit] = unitsOf(currency, language);
+  const { negative, major, minor } = splitAmount(amount, currency);
+
+  const parts = [];
+  if (major > 0 || minor === 0) {
+    parts.push(
+      `${integerInWords(major, language)} ${majorUnit[major === 1 ? 0 : 1]}`,
+    );
+  }
+  if (minor > 0) {
+    if (parts.length && language === 'en') parts.push('and');
+    parts.push(
+      `${integerInWords(minor, language)} ${minorUnit[minor === 1 ? 0 : 1]}`,
+    );
+  }
+  if (negative) parts.unshift('minus');
+
+  const words = parts.join(' ');
+  return options.titleCase ? titleCase(words) : words;
+};
+
+// Word values for reading amounts back: `add` to the running group,
+// `times` multiplies the last digit into it, `scale` closes a group
+const ID_READ = {
+  ...Object.fromEntries(ID_DIGITS.map((word, value) => [word, { add: value }])),
+  sepuluh: { add: 10 },
+  sebelas: { add: 11 },
+  seratus: { add: 100 },
+  belas: { plus: 10 },
+  puluh: { times: 10 },
+  ratus: { times: 100 },
+  seribu: { scale: 1e3, implicit: 1 },
+  ...Object.fromEntries(
+    ID_SCALES.slice(1).map((word, i) => [word, { scale: 1000 ** (i + 1) }]),
+  ),
+  milyar: { scale: 1e9 },
+};
+
+const EN_READ = {
+  ...Object.fromEntries(EN_ONES.map((word, value) => [word, { add: value }])),
+  ...Object.fromEntries(
+    EN_TENS.map((word, i) => [word, { add: i * 10 }]).filter(([word]) => word),
+  ),
+  hundred: { group: 100 },
+  ...Object.fromEntries(
+    EN_SCALES.slice(1).map((word, i) => [word, { scale: 1000 ** (i + 1) }]),
+  ),
+};
+
+const READERS = { id: ID_READ, en: EN_READ };
+
+// Words invoices put around the amount ("... rupiah saja", "... only")
+const FILLERS = {
+  id: new Set(['dan', 'saja', 'terbilang']),
+  en: new Set(['and', 'a', 'only', 'say']),
+};
+
+// Whole number from number words, or null when a word isn't one
+const readInteger = (tokens, language) => {
+  const vocabulary = READERS[language];
+  let total = 0;
+  let group = 0;
+  let digit = 0;
+
+  for (const token of tokens) {
+    const word = vocabulary[token];
+    if (!word) return null;
+
+    if (word.add !== undefined) {
+      if (language === 'id' && digit) return null;
+      if (language === 'id' && word.add < 10) digit = word.add;
+      else group += word.add;
+    } else if (word.plus !== undefined) {
+      group += word.plus + digit;
+      digit = 0;
+    } else if (word.times !== undefined) {
+      group += digit * word.times;
+      digit = 0;
+    } else if (word.group !== undefined) {
+      group = (group || 1) * word.group;
+    } else {
+      total += (word.implicit ?? group + digit) * word.scale;
+      group = 0;
+      digit = 0;
+    }
+  }
+
+  return tokens.length ? total + group + digit : null;
+};
+
+// Punctuation and marks such as "# ... #" or "(...)" are dropped
+const tokenize = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+const readIn = (text, currency, language) => {
+  const [majorUnit, minorUnit] = unitsOf(currency, language);
+  const unitTokens = (unit) => [...new Set(unit)].map(tokenize);
+  const majorNames = unitTokens(majorUnit);
+  const minorNames = unitTokens(minorUnit);
+  const matchAt = (tokens, i, names) =>
+    names.find((name) => name.every((t, j) => tokens[i + j] === t));
+
+  let tokens = tokenize(text).filter((t) => !FILLERS[language].has(t));
+  let sign = 1;
+  if (tokens[0] === 'minus' || tokens[0] === 'negatif') {
+    sign = -1;
+    tokens = tokens.slice(1);
+  }
+
+  if (!tokens.length) return null;
+
+  const decimals = currencyDecimals(currency);
+  let major = 0;
+  let minor = 0;
+  let pending = [];
+  let sawUnit = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const majorName = !sawUnit && matchAt(tokens, i, majorNames);
+    const minorName = !majorName && matchAt(tokens, i, minorNames);
+
+    if (majorName || minorName) {
+      const value = readInteger(pending, language);
+      if (value === null) return null;
+      if (majorName) major = value;
+      else if (value >= 10 ** decimals) return null; // e.g. sen of IDR
+      else minor = value;
+      pending = [];
+      sawUnit = true;
+      i += (majorName || minorName).length - 1;
+    } else {
+      pending.push(tokens[i]);
+    }
+  }
+
+  if (pending.length) {
+    // Words after the last unit name, or no unit names at all
+    if (sawUnit) return null;
+    major = readInteger(pending, language);
+    if (major === null) return null;
+  }
+
+  return sign * (major + minor / 10 ** decimals);
+};
+
+/**
+ * Read an amount back from its words, in the locale's language or else the
+ * other supported one, so payload text can be checked against the totals
+ * Filler words ("saja", "only") and punctuation are ignored
+ * Returns null when the text isn't an amount in words
+ */
+export const amountFromWords = (text, options = {}) => {
+  const currency = options.currency || DEFAULT_AMOUNT_FORMAT.currency;
+  const first = options.language || wordsLanguageOf(options.locale);
+  const languages = [first, ...Object.keys(READERS).filter((l) => l !== first)];
+
+  for (const language of languages) {
+    const value = readIn(text, currency, language);
+    if (value !== null) return value;
+  }
+  return null;
+};
+
+/**
+ * Whether amount words say the given amount, compared at the currency's
+ * decimals. Text that can't be read never matches
+ */
+export const wordsMatchAmount = (text, amount, options = {}) => {
+  const value = amountFromWords(text, options);
+  if (value === null) return false;
+
+  const currency = options.currency || DEFAULT_AMOUNT_FORMAT.currency;
+  const minorPerMajor = 10 ** currencyDecimals(currency);
+  return (
+    Math.round(value * minorPerMajor) ===
+    Math.round((Number(amount) || 0) * minorPerMajor)
+  );
+};
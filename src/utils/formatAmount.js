@@ -1,10 +1,127 @@
-export const formatAmount = (amount) => {
-  return amount.toLocaleString('en-US', { maximumFractionDigits: 0 });
+// Document number format when the data doesn't name one
+export const DEFAULT_AMOUNT_FORMAT = {
+  locale: 'id-ID',
+  currency: 'IDR',
+  negativeStyle: 'minus', // 'minus' or 'parentheses' (accounting)
 };
 
-export const formatAmountWithCurrency = (
-  amount,
-  currency
-) => {
-  return `${currency} ${formatAmount(amount)}`;
+// Decimal places where practice differs from ISO 4217 (which gives IDR two)
+const CURRENCY_DECIMALS = { IDR: 0 };
+
+/**
+ * Decimal places amounts in a currency are printed with, e.g. USD → 2, IDR → 0
+ */
+export const currencyDecimals = (currency) =>
+  CURRENCY_DECIMALS[currency] ??
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+
+/**
+ * Whether Intl can format numbers for a BCP 47 locale tag
+ * Malformed tags ("en-a1") and unknown locales are both refused
+ */
+export const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
 };
+
+// Intl.NumberFormat is costly to create and a document formats hundreds of
+// amounts, so formatters are shared per locale, currency and display.
+// Keys come from payloads, so the cache is capped (oldest entry goes first)
+const MAX_FORMATTERS = 64;
+const formatters = new Map();
+
+const getFormatter = (locale, currency, style) => {
+  const key = `${locale}|${currency}|${style}`;
+  let formatter = formatters.get(key);
+
+  if (!formatter) {
+    const decimals = style === 'number' ? null : currencyDecimals(currency);
+    formatter = new Intl.NumberFormat(locale, {
+      style: style === 'currency' ? 'currency' : 'decimal',
+      currency: style === 'currency' ? currency : undefined,
+      // Latin digits whatever the locale or its -u-nu- extension asks for;
+      // the standard PDF fonts have no other digits
+      numberingSystem: 'latn',
+      minimumFractionDigits: decimals ?? 0,
+      maximumFractionDigits: decimals ?? 2,
+    });
+
+    formatters.set(key, formatter);
+    if (formatters.size > MAX_FORMATTERS) {
+      formatters.delete(formatters.keys().next().value);
+    }
+  }
+
+  return formatter;
+};
+
+// Bidi marks (e.g. U+200F in ar-EG) are dropped and narrow or thin spaces
+// (U+202F in fr-FR) become no-break spaces, which WinAnsi fonts can encode
+const toPrintable = (text) =>
+  text
+    .replace(/[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+    .replace(/[\u2009\u202F]/g, '\u00A0');
+
+const format = (amount, options, withCurrency) => {
+  const { locale, currency, negativeStyle } = {
+    ...DEFAULT_AMOUNT_FORMAT,
+    ...options,
+  };
+  const value = Number(amount) || 0;
+  const formatter = getFormatter(
+    locale,
+    currency,
+    withCurrency ? 'currency' : 'decimal',
+  );
+
+  if (value < 0 && negativeStyle === 'parentheses') {
+    return `(${toPrintable(formatter.format(-value))})`;
+  }
+  return toPrintable(formatter.format(value));
+};
+
+/**
+ * Amount with the currency's decimal places and the locale's separators,
+ * e.g. 90000 → "90.000" (id-ID, IDR) or 1234.5 → "1,234.50" (en-US, USD)
+ */
+export const formatAmount = (amount, options = {}) =>
+  format(amount, options, false);
+
+/**
+ * Amount with the currency symbol placed the locale's way,
+ * e.g. "Rp 90.000" (id-ID, IDR) or "($1,234.50)" with accounting parentheses
+ * A string is taken as the ISO currency code, formatted in the default
+ * locale: (5, "USD") gives "US$5,00", where it used to give "USD 5"
+ */
+export const formatAmountWithCurrency = (amount, options = {}) =>
+  format(
+    amount,
+    typeof options === 'string' ? { currency: options } : options,
+    true,
+  );
+
+/**
+ * Plain number (quantities) in the locale's separators, up to 2 decimals
+ */
+export const formatNumber = (value, options = {}) => {
+  const locale = options.locale || DEFAULT_AMOUNT_FORMAT.locale;
+  return toPrintable(
+    getFormatter(locale, '', 'number').format(Number(value) || 0),
+  );
+};
+
+/**
+ * Number format of a document from its data (`locale`, `currency`,
+ * `negative_style`), over the defaults
+ */
+export const amountFormatOf = (data = {}) => ({
+  locale: data.locale || DEFAULT_AMOUNT_FORMAT.locale,
+  currency: data.currency || DEFAULT_AMOUNT_FORMAT.currency,
+  negativeStyle: data.negative_style || DEFAULT_AMOUNT_FORMAT.negativeStyle,
+});
@@ -1,26 +1,21 @@
 import PdfPrinter from "pdfmake";
+import { getHeapStatistics } from "v8";
+import { parentPort, threadId, workerData } from "worker_threads";
 import { resolveDocDefinition } from "../resolve-doc.js";
+import { FontRegistry } from "../services/font-registry.js";
+import { Span } from "../services/tracer.js";
 
-const fonts = {
-  Helvetica: {
-    normal: "Helvetica",
-    bold: "Helvetica-Bold",
-    italics: "Helvetica-Oblique",
-    bolditalics: "Helvetica-BoldOblique",
-  },
-  Roboto: {
-    normal: "Helvetica",
-    bold: "Helvetica-Bold",
-    italics: "Helvetica-Oblique",
-    bolditalics: "Helvetica-BoldOblique",
-  },
-};
+// Standard fonts plus the TTF/OTF files of the configured font directory
+const fontRegistry = new FontRegistry({ fallbacks: workerData?.fontFallbacks });
+if (workerData?.fontDir) {
+  fontRegistry.loadDirectory(workerData.fontDir);
+}
 
-const printer = new PdfPrinter(fonts);
+const printer = new PdfPrinter(fontRegistry.toPdfmake());
 
 let workerStats = {
   pid: process.pid,
-  threadId: process.env.PISCINA_THREAD_ID || 0,
+  threadId,
   renders: 0,
   errors: 0,
   totalTime: 0,
@@ -29,19 +24,102 @@ let workerStats = {
   started: Date.now(),
 };
 
+// Forward a log entry to the main thread, which writes it with its logger
+// (this module only runs as a Piscina worker, so parentPort is always set)
+function log(level, msg, fields = {}) {
+  parentPort.postMessage({
+    type: "log",
+    level,
+    msg,
+    fields: { threadId, ...fields },
+  });
+}
+
+// Spans of one task under the attempt span of the main thread
+// They are posted back as plain objects once the task settles
+function createTaskTrace(trace) {
+  const spans = [];
+
+  return {
+    start(name, attributes = {}, startTime) {
+      if (!trace?.sampled) return null;
+
+      const span = new Span(name, { parent: trace, attributes, startTime });
+      spans.push(span);
+      return span;
+    },
+
+    flush() {
+      if (spans.length === 0) return;
+      parentPort.postMessage({
+        type: "spans",
+        spans: spans.map((span) => span.toJSON()),
+      });
+    },
+  };
+}
+
 const MEMORY_CHECK_INTERVAL = 100; // Check every 100 renders
 const MEMORY_SOFT_LIMIT = 128 * 1024 * 1024;
 const MEMORY_HARD_LIMIT = 256 * 1024 * 1024;
 const PDF_SIZE_LIMIT = 10 * 1024 * 1024; // 10 MB max PDF
 const GENERATION_TIMEOUT = 30_000; // 30 s timeout
 const MIN_GC_INTERVAL = 5_000; // Force GC every 5 s
+const STREAM_HIGH_WATER_MARK = 256 * 1024; // Unacknowledged bytes before pausing
+
+// The thread's resourceLimits may cap the heap below the limits above;
+// reporting and recycling use whichever is lower (soft stays at half)
+const HEAP_SIZE_LIMIT = getHeapStatistics().heap_size_limit;
+const EFFECTIVE_HARD_LIMIT = Math.min(MEMORY_HARD_LIMIT, HEAP_SIZE_LIMIT);
+const EFFECTIVE_SOFT_LIMIT = Math.min(MEMORY_SOFT_LIMIT, HEAP_SIZE_LIMIT / 2);
+
+// Cancellation flag shared with the main thread (an Int32Array over a
+// SharedArrayBuffer, set to 1 when the caller gives up). It is checked
+// between phases and output chunks; pdfmake's layout itself runs to its end
+function cancellation(cancel) {
+  const isCancelled = () => Boolean(cancel) && Atomics.load(cancel, 0) === 1;
+
+  return {
+    isCancelled,
+    throwIfCancelled() {
+      if (isCancelled()) throw cancelledError();
+    },
+  };
+}
+
+function cancelledError() {
+  const err = new Error("Render cancelled");
+  err.code = "CANCELLED";
+  return err;
+}
 
 // Main worker function with memory optimization
-export default async function generatePdf({ docDefinition, options = {} }) {
+// Returns { pdf: ArrayBuffer, pages }; with a `port` the PDF is streamed back
+// in chunks instead and { size, pages } is returned
+// `trace` and `enqueuedAt` come from the main thread for tracing spans
+export default async function generatePdf({
+  docDefinition,
+  options = {},
+  port,
+  trace,
+  enqueuedAt,
+  cancel,
+}) {
   const startTime = performance.now();
+  const cancellable = cancellation(cancel);
   workerStats.renders++;
 
+  const tracing = createTaskTrace(trace);
+  if (enqueuedAt) {
+    tracing
+      .start("pdf.queue_wait", { "worker.thread_id": threadId }, enqueuedAt)
+      ?.end();
+  }
+  let phase = null; // span of the step currently running
+
   try {
+    cancellable.throwIfCancelled();
+
     // Aggressive memory check
     if (workerStats.renders % MEMORY_CHECK_INTERVAL === 0) {
       await checkMemoryUsage(true); // Force check
@@ -56,13 +134,39 @@ export default async function generatePdf({ docDefinition, options = {} }) {
     }
 
     // Resolve document (optimize for memory)
+    phase = tracing.start("pdf.resolve");
     const resolvedDoc = await resolveDocDefinition(docDefinition);
 
     // Validate before generation
     validateDocDefinition(resolvedDoc);
 
+    // Characters the chosen fonts lack go to the fallback fonts
+    const uncovered = fontRegistry.applyFallbacks(resolvedDoc);
+    phase?.end();
+
+    cancellable.throwIfCancelled();
+
+    phase = tracing.start("pdf.layout", { "pdf.streaming": Boolean(port) });
+
+    if (port) {
+      const { size, pages } = await generatePdfStream(
+        resolvedDoc,
+        options,
+        port,
+        cancellable,
+      );
+      phase?.setAttributes({ "pdf.size": size, "pdf.pages": pages });
+      workerStats.totalTime += performance.now() - startTime;
+      return { size, pages, warnings: renderWarnings(uncovered) };
+    }
+
     // Generate PDF with strict memory limits
-    const buffer = await generatePdfBuffer(resolvedDoc, options);
+    const { buffer, pages } = await generatePdfBuffer(
+      resolvedDoc,
+      options,
+      cancellable,
+    );
+    phase?.setAttributes({ "pdf.size": buffer.length, "pdf.pages": pages });
 
     // Update stats
     const duration = performance.now() - startTime;
@@ -76,14 +180,44 @@ export default async function generatePdf({ docDefinition, options = {} }) {
       });
     }
 
-    return buffer.buffer;
+    // A small Buffer.concat result is a view into Node's shared 8KB pool;
+    // only its own bytes go back to the main thread
+    const pdf =
+      buffer.byteOffset === 0 && buffer.length === buffer.buffer.byteLength
+        ? buffer.buffer
+        : buffer.buffer.slice(
+            buffer.byteOffset,
+            buffer.byteOffset + buffer.length,
+          );
+
+    return { pdf, pages, warnings: renderWarnings(uncovered) };
   } catch (err) {
+    if (err.code === "CANCELLED") {
+      phase?.addEvent("cancelled");
+      throw err;
+    }
+
     workerStats.errors++;
+    phase?.recordException(err);
+    log("warn", "Render failed", {
+      requestId: options.metadata?.requestId,
+      error: err.message,
+    });
     throw new Error(`PDF Worker Error: ${err.message}`);
+  } finally {
+    phase?.end();
+    tracing.flush();
+    reportStats();
+    checkRecycle();
   }
 }
 
-async function generatePdfBuffer(docDefinition, options) {
+// Pages laid out by pdfmake (known once createPdfKitDocument returned)
+function countPages(pdfDoc) {
+  return pdfDoc._pdfMakePages?.length ?? null;
+}
+
+async function generatePdfBuffer(docDefinition, options, cancellable) {
   return new Promise((resolve, reject) => {
     let isCompleted = false;
     let totalSize = 0;
@@ -108,6 +242,15 @@ async function generatePdfBuffer(docDefinition, options) {
       pdfDoc.on("data", (chunk) => {
         if (isCompleted) return;
 
+        if (cancellable.isCancelled()) {
+          isCompleted = true;
+          clearTimeout(timeout);
+          pdfDoc.destroy();
+          chunks.length = 0;
+          reject(cancelledError());
+          return;
+        }
+
         totalSize += chunk.length;
 
         if (totalSize > PDF_SIZE_LIMIT) {
@@ -136,7 +279,7 @@ async function generatePdfBuffer(docDefinition, options) {
           const buffer = Buffer.concat(chunks);
           chunks.length = 0; // Clear chunks
 
-          resolve(buffer);
+          resolve({ buffer, pages: countPages(pdfDoc) });
         } catch (concatErr) {
           chunks.length = 0;
           reject(new Error(`Buffer concat failed: ${concatErr.message}`));
@@ -162,6 +305,111 @@ async function generatePdfBuffer(docDefinition, options) {
   });
 }
 
+// Forward PDFKit chunks to the main thread, acknowledged as they are sent
+// Layout is synchronous inside createPdfKitDocument, so PDFKit has buffered
+// most of the file before the "data" listener is attached; pausing only
+// holds it back from the main thread. The port is closed by the main
+// thread once it has seen "end"
+function generatePdfStream(docDefinition, options, port, cancellable) {
+  const highWaterMark = options.highWaterMark || STREAM_HIGH_WATER_MARK;
+
+  return new Promise((resolve, reject) => {
+    let isCompleted = false;
+    let totalSize = 0;
+    let unacked = 0;
+    let pdfDoc = null;
+
+    const fail = (err) => {
+      if (isCompleted) return;
+
+      isCompleted = true;
+      clearTimeout(timeout);
+      pdfDoc?.destroy();
+      reject(err);
+    };
+
+    const timeout = setTimeout(() => {
+      fail(new Error(`Timeout after ${GENERATION_TIMEOUT}ms`));
+    }, options.timeout || GENERATION_TIMEOUT);
+
+    // Main thread acknowledges chunks once the response flushed them
+    port.on("message", (message) => {
+      if (message.type !== "ack" || !pdfDoc) return;
+
+      unacked -= message.bytes;
+      if (unacked < highWaterMark && pdfDoc.isPaused()) {
+        pdfDoc.resume();
+      }
+    });
+
+    // The main thread closes its end when the render is cancelled, also
+    // while output is paused waiting for acknowledgements
+    port.on("close", () => fail(cancelledError()));
+
+    try {
+      pdfDoc = printer.createPdfKitDocument(docDefinition, {
+        bufferPages: false,
+        autoFirstPage: true,
+        compress: true,
+      });
+
+      pdfDoc.on("data", (chunk) => {
+        if (isCompleted) return;
+
+        if (cancellable.isCancelled()) {
+          fail(cancelledError());
+          return;
+        }
+
+        totalSize += chunk.length;
+
+        if (totalSize > PDF_SIZE_LIMIT) {
+          fail(
+            new Error(
+              `PDF size exceeded: ${totalSize} > ${PDF_SIZE_LIMIT} bytes`,
+            ),
+          );
+          return;
+        }
+
+        // Copy out of PDFKit's (possibly pooled) buffer, then transfer it
+        const copy = new Uint8Array(chunk);
+        port.postMessage({ type: "chunk", chunk: copy }, [copy.buffer]);
+
+        unacked += chunk.length;
+        if (unacked >= highWaterMark) {
+          pdfDoc.pause();
+        }
+      });
+
+      pdfDoc.on("end", () => {
+        if (isCompleted) return;
+
+        isCompleted = true;
+        clearTimeout(timeout);
+
+        const pages = countPages(pdfDoc);
+        port.postMessage({ type: "end", size: totalSize, pages });
+        resolve({ size: totalSize, pages });
+      });
+
+      pdfDoc.on("error", (err) => {
+        fail(new Error(`PDFKit error: ${err.message}`));
+      });
+
+      pdfDoc.end();
+    } catch (err) {
+      fail(new Error(`PDF creation failed: ${err.message}`));
+    }
+  });
+}
+
+// Problems that did not stop the render, reported with its result
+function renderWarnings(uncovered) {
+  const missingGlyphs = fontRegistry.missingGlyphsWarning(uncovered);
+  return missingGlyphs ? [missingGlyphs] : [];
+}
+
 function validateDocDefinition(docDef) {
   if (!docDef || typeof docDef !== "object") {
     throw new Error("Invalid document definition");
@@ -175,6 +423,8 @@ function validateDocDefinition(docDef) {
   if (docString.length > 5 * 1024 * 1024) {
     throw new Error("Document definition too large");
   }
+
+  fontRegistry.validate(docDef);
 }
 
 async function checkMemoryUsage(force = false) {
@@ -182,11 +432,9 @@ async function checkMemoryUsage(force = false) {
   const heapUsed = mem.heapUsed;
 
   if (heapUsed > MEMORY_HARD_LIMIT) {
-    console.warn(
-      `Worker ${workerStats.threadId}: CRITICAL memory ${Math.round(
-        heapUsed / 1024 / 1024,
-      )}MB`,
-    );
+    log("warn", "Critical memory usage", {
+      heapMB: Math.round(heapUsed / 1024 / 1024),
+    });
 
     if (global.gc) {
       global.gc();
@@ -195,11 +443,9 @@ async function checkMemoryUsage(force = false) {
       workerStats.gcCount++;
 
       const afterGC = process.memoryUsage().heapUsed;
-      console.log(
-        `Worker ${workerStats.threadId}: After GC ${Math.round(
-          afterGC / 1024 / 1024,
-        )}MB`,
-      );
+      log("info", "Memory after GC", {
+        heapMB: Math.round(afterGC / 1024 / 1024),
+      });
     }
   } else if (heapUsed > MEMORY_SOFT_LIMIT && force) {
     if (global.gc) {
@@ -210,7 +456,7 @@ async function checkMemoryUsage(force = false) {
   }
 
   if (workerStats.renders % 100 === 0) {
-    console.log(`Worker ${workerStats.threadId} Stats:`, {
+    log("info", "Worker stats", {
       renders: workerStats.renders,
       errors: workerStats.errors,
       avgTime: Math.round(workerStats.totalTime / workerStats.renders),
@@ -237,12 +483,35 @@ export function getWorkerStats() {
         ? ((workerStats.errors / workerStats.renders) * 100).toFixed(2)
         : 0,
     memoryMB: Math.round(mem.heapUsed / 1024 / 1024),
+    heapUsed: mem.heapUsed,
+    memoryLimit: EFFECTIVE_HARD_LIMIT,
     gcCount: workerStats.gcCount,
   };
 }
 
+let lastStatsReport = 0;
+
+// Report stats to the main thread (see recordWorkerStats in the service),
+// at most every `statsInterval` ms: after each task, and on a timer for
+// tasks that wait long enough to let it fire (a stream held back by a slow
+// reader). Piscina parks idle workers in Atomics.wait, where the timer
+// doesn't run; the last report of an idle worker stays current until it
+// works again
+function reportStats() {
+  const interval = workerData?.statsInterval;
+  if (!(interval > 0)) return;
+  if (Date.now() - lastStatsReport < interval) return;
+
+  lastStatsReport = Date.now();
+  parentPort.postMessage({ type: "stats", stats: getWorkerStats() });
+}
+
+if (workerData?.statsInterval > 0) {
+  setInterval(reportStats, workerData.statsInterval).unref();
+}
+
 export function cleanup() {
-  console.log(`Worker ${workerStats.threadId}: Cleaning up...`);
+  log("info", "Cleaning up");
 
   if (global.gc) {
     global.gc();
@@ -253,3 +522,35 @@ export function cleanup() {
   workerStats.errors = 0;
   workerStats.totalTime = 0;
 }
+
+let recycleRequested = false;
+let rendersOverSoftLimit = 0;
+
+// Ask the main thread to replace this worker once it rendered
+// `recycle.afterRenders` documents or its heap stayed above the soft limit
+// after `recycle.memoryChecks` renders in a row. The main thread stops
+// sending it tasks and terminates it once idle, so nothing in flight is lost
+function checkRecycle() {
+  const { afterRenders, memoryChecks } = workerData?.recycle || {};
+  if (recycleRequested) return;
+
+  const heapUsed = process.memoryUsage().heapUsed;
+  rendersOverSoftLimit =
+    heapUsed > EFFECTIVE_SOFT_LIMIT ? rendersOverSoftLimit + 1 : 0;
+
+  let reason = null;
+  if (afterRenders > 0 && workerStats.renders >= afterRenders) {
+    reason = "renders";
+  } else if (memoryChecks > 0 && rendersOverSoftLimit >= memoryChecks) {
+    reason = "memory";
+  }
+  if (!reason) return;
+
+  recycleRequested = true;
+  log("info", "Requesting recycle", {
+    reason,
+    renders: workerStats.renders,
+    heapMB: Math.round(heapUsed / 1024 / 1024),
+  });
+  parentPort.postMessage({ type: "recycle", threadId, reason });
+}
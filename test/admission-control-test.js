@@ -0,0 +1,353 @@
+import { EventEmitter } from "events";
+import express from "express";
+import { AdmissionControl } from "../src/middleware/admission-control.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Admission Control Test Suite
+ *
+ * Tests to verify:
+ * 1. Renders at the queue threshold get 503 with Retry-After
+ * 2. Adaptive mode sheds bulk renders first
+ * 3. Retry-After follows the recent throughput, within its bounds
+ * 4. A closed admission refuses everything, even when disabled
+ * 5. A full lane queue on the server answers 503, not a failed render
+ */
+
+console.log("🧪 Admission Control Test Suite\n");
+
+// Stands in for the render service: a settable queue and its task events
+function createService(queueSize = 0) {
+  const service = new EventEmitter();
+  service.queueSize = queueSize;
+  service.getQueueSize = () => service.queueSize;
+  return service;
+}
+
+// Express app rendering nothing; X-Priority stands in for resolvePriority
+async function withApp(admission, fn) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.priority = req.get("x-priority") || "normal";
+    next();
+  });
+  app.get("/pdf", admission.middleware(), (req, res) => res.json({ ok: true }));
+
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (priority) => {
+    const res = await fetch(`${base}/pdf`, {
+      headers: priority ? { "X-Priority": priority } : {},
+    });
+    return {
+      status: res.status,
+      retryAfter: res.headers.get("retry-after"),
+      connection: res.headers.get("connection"),
+      body: await res.json(),
+    };
+  };
+
+  try {
+    return await fn(request);
+  } finally {
+    server.close();
+  }
+}
+
+// ============================================================================
+// Test 1: Static Threshold
+// ============================================================================
+
+async function testStaticThreshold() {
+  console.log("Test 1: Static Threshold");
+  console.log("━".repeat(50));
+
+  const service = createService(9);
+  const admission = new AdmissionControl({ queueThreshold: 10, service });
+
+  const results = await withApp(admission, async (request) => {
+    const below = await request("bulk");
+    service.queueSize = 10;
+    const normal = await request();
+    const interactive = await request("interactive");
+    return { below, normal, interactive };
+  });
+  const stats = admission.getStats();
+
+  console.log(`Below threshold: ${results.below.status}`);
+  console.log(`At threshold: ${results.normal.status} ${JSON.stringify(results.normal.body)}`);
+  console.log(`Retry-After: ${results.normal.retryAfter}, stats: ${JSON.stringify(stats)}`);
+
+  if (
+    results.below.status === 200 &&
+    results.normal.status === 503 &&
+    results.normal.body.error === "Server overloaded" &&
+    results.normal.body.priority === "normal" &&
+    results.normal.body.queueSize === 10 &&
+    results.normal.retryAfter === String(results.normal.body.retryAfter) &&
+    results.interactive.status === 503 &&
+    stats.bulkThreshold === 10 &&
+    stats.admitted === 1 &&
+    JSON.stringify(stats.rejected) === '{"normal":1,"interactive":1}'
+  ) {
+    console.log("✅ PASSED - Refused at the threshold, counted per lane\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Threshold not enforced\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Adaptive Bulk Shedding
+// ============================================================================
+
+async function testAdaptive() {
+  console.log("Test 2: Adaptive Bulk Shedding");
+  console.log("━".repeat(50));
+
+  const service = createService(5);
+  const admission = new AdmissionControl({
+    mode: "adaptive",
+    queueThreshold: 10,
+    bulkShedRatio: 0.5,
+    service,
+  });
+
+  const results = await withApp(admission, async (request) => ({
+    bulk: await request("bulk"),
+    normal: await request(),
+    interactive: await request("interactive"),
+  }));
+  const stats = admission.getStats();
+
+  console.log(`At 5 of 10: bulk ${results.bulk.status}, normal ${results.normal.status}, interactive ${results.interactive.status}`);
+  console.log(`Bulk threshold: ${stats.bulkThreshold}, rejected: ${JSON.stringify(stats.rejected)}`);
+
+  if (
+    results.bulk.status === 503 &&
+    results.bulk.body.priority === "bulk" &&
+    results.normal.status === 200 &&
+    results.interactive.status === 200 &&
+    stats.mode === "adaptive" &&
+    stats.bulkThreshold === 5 &&
+    stats.admitted === 2 &&
+    JSON.stringify(stats.rejected) === '{"bulk":1}'
+  ) {
+    console.log("✅ PASSED - Bulk shed, the rest of the queue kept\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Bulk not shed first\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Retry-After
+// ============================================================================
+
+async function testRetryAfter() {
+  console.log("Test 3: Retry-After From Throughput");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const admission = new AdmissionControl({
+    queueThreshold: 10,
+    throughputWindow: 10_000,
+    minRetryAfter: 2,
+    maxRetryAfter: 30,
+    service,
+  });
+
+  // Nothing finished yet: no rate to go by
+  const noThroughput = admission.retryAfter(20, 10);
+
+  // 20 renders over a full 10s window, 2/s
+  const now = Date.now();
+  admission.startedAt = now - 10_000;
+  for (let i = 20; i > 0; i--) admission.recordFinished(now - i * 400);
+  const rate = admission.throughput(now);
+  const estimated = admission.retryAfter(20, 10); // 11 over, 2/s
+  const short = admission.retryAfter(10, 10); // 1 over
+  const long = admission.retryAfter(500, 10); // 491 over
+
+  // Failed and cancelled renders free their slot as well
+  for (const event of ["task-completed", "task-failed", "task-cancelled"]) {
+    service.emit(event, {});
+  }
+  const counted = admission.finished.length;
+
+  console.log(`No throughput: ${noThroughput}s`);
+  console.log(`Rate: ${rate}/s, retry after: ${estimated}s, min ${short}s, max ${long}s`);
+  console.log(`Finished counted from events: ${counted - 20}`);
+
+  if (
+    noThroughput === 30 &&
+    rate === 2 &&
+    estimated === 6 &&
+    short === 2 &&
+    long === 30 &&
+    counted === 23
+  ) {
+    console.log("✅ PASSED - Retry-After estimated and clamped\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retry-After estimate wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Closed and Disabled
+// ============================================================================
+
+async function testClosed() {
+  console.log("Test 4: Closed and Disabled");
+  console.log("━".repeat(50));
+
+  const service = createService(1000);
+  const admission = new AdmissionControl({
+    enabled: false,
+    queueThreshold: 10,
+    service,
+  });
+
+  const results = await withApp(admission, async (request) => {
+    const disabled = await request("bulk");
+    admission.close();
+    const closed = await request("interactive");
+    return { disabled, closed };
+  });
+  const stats = admission.getStats();
+
+  console.log(`Disabled at 1000 queued: ${results.disabled.status}`);
+  console.log(`Closed: ${results.closed.status} ${results.closed.body.error}, Connection: ${results.closed.connection}`);
+
+  if (
+    results.disabled.status === 200 &&
+    results.closed.status === 503 &&
+    results.closed.body.error === "Server shutting down" &&
+    results.closed.connection === "close" &&
+    results.closed.retryAfter === null &&
+    stats.enabled === false &&
+    stats.admitted === 0 &&
+    JSON.stringify(stats.rejected) === "{}"
+  ) {
+    console.log("✅ PASSED - Disabled admits all, closed refuses all\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Closed or disabled handled wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Full Lane on the Server
+// ============================================================================
+
+async function testServerFullLane() {
+  console.log("Test 5: Full Lane on the Server");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startServer({
+    JWT_SECRET: "",
+    PDF_LANE_NORMAL_MAX_QUEUE: "1",
+  });
+
+  let responses, metrics;
+  try {
+    // Warm the worker so the burst finds it busy rendering
+    await (await fetch(`${url}/pdf`)).arrayBuffer();
+
+    responses = await Promise.all(
+      Array.from({ length: 6 }, async () => {
+        const res = await fetch(`${url}/pdf`);
+        const body = res.headers.get("content-type").includes("json")
+          ? await res.json()
+          : await res.arrayBuffer();
+        return { status: res.status, retryAfter: res.headers.get("retry-after"), body };
+      }),
+    );
+    metrics = await (await fetch(`${url}/metrics`)).json();
+  } finally {
+    await stopServer(child);
+  }
+
+  const refused = responses.filter((res) => res.status === 503);
+  const rendered = responses.filter((res) => res.status === 200);
+
+  console.log(`Statuses: ${responses.map((res) => res.status).join(",")}`);
+  console.log(`Refused: ${JSON.stringify(refused[0]?.body)}, Retry-After: ${refused[0]?.retryAfter}`);
+  console.log(`Admission: ${JSON.stringify(metrics.admission.rejected)}, lane rejected: ${metrics.pdf.lanes.normal.rejected}, errors: ${metrics.pdf.errors}`);
+
+  if (
+    refused.length > 0 &&
+    rendered.length >= 2 &&
+    refused.length + rendered.length === 6 &&
+    refused.every(
+      (res) =>
+        res.body.error === "Server overloaded" &&
+        res.body.priority === "normal" &&
+        Number(res.retryAfter) >= 1,
+    ) &&
+    metrics.admission.rejected.normal === refused.length &&
+    metrics.pdf.lanes.normal.rejected === refused.length &&
+    metrics.pdf.errors === 0
+  ) {
+    console.log("✅ PASSED - Full lane refused with Retry-After, nothing failed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Full lane not answered as overload\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     ADMISSION CONTROL TEST SUITE                          ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testStaticThreshold());
+    results.push(await testAdaptive());
+    results.push(await testRetryAfter());
+    results.push(await testClosed());
+    results.push(await testServerFullLane());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Admission control verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
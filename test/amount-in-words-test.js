@@ -0,0 +1,283 @@
+import {
+  amountFromWords,
+  amountInWords,
+  wordsMatchAmount,
+} from "../src/utils/amountInWords.js";
+import { checkInvoice } from "../src/template-invoice.js";
+import dummy from "../src/data/opd-data.json" with { type: "json" };
+
+/**
+ * Amount In Words Test Suite
+ *
+ * Tests to verify:
+ * 1. Bahasa Indonesia words, including the "se-" forms
+ * 2. English words with currency units, plurals and cents
+ * 3. Amounts round-trip through words in both languages
+ * 4. Filler words are read, unreadable text and bad units are not
+ * 5. Amounts too large to write out throw instead of dropping groups
+ * 6. Invoice check rejects only words that say a different amount
+ */
+
+console.log("🧪 Amount In Words Test Suite\n");
+
+function expectAll(cases) {
+  let ok = true;
+  for (const [actual, expected] of cases) {
+    const match = actual === expected;
+    console.log(`${match ? "✓" : "✗"} ${JSON.stringify(actual)}`);
+    if (!match) {
+      console.log(`    expected ${JSON.stringify(expected)}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// ============================================================================
+// Test 1: Bahasa Indonesia
+// ============================================================================
+
+function testIndonesian() {
+  console.log("Test 1: Bahasa Indonesia");
+  console.log("━".repeat(50));
+
+  const ok = expectAll([
+    [amountInWords(0), "nol rupiah"],
+    [amountInWords(90000), "sembilan puluh ribu rupiah"],
+    [amountInWords(1011), "seribu sebelas rupiah"],
+    [amountInWords(115), "seratus lima belas rupiah"],
+    [amountInWords(1001000), "satu juta seribu rupiah"],
+    [amountInWords(-250), "minus dua ratus lima puluh rupiah"],
+    // IDR has no decimals, so the fraction rounds away
+    [amountInWords(1999.6), "dua ribu rupiah"],
+    [
+      amountInWords(178955000, { titleCase: true }),
+      "Seratus Tujuh Puluh Delapan Juta Sembilan Ratus Lima Puluh Lima Ribu Rupiah",
+    ],
+    [
+      amountInWords(12.05, { currency: "USD" }),
+      "dua belas dolar lima sen",
+    ],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 2: English
+// ============================================================================
+
+function testEnglish() {
+  console.log("Test 2: English");
+  console.log("━".repeat(50));
+
+  const usd = { locale: "en-US", currency: "USD" };
+  const ok = expectAll([
+    [amountInWords(0, usd), "zero dollars"],
+    [amountInWords(1, usd), "one dollar"],
+    [amountInWords(0.01, usd), "one cent"],
+    [
+      amountInWords(1234.5, usd),
+      "one thousand two hundred thirty-four dollars and fifty cents",
+    ],
+    [amountInWords(90000, { locale: "en-GB" }), "ninety thousand rupiah"],
+    [
+      amountInWords(21.99, { ...usd, titleCase: true }),
+      "Twenty-One Dollars And Ninety-Nine Cents",
+    ],
+    [amountInWords(5, { language: "en", currency: "CHF" }), "five CHF"],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 3: Round Trip
+// ============================================================================
+
+function testRoundTrip() {
+  console.log("Test 3: Round Trip");
+  console.log("━".repeat(50));
+
+  const amounts = [
+    0, 1, 10, 11, 19, 20, 99, 100, 101, 110, 999, 1000, 1001, 12345,
+    100000, 999999, 1000000, 2000011, 987654321, 1e12 + 7,
+    Number.MAX_SAFE_INTEGER, -42,
+  ];
+  const formats = [
+    { locale: "id-ID", currency: "IDR" },
+    { locale: "en-US", currency: "IDR" },
+    { locale: "en-US", currency: "USD" },
+    { locale: "id-ID", currency: "USD" },
+  ];
+
+  let failures = 0;
+  let checked = 0;
+  for (const format of formats) {
+    for (const base of amounts) {
+      // Cents only where the currency has them, and only while exact
+      if (format.currency === "USD" && Math.abs(base) >= 1e12) continue;
+      const amount = format.currency === "USD" ? base + 0.37 : base;
+      const words = amountInWords(amount, format);
+      const back = amountFromWords(words, format);
+      checked++;
+      if (
+        Math.round(back * 100) !== Math.round(amount * 100) ||
+        !wordsMatchAmount(words, amount, format)
+      ) {
+        failures++;
+        console.log(`✗ ${amount} → "${words}" → ${back}`);
+      }
+    }
+  }
+
+  console.log(`Round-tripped: ${checked - failures}/${checked}`);
+  const ok = failures === 0;
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 4: Reading Payload Wording
+// ============================================================================
+
+function testReading() {
+  console.log("Test 4: Reading Payload Wording");
+  console.log("━".repeat(50));
+
+  const usd = { currency: "USD" };
+  const ok = expectAll([
+    [amountFromWords("Seratus Ribu Rupiah Saja"), 100000],
+    [amountFromWords("# Sembilan Puluh Ribu Rupiah #"), 90000],
+    [amountFromWords("Terbilang: dua ribu rupiah"), 2000],
+    [amountFromWords("sembilan puluh ribu"), 90000],
+    [amountFromWords("one hundred and five dollars only", usd), 105],
+    [amountFromWords("Ninety Thousand Rupiah Only"), 90000],
+    // Not amounts
+    [amountFromWords(""), null],
+    [amountFromWords("saja"), null],
+    [amountFromWords("rupiah"), null],
+    [amountFromWords("lunas"), null],
+    [amountFromWords("dua ribu rupiah lima"), null],
+    // IDR has no sen; a cents value of 100 or more isn't a fraction
+    [amountFromWords("sembilan puluh ribu rupiah lima puluh sen"), null],
+    [amountFromWords("one dollar one hundred fifty cents", usd), null],
+    [wordsMatchAmount("", 0), false],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 5: Out Of Range
+// ============================================================================
+
+function testOutOfRange() {
+  console.log("Test 5: Out Of Range");
+  console.log("━".repeat(50));
+
+  const throwsRange = (amount, options) => {
+    try {
+      amountInWords(amount, options);
+      return false;
+    } catch (err) {
+      return err instanceof RangeError;
+    }
+  };
+
+  const ok = expectAll([
+    [throwsRange(1e18), true],
+    [throwsRange(Number.MAX_SAFE_INTEGER + 2), true],
+    // Safe as rupiah, not once counted in cents
+    [throwsRange(Number.MAX_SAFE_INTEGER), false],
+    [throwsRange(Number.MAX_SAFE_INTEGER, { currency: "USD" }), true],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 6: Invoice Cross-Check
+// ============================================================================
+
+function testInvoiceCheck() {
+  console.log("Test 6: Invoice Cross-Check");
+  console.log("━".repeat(50));
+
+  const withDetails = (details) => {
+    const data = structuredClone(dummy.data);
+    Object.assign(data.invoice_details, details);
+    return data;
+  };
+  const pointers = (data) => checkInvoice(data).map((e) => e.pointer);
+
+  const ok = expectAll([
+    [pointers(dummy.data).length, 0],
+    [
+      pointers(
+        withDetails({
+          in_words_payer: `${dummy.data.invoice_details.in_words_payer} Saja`,
+        }),
+      ).length,
+      0,
+    ],
+    [pointers(withDetails({ in_words_payer: "Lunas" })).length, 0],
+    [
+      pointers(withDetails({ in_words_payer: "Seratus Ribu Rupiah" }))[0],
+      "/invoice_details/in_words_payer",
+    ],
+    [
+      pointers(
+        withDetails({ in_words_patient: undefined, patient_net_amount: 1e18 }),
+      )[0],
+      "/invoice_details/patient_net_amount",
+    ],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     AMOUNT IN WORDS TEST SUITE                            ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [
+    testIndonesian(),
+    testEnglish(),
+    testRoundTrip(),
+    testReading(),
+    testOutOfRange(),
+    testInvoiceCheck(),
+  ];
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Amounts in words verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,349 @@
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Cancellation Test Suite
+ *
+ * Tests to verify:
+ * 1. An already aborted render never reaches a worker
+ * 2. A render cancelled while waiting leaves its lane
+ * 3. A running render stops without terminating its worker
+ * 4. Cancelling ends the wait before a retry
+ * 5. The server cancels renders of clients that disconnect
+ */
+
+console.log("🧪 Cancellation Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+function createService(options = {}) {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    ...options,
+  });
+}
+
+const doc = { content: ["Invoice INV-001"] };
+
+// Long enough for the test to cancel it mid-render
+const longDoc = {
+  content: Array.from({ length: 3000 }, (_, i) => `Line ${i}`),
+};
+
+// task-* events by type
+function recordEvents(service) {
+  const events = { cancelled: [], failed: [], completed: [] };
+  service.on("task-cancelled", (event) => events.cancelled.push(event));
+  service.on("task-failed", (event) => events.failed.push(event));
+  service.on("task-completed", (event) => events.completed.push(event));
+  return events;
+}
+
+// ============================================================================
+// Test 1: Aborted Before Start
+// ============================================================================
+
+async function testAbortedBeforeStart() {
+  console.log("Test 1: Aborted Before Start");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const events = recordEvents(service);
+
+  const controller = new AbortController();
+  controller.abort(new Error("Client disconnected"));
+
+  let error = null;
+  try {
+    await service.renderToBuffer(doc, { signal: controller.signal });
+  } catch (err) {
+    error = err.message;
+  }
+
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Error: ${error}, completed by pool: ${stats.completed}`);
+  console.log(`Cancelled: ${stats.cancelled}, errors: ${stats.errors}`);
+
+  if (
+    error === "Client disconnected" &&
+    stats.completed === 0 &&
+    stats.cancelled === 1 &&
+    stats.errors === 0 &&
+    events.cancelled.length === 1 &&
+    events.cancelled[0].attempts === 1 &&
+    events.failed.length === 0
+  ) {
+    console.log("✅ PASSED - Cancelled without rendering\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Aborted render went ahead\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Cancelled While Waiting
+// ============================================================================
+
+async function testCancelledWhileQueued() {
+  console.log("Test 2: Cancelled While Waiting");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const events = recordEvents(service);
+
+  const running = service.renderToBuffer(doc);
+  const controller = new AbortController();
+  const waiting = service.renderToBuffer(doc, { signal: controller.signal });
+  const queuedBefore = service.getLaneStats().normal.queued;
+
+  controller.abort(new Error("Client disconnected"));
+  const outcome = await waiting.then(
+    () => "rendered",
+    (err) => err.message,
+  );
+  const queuedAfter = service.getLaneStats().normal.queued;
+
+  await running;
+  const lanes = service.getLaneStats();
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Queued: ${queuedBefore} -> ${queuedAfter}, outcome: ${outcome}`);
+  console.log(`Lane completed: ${lanes.normal.completed}, cancelled: ${stats.cancelled}`);
+
+  if (
+    queuedBefore === 1 &&
+    queuedAfter === 0 &&
+    outcome === "Client disconnected" &&
+    lanes.normal.completed === 1 &&
+    stats.cancelled === 1 &&
+    events.completed.length === 1 &&
+    events.failed.length === 0
+  ) {
+    console.log("✅ PASSED - Waiting render dropped from its lane\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Cancelled render still ran\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Cancelled While Running
+// ============================================================================
+
+async function testCancelledWhileRunning() {
+  console.log("Test 3: Cancelled While Running");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const events = recordEvents(service);
+
+  // Start the worker, so the long render doesn't include thread startup
+  await service.renderToBuffer(doc);
+  const [threadBefore] = service.poolWorkers.keys();
+
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const running = service.renderToBuffer(longDoc, { signal: controller.signal });
+  await waitFor(() => service.getLaneStats().normal.running === 1);
+  await sleep(20);
+  controller.abort(new Error("Client disconnected"));
+
+  const outcome = await running.then(
+    () => "rendered",
+    (err) => err.message,
+  );
+  const rejectedAfter = Date.now() - startedAt;
+
+  // The slot stays taken until the worker has stopped on its own
+  const slotReleased = await waitFor(
+    () => service.getLaneStats().normal.running === 0,
+  );
+  const next = await service.renderToBuffer(doc);
+  const [threadAfter] = service.poolWorkers.keys();
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Outcome: ${outcome} after ${rejectedAfter}ms`);
+  console.log(`Thread: ${threadBefore} -> ${threadAfter}, crashes: ${stats.workerCrashes}`);
+  console.log(`Next render: ${next.length} bytes, cancelled: ${stats.cancelled}, errors: ${stats.errors}`);
+
+  if (
+    outcome === "Client disconnected" &&
+    slotReleased &&
+    threadAfter === threadBefore &&
+    stats.workerCrashes === 0 &&
+    next.length > 0 &&
+    stats.cancelled === 1 &&
+    stats.errors === 0 &&
+    events.failed.length === 0
+  ) {
+    console.log("✅ PASSED - Worker stopped the render and stayed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Running render not cancelled cleanly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Cancelled During Retry Wait
+// ============================================================================
+
+async function testCancelledDuringRetryWait() {
+  console.log("Test 4: Cancelled During Retry Wait");
+  console.log("━".repeat(50));
+
+  const service = createService({ maxRetries: 3, retryDelay: 2000 });
+  const events = recordEvents(service);
+  const retries = [];
+  service.on("task-retry", (event) => retries.push(event));
+
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const render = service.renderToBuffer(
+    { content: [{ table: { body: "not rows" } }] },
+    { signal: controller.signal },
+  );
+  await waitFor(() => retries.length === 1);
+  controller.abort(new Error("Client disconnected"));
+
+  const outcome = await render.then(
+    () => "rendered",
+    (err) => err.message,
+  );
+  const elapsed = Date.now() - startedAt;
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Outcome: ${outcome} after ${elapsed}ms, retry delay 2000ms`);
+  console.log(`Cancelled after ${events.cancelled[0]?.attempts} attempt(s), failed: ${events.failed.length}`);
+
+  if (
+    outcome === "Client disconnected" &&
+    elapsed < 2000 &&
+    events.cancelled[0]?.attempts === 1 &&
+    events.failed.length === 0 &&
+    stats.errors === 0
+  ) {
+    console.log("✅ PASSED - No retry for a caller that left\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retry went ahead after cancel\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Client Disconnect
+// ============================================================================
+
+async function testClientDisconnect() {
+  console.log("Test 5: Client Disconnect");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startServer({ JWT_SECRET: "" });
+
+  let aborted, metrics;
+  try {
+    // Warm the worker so the aborted request is cut off mid-render
+    await (await fetch(`${url}/pdf`)).arrayBuffer();
+
+    const controller = new AbortController();
+    const request = fetch(`${url}/pdf/stream`, {
+      method: "POST",
+      signal: controller.signal,
+    }).catch((err) => err.name);
+    await sleep(30);
+    controller.abort();
+    aborted = await request;
+
+    await waitFor(async () => {
+      metrics = await (await fetch(`${url}/metrics`)).json();
+      return metrics.pdf.cancelled === 1;
+    });
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Client: ${aborted}`);
+  console.log(`Cancelled: ${metrics.pdf.cancelled}, errors: ${metrics.pdf.errors}, renders: ${metrics.pdf.renders}`);
+
+  if (
+    aborted === "AbortError" &&
+    metrics.pdf.cancelled === 1 &&
+    metrics.pdf.errors === 0 &&
+    metrics.pdf.renders === 1
+  ) {
+    console.log("✅ PASSED - Disconnect cancelled the render, not failed it\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Disconnect not handled as a cancellation\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     CANCELLATION TEST SUITE                               ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testAbortedBeforeStart());
+    results.push(await testCancelledWhileQueued());
+    results.push(await testCancelledWhileRunning());
+    results.push(await testCancelledDuringRetryWait());
+    results.push(await testClientDisconnect());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Cancellation verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
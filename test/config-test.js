@@ -0,0 +1,225 @@
+import { spawnSync } from "child_process";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Config Test Suite
+ *
+ * Tests to verify:
+ * 1. OTLP headers keep "=" inside their values
+ * 2. OTLP header pairs without a value separator are skipped
+ * 3. Production refuses to start without auth unless AUTH_DISABLED is set
+ * 4. Production refuses to keep Redis job payloads without an encryption key
+ */
+
+console.log("🧪 Config Test Suite\n");
+
+// config.js reads the environment once on import and exits on bad values,
+// so each environment gets its own process
+function loadConfig(env, expression = "config") {
+  const result = spawnSync(
+    process.execPath,
+    [
+      "--input-type=module",
+      "-e",
+      `import config from "./src/config.js";
+       console.log(JSON.stringify(${expression}));`,
+    ],
+    {
+      cwd: join(__dirname, ".."),
+      env: { ...process.env, ...env },
+      encoding: "utf-8",
+      timeout: 30_000,
+    },
+  );
+
+  // dotenv may print a notice before the value
+  const lines = result.stdout.trim().split("\n");
+  return {
+    status: result.status,
+    value: result.status === 0 ? JSON.parse(lines.at(-1)) : null,
+    stderr: result.stderr,
+  };
+}
+
+// ============================================================================
+// Test 1: OTLP Header Values
+// ============================================================================
+
+function testOtlpHeaderValues() {
+  console.log("Test 1: OTLP Header Values");
+  console.log("━".repeat(50));
+
+  const { status, value } = loadConfig(
+    {
+      OTEL_EXPORTER_OTLP_HEADERS:
+        "Authorization=Basic dXNlcjpwYXNz==, x-api-key = k=v=1 ,dataset=",
+    },
+    "config.tracing.otlpHeaders",
+  );
+
+  console.log(`Headers: ${JSON.stringify(value)}`);
+
+  if (
+    status === 0 &&
+    JSON.stringify(value) ===
+      JSON.stringify({
+        Authorization: "Basic dXNlcjpwYXNz==",
+        "x-api-key": "k=v=1",
+        dataset: "",
+      })
+  ) {
+    console.log("✅ PASSED - Values split on the first \"=\" only\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Header values cut at \"=\"\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Malformed OTLP Headers
+// ============================================================================
+
+function testMalformedOtlpHeaders() {
+  console.log("Test 2: Malformed OTLP Headers");
+  console.log("━".repeat(50));
+
+  const malformed = loadConfig(
+    { OTEL_EXPORTER_OTLP_HEADERS: "x-api-key,,tenant=clinic-a" },
+    "config.tracing.otlpHeaders",
+  );
+  const unset = loadConfig(
+    { OTEL_EXPORTER_OTLP_HEADERS: "" },
+    "config.tracing.otlpHeaders",
+  );
+
+  console.log(`Malformed: ${JSON.stringify(malformed.value)}`);
+  console.log(`Unset: ${JSON.stringify(unset.value)}`);
+
+  if (
+    JSON.stringify(malformed.value) === '{"tenant":"clinic-a"}' &&
+    JSON.stringify(unset.value) === "{}"
+  ) {
+    console.log("✅ PASSED - Pairs without \"=\" skipped\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Malformed pairs not skipped\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Production Auth
+// ============================================================================
+
+function testProductionAuth() {
+  console.log("Test 3: Production Auth");
+  console.log("━".repeat(50));
+
+  const production = { NODE_ENV: "production", JWT_SECRET: "", JWT_JWKS_PATH: "" };
+  const open = loadConfig(production);
+  const disabled = loadConfig({ ...production, AUTH_DISABLED: "true" });
+  const secret = loadConfig({ ...production, JWT_SECRET: "production-secret" });
+  const jwks = loadConfig({ ...production, JWT_JWKS_PATH: "/etc/pdfgen/jwks.json" });
+  const development = loadConfig({ ...production, NODE_ENV: "development" });
+
+  console.log(`No keys: exit ${open.status}, ${open.stderr.trim()}`);
+  console.log(`AUTH_DISABLED=true: exit ${disabled.status}`);
+  console.log(`JWT_SECRET: exit ${secret.status}, JWT_JWKS_PATH: exit ${jwks.status}`);
+  console.log(`Development without keys: exit ${development.status}`);
+
+  if (
+    open.status === 1 &&
+    open.stderr.includes("JWT_SECRET or JWT_JWKS_PATH is required in production") &&
+    disabled.status === 0 &&
+    disabled.value.security.authDisabled === true &&
+    secret.status === 0 &&
+    jwks.status === 0 &&
+    development.status === 0 &&
+    development.value.security.authDisabled === false
+  ) {
+    console.log("✅ PASSED - Open server in production only when intended\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Production started without auth\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Production Queue Key
+// ============================================================================
+
+function testProductionQueueKey() {
+  console.log("Test 4: Production Queue Key");
+  console.log("━".repeat(50));
+
+  const production = {
+    NODE_ENV: "production",
+    JWT_SECRET: "production-secret",
+    QUEUE_MODE: "redis",
+    DLQ_ENCRYPTION_KEY: "",
+  };
+  const noKey = loadConfig(production);
+  const withKey = loadConfig({ ...production, DLQ_ENCRYPTION_KEY: "dlq-secret" });
+  const memory = loadConfig({ ...production, QUEUE_MODE: "memory" });
+
+  console.log(`Redis queue without key: exit ${noKey.status}, ${noKey.stderr.trim()}`);
+  console.log(`With key: exit ${withKey.status}, memory queue: exit ${memory.status}`);
+
+  if (
+    noKey.status === 1 &&
+    noKey.stderr.includes("DLQ_ENCRYPTION_KEY is required with QUEUE_MODE=redis") &&
+    withKey.status === 0 &&
+    memory.status === 0
+  ) {
+    console.log("✅ PASSED - Redis job payloads require a key in production\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Production started without a queue key\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     CONFIG TEST SUITE                                     ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [
+    testOtlpHeaderValues(),
+    testMalformedOtlpHeaders(),
+    testProductionAuth(),
+    testProductionQueueKey(),
+  ];
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Config verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests();
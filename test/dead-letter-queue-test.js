@@ -0,0 +1,334 @@
+import RedisMock from "ioredis-mock";
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { DeadLetterQueue } from "../src/middleware/request-tracker.js";
+
+/**
+ * Dead Letter Queue Test Suite
+ *
+ * Tests to verify:
+ * 1. File store persists entries with their payload across restarts
+ * 2. Entries are filtered by time range, reason and template
+ * 3. Removing entries rewrites the file and keeps it bounded
+ * 4. Redis store is shared by instances and trimmed to maxSize
+ * 5. Payloads never reach disk unencrypted
+ */
+
+console.log("🧪 Dead Letter Queue Test Suite\n");
+
+const docDefinition = { content: ["Invoice INV-001"] };
+const encryptionKey = "test-dlq-key";
+
+// ============================================================================
+// Test 1: File Store Survives Restart
+// ============================================================================
+
+async function testFilePersistence(dir) {
+  console.log("Test 1: File Store Survives Restart");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "persist", "dlq.jsonl");
+
+  const options = { filePath, encryptionKey, enableLogging: false };
+  const first = new DeadLetterQueue(options);
+  const added = await first.add(
+    { id: "job-1", template: "invoice", docDefinition },
+    "Task timed out",
+  );
+  await first.shutdown();
+
+  // A fresh instance stands in for the restarted server
+  const second = new DeadLetterQueue(options);
+  const entry = await second.get("job-1");
+  const stats = await second.getStats();
+
+  console.log(`Store: ${stats.store}, entries: ${stats.totalEntries}`);
+  console.log(`Reloaded payload: ${JSON.stringify(entry?.docDefinition)}`);
+
+  if (
+    stats.store === "file" &&
+    stats.totalEntries === 1 &&
+    entry?.dlqReason === "Task timed out" &&
+    entry.dlqAddedAt === added.dlqAddedAt &&
+    JSON.stringify(entry.docDefinition) === JSON.stringify(docDefinition)
+  ) {
+    console.log("✅ PASSED - Entry and payload reloaded from disk\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Entry was lost on restart\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Filtering
+// ============================================================================
+
+async function testFiltering() {
+  console.log("Test 2: Filter By Time, Reason and Template");
+  console.log("━".repeat(50));
+
+  const dlq = new DeadLetterQueue({ enableLogging: false });
+
+  await dlq.add({ id: "a", template: "invoice", docDefinition }, "Task timed out");
+  await dlq.add({ id: "b", template: "receipt" }, "Worker crashed");
+  await dlq.add({ id: "c", template: "invoice", docDefinition }, "worker CRASHED");
+
+  // Spread the entries over time without sleeping
+  dlq.queue[0].dlqAddedAt = 1000;
+  dlq.queue[1].dlqAddedAt = 2000;
+  dlq.queue[2].dlqAddedAt = 3000;
+
+  const byReason = await dlq.query({ reason: "crashed" });
+  const byTemplate = await dlq.query({ reason: "crashed", template: "invoice" });
+  const byTime = await dlq.query({ since: 1500, until: 2500 });
+  const limited = await dlq.query({ limit: 2 });
+
+  const ids = (entries) => entries.map((entry) => entry.id).join(",");
+
+  console.log(`reason=crashed: ${ids(byReason)}`);
+  console.log(`reason=crashed template=invoice: ${ids(byTemplate)}`);
+  console.log(`since=1500 until=2500: ${ids(byTime)}`);
+  console.log(`limit=2: ${ids(limited)}`);
+
+  if (
+    ids(byReason) === "b,c" &&
+    ids(byTemplate) === "c" &&
+    ids(byTime) === "b" &&
+    ids(limited) === "b,c" &&
+    byReason.every((entry) => entry.docDefinition === undefined) &&
+    byReason[0].replayable === false &&
+    byReason[1].replayable === true
+  ) {
+    console.log("✅ PASSED - Filters applied, payloads left out of listings\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Filters returned the wrong entries\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Remove and Bound the File
+// ============================================================================
+
+async function testFileRemoveAndTrim(dir) {
+  console.log("Test 3: Remove and Bound the File");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "trim", "dlq.jsonl");
+  const dlq = new DeadLetterQueue({
+    filePath,
+    maxSize: 4,
+    enableLogging: false,
+  });
+
+  for (let i = 1; i <= 12; i++) {
+    await dlq.add({ id: `job-${i}`, docDefinition }, "failed");
+  }
+  const removed = await dlq.remove("job-11");
+  const removedMissing = await dlq.remove("job-1");
+  const removedBatch = await dlq.removeMany(["job-10", "job-2", "job-12"]);
+  await dlq.shutdown();
+
+  const lines = (await readFile(filePath, "utf-8")).split("\n").filter(Boolean);
+  const reloaded = new DeadLetterQueue({ filePath, enableLogging: false });
+  const ids = (await reloaded.getAll()).map((entry) => entry.id).join(",");
+
+  console.log(`Batch removed: ${removedBatch}, file lines: ${lines.length}`);
+  console.log(`Reloaded: ${ids}`);
+
+  if (
+    removed &&
+    !removedMissing &&
+    removedBatch === 2 &&
+    lines.length === 1 &&
+    ids === "job-9"
+  ) {
+    console.log("✅ PASSED - Removal persisted, file kept to maxSize\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - File grew or removal was not persisted\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Redis Store
+// ============================================================================
+
+async function testRedisStore() {
+  console.log("Test 4: Redis Store Shared and Trimmed");
+  console.log("━".repeat(50));
+
+  // ioredis-mock instances share data, like two pods on one Redis
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const options = {
+    keyPrefix: "dlqtest:",
+    maxSize: 2,
+    encryptionKey,
+    enableLogging: false,
+  };
+  const podA = new DeadLetterQueue({ ...options, redis: redisA });
+  const podB = new DeadLetterQueue({ ...options, redis: redisB });
+
+  await podA.add({ id: "x", template: "invoice", docDefinition }, "first");
+  await podA.add({ id: "y", template: "invoice", docDefinition }, "second");
+  await podB.add({ id: "z", template: "invoice" }, "third");
+
+  const listed = await podB.query();
+  const entry = await podB.get("y");
+  const stored = await redisA.hget("dlqtest:dlq:payloads", "y");
+  const stats = await podA.getStats();
+  const removed = await podB.remove("y");
+  const afterRemove = await podA.getStats();
+
+  console.log(`Listed on pod-b: ${listed.map((e) => e.id).join(",")}`);
+  console.log(`Store: ${stats.store}, entries: ${stats.totalEntries}`);
+  console.log(`After remove: ${afterRemove.totalEntries}`);
+
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    listed.map((e) => e.id).join(",") === "y,z" &&
+    listed[0].replayable === true &&
+    listed[1].replayable === false &&
+    JSON.stringify(entry?.docDefinition) === JSON.stringify(docDefinition) &&
+    !stored.includes("INV-001") &&
+    stats.store === "redis" &&
+    stats.totalEntries === 2 &&
+    removed &&
+    afterRemove.totalEntries === 1
+  ) {
+    console.log("✅ PASSED - Entries shared across instances and trimmed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Redis store did not behave as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Payloads Encrypted At Rest
+// ============================================================================
+
+async function testPayloadsAtRest(dir) {
+  console.log("Test 5: Payloads Encrypted At Rest");
+  console.log("━".repeat(50));
+
+  const sealedPath = join(dir, "sealed", "dlq.jsonl");
+  const sealed = new DeadLetterQueue({
+    filePath: sealedPath,
+    encryptionKey,
+    enableLogging: false,
+  });
+  await sealed.add({ id: "s", docDefinition }, "failed");
+  await sealed.shutdown();
+  const sealedFile = await readFile(sealedPath, "utf-8");
+
+  // A different key can't open the payload
+  const wrongKey = new DeadLetterQueue({
+    filePath: sealedPath,
+    encryptionKey: "another-key",
+    enableLogging: false,
+  });
+  const [wrongKeyListed] = await wrongKey.query();
+
+  // Without a key the payload isn't kept at all
+  const plainPath = join(dir, "plain", "dlq.jsonl");
+  const unkeyed = new DeadLetterQueue({ filePath: plainPath, enableLogging: false });
+  await unkeyed.add({ id: "p", docDefinition }, "failed");
+  await unkeyed.shutdown();
+  const unkeyedFile = await readFile(plainPath, "utf-8");
+  const [unkeyedListed] = await unkeyed.query();
+
+  // A file from before payloads were sealed is scrubbed on load
+  const legacyPath = join(dir, "legacy", "dlq.jsonl");
+  await mkdir(dirname(legacyPath), { recursive: true });
+  await writeFile(
+    legacyPath,
+    `${JSON.stringify({ id: "l", dlqAddedAt: 1, dlqReason: "old", docDefinition })}\n`,
+  );
+  const legacy = new DeadLetterQueue({
+    filePath: legacyPath,
+    encryptionKey,
+    enableLogging: false,
+  });
+  const legacyEntry = await legacy.get("l");
+  await legacy.shutdown();
+  const legacyFile = await readFile(legacyPath, "utf-8");
+
+  console.log(`Sealed file holds plaintext: ${sealedFile.includes("INV-001")}`);
+  console.log(`Wrong key replayable: ${wrongKeyListed?.replayable}`);
+  console.log(`Unkeyed replayable: ${unkeyedListed?.replayable}`);
+  console.log(`Legacy file holds plaintext: ${legacyFile.includes("INV-001")}`);
+
+  if (
+    !sealedFile.includes("INV-001") &&
+    wrongKeyListed?.replayable === false &&
+    !unkeyedFile.includes("INV-001") &&
+    unkeyedListed?.replayable === false &&
+    !legacyFile.includes("INV-001") &&
+    JSON.stringify(legacyEntry?.docDefinition) === JSON.stringify(docDefinition)
+  ) {
+    console.log("✅ PASSED - No payload written in plaintext\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Payload reached disk unencrypted\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     DEAD LETTER QUEUE TEST SUITE                          ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const dir = await mkdtemp(join(tmpdir(), "pdfgen-dlq-"));
+  const results = [];
+
+  try {
+    results.push(await testFilePersistence(dir));
+    results.push(await testFiltering());
+    results.push(await testFileRemoveAndTrim(dir));
+    results.push(await testRedisStore());
+    results.push(await testPayloadsAtRest(dir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Dead letter queue verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,355 @@
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { createRequire } from "module";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { FontRegistry } from "../src/services/font-registry.js";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// Real TTF files: pdfmake ships Roboto for the browser, base64 encoded
+const vfs = require("pdfmake/build/vfs_fonts.js");
+
+/**
+ * Font Fallback Test Suite
+ *
+ * Tests to verify:
+ * 1. Text is split into runs by the first font covering them
+ * 2. Documents are split without losing inline properties or styles
+ * 3. Characters no font covers are listed in one warning
+ * 4. Renders embed the fallback and report the warning
+ * 5. The server falls back for patient names in admission details
+ */
+
+console.log("🧪 Font Fallback Test Suite\n");
+
+async function createFontDir(dir) {
+  for (const file of ["Roboto-Regular.ttf", "Roboto-Italic.ttf"]) {
+    await writeFile(join(dir, file), Buffer.from(vfs[file], "base64"));
+  }
+  return dir;
+}
+
+function createRegistry(fontDir) {
+  const registry = new FontRegistry({ fallbacks: ["Roboto"] });
+  registry.loadDirectory(fontDir);
+  return registry;
+}
+
+const helvetica = { font: "Helvetica", bold: false, italics: false };
+
+// ============================================================================
+// Test 1: Splitting Text
+// ============================================================================
+
+async function testSplitText(fontDir) {
+  console.log("Test 1: Splitting Text");
+  console.log("━".repeat(50));
+
+  const registry = createRegistry(fontDir);
+  const uncovered = new Set();
+  const split = (text) =>
+    JSON.stringify(registry.splitText(text, helvetica, uncovered));
+
+  const mixed = split("Rp 1.000 → Ωmega 中");
+  const covered = split("Rp 1.000 € – Müller");
+  // The combining accent stays with its Ω, the line break with its run
+  const attached = split("Ω\u0301x\nΩ");
+  const roboto = JSON.stringify(
+    registry.splitText("Ωmega", { ...helvetica, font: "Roboto" }, uncovered),
+  );
+
+  console.log(`Mixed: ${mixed}`);
+  console.log(`Covered: ${covered}, in Roboto: ${roboto}`);
+  console.log(`Attached: ${attached}`);
+  console.log(`Uncovered: ${[...uncovered].join(", ")}`);
+
+  if (
+    mixed === '["Rp 1.000 → ",{"text":"Ω","font":"Roboto"},"mega 中"]' &&
+    covered === "null" &&
+    roboto === "null" &&
+    attached ===
+      JSON.stringify([
+        { text: "Ω\u0301", font: "Roboto" },
+        "x\n",
+        { text: "Ω", font: "Roboto" },
+      ]) &&
+    [...uncovered].join(",") === "8594,20013"
+  ) {
+    console.log("✅ PASSED - Runs split by coverage, gaps recorded\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Text split wrongly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Document Walk
+// ============================================================================
+
+async function testDocument(fontDir) {
+  console.log("Test 2: Document Walk");
+  console.log("━".repeat(50));
+
+  const registry = createRegistry(fontDir);
+  const doc = {
+    defaultStyle: { font: "Helvetica" },
+    styles: { greek: { font: "Roboto" } },
+    header: (page) => ({ text: `Halaman Ω ${page}` }),
+    content: [
+      "Pasien: Ω",
+      { text: ["Dr. ", { text: "Ωmega", bold: true, color: "red" }] },
+      { text: "Ω in its own font", style: "greek" },
+      { table: { body: [["Kamar", { text: "Ω", italics: true }]] } },
+    ],
+  };
+
+  const uncovered = registry.applyFallbacks(doc);
+  const [line, inline, styled, table] = doc.content;
+  const header = doc.header(2);
+
+  console.log(`Line: ${JSON.stringify(line)}`);
+  console.log(`Inline: ${JSON.stringify(inline)}`);
+  console.log(`Styled: ${JSON.stringify(styled)}`);
+  console.log(`Table cell: ${JSON.stringify(table.table.body[0][1])}`);
+  console.log(`Header: ${JSON.stringify(header)}`);
+
+  if (
+    JSON.stringify(line) === '{"text":["Pasien: ",{"text":"Ω","font":"Roboto"}]}' &&
+    JSON.stringify(inline.text) ===
+      '["Dr. ",{"text":"Ω","bold":true,"color":"red","font":"Roboto"},{"text":"mega","bold":true,"color":"red"}]' &&
+    styled.text === "Ω in its own font" &&
+    JSON.stringify(table.table.body[0][1]) ===
+      '{"text":[{"text":"Ω","font":"Roboto"}],"italics":true}' &&
+    JSON.stringify(header) ===
+      '{"text":["Halaman ",{"text":"Ω","font":"Roboto"}," 2"]}' &&
+    uncovered.size === 0
+  ) {
+    console.log("✅ PASSED - Runs keep their properties, styles respected\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Document split wrongly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Missing Glyphs Warning
+// ============================================================================
+
+async function testWarning() {
+  console.log("Test 3: Missing Glyphs Warning");
+  console.log("━".repeat(50));
+
+  const registry = new FontRegistry({ loadData: false });
+  const none = registry.missingGlyphsWarning(new Set());
+  const one = registry.missingGlyphsWarning(new Set([0x4e2d]));
+  const many = registry.missingGlyphsWarning(
+    new Set(Array.from({ length: 60 }, (_, i) => 0x4e00 + i)),
+  );
+
+  console.log(`None: ${none}`);
+  console.log(`One: ${JSON.stringify(one)}`);
+  console.log(`Many: ${many.message.slice(0, 50)}...${many.message.slice(-18)}, listed: ${many.characters.length}`);
+
+  if (
+    none === null &&
+    one.code === "MISSING_GLYPHS" &&
+    one.message === "No font covers 1 character: U+4E2D" &&
+    JSON.stringify(one.characters) === '[{"char":"中","codePoint":"U+4E2D"}]' &&
+    many.message.startsWith("No font covers 60 characters: U+4E00, U+4E01") &&
+    many.message.endsWith("U+4E31, ...") &&
+    many.characters.length === 50
+  ) {
+    console.log("✅ PASSED - One warning, characters capped\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Warning wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Rendered With Fallback
+// ============================================================================
+
+async function testRender(fontDir) {
+  console.log("Test 4: Rendered With Fallback");
+  console.log("━".repeat(50));
+
+  const service = new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    fontDir,
+    fontFallbacks: ["Roboto"],
+  });
+  const warnings = [];
+  service.on("render-warning", (warning) => warnings.push(warning));
+
+  const pdf = (
+    await service.renderToBuffer(
+      {
+        defaultStyle: { font: "Helvetica" },
+        content: ["Pasien: Ωmega 中"],
+      },
+      { metadata: { template: "invoice" } },
+    )
+  ).toString("latin1");
+  await service.renderToBuffer({
+    defaultStyle: { font: "Helvetica" },
+    content: ["Pasien: Sasuke"],
+  });
+  const stats = service.getStats();
+  await service.close();
+
+  let unknown = null;
+  try {
+    new PdfRenderServiceResilient({ fontFallbacks: ["Noto Sans CJK"] });
+  } catch (err) {
+    unknown = err.message;
+  }
+
+  const baseFonts = pdf.match(/\/BaseFont \/[^\s/]+/g) || [];
+  console.log(`Fonts in PDF: ${baseFonts.join(", ")}`);
+  console.log(`Warnings: ${JSON.stringify(warnings.map((w) => [w.code, w.message, w.metadata?.template]))}`);
+  console.log(`Stats: ${stats.warnings} warning(s), unknown fallback: ${unknown}`);
+
+  if (
+    baseFonts.includes("/BaseFont /Helvetica") &&
+    baseFonts.some((font) => /\+Roboto-Regular$/.test(font)) &&
+    warnings.length === 1 &&
+    warnings[0].code === "MISSING_GLYPHS" &&
+    warnings[0].message === "No font covers 1 character: U+4E2D" &&
+    warnings[0].metadata?.template === "invoice" &&
+    stats.warnings === 1 &&
+    stats.errors === 0 &&
+    unknown === 'Unknown fallback font "Noto Sans CJK"'
+  ) {
+    console.log("✅ PASSED - Fallback embedded, uncovered character reported\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Fallback not applied while rendering\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Server Fallback
+// ============================================================================
+
+async function testServerFallback(fontDir) {
+  console.log("Test 5: Server Fallback");
+  console.log("━".repeat(50));
+
+  const { data } = JSON.parse(
+    await readFile(join(__dirname, "..", "src/data/opd-data.json"), "utf-8"),
+  );
+  const render = async (url, patientName) => {
+    const res = await fetch(`${url}/pdf`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        admission_details: {
+          ...data.admission_details,
+          patient_name: patientName,
+        },
+      }),
+    });
+    return { status: res.status, pdf: Buffer.from(await res.arrayBuffer()) };
+  };
+
+  const { child, url } = await startServer({
+    JWT_SECRET: "",
+    PDF_FONT_DIR: fontDir,
+    PDF_FONT_FALLBACKS: "Roboto",
+  });
+
+  let greek, plain, metrics;
+  try {
+    greek = await render(url, "Ωmega 中");
+    plain = await render(url, "Sasuke");
+    metrics = await (await fetch(`${url}/metrics`)).json();
+  } finally {
+    await stopServer(child);
+  }
+
+  const hasRoboto = (pdf) => /\+Roboto-/.test(pdf.toString("latin1"));
+  console.log(`Greek name: ${greek.status}, Roboto embedded: ${hasRoboto(greek.pdf)}`);
+  console.log(`Plain name: ${plain.status}, Roboto embedded: ${hasRoboto(plain.pdf)}`);
+  console.log(`Warnings: ${metrics.pdf.warnings}, errors: ${metrics.pdf.errors}`);
+
+  if (
+    greek.status === 200 &&
+    hasRoboto(greek.pdf) &&
+    plain.status === 200 &&
+    !hasRoboto(plain.pdf) &&
+    metrics.pdf.warnings === 1 &&
+    metrics.pdf.errors === 0
+  ) {
+    console.log("✅ PASSED - Patient name rendered in the fallback font\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Server did not fall back\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     FONT FALLBACK TEST SUITE                              ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+  const fontDir = await mkdtemp(join(tmpdir(), "pdf-fallback-test-"));
+
+  try {
+    await createFontDir(fontDir);
+    results.push(await testSplitText(fontDir));
+    results.push(await testDocument(fontDir));
+    results.push(await testWarning());
+    results.push(await testRender(fontDir));
+    results.push(await testServerFallback(fontDir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(fontDir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Font fallback verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,370 @@
+import { spawn } from "child_process";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { createRequire } from "module";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { FontRegistry } from "../src/services/font-registry.js";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// Real TTF files: pdfmake ships Roboto for the browser, base64 encoded
+const vfs = require("pdfmake/build/vfs_fonts.js");
+
+/**
+ * Font Registry Test Suite
+ *
+ * Tests to verify:
+ * 1. Standard fonts are available without a font directory
+ * 2. TTF files are grouped by family and style; bad files are skipped
+ * 3. Documents naming unknown fonts are rejected before rendering
+ * 4. Fonts from the directory are embedded in the PDF
+ * 5. The server lists its fonts and refuses a font path that is no directory
+ */
+
+console.log("🧪 Font Registry Test Suite\n");
+
+// Font directory with pdfmake's Roboto files, a copy, a broken font and
+// a file that is not a font at all
+async function createFontDir(dir) {
+  for (const [file, base64] of Object.entries(vfs)) {
+    await writeFile(join(dir, file), Buffer.from(base64, "base64"));
+  }
+  await writeFile(
+    join(dir, "Roboto-Regular_v2.ttf"),
+    Buffer.from(vfs["Roboto-Regular.ttf"], "base64"),
+  );
+  await writeFile(join(dir, "broken.ttf"), "not a font");
+  await writeFile(join(dir, "README.txt"), "Licensed under Apache 2.0");
+  return dir;
+}
+
+// ============================================================================
+// Test 1: Standard Fonts
+// ============================================================================
+
+async function testStandardFonts() {
+  console.log("Test 1: Standard Fonts");
+  console.log("━".repeat(50));
+
+  const registry = new FontRegistry();
+  const families = registry.list();
+  const fonts = registry.toPdfmake();
+
+  console.log(`Families: ${families.map((f) => `${f.family}(${f.source})`).join(", ")}`);
+  console.log(`Roboto: ${JSON.stringify(fonts.Roboto)}`);
+
+  if (
+    families.map((f) => f.family).join(",") ===
+      "Helvetica,Times,Courier,Roboto" &&
+    families.every(
+      (f) => f.source === "standard" && f.styles.length === 4 && !f.files,
+    ) &&
+    fonts.Roboto.bold === "Helvetica-Bold" &&
+    fonts.Times.italics === "Times-Italic" &&
+    registry.covers("Helvetica", "normal", 0x20ac) && // €
+    !registry.covers("Helvetica", "normal", 0x3a9) // Ω
+  ) {
+    console.log("✅ PASSED - Standard families ready, WinAnsi coverage\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Standard fonts wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Font Directory
+// ============================================================================
+
+async function testDirectory(fontDir) {
+  console.log("Test 2: Font Directory");
+  console.log("━".repeat(50));
+
+  const registry = new FontRegistry();
+  const loaded = registry.loadDirectory(fontDir);
+  const roboto = registry.list().find((f) => f.family === "Roboto");
+  const medium = registry.list().find((f) => f.family === "Roboto Medium");
+  const fonts = registry.toPdfmake();
+
+  let missingDir = null;
+  try {
+    new FontRegistry().loadDirectory(join(fontDir, "missing"));
+  } catch (err) {
+    missingDir = err.code;
+  }
+
+  console.log(`Loaded families: ${loaded}`);
+  console.log(`Roboto: ${JSON.stringify(roboto)}`);
+  console.log(`Roboto Medium: ${JSON.stringify(medium)}`);
+  console.log(`Skipped: ${JSON.stringify(registry.skipped)}`);
+
+  if (
+    loaded === 2 &&
+    roboto.source === "file" &&
+    roboto.styles.join(",") === "normal,italics" &&
+    medium.styles.join(",") === "normal,italics" &&
+    // Missing styles are served by the closest one
+    fonts.Roboto.bold === fonts.Roboto.normal &&
+    fonts.Roboto.bolditalics === fonts.Roboto.italics &&
+    Buffer.isBuffer(fonts.Roboto.normal) &&
+    registry.covers("Roboto", "normal", 0x3a9) &&
+    registry.skipped.length === 2 &&
+    registry.skipped[0].file === "Roboto-Regular_v2.ttf" &&
+    registry.skipped[0].reason.startsWith('Duplicate normal style of "Roboto"') &&
+    registry.skipped[1].file === "broken.ttf" &&
+    registry.skipped[1].reason === "Not a TrueType or OpenType font" &&
+    missingDir === "ENOENT"
+  ) {
+    console.log("✅ PASSED - Files grouped, real Roboto replaced the alias\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Directory not loaded as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Unknown Fonts
+// ============================================================================
+
+async function testValidate() {
+  console.log("Test 3: Unknown Fonts Rejected");
+  console.log("━".repeat(50));
+
+  const registry = new FontRegistry({ loadData: false });
+  const doc = {
+    defaultStyle: { font: "Helvetica" },
+    styles: { brand: { font: "Siloam Sans" } },
+    content: [
+      { text: "Patient", font: "Times" },
+      { table: { body: [[{ text: "王", font: "Noto Sans CJK" }]] } },
+    ],
+  };
+
+  const used = [...registry.fontsUsed(doc)].sort();
+  let error = null;
+  try {
+    registry.validate(doc);
+  } catch (err) {
+    error = err;
+  }
+
+  let known = "ok";
+  try {
+    registry.validate({ content: [{ text: "x", font: "Courier" }] });
+  } catch (err) {
+    known = err.message;
+  }
+
+  // The service refuses before the task is queued
+  const service = new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+  });
+  const rendered = await service
+    .renderToBuffer({ content: [{ text: "x", font: "Siloam Sans" }] })
+    .then(
+      () => "rendered",
+      (err) => err.code,
+    );
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Used: ${used.join(", ")}`);
+  console.log(`Error: ${error?.code} ${error?.message} ${JSON.stringify(error?.fonts)}`);
+  console.log(`Known fonts: ${known}, service: ${rendered}, renders: ${stats.renders}, errors: ${stats.errors}`);
+
+  if (
+    used.join(",") === "Helvetica,Noto Sans CJK,Siloam Sans,Times" &&
+    error?.code === "UNKNOWN_FONT" &&
+    error.message === "Unknown fonts: Siloam Sans, Noto Sans CJK" &&
+    JSON.stringify(error.fonts) === '["Siloam Sans","Noto Sans CJK"]' &&
+    known === "ok" &&
+    rendered === "UNKNOWN_FONT" &&
+    stats.renders === 0 &&
+    stats.errors === 0
+  ) {
+    console.log("✅ PASSED - Unknown fonts named before any render\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Font validation wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Embedded Fonts
+// ============================================================================
+
+async function testEmbedded(fontDir) {
+  console.log("Test 4: Fonts Embedded in the PDF");
+  console.log("━".repeat(50));
+
+  const service = new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    fontDir,
+  });
+
+  const embedded = (
+    await service.renderToBuffer({
+      content: [
+        { text: "Ωmega Rp 1.000", font: "Roboto" },
+        { text: "Medium", font: "Roboto Medium", italics: true },
+      ],
+    })
+  ).toString("latin1");
+  const standard = (
+    await service.renderToBuffer({
+      content: [{ text: "Rp 1.000", font: "Helvetica" }],
+    })
+  ).toString("latin1");
+  const families = service.getFonts().map((f) => f.family);
+  await service.close();
+
+  const baseFonts = embedded.match(/\/BaseFont \/[^\s/]+/g) || [];
+  console.log(`Families: ${families.join(", ")}`);
+  console.log(`Embedded: ${baseFonts.join(", ")}`);
+  console.log(`Standard: ${(standard.match(/\/BaseFont \/[^\s/]+/g) || []).join(", ")}`);
+
+  if (
+    families.includes("Roboto Medium") &&
+    embedded.includes("/FontFile2") &&
+    baseFonts.some((font) => /\+Roboto-Regular$/.test(font)) &&
+    baseFonts.some((font) => /\+Roboto-MediumItalic$/.test(font)) &&
+    !standard.includes("/FontFile2") &&
+    standard.includes("/BaseFont /Helvetica")
+  ) {
+    console.log("✅ PASSED - TTF families embedded, standard ones referenced\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Fonts not embedded\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Server Fonts
+// ============================================================================
+
+async function testServerFonts(fontDir) {
+  console.log("Test 5: Server Fonts");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startServer({
+    JWT_SECRET: "",
+    PDF_FONT_DIR: fontDir,
+  });
+
+  let fonts, pdf;
+  try {
+    fonts = (await (await fetch(`${url}/fonts`)).json()).fonts;
+    const res = await fetch(`${url}/pdf`);
+    pdf = { status: res.status, size: (await res.arrayBuffer()).byteLength };
+  } finally {
+    await stopServer(child);
+  }
+
+  // Configuration is checked before the server starts
+  const invalid = spawn(process.execPath, ["src/server-ultra.js"], {
+    cwd: join(__dirname, ".."),
+    env: {
+      ...process.env,
+      PORT: "0",
+      LOG_LEVEL: "error",
+      PDF_FONT_DIR: join(fontDir, "README.txt"),
+    },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  invalid.stderr.on("data", (chunk) => (stderr += chunk));
+  const timer = setTimeout(() => invalid.kill("SIGKILL"), 30_000);
+  const code = await new Promise((resolve) => invalid.once("exit", resolve));
+  clearTimeout(timer);
+
+  const roboto = fonts.find((f) => f.family === "Roboto");
+  console.log(`Fonts: ${fonts.map((f) => `${f.family}(${f.source})`).join(", ")}`);
+  console.log(`Roboto files: ${roboto.files.join(", ")}`);
+  console.log(`Invoice: ${pdf.status}, ${pdf.size} bytes`);
+  console.log(`Font dir is a file: exit ${code}, ${stderr.trim().split("\n")[0]}`);
+
+  if (
+    fonts.map((f) => f.family).join(",") ===
+      "Helvetica,Times,Courier,Roboto,Roboto Medium" &&
+    roboto.source === "file" &&
+    roboto.files.join(",") === "Roboto-Italic.ttf,Roboto-Regular.ttf" &&
+    pdf.status === 200 &&
+    pdf.size > 0 &&
+    code !== 0 &&
+    stderr.includes("PDF_FONT_DIR must be a directory")
+  ) {
+    console.log("✅ PASSED - Fonts listed, bad font directory refused\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Server fonts wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     FONT REGISTRY TEST SUITE                              ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+  const fontDir = await mkdtemp(join(tmpdir(), "pdf-fonts-test-"));
+
+  try {
+    await createFontDir(fontDir);
+    results.push(await testStandardFonts());
+    results.push(await testDirectory(fontDir));
+    results.push(await testValidate());
+    results.push(await testEmbedded(fontDir));
+    results.push(await testServerFonts(fontDir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(fontDir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Font registry verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,309 @@
+import {
+  amountFormatOf,
+  currencyDecimals,
+  formatAmount,
+  formatAmountWithCurrency,
+  formatNumber,
+  isSupportedLocale,
+} from "../src/utils/formatAmount.js";
+import { buildTax } from "../src/builders/builder-tax.js";
+import { buildInvoice } from "../src/template-invoice.js";
+import { templateRegistry } from "../src/templates/index.js";
+import dummy from "../src/data/opd-data.json" with { type: "json" };
+
+/**
+ * Format Amount Test Suite
+ *
+ * Tests to verify:
+ * 1. Indonesian invoices print rupiah the Indonesian way by default
+ * 2. Decimal places follow the currency, separators the locale
+ * 3. Output uses Latin digits and characters the PDF fonts can encode
+ * 4. Locales are validated and the document format read from its data
+ * 5. Invoice tables and tax totals follow the document's format
+ */
+
+console.log("🧪 Format Amount Test Suite\n");
+
+const NBSP = "\u00a0";
+
+function expectAll(cases) {
+  let ok = true;
+  for (const [actual, expected] of cases) {
+    const match = actual === expected;
+    console.log(`${match ? "✓" : "✗"} ${JSON.stringify(actual)}`);
+    if (!match) {
+      console.log(`    expected ${JSON.stringify(expected)}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// ============================================================================
+// Test 1: Indonesian Defaults
+// ============================================================================
+
+function testDefaults() {
+  console.log("Test 1: Indonesian Defaults");
+  console.log("━".repeat(50));
+
+  const ok = expectAll([
+    [formatAmount(90000), "90.000"],
+    [formatAmountWithCurrency(90000), `Rp${NBSP}90.000`],
+    [formatAmount(-90000), "-90.000"],
+    [formatAmount(-90000, { negativeStyle: "parentheses" }), "(90.000)"],
+    // IDR has no decimals, so the fraction rounds away
+    [formatAmount(1999.6), "2.000"],
+    [formatAmount("173955000"), "173.955.000"],
+    [formatAmount("not a number"), "0"],
+    [formatAmount(null), "0"],
+    [formatNumber(2.5), "2,5"],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 2: Currencies and Locales
+// ============================================================================
+
+function testCurrencies() {
+  console.log("Test 2: Currencies and Locales");
+  console.log("━".repeat(50));
+
+  const usd = { locale: "en-US", currency: "USD" };
+  const ok = expectAll([
+    [formatAmount(1234.5, usd), "1,234.50"],
+    [formatAmountWithCurrency(1234.5, usd), "$1,234.50"],
+    [formatAmountWithCurrency(-1234.5, usd), "-$1,234.50"],
+    [
+      formatAmountWithCurrency(-1234.5, {
+        ...usd,
+        negativeStyle: "parentheses",
+      }),
+      "($1,234.50)",
+    ],
+    // A string names the currency; the locale stays Indonesian
+    [formatAmountWithCurrency(1234.5, "USD"), "US$1.234,50"],
+    [formatAmountWithCurrency(5, "USD"), "US$5,00"],
+    [formatAmount(1234.567, { locale: "en-US", currency: "JPY" }), "1,235"],
+    [formatAmount(1.2345, { locale: "en-US", currency: "BHD" }), "1.235"],
+    [
+      formatAmount(1234567.5, { locale: "en-IN", currency: "INR" }),
+      "12,34,567.50",
+    ],
+    [
+      formatAmountWithCurrency(1234.5, { locale: "de-DE", currency: "EUR" }),
+      `1.234,50${NBSP}€`,
+    ],
+    [formatNumber(1.239, { locale: "en-US" }), "1.24"],
+    [
+      JSON.stringify(["USD", "IDR", "JPY", "KWD"].map(currencyDecimals)),
+      "[2,0,0,3]",
+    ],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 3: Printable Output
+// ============================================================================
+
+function testPrintable() {
+  console.log("Test 3: Printable Output");
+  console.log("━".repeat(50));
+
+  const outputs = [
+    formatAmountWithCurrency(1234.5, { locale: "fr-FR", currency: "EUR" }),
+    formatAmountWithCurrency(1234.5, { locale: "ar-EG", currency: "USD" }),
+    formatAmount(1234.5, { locale: "hi-IN-u-nu-deva", currency: "INR" }),
+    formatNumber(1234.5, { locale: "ar-SA" }),
+  ];
+  // Latin-1 plus the euro sign, all in WinAnsiEncoding
+  const encodable = outputs.every((text) =>
+    [...text].every((char) => char.codePointAt(0) <= 0xff || char === "€"),
+  );
+
+  const ok = expectAll([
+    // Narrow no-break spaces became no-break spaces
+    [outputs[0], `1${NBSP}234,50${NBSP}€`],
+    // Bidi marks dropped, digits Latin
+    [outputs[1], `1,234.50${NBSP}US$`],
+    [outputs[2], "1,234.50"],
+    [/^[0-9., ]+$/.test(outputs[3]), true],
+    [encodable, true],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 4: Locales and Document Format
+// ============================================================================
+
+function testDocumentFormat() {
+  console.log("Test 4: Locales and Document Format");
+  console.log("━".repeat(50));
+
+  // More formats than the formatter cache keeps; evicted ones come back
+  const currencies = ["USD", "EUR", "JPY", "GBP", "SGD", "AUD", "MYR", "CNY"];
+  const locales = [
+    "en-US",
+    "de-DE",
+    "fr-FR",
+    "ja-JP",
+    "id-ID",
+    "nl-NL",
+    "it-IT",
+    "es-ES",
+    "pt-BR",
+  ];
+  for (const locale of locales) {
+    for (const currency of currencies) {
+      formatAmountWithCurrency(1, { locale, currency });
+    }
+  }
+
+  const pointers = (data) =>
+    templateRegistry
+      .validate("invoice", { ...dummy.data, ...data })
+      .errors.map((err) => err.pointer)
+      .join(",");
+
+  const ok = expectAll([
+    [
+      formatAmountWithCurrency(1234.5, { locale: "en-US", currency: "USD" }),
+      "$1,234.50",
+    ],
+    [isSupportedLocale("id-ID"), true],
+    [isSupportedLocale("en-US-u-nu-arab"), true],
+    [isSupportedLocale("en-a1"), false],
+    [isSupportedLocale("xx-XX"), false],
+    [isSupportedLocale(""), false],
+    [
+      JSON.stringify(amountFormatOf({})),
+      '{"locale":"id-ID","currency":"IDR","negativeStyle":"minus"}',
+    ],
+    [
+      JSON.stringify(
+        amountFormatOf({
+          locale: "en-US",
+          currency: "USD",
+          negative_style: "parentheses",
+        }),
+      ),
+      '{"locale":"en-US","currency":"USD","negativeStyle":"parentheses"}',
+    ],
+    [
+      pointers({
+        locale: "en-US",
+        currency: "USD",
+        negative_style: "parentheses",
+      }),
+      "",
+    ],
+    [
+      pointers({ locale: "en-a1", currency: "usd", negative_style: "red" }),
+      "/locale,/currency,/negative_style",
+    ],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 5: Invoice Format
+// ============================================================================
+
+// Every text of the built content, in document order
+function contentTexts(docDefinition) {
+  const texts = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (typeof node.text === "string") texts.push(node.text);
+    Object.values(node).forEach(visit);
+  };
+  visit(docDefinition.content);
+  return texts;
+}
+
+function testInvoice() {
+  console.log("Test 5: Invoice Format");
+  console.log("━".repeat(50));
+
+  const rupiah = contentTexts(buildInvoice(dummy.data));
+  const dollars = contentTexts(
+    buildInvoice({ ...dummy.data, locale: "en-US", currency: "USD" }),
+  );
+  // Called on its own, the tax block reads the format from its data
+  const tax = contentTexts({
+    content: buildTax({
+      ...dummy.data.invoice_details,
+      locale: "en-US",
+      currency: "USD",
+    }),
+  });
+
+  const ok = expectAll([
+    // Item amounts, then the totals with their currency
+    [rupiah.includes("50.000"), true],
+    [rupiah.includes(`Rp${NBSP}173.955.000`), true],
+    [dollars.includes("50,000.00"), true],
+    [dollars.includes("$173,955,000.00"), true],
+    // Tax summary
+    [dollars.includes("$19,685,050.00"), true],
+    [rupiah.includes(`Rp${NBSP}19.685.050`), true],
+    [tax.some((text) => text.startsWith("$19,685,050.00")), true],
+    [dollars.some((text) => text.includes("Rp")), false],
+    // Quantities are not amounts
+    [dollars.includes("2"), true],
+  ]);
+
+  console.log(ok ? "✅ PASSED\n" : "❌ FAILED\n");
+  return ok;
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     FORMAT AMOUNT TEST SUITE                              ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [
+    testDefaults(),
+    testCurrencies(),
+    testPrintable(),
+    testDocumentFormat(),
+    testInvoice(),
+  ];
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Amount formatting verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,268 @@
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Health Probes Test Suite
+ *
+ * Tests to verify:
+ * 1. An idle server is live and ready, with every check listed
+ * 2. A full queue fails readiness but not liveness
+ * 3. An unreachable Redis fails readiness but not liveness
+ * 4. Both probes fail as soon as shutdown starts, renders still served
+ */
+
+console.log("🧪 Health Probes Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 10_000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(50);
+  }
+  return false;
+}
+
+// Waits for liveness only; readiness is what these tests look at
+const startLiveServer = (env) =>
+  startServer({ JWT_SECRET: "", ...env }, { readyPath: "/health/live" });
+
+async function probe(url, path) {
+  const res = await fetch(`${url}${path}`);
+  return { status: res.status, body: await res.json() };
+}
+
+// ============================================================================
+// Test 1: Idle Server
+// ============================================================================
+
+async function testIdle() {
+  console.log("Test 1: Idle Server");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startLiveServer();
+
+  let live, ready, health;
+  try {
+    await waitFor(async () => (await probe(url, "/health/ready")).status === 200);
+    live = await probe(url, "/health/live");
+    ready = await probe(url, "/health/ready");
+    health = await probe(url, "/health");
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Live: ${live.status} ${JSON.stringify(live.body)}`);
+  console.log(`Ready: ${ready.status} ${JSON.stringify(ready.body)}`);
+  console.log(`Legacy /health: ${JSON.stringify(health.body)}`);
+
+  if (
+    live.status === 200 &&
+    live.body.live === true &&
+    live.body.shuttingDown === false &&
+    typeof live.body.eventLoopLag === "number" &&
+    ready.status === 200 &&
+    JSON.stringify(ready.body.checks) ===
+      '{"serving":true,"warmup":true,"workers":true,"queue":true}' &&
+    health.body.ok === true
+  ) {
+    console.log("✅ PASSED - Live and ready, no Redis check without Redis\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Idle server probes wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Busy Server
+// ============================================================================
+
+async function testBusy() {
+  console.log("Test 2: Busy Server Stays Live");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startLiveServer({ PDF_QUEUE_WARNING: "1" });
+
+  let live, ready, after;
+  try {
+    // Warm the worker so the burst finds it rendering, not starting
+    await (await fetch(`${url}/pdf`)).arrayBuffer();
+
+    // One render runs, the next waits: the queue is at its threshold
+    const burst = [1, 2].map(async () => {
+      const res = await fetch(`${url}/pdf`);
+      await res.arrayBuffer();
+      return res.status;
+    });
+    await sleep(20);
+    [live, ready] = await Promise.all([
+      probe(url, "/health/live"),
+      probe(url, "/health/ready"),
+    ]);
+    await Promise.all(burst);
+    after = await probe(url, "/health/ready");
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`While busy: live ${live.status}, ready ${ready.status} ${JSON.stringify(ready.body.checks)} q=${ready.body.q}`);
+  console.log(`After the burst: ready ${after.status}`);
+
+  if (
+    live.status === 200 &&
+    ready.status === 503 &&
+    ready.body.ready === false &&
+    ready.body.checks.queue === false &&
+    ready.body.checks.workers === true &&
+    after.status === 200
+  ) {
+    console.log("✅ PASSED - Busy pod taken out of rotation, not restarted\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Queue check wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Redis Unreachable
+// ============================================================================
+
+async function testRedis() {
+  console.log("Test 3: Redis Unreachable");
+  console.log("━".repeat(50));
+
+  // Nothing listens on port 1
+  const { child, url } = await startLiveServer({
+    RATE_LIMIT_ENABLED: "true",
+    RATE_LIMIT_STORE: "redis",
+    REDIS_URL: "redis://127.0.0.1:1",
+  });
+
+  let live, ready;
+  try {
+    live = await probe(url, "/health/live");
+    ready = await probe(url, "/health/ready");
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Live: ${live.status}, ready: ${ready.status} ${JSON.stringify(ready.body.checks)}`);
+
+  if (
+    live.status === 200 &&
+    ready.status === 503 &&
+    ready.body.checks.redis === false &&
+    ready.body.checks.serving === true
+  ) {
+    console.log("✅ PASSED - Redis outage fails readiness only\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Redis check wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Shutdown
+// ============================================================================
+
+async function testShutdown() {
+  console.log("Test 4: Probes During Shutdown");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startLiveServer({
+    ENABLE_GRACEFUL_SHUTDOWN: "true",
+    SHUTDOWN_READINESS_DELAY: "1500",
+  });
+
+  let before, live, ready, render, code;
+  try {
+    await waitFor(async () => (await probe(url, "/health/ready")).status === 200);
+    before = await probe(url, "/health/ready");
+
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    child.kill("SIGTERM");
+    await sleep(200);
+
+    // Within the readiness delay: still listening, but draining
+    live = await probe(url, "/health/live");
+    ready = await probe(url, "/health/ready");
+    const res = await fetch(`${url}/pdf`);
+    await res.arrayBuffer();
+    render = res.status;
+
+    code = await exited;
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Before: ready ${before.status}`);
+  console.log(`After SIGTERM: live ${live.status} ${JSON.stringify(live.body)}`);
+  console.log(`After SIGTERM: ready ${ready.status} ${JSON.stringify(ready.body.checks)}`);
+  console.log(`Render during the delay: ${render}, exit code: ${code}`);
+
+  if (
+    before.status === 200 &&
+    live.status === 503 &&
+    live.body.shuttingDown === true &&
+    ready.status === 503 &&
+    ready.body.checks.serving === false &&
+    render === 200 &&
+    code === 0
+  ) {
+    console.log("✅ PASSED - Readiness dropped before the listener closed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Shutdown not reflected in the probes\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     HEALTH PROBES TEST SUITE                              ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testIdle());
+    results.push(await testBusy());
+    results.push(await testRedis());
+    results.push(await testShutdown());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Health probes verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+import { spawn } from "child_process";
+import { createServer } from "net";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Server helpers shared by the suites that test src/server-ultra.js over
+ * HTTP in a child process
+ */
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A port nothing listens on, handed out by the OS
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Spawn the server with one worker and quiet logs, resolving once
+ * `readyPath` answers 2xx; `env` overrides the defaults
+ */
+export async function startServer(
+  env = {},
+  { readyPath = "/health/ready", timeout = 30_000 } = {},
+) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["src/server-ultra.js"], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: "127.0.0.1",
+      PDF_MIN_THREADS: "1",
+      PDF_MAX_THREADS: "1",
+      PDF_WARMUP: "false",
+      LOG_LEVEL: "error",
+      TRACING_ENABLED: "false",
+      SHUTDOWN_READINESS_DELAY: "0",
+      ...env,
+    },
+    stdio: "ignore",
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const res = await fetch(`${url}${readyPath}`);
+      if (res.ok) return { child, url };
+    } catch {
+      // Not listening yet
+    }
+    await sleep(200);
+  }
+
+  child.kill("SIGKILL");
+  throw new Error(`Server did not answer ${readyPath}`);
+}
+
+/**
+ * SIGTERM the server (SIGKILL after 15s) and resolve with its exit code
+ */
+export async function stopServer(child) {
+  if (child.exitCode !== null) return child.exitCode;
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  child.kill("SIGTERM");
+  const timer = setTimeout(() => child.kill("SIGKILL"), 15_000);
+  const code = await exited;
+  clearTimeout(timer);
+  return code;
+}
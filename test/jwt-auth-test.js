@@ -0,0 +1,356 @@
+import express from "express";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { exportJWK, generateKeyPair, SignJWT } from "jose";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { JwtAuth } from "../src/middleware/auth.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * JWT Auth Test Suite
+ *
+ * Tests to verify:
+ * 1. Without a secret or JWKS file every request passes
+ * 2. Missing and invalid tokens get 401 with an RFC 6750 challenge
+ * 3. Valid tokens pass with subject, tenant and scopes; others get 403
+ * 4. Tokens signed with a JWKS key are accepted, issuer/audience checked
+ * 5. The server keeps jobs of one tenant hidden from another
+ */
+
+console.log("🧪 JWT Auth Test Suite\n");
+
+const SECRET = "test-secret-with-at-least-32-characters!";
+const secretKey = new TextEncoder().encode(SECRET);
+
+function signHs256(claims, { expiresIn = "5m", key = secretKey } = {}) {
+  return new SignJWT(claims)
+    .setProtectedHeader({ alg: "HS256" })
+    .setSubject(claims.sub || "user-1")
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key);
+}
+
+// Express app behind the middleware that echoes req.auth
+async function withApp(auth, scopes, fn) {
+  const app = express();
+  app.get("/", auth.middleware(...scopes), (req, res) =>
+    res.json({ auth: req.auth ?? null }),
+  );
+
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const request = async (token) => {
+    const res = await fetch(url, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return {
+      status: res.status,
+      challenge: res.headers.get("www-authenticate"),
+      body: await res.json(),
+    };
+  };
+
+  try {
+    return await fn(request);
+  } finally {
+    server.close();
+  }
+}
+
+// ============================================================================
+// Test 1: Auth Disabled
+// ============================================================================
+
+async function testDisabled() {
+  console.log("Test 1: Auth Disabled Without Keys");
+  console.log("━".repeat(50));
+
+  const auth = new JwtAuth({ enableLogging: false });
+  const res = await withApp(auth, ["pdf:render"], (request) => request());
+
+  console.log(`Enabled: ${auth.isEnabled()}, status: ${res.status}`);
+
+  if (!auth.isEnabled() && res.status === 200 && res.body.auth === null) {
+    console.log("✅ PASSED - Requests pass while auth is off\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Request refused without auth configured\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Missing and Invalid Tokens
+// ============================================================================
+
+async function testInvalidTokens() {
+  console.log("Test 2: Missing and Invalid Tokens");
+  console.log("━".repeat(50));
+
+  const auth = new JwtAuth({ secret: SECRET, enableLogging: false });
+  const otherKey = new TextEncoder().encode("another-secret-of-32-characters!!");
+
+  const results = await withApp(auth, ["pdf:render"], async (request) => ({
+    missing: await request(),
+    garbage: await request("not.a.token"),
+    wrongKey: await request(
+      await signHs256({ scope: "pdf:render" }, { key: otherKey }),
+    ),
+    expired: await request(
+      await signHs256({ scope: "pdf:render" }, { expiresIn: "-2m" }),
+    ),
+    unsigned: await request(
+      `${Buffer.from('{"alg":"none"}').toString("base64url")}.${Buffer.from('{"scope":"pdf:render"}').toString("base64url")}.`,
+    ),
+  }));
+
+  for (const [name, res] of Object.entries(results)) {
+    console.log(`${name}: ${res.status} ${res.body.message} | ${res.challenge}`);
+  }
+
+  const invalid = [results.garbage, results.wrongKey, results.unsigned];
+  if (
+    results.missing.status === 401 &&
+    results.missing.challenge === 'Bearer realm="pdfgen"' &&
+    invalid.every(
+      (res) =>
+        res.status === 401 &&
+        res.body.message === "Invalid token" &&
+        res.challenge === 'Bearer realm="pdfgen", error="invalid_token"',
+    ) &&
+    results.expired.status === 401 &&
+    results.expired.body.message === "Token expired"
+  ) {
+    console.log("✅ PASSED - Bad tokens refused with a challenge\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - A bad token was not refused properly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Scopes and Claims
+// ============================================================================
+
+async function testScopes() {
+  console.log("Test 3: Scopes and Claims");
+  console.log("━".repeat(50));
+
+  const auth = new JwtAuth({
+    secret: SECRET,
+    tenantClaim: "org",
+    enableLogging: false,
+  });
+
+  const results = await withApp(auth, ["pdf:render"], async (request) => ({
+    stringScope: await request(
+      await signHs256({ sub: "cashier", org: "clinic-a", scope: "pdf:render other" }),
+    ),
+    arrayScope: await request(await signHs256({ scp: ["pdf:render"] })),
+    missingScope: await request(await signHs256({ scope: "admin:debug" })),
+  }));
+
+  const { auth: granted } = results.stringScope.body;
+  console.log(`Granted: ${JSON.stringify({ ...granted, claims: undefined })}`);
+  console.log(`scp array: ${results.arrayScope.status}`);
+  console.log(`Missing scope: ${results.missingScope.status} | ${results.missingScope.challenge}`);
+
+  if (
+    results.stringScope.status === 200 &&
+    granted.subject === "cashier" &&
+    granted.tenant === "clinic-a" &&
+    granted.scopes.join(" ") === "pdf:render other" &&
+    results.arrayScope.status === 200 &&
+    results.arrayScope.body.auth.tenant === null &&
+    results.missingScope.status === 403 &&
+    results.missingScope.body.requiredScopes[0] === "pdf:render" &&
+    results.missingScope.challenge ===
+      'Bearer realm="pdfgen", error="insufficient_scope", scope="pdf:render"'
+  ) {
+    console.log("✅ PASSED - Scopes enforced, tenant read from its claim\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Scopes or claims handled incorrectly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: JWKS Keys, Issuer and Audience
+// ============================================================================
+
+async function testJwks(dir) {
+  console.log("Test 4: JWKS Keys, Issuer and Audience");
+  console.log("━".repeat(50));
+
+  const { privateKey, publicKey } = await generateKeyPair("ES256");
+  const jwksPath = join(dir, "jwks.json");
+  await writeFile(
+    jwksPath,
+    JSON.stringify({
+      keys: [{ ...(await exportJWK(publicKey)), kid: "k1", alg: "ES256" }],
+    }),
+  );
+
+  const auth = new JwtAuth({
+    jwksPath,
+    issuer: "https://auth.test",
+    audience: "pdfgen",
+    enableLogging: false,
+  });
+
+  const sign = (issuer) =>
+    new SignJWT({ scope: "pdf:render" })
+      .setProtectedHeader({ alg: "ES256", kid: "k1" })
+      .setIssuer(issuer)
+      .setAudience("pdfgen")
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(privateKey);
+
+  const results = await withApp(auth, ["pdf:render"], async (request) => ({
+    valid: await request(await sign("https://auth.test")),
+    otherIssuer: await request(await sign("https://evil.test")),
+    // No HS256 secret configured, so HS256 tokens are refused
+    hs256: await request(await signHs256({ scope: "pdf:render" })),
+  }));
+
+  for (const [name, res] of Object.entries(results)) {
+    console.log(`${name}: ${res.status} ${res.body.message ?? ""}`);
+  }
+
+  if (
+    results.valid.status === 200 &&
+    results.otherIssuer.status === 401 &&
+    results.otherIssuer.body.message === "Invalid token claim: iss" &&
+    results.hs256.status === 401
+  ) {
+    console.log("✅ PASSED - JWKS tokens verified with their claims\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - JWKS verification did not behave as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Tenant Isolation
+// ============================================================================
+
+async function testTenantIsolation(dir) {
+  console.log("Test 5: Tenant Isolation");
+  console.log("━".repeat(50));
+
+  const dummy = JSON.parse(
+    await readFile(join(__dirname, "../src/data/opd-data.json"), "utf-8"),
+  );
+  const { child, url } = await startServer({
+    JWT_SECRET: SECRET,
+    SHUTDOWN_SNAPSHOT_PATH: join(dir, "snapshot.json"),
+  });
+
+  const clinicA = await signHs256({ tenant: "clinic-a", scope: "pdf:render" });
+  const clinicB = await signHs256({ tenant: "clinic-b", scope: "pdf:render" });
+  const as = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  let results;
+  try {
+    const submit = await fetch(`${url}/jobs`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${clinicA}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ template: "invoice", data: dummy.data }),
+    });
+    const { jobId } = await submit.json();
+
+    results = {
+      submit: submit.status,
+      ownJob: (await fetch(`${url}/jobs/${jobId}`, as(clinicA))).status,
+      otherJob: (await fetch(`${url}/jobs/${jobId}`, as(clinicB))).status,
+      otherResult: (await fetch(`${url}/jobs/${jobId}/result`, as(clinicB)))
+        .status,
+      anonymous: (await fetch(`${url}/jobs/${jobId}`)).status,
+      debug: (await fetch(`${url}/debug/dlq`, as(clinicA))).status,
+    };
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(JSON.stringify(results));
+
+  if (
+    results.submit === 202 &&
+    results.ownJob === 200 &&
+    results.otherJob === 404 &&
+    results.otherResult === 404 &&
+    results.anonymous === 401 &&
+    results.debug === 403
+  ) {
+    console.log("✅ PASSED - Other tenants' jobs reported missing\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - A job leaked across tenants\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     JWT AUTH TEST SUITE                                   ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const dir = await mkdtemp(join(tmpdir(), "pdfgen-auth-"));
+  const results = [];
+
+  try {
+    results.push(await testDisabled());
+    results.push(await testInvalidTokens());
+    results.push(await testScopes());
+    results.push(await testJwks(dir));
+    results.push(await testTenantIsolation(dir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - JWT auth verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
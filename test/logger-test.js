@@ -0,0 +1,350 @@
+import { existsSync, readFileSync, statSync } from "fs";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Logger } from "../src/services/logger.js";
+
+/**
+ * Logger Test Suite
+ *
+ * Tests to verify:
+ * 1. Entries are JSON lines filtered by level, with child bindings
+ * 2. Context fields follow a request across awaits
+ * 3. Files rotate by size and keep maxFiles old files
+ * 4. Errors also go to the error file
+ * 5. An existing file counts toward the size; maxFiles 0 keeps none
+ * 6. Fields can't overwrite time, level or msg
+ */
+
+console.log("🧪 Logger Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// File-only logger, so entries can be read back
+function createLogger(dir, options = {}) {
+  return new Logger({
+    enableConsole: false,
+    enableFile: true,
+    filePath: join(dir, "app.log"),
+    ...options,
+  });
+}
+
+const readEntries = (file) =>
+  existsSync(file)
+    ? readFileSync(file, "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+    : [];
+
+// ============================================================================
+// Test 1: Levels, Fields and Children
+// ============================================================================
+
+async function testEntries(dir) {
+  console.log("Test 1: Levels, Fields and Children");
+  console.log("━".repeat(50));
+
+  const logger = createLogger(dir, { level: "info" });
+  const child = logger.child({ component: "PdfService" }).child({ pool: "a" });
+
+  logger.debug("hidden");
+  logger.info("started", { port: 3000 });
+  child.warn("slow render", { duration: 1200 });
+  child.error("render failed", { error: new TypeError("bad doc") });
+  child.log("verbose", "unknown level from a worker");
+  await logger.close();
+
+  const entries = readEntries(join(dir, "app.log"));
+  for (const entry of entries) console.log(JSON.stringify(entry));
+
+  const [started, slow, failed, forwarded] = entries;
+  if (
+    entries.length === 4 &&
+    started.level === "info" &&
+    started.port === 3000 &&
+    !Number.isNaN(Date.parse(started.time)) &&
+    started.component === undefined &&
+    slow.component === "PdfService" &&
+    slow.pool === "a" &&
+    failed.error.name === "TypeError" &&
+    failed.error.message === "bad doc" &&
+    failed.error.stack.includes("TypeError") &&
+    forwarded.level === "info"
+  ) {
+    console.log("✅ PASSED - Entries structured and filtered\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Entries malformed\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Request Context
+// ============================================================================
+
+async function testContext(dir) {
+  console.log("Test 2: Request Context");
+  console.log("━".repeat(50));
+
+  const logger = createLogger(dir, { filePath: join(dir, "context.log") });
+  const service = logger.child({ component: "Service" });
+
+  const handle = (requestId, delay) =>
+    logger.runWithContext({ requestId }, async () => {
+      await sleep(delay);
+      service.info("rendering");
+      await logger.runWithContext({ attempt: 2 }, async () => {
+        await sleep(delay);
+        service.info("retrying");
+      });
+      service.info("done");
+    });
+
+  await Promise.all([handle("req-1", 20), handle("req-2", 5)]);
+  service.info("outside");
+  await logger.close();
+
+  const entries = readEntries(join(dir, "context.log"));
+  const byRequest = (id) =>
+    entries.filter((entry) => entry.requestId === id).map((entry) => entry.msg);
+
+  console.log(`req-1: ${byRequest("req-1").join(", ")}`);
+  console.log(`req-2: ${byRequest("req-2").join(", ")}`);
+
+  const retry = entries.find((entry) => entry.msg === "retrying");
+  const outside = entries.find((entry) => entry.msg === "outside");
+
+  if (
+    byRequest("req-1").join(",") === "rendering,retrying,done" &&
+    byRequest("req-2").join(",") === "rendering,retrying,done" &&
+    retry.attempt === 2 &&
+    entries.filter((entry) => entry.attempt).length === 2 &&
+    outside.requestId === undefined
+  ) {
+    console.log("✅ PASSED - Fields scoped to each request\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Context leaked or was lost\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Size Rotation
+// ============================================================================
+
+async function testRotation(dir) {
+  console.log("Test 3: Size Rotation");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "rotate.log");
+  const logger = createLogger(dir, { filePath, maxSize: 400, maxFiles: 2 });
+
+  for (let i = 0; i < 20; i++) {
+    logger.info(`entry ${i}`, { padding: "x".repeat(40) });
+  }
+  await logger.close();
+
+  const files = [filePath, `${filePath}.1`, `${filePath}.2`];
+  const sizes = files.map((file) => statSync(file).size);
+  const kept = files
+    .toReversed()
+    .flatMap(readEntries)
+    .map((entry) => Number(entry.msg.split(" ")[1]));
+
+  console.log(`Sizes: ${sizes.join(", ")}, .3 exists: ${existsSync(`${filePath}.3`)}`);
+  console.log(`Entries kept: ${kept.join(",")}`);
+
+  const consecutive = kept.every((n, i) => i === 0 || n === kept[i - 1] + 1);
+  if (
+    sizes.every((size) => size > 0 && size <= 400) &&
+    !existsSync(`${filePath}.3`) &&
+    kept.at(-1) === 19 &&
+    kept.length < 20 &&
+    consecutive
+  ) {
+    console.log("✅ PASSED - Newest entries kept across two old files\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Rotation lost or reordered entries\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Error File
+// ============================================================================
+
+async function testErrorFile(dir) {
+  console.log("Test 4: Error File");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "all.log");
+  const errorFilePath = join(dir, "errors", "error.log");
+  const logger = createLogger(dir, { filePath, errorFilePath });
+
+  logger.info("fine");
+  logger.warn("careful");
+  logger.error("broken", { code: "E1" });
+  await logger.close();
+
+  const all = readEntries(filePath);
+  const errors = readEntries(errorFilePath);
+
+  console.log(`Main file: ${all.length} entries, error file: ${errors.map((e) => e.msg).join(",")}`);
+
+  if (all.length === 3 && errors.length === 1 && errors[0].code === "E1") {
+    console.log("✅ PASSED - Errors copied to their own file\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Error file content wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Restart and No Old Files
+// ============================================================================
+
+async function testRestartAndNoOldFiles(dir) {
+  console.log("Test 5: Restart and No Old Files");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "restart.log");
+  const padding = "x".repeat(100);
+
+  const first = createLogger(dir, { filePath, maxSize: 300 });
+  first.info("before restart", { padding });
+  await first.close();
+
+  // The next process appends, and the existing bytes count toward maxSize
+  const second = createLogger(dir, { filePath, maxSize: 300 });
+  second.info("after restart", { padding });
+  second.info("rotated", { padding });
+  await second.close();
+
+  const current = readEntries(filePath).map((entry) => entry.msg);
+  const old = [`${filePath}.2`, `${filePath}.1`]
+    .flatMap(readEntries)
+    .map((entry) => entry.msg);
+
+  const noOldPath = join(dir, "no-old.log");
+  const noOld = createLogger(dir, { filePath: noOldPath, maxSize: 300, maxFiles: 0 });
+  for (let i = 0; i < 10; i++) noOld.info(`entry ${i}`, { padding });
+  await noOld.close();
+
+  const noOldSize = statSync(noOldPath).size;
+  console.log(`Current: ${current.join(",")}, old: ${old.join(",")}`);
+  console.log(`maxFiles 0: ${noOldSize} bytes, .1 exists: ${existsSync(`${noOldPath}.1`)}`);
+
+  if (
+    current.join(",") === "rotated" &&
+    old.join(",") === "before restart,after restart" &&
+    noOldSize <= 300 &&
+    !existsSync(`${noOldPath}.1`) &&
+    readEntries(noOldPath).at(-1).msg === "entry 9"
+  ) {
+    console.log("✅ PASSED - File size bounded in both cases\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - File outgrew maxSize\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Reserved Keys
+// ============================================================================
+
+async function testReservedKeys(dir) {
+  console.log("Test 6: Reserved Keys");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "reserved.log");
+  const logger = createLogger(dir, { filePath });
+  const child = logger.child({ level: "debug", component: "Webhooks" });
+
+  // e.g. a request body or worker fields that happen to use these names
+  logger.runWithContext({ msg: "from context" }, () =>
+    child.error("delivery failed", {
+      level: "info",
+      msg: "from fields",
+      time: "1970-01-01T00:00:00.000Z",
+      attempt: 3,
+    }),
+  );
+  await logger.close();
+
+  const [entry] = readEntries(filePath);
+  console.log(JSON.stringify(entry));
+
+  if (
+    entry.level === "error" &&
+    entry.msg === "delivery failed" &&
+    entry.time !== "1970-01-01T00:00:00.000Z" &&
+    entry.attempt === 3 &&
+    entry.component === "Webhooks" &&
+    JSON.stringify(Object.keys(entry).slice(0, 3)) === '["time","level","msg"]'
+  ) {
+    console.log("✅ PASSED - Core keys kept, fields alongside\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - A field relabelled the entry\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     LOGGER TEST SUITE                                     ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const dir = await mkdtemp(join(tmpdir(), "pdfgen-logger-"));
+  const results = [];
+
+  try {
+    results.push(await testEntries(dir));
+    results.push(await testContext(dir));
+    results.push(await testRotation(dir));
+    results.push(await testErrorFile(dir));
+    results.push(await testRestartAndNoOldFiles(dir));
+    results.push(await testReservedKeys(dir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Logger verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,284 @@
+import { MetricsRegistry } from "../src/services/metrics-registry.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Metrics Test Suite
+ *
+ * Tests to verify:
+ * 1. Counters and gauges render with HELP, TYPE and escaped labels
+ * 2. Histograms render cumulative buckets, +Inf, sum and count
+ * 3. Collectors refresh values before every scrape
+ * 4. Metric names are prefixed and registered once
+ * 5. The server exposes render metrics to Prometheus scrapers
+ */
+
+console.log("🧪 Metrics Test Suite\n");
+
+// Sample lines of an exposition, without comments
+const samples = (text) =>
+  text.split("\n").filter((line) => line && !line.startsWith("#"));
+
+// ============================================================================
+// Test 1: Counters and Gauges
+// ============================================================================
+
+async function testCountersAndGauges() {
+  console.log("Test 1: Counters and Gauges");
+  console.log("━".repeat(50));
+
+  const metrics = new MetricsRegistry();
+  const errors = metrics.counter("errors_total", "Render errors\nby reason");
+  const queue = metrics.gauge("queue_size", "Tasks waiting");
+
+  errors.inc({ reason: "timeout" });
+  errors.inc({ reason: "timeout" }, 2);
+  errors.inc({ reason: 'bad "json"\n', template: undefined });
+  queue.set(7);
+  queue.set(4);
+
+  const text = await metrics.expose();
+  console.log(text.trim());
+
+  const expected = [
+    "# HELP pdfgen_errors_total Render errors\\nby reason",
+    "# TYPE pdfgen_errors_total counter",
+    'pdfgen_errors_total{reason="timeout"} 3',
+    'pdfgen_errors_total{reason="bad \\"json\\"\\n"} 1',
+    "# HELP pdfgen_queue_size Tasks waiting",
+    "# TYPE pdfgen_queue_size gauge",
+    "pdfgen_queue_size 4",
+  ].join("\n");
+
+  if (text === `${expected}\n`) {
+    console.log("✅ PASSED - Samples rendered in the text format\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Exposition does not match\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Histograms
+// ============================================================================
+
+async function testHistogram() {
+  console.log("Test 2: Histograms");
+  console.log("━".repeat(50));
+
+  const metrics = new MetricsRegistry();
+  const duration = metrics.histogram("render_seconds", "Render time", {
+    buckets: [1, 0.1, 0.5],
+  });
+
+  duration.observe({ template: "invoice" }, 0.05);
+  duration.observe({ template: "invoice" }, 0.3);
+  duration.observe({ template: "invoice" }, 2);
+  duration.observe(0.1);
+
+  const lines = samples(await metrics.expose());
+  console.log(lines.join("\n"));
+
+  const expected = [
+    'pdfgen_render_seconds_bucket{template="invoice",le="0.1"} 1',
+    'pdfgen_render_seconds_bucket{template="invoice",le="0.5"} 2',
+    'pdfgen_render_seconds_bucket{template="invoice",le="1"} 2',
+    'pdfgen_render_seconds_bucket{template="invoice",le="+Inf"} 3',
+    'pdfgen_render_seconds_sum{template="invoice"} 2.35',
+    'pdfgen_render_seconds_count{template="invoice"} 3',
+    'pdfgen_render_seconds_bucket{le="0.1"} 1',
+    'pdfgen_render_seconds_bucket{le="0.5"} 1',
+    'pdfgen_render_seconds_bucket{le="1"} 1',
+    'pdfgen_render_seconds_bucket{le="+Inf"} 1',
+    "pdfgen_render_seconds_sum 0.1",
+    "pdfgen_render_seconds_count 1",
+  ];
+
+  if (lines.join("\n") === expected.join("\n")) {
+    console.log("✅ PASSED - Buckets sorted and cumulative\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Histogram series wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Collectors
+// ============================================================================
+
+async function testCollectors() {
+  console.log("Test 3: Collectors Run Before Scrapes");
+  console.log("━".repeat(50));
+
+  const metrics = new MetricsRegistry();
+  const heap = metrics.gauge("worker_heap_bytes", "Heap per worker");
+
+  let workers = [
+    { threadId: 1, heapUsed: 100 },
+    { threadId: 2, heapUsed: 200 },
+  ];
+  metrics.collect(async () => {
+    heap.reset();
+    for (const worker of workers) {
+      heap.set({ thread: worker.threadId }, worker.heapUsed);
+    }
+  });
+
+  const first = samples(await metrics.expose());
+  workers = [{ threadId: 3, heapUsed: 300 }];
+  const second = samples(await metrics.expose());
+
+  console.log(`First scrape: ${first.join(" | ")}`);
+  console.log(`Second scrape: ${second.join(" | ")}`);
+
+  if (
+    first.length === 2 &&
+    second.length === 1 &&
+    second[0] === 'pdfgen_worker_heap_bytes{thread="3"} 300'
+  ) {
+    console.log("✅ PASSED - Scrapes show current stats only\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Stale samples exposed\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Names
+// ============================================================================
+
+async function testNames() {
+  console.log("Test 4: Prefix and Registration");
+  console.log("━".repeat(50));
+
+  const metrics = new MetricsRegistry({ prefix: "" });
+  metrics.counter("renders_total", "Renders");
+
+  let error = null;
+  try {
+    metrics.gauge("renders_total", "Renders again");
+  } catch (err) {
+    error = err.message;
+  }
+
+  const text = await metrics.expose();
+  console.log(`Duplicate: ${error}`);
+  console.log(text.trim());
+
+  if (
+    error === "Metric renders_total is already registered" &&
+    text.startsWith("# HELP renders_total Renders\n# TYPE renders_total counter")
+  ) {
+    console.log("✅ PASSED - Names are unique\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Duplicate metric accepted\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Server Exposition
+// ============================================================================
+
+async function testServerExposition() {
+  console.log("Test 5: Server Exposition");
+  console.log("━".repeat(50));
+
+  const { child, url } = await startServer({ JWT_SECRET: "" });
+
+  let render, scrape, negotiated, json, text;
+  try {
+    render = await fetch(`${url}/pdf`);
+    await render.arrayBuffer();
+
+    scrape = await fetch(`${url}/metrics/prometheus`);
+    text = await scrape.text();
+    negotiated = await fetch(`${url}/metrics`, {
+      headers: { Accept: "text/plain" },
+    });
+    await negotiated.text();
+    json = await fetch(`${url}/metrics`);
+    await json.json();
+  } finally {
+    await stopServer(child);
+  }
+
+  // Express may reorder the parameters, which scrapers accept
+  const isExposition = (res) =>
+    /^text\/plain;.*version=0\.0\.4/.test(res.headers.get("content-type"));
+  const lines = samples(text);
+  const value = (prefix) =>
+    Number(lines.find((line) => line.startsWith(prefix))?.split(" ").pop());
+
+  console.log(`Render: ${render.status}, scrape: ${scrape.status}`);
+  console.log(`Content-Type: ${scrape.headers.get("content-type")}`);
+  console.log(lines.filter((line) => /renders_total|duration_seconds_count/.test(line)).join("\n"));
+
+  if (
+    render.status === 200 &&
+    isExposition(scrape) &&
+    isExposition(negotiated) &&
+    json.headers.get("content-type").startsWith("application/json") &&
+    value("pdfgen_renders_total ") === 1 &&
+    value('pdfgen_render_duration_seconds_count{template="invoice"') === 1 &&
+    value("pdfgen_healthy ") === 1 &&
+    value("pdfgen_threads ") === 1
+  ) {
+    console.log("✅ PASSED - Render counted and observed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Server metrics missing or wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     METRICS TEST SUITE                                    ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testCountersAndGauges());
+    results.push(await testHistogram());
+    results.push(await testCollectors());
+    results.push(await testNames());
+    results.push(await testServerExposition());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Metrics verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
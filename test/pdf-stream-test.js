@@ -0,0 +1,238 @@
+import { Writable } from "stream";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+
+/**
+ * PDF Stream Test Suite
+ *
+ * Tests to verify:
+ * 1. A streamed render writes the same PDF as a buffered one
+ * 2. A slow reader holds the worker back through acknowledgements
+ * 3. A reader that stops reading holds the worker until cancelled
+ */
+
+console.log("🧪 PDF Stream Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 10_000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+function createService() {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+  });
+}
+
+// Enough pages for PDFKit to emit many chunks
+const longDoc = {
+  content: Array.from(
+    { length: 4000 },
+    (_, i) => `Line ${i}: consultation, laboratory and pharmacy charges`,
+  ),
+};
+
+// Response that flushes each chunk after `delay` ms (never when null),
+// tracking the bytes it holds that were written but not yet flushed
+function createReader(delay) {
+  const reader = new Writable({
+    highWaterMark: 1,
+    write(chunk, encoding, callback) {
+      if (delay === null) return;
+      setTimeout(() => {
+        reader.flushed += chunk.length;
+        callback();
+      }, delay);
+    },
+  });
+
+  reader.received = [];
+  reader.flushed = 0;
+  reader.maxHeld = 0;
+  reader.maxChunk = 0;
+
+  const write = reader.write.bind(reader);
+  reader.write = (chunk, callback) => {
+    reader.received.push(Buffer.from(chunk));
+    reader.maxChunk = Math.max(reader.maxChunk, chunk.length);
+
+    const held = reader.received.reduce((sum, c) => sum + c.length, 0) - reader.flushed;
+    reader.maxHeld = Math.max(reader.maxHeld, held);
+
+    return write(chunk, callback);
+  };
+
+  return reader;
+}
+
+// ============================================================================
+// Test 1: Same PDF as Buffered
+// ============================================================================
+
+async function testSamePdf() {
+  console.log("Test 1: Same PDF as Buffered");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const doc = { content: ["Invoice INV-001"], info: { CreationDate: new Date(0) } };
+
+  const buffered = await service.renderToBuffer(doc);
+  const reader = createReader(0);
+  const size = await service.renderToStream(doc, reader);
+  await service.close();
+
+  const streamed = Buffer.concat(reader.received);
+  console.log(`Buffered: ${buffered.length} bytes, streamed: ${streamed.length} bytes in ${reader.received.length} chunks`);
+
+  // The document ID is random, so only the size and framing must match
+  if (
+    size === streamed.length &&
+    streamed.length === buffered.length &&
+    streamed.subarray(0, 5).toString() === "%PDF-" &&
+    streamed.subarray(-6).toString().includes("%%EOF")
+  ) {
+    console.log("✅ PASSED - Streamed PDF matches the buffered one\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Streamed PDF differs\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Slow Reader
+// ============================================================================
+
+async function testSlowReader() {
+  console.log("Test 2: Slow Reader");
+  console.log("━".repeat(50));
+
+  const highWaterMark = 16 * 1024;
+  const service = createService();
+  const reader = createReader(5);
+
+  const size = await service.renderToStream(longDoc, reader, { highWaterMark });
+  await service.close();
+
+  console.log(`Size: ${size} bytes in ${reader.received.length} chunks (largest ${reader.maxChunk})`);
+  console.log(`Most held by the reader: ${reader.maxHeld} bytes (high water mark ${highWaterMark})`);
+
+  // The worker stops once highWaterMark bytes are unacknowledged, so at
+  // most one more chunk can be in flight
+  if (
+    size > 4 * highWaterMark &&
+    reader.maxHeld < highWaterMark + reader.maxChunk &&
+    Buffer.concat(reader.received).length === size
+  ) {
+    console.log("✅ PASSED - Worker paused until the reader caught up\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Worker ran ahead of the reader\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Stalled Reader
+// ============================================================================
+
+async function testStalledReader() {
+  console.log("Test 3: Stalled Reader");
+  console.log("━".repeat(50));
+
+  const highWaterMark = 16 * 1024;
+  const service = createService();
+  const reader = createReader(null);
+  const controller = new AbortController();
+
+  const render = service
+    .renderToStream(longDoc, reader, { highWaterMark, signal: controller.signal })
+    .then(() => null, (err) => err);
+
+  // Without acknowledgements the worker must stop and stay stopped
+  await waitFor(() => reader.received.length > 0);
+  await sleep(500);
+  const heldBeforeCancel = reader.maxHeld;
+  const chunksBeforeCancel = reader.received.length;
+  await sleep(500);
+  const stalled = reader.received.length === chunksBeforeCancel;
+
+  controller.abort();
+  const error = await render;
+
+  // The worker is free again for the next render
+  const next = await service.renderToBuffer({ content: ["Invoice INV-002"] });
+  await service.close();
+
+  console.log(`Held before cancel: ${heldBeforeCancel} bytes in ${chunksBeforeCancel} chunks, stalled: ${stalled}`);
+  console.log(`Render: ${error?.message}`);
+  console.log(`Next render: ${next.length} bytes`);
+
+  if (
+    heldBeforeCancel >= highWaterMark &&
+    heldBeforeCancel < highWaterMark + reader.maxChunk &&
+    stalled &&
+    error !== null &&
+    next.subarray(0, 5).toString() === "%PDF-"
+  ) {
+    console.log("✅ PASSED - Worker waited for the reader, freed on cancel\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Worker not held by a stalled reader\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔════════════════════════════════════════════════╗");
+  console.log("║           PDF STREAM TEST SUITE                ║");
+  console.log("╚════════════════════════════════════════════════╝\n");
+
+  const results = [];
+
+  try {
+    results.push(await testSamePdf());
+    results.push(await testSlowReader());
+    results.push(await testStalledReader());
+  } catch (err) {
+    console.error("❌ Test suite error:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - PDF streaming verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
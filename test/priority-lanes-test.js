@@ -0,0 +1,334 @@
+import { SignJWT } from "jose";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Priority Lanes Test Suite
+ *
+ * Tests to verify:
+ * 1. Lanes get worker slots by share; unknown lanes are refused
+ * 2. Waiting tasks run highest lane first
+ * 3. A lane never fills more than its share of the slots
+ * 4. A full lane rejects without counting a failure
+ * 5. The server resolves X-Priority and guards elevated lanes by scope
+ */
+
+console.log("🧪 Priority Lanes Test Suite\n");
+
+function createService(options = {}) {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    ...options,
+  });
+}
+
+const doc = (text) => ({ content: [text] });
+
+// ============================================================================
+// Test 1: Slots and Unknown Lanes
+// ============================================================================
+
+async function testSlots() {
+  console.log("Test 1: Slots and Unknown Lanes");
+  console.log("━".repeat(50));
+
+  const service = createService({ minThreads: 1, maxThreads: 4 });
+  const lanes = service.getLaneStats();
+
+  let unknown = null;
+  try {
+    await service.renderToBuffer(doc("x"), { priority: "urgent" });
+  } catch (err) {
+    unknown = err.message;
+  }
+
+  let badDefault = null;
+  try {
+    new PdfRenderServiceResilient({ defaultLane: "urgent" });
+  } catch (err) {
+    badDefault = err.message;
+  }
+
+  await service.close();
+
+  const slots = Object.entries(lanes).map(([name, lane]) => `${name}=${lane.slots}`);
+  console.log(`Slots: ${slots.join(", ")}`);
+  console.log(`Unknown: ${unknown}`);
+  console.log(`Bad default: ${badDefault}`);
+
+  if (
+    slots.join(",") === "interactive=4,normal=3,bulk=2" &&
+    unknown === 'Unknown priority lane "urgent"' &&
+    badDefault === 'Unknown default lane "urgent"'
+  ) {
+    console.log("✅ PASSED - Slots follow the lane shares\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Lane setup wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Priority Order
+// ============================================================================
+
+async function testOrder() {
+  console.log("Test 2: Highest Lane First");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const finished = [];
+  const render = (name, priority) =>
+    service
+      .renderToBuffer(doc(name), { priority })
+      .then(() => finished.push(name));
+
+  // The first one takes the only slot, the rest wait in their lanes
+  const renders = [
+    render("blocker", "interactive"),
+    render("bulk-1", "bulk"),
+    render("normal-1", "normal"),
+    render("bulk-2", "bulk"),
+    render("interactive-1", "interactive"),
+    render("normal-2"),
+  ];
+  const queued = Object.fromEntries(
+    Object.entries(service.getLaneStats()).map(([name, lane]) => [name, lane.queued]),
+  );
+
+  await Promise.all(renders);
+  const lanes = service.getLaneStats();
+  await service.close();
+
+  console.log(`Queued: ${JSON.stringify(queued)}`);
+  console.log(`Order: ${finished.join(", ")}`);
+
+  if (
+    JSON.stringify(queued) === '{"interactive":1,"normal":2,"bulk":2}' &&
+    finished.join(",") ===
+      "blocker,interactive-1,normal-1,normal-2,bulk-1,bulk-2" &&
+    lanes.bulk.completed === 2 &&
+    lanes.normal.completed === 2
+  ) {
+    console.log("✅ PASSED - Lanes served in priority order, FIFO within\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Wrong dispatch order\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Lane Share
+// ============================================================================
+
+async function testShare() {
+  console.log("Test 3: Lane Share");
+  console.log("━".repeat(50));
+
+  const service = createService({ minThreads: 2, maxThreads: 2 });
+
+  const bulk = [1, 2, 3].map((i) =>
+    service.renderToBuffer(doc(`bulk-${i}`), { priority: "bulk" }),
+  );
+  const afterBulk = service.getLaneStats().bulk;
+  const interactive = service.renderToBuffer(doc("interactive"), {
+    priority: "interactive",
+  });
+  const lanes = service.getLaneStats();
+
+  await Promise.all([...bulk, interactive]);
+  await service.close();
+
+  console.log(`Bulk: ${afterBulk.running} running, ${afterBulk.queued} queued of ${afterBulk.slots} slot`);
+  console.log(`Interactive: ${lanes.interactive.running} running, ${lanes.interactive.queued} queued`);
+
+  if (
+    afterBulk.slots === 1 &&
+    afterBulk.running === 1 &&
+    afterBulk.queued === 2 &&
+    lanes.interactive.running === 1 &&
+    lanes.interactive.queued === 0
+  ) {
+    console.log("✅ PASSED - Bulk left a slot for interactive work\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Bulk took every slot\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Full Lane
+// ============================================================================
+
+async function testFullLane() {
+  console.log("Test 4: Full Lane Rejects");
+  console.log("━".repeat(50));
+
+  const service = createService({
+    lanes: { normal: { share: 1, maxQueue: 1 } },
+  });
+  const failed = [];
+  service.on("task-failed", (event) => failed.push(event));
+
+  const running = service.renderToBuffer(doc("running"));
+  const waiting = service.renderToBuffer(doc("waiting"));
+  let rejected = null;
+  try {
+    await service.renderToBuffer(doc("rejected"));
+  } catch (err) {
+    rejected = err;
+  }
+
+  await Promise.all([running, waiting]);
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Rejected: ${rejected?.code} ${rejected?.message}`);
+  console.log(`Lane: ${JSON.stringify(stats.lanes.normal)}, errors: ${stats.errors}`);
+
+  if (
+    rejected?.code === "QUEUE_FULL" &&
+    stats.lanes.normal.rejected === 1 &&
+    stats.lanes.normal.completed === 2 &&
+    stats.errors === 0 &&
+    stats.retries === 0 &&
+    failed.length === 0
+  ) {
+    console.log("✅ PASSED - Rejected at once, not retried or failed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Full lane handled wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Server Priority
+// ============================================================================
+
+const SECRET = "test-secret-with-at-least-32-characters!";
+
+async function testServerPriority() {
+  console.log("Test 5: Server Priority Resolution");
+  console.log("━".repeat(50));
+
+  const sign = (scope) =>
+    new SignJWT({ scope })
+      .setProtectedHeader({ alg: "HS256" })
+      .setSubject("user-1")
+      .setIssuedAt()
+      .setExpirationTime("5m")
+      .sign(new TextEncoder().encode(SECRET));
+  const renderer = await sign("pdf:render");
+  const priority = await sign("pdf:render pdf:priority");
+
+  const { child, url } = await startServer({ JWT_SECRET: SECRET });
+
+  const get = async (token, headers = {}) => {
+    const res = await fetch(`${url}/pdf`, {
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+    });
+    const body = res.headers.get("content-type").includes("json")
+      ? await res.json()
+      : await res.arrayBuffer();
+    return { status: res.status, body, challenge: res.headers.get("www-authenticate") };
+  };
+
+  let results;
+  try {
+    const lanesBefore = (await (await fetch(`${url}/metrics`)).json()).pdf.lanes;
+    results = {
+      unknown: await get(renderer, { "X-Priority": "urgent" }),
+      elevated: await get(renderer, { "X-Priority": "Interactive" }),
+      granted: await get(priority, { "X-Priority": "interactive" }),
+      bulk: await get(renderer, { "X-Priority": "bulk" }),
+      normal: await get(renderer),
+    };
+    const lanes = (await (await fetch(`${url}/metrics`)).json()).pdf.lanes;
+    results.completed = Object.fromEntries(
+      Object.entries(lanes).map(([name, lane]) => [
+        name,
+        lane.completed - lanesBefore[name].completed,
+      ]),
+    );
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Unknown: ${results.unknown.status} ${JSON.stringify(results.unknown.body.lanes)}`);
+  console.log(`Interactive without scope: ${results.elevated.status} | ${results.elevated.challenge}`);
+  console.log(`Interactive with scope: ${results.granted.status}, bulk: ${results.bulk.status}, default: ${results.normal.status}`);
+  console.log(`Completed per lane: ${JSON.stringify(results.completed)}`);
+
+  if (
+    results.unknown.status === 400 &&
+    results.unknown.body.lanes.join(",") === "interactive,normal,bulk" &&
+    results.elevated.status === 403 &&
+    results.elevated.challenge.includes('scope="pdf:priority"') &&
+    results.granted.status === 200 &&
+    results.bulk.status === 200 &&
+    results.normal.status === 200 &&
+    JSON.stringify(results.completed) === '{"interactive":1,"normal":1,"bulk":1}'
+  ) {
+    console.log("✅ PASSED - Renders ran in the lane they were allowed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Priority resolved wrongly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     PRIORITY LANES TEST SUITE                             ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testSlots());
+    results.push(await testOrder());
+    results.push(await testShare());
+    results.push(await testFullLane());
+    results.push(await testServerPriority());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Priority lanes verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,340 @@
+import express from "express";
+import RedisMock from "ioredis-mock";
+import { RateLimiter } from "../src/middleware/rate-limiter.js";
+
+/**
+ * Rate Limiter Test Suite
+ *
+ * Tests to verify:
+ * 1. Requests beyond the budget get 429 with Retry-After and headers
+ * 2. Buckets and JWT subjects have budgets of their own
+ * 3. Only configured API keys count as an identity
+ * 4. The budget refills with the next window
+ * 5. Redis counters are shared by instances
+ * 6. A failing store lets requests through
+ */
+
+console.log("🧪 Rate Limiter Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Express app with one route per bucket; X-Test-Subject stands in for a JWT
+async function withApp(limiter, buckets, fn) {
+  const app = express();
+  app.use((req, res, next) => {
+    const subject = req.get("x-test-subject");
+    if (subject) req.auth = { subject };
+    next();
+  });
+  for (const [bucket, overrides] of Object.entries(buckets)) {
+    app.get(`/${bucket}`, limiter.middleware(bucket, overrides), (req, res) =>
+      res.json({ ok: true }),
+    );
+  }
+
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (bucket, headers = {}) => {
+    const res = await fetch(`${base}/${bucket}`, { headers });
+    await res.arrayBuffer();
+    return { status: res.status, headers: res.headers };
+  };
+
+  try {
+    return await fn(request);
+  } finally {
+    server.close();
+    limiter.shutdown();
+  }
+}
+
+async function statuses(request, count, bucket, headers) {
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    result.push((await request(bucket, headers)).status);
+  }
+  return result.join(",");
+}
+
+// ============================================================================
+// Test 1: Budget Enforced
+// ============================================================================
+
+async function testBudget() {
+  console.log("Test 1: Budget Enforced");
+  console.log("━".repeat(50));
+
+  const limiter = new RateLimiter({
+    max: 3,
+    windowMs: 60_000,
+    legacyHeaders: true,
+    enableLogging: false,
+  });
+
+  const { first, limited } = await withApp(limiter, { pdf: {} }, async (request) => ({
+    first: await request("pdf"),
+    limited: [await request("pdf"), await request("pdf"), await request("pdf")].pop(),
+  }));
+
+  const stats = limiter.getStats();
+  console.log(`First: ${first.status}, remaining: ${first.headers.get("ratelimit-remaining")}`);
+  console.log(`Fourth: ${limited.status}, Retry-After: ${limited.headers.get("retry-after")}`);
+  console.log(`Allowed: ${stats.allowed}, limited: ${stats.limited}`);
+
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  if (
+    first.status === 200 &&
+    first.headers.get("ratelimit-limit") === "3" &&
+    first.headers.get("ratelimit-remaining") === "2" &&
+    first.headers.get("ratelimit-policy") === "3;w=60" &&
+    first.headers.get("x-ratelimit-limit") === "3" &&
+    limited.status === 429 &&
+    retryAfter > 0 &&
+    retryAfter <= 60 &&
+    stats.allowed === 3 &&
+    stats.limited === 1
+  ) {
+    console.log("✅ PASSED - Fourth request refused until the window resets\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Budget not enforced\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Separate Buckets and Subjects
+// ============================================================================
+
+async function testBucketsAndSubjects() {
+  console.log("Test 2: Separate Buckets and Subjects");
+  console.log("━".repeat(50));
+
+  const limiter = new RateLimiter({ max: 2, enableLogging: false });
+
+  const results = await withApp(
+    limiter,
+    { pdf: {}, stream: { max: 1 } },
+    async (request) => ({
+      pdf: await statuses(request, 3, "pdf"),
+      stream: await statuses(request, 2, "stream"),
+      alice: await statuses(request, 2, "pdf", { "x-test-subject": "alice" }),
+      bob: await statuses(request, 3, "pdf", { "x-test-subject": "bob" }),
+    }),
+  );
+
+  console.log(JSON.stringify(results));
+
+  if (
+    results.pdf === "200,200,429" &&
+    results.stream === "200,429" &&
+    results.alice === "200,200" &&
+    results.bob === "200,200,429"
+  ) {
+    console.log("✅ PASSED - Each bucket and subject counted apart\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Budgets leaked between buckets or clients\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: API Keys
+// ============================================================================
+
+async function testApiKeys() {
+  console.log("Test 3: Only Configured API Keys");
+  console.log("━".repeat(50));
+
+  const limiter = new RateLimiter({
+    max: 2,
+    apiKeys: ["partner-key"],
+    enableLogging: false,
+  });
+
+  const results = await withApp(limiter, { pdf: {} }, async (request) => ({
+    partner: await statuses(request, 2, "pdf", { "x-api-key": "partner-key" }),
+    // Made-up keys from one address share that address's budget
+    rotating: [
+      await request("pdf", { "x-api-key": "random-1" }),
+      await request("pdf", { "x-api-key": "random-2" }),
+      await request("pdf", { "x-api-key": "random-3" }),
+    ]
+      .map((res) => res.status)
+      .join(","),
+  }));
+
+  const keys = [...limiter.counters.keys()];
+  console.log(JSON.stringify(results));
+  console.log(`Counters: ${keys.join(" ")}`);
+
+  if (
+    results.partner === "200,200" &&
+    results.rotating === "200,200,429" &&
+    keys.length === 2 &&
+    keys.every((key) => !key.includes("partner-key"))
+  ) {
+    console.log("✅ PASSED - Unknown keys billed to the address\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Unverified API keys minted budgets\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Window Reset
+// ============================================================================
+
+async function testWindowReset() {
+  console.log("Test 4: Window Reset");
+  console.log("━".repeat(50));
+
+  const limiter = new RateLimiter({ max: 1, windowMs: 1000, enableLogging: false });
+
+  const results = await withApp(limiter, { pdf: {} }, async (request) => {
+    // Start right after a window boundary so both hits share one window
+    await sleep(1000 - (Date.now() % 1000) + 5);
+    const within = await statuses(request, 2, "pdf");
+    await sleep(1000);
+    const next = await statuses(request, 1, "pdf");
+    limiter.cleanup();
+    return { within, next };
+  });
+
+  console.log(`${JSON.stringify(results)}, counters kept: ${limiter.counters.size}`);
+
+  if (results.within === "200,429" && results.next === "200" && limiter.counters.size === 1) {
+    console.log("✅ PASSED - Budget refilled, only the current window kept\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Window did not reset\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Redis Store Shared
+// ============================================================================
+
+async function testRedisShared() {
+  console.log("Test 5: Redis Store Shared");
+  console.log("━".repeat(50));
+
+  // ioredis-mock instances share data, like two pods on one Redis
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const options = { max: 2, keyPrefix: "ratetest:", enableLogging: false };
+  const podA = new RateLimiter({ ...options, redis: redisA });
+  const podB = new RateLimiter({ ...options, redis: redisB });
+
+  const a = await withApp(podA, { pdf: {} }, (request) => statuses(request, 2, "pdf"));
+  const b = await withApp(podB, { pdf: {} }, (request) => statuses(request, 1, "pdf"));
+  const keys = await redisA.keys("ratetest:ratelimit:*");
+  const ttl = await redisA.pttl(keys[0]);
+
+  console.log(`Pod A: ${a}, pod B: ${b}, keys: ${keys.length}, pttl: ${ttl}`);
+
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    a === "200,200" &&
+    b === "429" &&
+    podA.getStats().store === "redis" &&
+    keys.length === 1 &&
+    ttl > 0
+  ) {
+    console.log("✅ PASSED - Instances share one budget\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Budget not shared through Redis\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Store Failure Fails Open
+// ============================================================================
+
+async function testFailOpen() {
+  console.log("Test 6: Store Failure Fails Open");
+  console.log("━".repeat(50));
+
+  const redis = {
+    multi: () => {
+      throw new Error("Connection is closed");
+    },
+  };
+  const limiter = new RateLimiter({ max: 1, redis, enableLogging: false });
+  const disabled = new RateLimiter({ max: 1, enabled: false, enableLogging: false });
+
+  const broken = await withApp(limiter, { pdf: {} }, (request) =>
+    statuses(request, 2, "pdf"),
+  );
+  const off = await withApp(disabled, { pdf: {} }, (request) =>
+    statuses(request, 2, "pdf"),
+  );
+
+  console.log(`Broken store: ${broken}, errors: ${limiter.stats.storeErrors}, disabled: ${off}`);
+
+  if (broken === "200,200" && limiter.stats.storeErrors === 2 && off === "200,200") {
+    console.log("✅ PASSED - Renders continue without a store\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Store failure blocked requests\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     RATE LIMITER TEST SUITE                               ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testBudget());
+    results.push(await testBucketsAndSubjects());
+    results.push(await testApiKeys());
+    results.push(await testWindowReset());
+    results.push(await testRedisShared());
+    results.push(await testFailOpen());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Rate limiter verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
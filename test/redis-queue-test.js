@@ -0,0 +1,557 @@
+import RedisMock from "ioredis-mock";
+import { RedisRenderQueue } from "../src/services/redis-render-queue.js";
+
+/**
+ * Redis Render Queue Test Suite
+ *
+ * Runs against ioredis-mock as a local redis-server stand-in.
+ * Tests to verify:
+ * 1. Tasks are persisted, consumed and their results stored
+ * 2. Failed attempts are retried with backoff
+ * 3. Permanently failed tasks are marked failed and reported once
+ * 4. Several instances share one queue without double-processing
+ * 5. Tasks of a dead consumer are requeued and finished by another
+ * 6. A task that keeps killing its consumer is dead-lettered, not rerun
+ * 7. Task payloads are sealed in Redis with the encryption key
+ * 8. Stopping requeues idle claims but leaves running tasks claimed
+ */
+
+console.log("🧪 Redis Render Queue Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let prefixCounter = 0;
+
+function createQueue(redis, overrides = {}) {
+  return new RedisRenderQueue({
+    redis,
+    keyPrefix: `test${prefixCounter}:`,
+    pollInterval: 20,
+    retryDelay: 20,
+    retryBackoff: 1,
+    heartbeatInterval: 50,
+    consumerTTL: 150,
+    enableLogging: false,
+    ...overrides,
+  });
+}
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(20);
+  }
+  return false;
+}
+
+// ============================================================================
+// Test 1: Enqueue, Consume and Store Result
+// ============================================================================
+
+async function testConsumeAndStoreResult() {
+  console.log("Test 1: Enqueue, Consume and Store Result");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redis = new RedisMock();
+  const queue = createQueue(redis);
+
+  const taskId = await queue.enqueue(
+    { docDefinition: { content: ["Hello"] } },
+    { template: "invoice" },
+  );
+
+  const pendingTask = await queue.getTask(taskId);
+  console.log(`Status before consumer starts: ${pendingTask.status}`);
+
+  await queue.start(async ({ docDefinition }) =>
+    Buffer.from(`PDF:${docDefinition.content[0]}`),
+  );
+
+  await waitFor(async () => (await queue.getTask(taskId)).status === "completed");
+
+  const task = await queue.getTask(taskId);
+  const result = await queue.getResult(taskId);
+  const stats = await queue.getStats();
+
+  console.log(`Status: ${task.status}, attempts: ${task.attempts}`);
+  console.log(`Result: ${result?.toString()}`);
+  console.log(`Pending: ${stats.pending}, processing: ${stats.processing}`);
+
+  await queue.stop();
+  redis.disconnect();
+
+  if (
+    pendingTask.status === "pending" &&
+    task.status === "completed" &&
+    task.attempts === 1 &&
+    task.metadata.template === "invoice" &&
+    result?.toString() === "PDF:Hello" &&
+    stats.pending === 0 &&
+    stats.processing === 0
+  ) {
+    console.log("✅ PASSED - Task persisted, rendered and result stored\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Task was not processed as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Retry With Backoff
+// ============================================================================
+
+async function testRetry() {
+  console.log("Test 2: Retry With Backoff");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redis = new RedisMock();
+  const queue = createQueue(redis, { maxRetries: 3 });
+
+  const retries = [];
+  queue.on("task-retry", (event) => retries.push(event));
+
+  let calls = 0;
+  await queue.start(async () => {
+    calls++;
+    if (calls === 1) throw new Error("worker crashed");
+    return Buffer.from("ok");
+  });
+
+  const taskId = await queue.enqueue({ docDefinition: { content: [] } });
+
+  await waitFor(async () => (await queue.getTask(taskId)).status === "completed");
+
+  const task = await queue.getTask(taskId);
+  console.log(`Status: ${task.status}, attempts: ${task.attempts}`);
+  console.log(`Errors: ${JSON.stringify(task.errors.map((e) => e.error))}`);
+  console.log(`Retry events: ${retries.length}`);
+
+  await queue.stop();
+  redis.disconnect();
+
+  if (
+    task.status === "completed" &&
+    task.attempts === 2 &&
+    task.errors.length === 1 &&
+    retries.length === 1
+  ) {
+    console.log("✅ PASSED - Failed attempt retried from Redis\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retry did not behave as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Permanent Failure
+// ============================================================================
+
+async function testPermanentFailure() {
+  console.log("Test 3: Permanent Failure");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redis = new RedisMock();
+  const queue = createQueue(redis, { maxRetries: 2 });
+
+  const failures = [];
+  queue.on("task-failed", (event) => failures.push(event));
+
+  await queue.start(async () => {
+    throw new Error("always broken");
+  });
+
+  const taskId = await queue.enqueue(
+    { docDefinition: { content: [] } },
+    { template: "invoice" },
+  );
+
+  await waitFor(async () => (await queue.getTask(taskId)).status === "failed");
+
+  const task = await queue.getTask(taskId);
+
+  console.log(`Status: ${task.status}, attempts: ${task.attempts}`);
+  console.log(`task-failed events: ${failures.length}`);
+  console.log(`Error: ${failures[0]?.error.message}`);
+
+  await queue.stop();
+  redis.disconnect();
+
+  if (
+    task.status === "failed" &&
+    task.attempts === 2 &&
+    task.error === "always broken" &&
+    failures.length === 1 &&
+    failures[0].taskId === taskId &&
+    failures[0].error.message === "always broken" &&
+    failures[0].metadata.template === "invoice"
+  ) {
+    console.log("✅ PASSED - Exhausted task failed and reported once\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Exhausted task was not reported\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Multiple Instances Share One Queue
+// ============================================================================
+
+async function testMultipleInstances() {
+  console.log("Test 4: Multiple Instances Share One Queue");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  // ioredis-mock instances share data, like two pods on one Redis
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const queueA = createQueue(redisA, { consumerId: "pod-a", concurrency: 2 });
+  const queueB = createQueue(redisB, { consumerId: "pod-b", concurrency: 2 });
+
+  const processedBy = new Map(); // taskId -> consumers that rendered it
+
+  const processor = (consumerId) => async (payload, task) => {
+    const seen = processedBy.get(task.id) || [];
+    processedBy.set(task.id, [...seen, consumerId]);
+    await sleep(30);
+    return Buffer.from(consumerId);
+  };
+
+  const taskIds = [];
+  for (let i = 0; i < 10; i++) {
+    taskIds.push(await queueA.enqueue({ docDefinition: { content: [i] } }));
+  }
+
+  await queueA.start(processor("pod-a"));
+  await queueB.start(processor("pod-b"));
+
+  await waitFor(async () => {
+    const tasks = await Promise.all(taskIds.map((id) => queueA.getTask(id)));
+    return tasks.every((task) => task.status === "completed");
+  });
+
+  const counts = { "pod-a": 0, "pod-b": 0 };
+  let duplicates = 0;
+  for (const consumers of processedBy.values()) {
+    if (consumers.length > 1) duplicates++;
+    counts[consumers[0]]++;
+  }
+
+  console.log(`Rendered: ${processedBy.size}/${taskIds.length}`);
+  console.log(`pod-a: ${counts["pod-a"]}, pod-b: ${counts["pod-b"]}`);
+  console.log(`Duplicates: ${duplicates}`);
+
+  await queueA.stop();
+  await queueB.stop();
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    processedBy.size === taskIds.length &&
+    duplicates === 0 &&
+    counts["pod-a"] > 0 &&
+    counts["pod-b"] > 0
+  ) {
+    console.log("✅ PASSED - Work spread across instances exactly once\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Work was lost, duplicated or not shared\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Dead Consumer Recovery
+// ============================================================================
+
+async function testDeadConsumerRecovery() {
+  console.log("Test 5: Dead Consumer Recovery");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const queueA = createQueue(redisA, { consumerId: "pod-a" });
+  const queueB = createQueue(redisB, { consumerId: "pod-b" });
+
+  // pod-a claims the task and then "crashes" mid-render
+  await queueA.start(() => new Promise(() => {}));
+  const taskId = await queueA.enqueue({ docDefinition: { content: [] } });
+
+  await waitFor(async () => (await queueA.getStats()).processing === 1);
+
+  queueA.running = false;
+  clearTimeout(queueA.pollTimer);
+  clearInterval(queueA.heartbeatTimer);
+
+  const reaped = [];
+  queueB.on("consumer-reaped", (event) => reaped.push(event));
+
+  await queueB.start(async () => Buffer.from("recovered"));
+
+  await waitFor(
+    async () => (await queueB.getTask(taskId)).status === "completed",
+  );
+
+  const task = await queueB.getTask(taskId);
+  console.log(`Status: ${task.status}, consumer: ${task.consumer}`);
+  console.log(`Reaped: ${JSON.stringify(reaped)}`);
+
+  await queueB.stop();
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    task.status === "completed" &&
+    task.consumer === "pod-b" &&
+    reaped.length === 1 &&
+    reaped[0].consumerId === "pod-a"
+  ) {
+    console.log("✅ PASSED - Task of dead consumer requeued and finished\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Task of dead consumer was lost\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Poison Task Is Dead-Lettered
+// ============================================================================
+
+async function testPoisonTask() {
+  console.log("Test 6: Poison Task Is Dead-Lettered");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const queueA = createQueue(redisA, { consumerId: "pod-a", maxRetries: 1 });
+  const queueB = createQueue(redisB, { consumerId: "pod-b", maxRetries: 1 });
+
+  // pod-a dies while rendering the only attempt the task has
+  await queueA.start(() => new Promise(() => {}));
+  const taskId = await queueA.enqueue({ docDefinition: { content: [] } });
+
+  await waitFor(async () => (await queueA.getStats()).processing === 1);
+
+  queueA.running = false;
+  clearTimeout(queueA.pollTimer);
+  clearInterval(queueA.heartbeatTimer);
+
+  let rendered = 0;
+  const failed = [];
+  queueB.on("task-failed", (event) => failed.push(event));
+
+  await queueB.start(async () => {
+    rendered++;
+    return Buffer.from("should not run");
+  });
+
+  await waitFor(async () => (await queueB.getTask(taskId)).status === "failed");
+
+  const task = await queueB.getTask(taskId);
+  const stats = await queueB.getStats();
+
+  console.log(`Status: ${task.status}, attempts: ${task.attempts}`);
+  console.log(`Rendered by pod-b: ${rendered}, reason: ${task.error}`);
+
+  await queueB.stop();
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    task.status === "failed" &&
+    task.attempts === 1 &&
+    rendered === 0 &&
+    failed.length === 1 &&
+    stats.pending === 0 &&
+    stats.processing === 0 &&
+    failed[0].taskId === taskId
+  ) {
+    console.log("✅ PASSED - Poison task stopped after its attempts\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Poison task was requeued past maxRetries\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 7: Sealed Payloads
+// ============================================================================
+
+async function testSealedPayloads() {
+  console.log("Test 7: Sealed Payloads");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redis = new RedisMock();
+  const queue = createQueue(redis, { encryptionKey: "queue-secret" });
+  const otherKey = createQueue(redis, {
+    consumerId: "pod-other",
+    encryptionKey: "another-secret",
+  });
+
+  const taskId = await queue.enqueue(
+    { docDefinition: { content: ["Patient: Hinata Hyuga"] } },
+    { template: "invoice" },
+  );
+  const raw = await redis.hget(queue.keys.task(taskId), "payload");
+  const foreign = await otherKey.getTask(taskId);
+
+  const rendered = [];
+  await queue.start(async ({ docDefinition }) => {
+    rendered.push(docDefinition.content[0]);
+    return Buffer.from("PDF");
+  });
+  await waitFor(async () => (await queue.getTask(taskId)).status === "completed");
+  await queue.stop();
+
+  // A task sealed with a key this consumer doesn't have can't be rendered
+  const failed = [];
+  const sealedId = await queue.enqueue({ docDefinition: { content: ["x"] } });
+  otherKey.on("task-failed", (event) => failed.push(event));
+  await otherKey.start(async () => Buffer.from("should not run"));
+  await waitFor(async () => (await otherKey.getTask(sealedId)).status === "failed");
+  const sealedTask = await otherKey.getTask(sealedId);
+  await otherKey.stop();
+  redis.disconnect();
+
+  console.log(`Stored payload: ${raw.slice(0, 40)}...`);
+  console.log(`Rendered: ${JSON.stringify(rendered)}`);
+  console.log(`Other key: payload ${foreign.payload}, ${sealedTask.status} (${sealedTask.error})`);
+
+  if (
+    !raw.includes("Hinata") &&
+    raw.split(".").length === 3 &&
+    JSON.stringify(rendered) === '["Patient: Hinata Hyuga"]' &&
+    foreign.payload === null &&
+    sealedTask.status === "failed" &&
+    failed.length === 1 &&
+    failed[0].payload === null
+  ) {
+    console.log("✅ PASSED - Payload sealed at rest, opened by the consumer\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Payload stored in plain text\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 8: Stop Leaves Running Tasks Claimed
+// ============================================================================
+
+async function testStopWithRunningTask() {
+  console.log("Test 8: Stop Leaves Running Tasks Claimed");
+  console.log("━".repeat(50));
+
+  prefixCounter++;
+  const redis = new RedisMock();
+  const queue = createQueue(redis, { consumerId: "pod-a" });
+  const processingKey = queue.keys.processing("pod-a");
+
+  let renders = 0;
+  let finishRender;
+  await queue.start(() => {
+    renders++;
+    return new Promise((resolve) => {
+      finishRender = () => resolve(Buffer.from("PDF"));
+    });
+  });
+
+  const taskId = await queue.enqueue({ docDefinition: { content: [] } });
+  await waitFor(() => renders === 1);
+
+  // Claimed by this consumer, but never started (e.g. a crash in between)
+  const idleId = await queue.enqueue({ docDefinition: { content: [] } });
+  await redis.lrem(queue.keys.pending, 1, idleId);
+  await redis.lpush(processingKey, idleId);
+
+  await queue.stop(100);
+
+  const pending = await redis.lrange(queue.keys.pending, 0, -1);
+  const claimed = await redis.lrange(processingKey, 0, -1);
+  const registered = await redis.sismember(queue.keys.consumers, "pod-a");
+
+  finishRender();
+  await waitFor(async () => (await queue.getTask(taskId)).status === "completed");
+  const afterFinish = await redis.lrange(processingKey, 0, -1);
+  redis.disconnect();
+
+  console.log(`After stop: pending ${JSON.stringify(pending)}, claimed ${JSON.stringify(claimed)}`);
+  console.log(`Consumer still registered: ${registered === 1}`);
+  console.log(`Claims after the render finished: ${afterFinish.length}, renders: ${renders}`);
+
+  if (
+    JSON.stringify(pending) === JSON.stringify([idleId]) &&
+    JSON.stringify(claimed) === JSON.stringify([taskId]) &&
+    registered === 1 &&
+    afterFinish.length === 0 &&
+    renders === 1
+  ) {
+    console.log("✅ PASSED - Only the idle claim was requeued\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Running task requeued while rendering\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     REDIS RENDER QUEUE TEST SUITE                         ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testConsumeAndStoreResult());
+    results.push(await testRetry());
+    results.push(await testPermanentFailure());
+    results.push(await testMultipleInstances());
+    results.push(await testDeadConsumerRecovery());
+    results.push(await testPoisonTask());
+    results.push(await testSealedPayloads());
+    results.push(await testStopWithRunningTask());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Redis queue verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,368 @@
+import RedisMock from "ioredis-mock";
+import { RenderCache } from "../src/services/render-cache.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Render Cache Test Suite
+ *
+ * Tests to verify:
+ * 1. Keys depend on template, version, data and context, not key order
+ * 2. Memory store evicts the least recently used PDF beyond max
+ * 3. Entries expire after the TTL
+ * 4. Purging drops all entries or only one template's
+ * 5. Redis store is shared by instances and trimmed to max
+ * 6. A Redis outage counts as a miss instead of failing the render
+ * 7. The server sends the ETag with PDFs only, not with errors
+ */
+
+console.log("🧪 Render Cache Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pdf = (text) => Buffer.from(`%PDF-1.7 ${text}`);
+
+// ============================================================================
+// Test 1: Cache Keys
+// ============================================================================
+
+function testKeys() {
+  console.log("Test 1: Cache Keys");
+  console.log("━".repeat(50));
+
+  const cache = new RenderCache({ enableLogging: false });
+  const data = { invoice: { no: "INV-1", total: 90000 }, items: [1, 2] };
+  const key = cache.keyFor("invoice", "1.0.0", data);
+
+  const checks = {
+    "same data, other key order": [
+      cache.keyFor("invoice", "1.0.0", {
+        items: [1, 2],
+        invoice: { total: 90000, no: "INV-1" },
+      }),
+      true,
+    ],
+    "undefined fields ignored": [
+      cache.keyFor("invoice", "1.0.0", { ...data, note: undefined }),
+      true,
+    ],
+    "other version": [cache.keyFor("invoice", "1.1.0", data), false],
+    "other template": [cache.keyFor("receipt", "1.0.0", data), false],
+    "other data": [
+      cache.keyFor("invoice", "1.0.0", { ...data, items: [2, 1] }),
+      false,
+    ],
+    "other tenant": [
+      cache.keyFor("invoice", "1.0.0", data, { tenant: "clinic-b" }),
+      false,
+    ],
+  };
+
+  let ok = /^[0-9a-f]{64}$/.test(key);
+  for (const [name, [other, same]] of Object.entries(checks)) {
+    const match = (other === key) === same;
+    console.log(`${match ? "✓" : "✗"} ${name}: ${same ? "same" : "different"} key`);
+    ok &&= match;
+  }
+
+  const etag = cache.etagFor(key);
+  console.log(`ETag: ${etag}`);
+  ok &&= etag === `W/"${key.slice(0, 32)}"`;
+
+  console.log(ok ? "✅ PASSED - Keys follow the render input\n" : "❌ FAILED - Keys collide or diverge\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 2: LRU Eviction
+// ============================================================================
+
+async function testLruEviction() {
+  console.log("Test 2: LRU Eviction");
+  console.log("━".repeat(50));
+
+  const cache = new RenderCache({ max: 2, enableLogging: false });
+
+  await cache.set("a", pdf("a"), { template: "invoice" });
+  await cache.set("b", pdf("b"), { template: "invoice" });
+  await cache.get("a"); // a is now the most recently used
+  await cache.set("c", pdf("c"), { template: "invoice" });
+
+  const a = await cache.get("a");
+  const b = await cache.get("b");
+  const c = await cache.get("c");
+  const stats = await cache.getStats();
+
+  console.log(`a: ${Boolean(a)}, b: ${Boolean(b)}, c: ${Boolean(c)}`);
+  console.log(`Hits: ${stats.hits}, misses: ${stats.misses}, evictions: ${stats.evictions}`);
+
+  if (
+    a?.equals(pdf("a")) &&
+    b === null &&
+    c?.equals(pdf("c")) &&
+    stats.entries === 2 &&
+    stats.hits === 3 &&
+    stats.misses === 1 &&
+    stats.evictions === 1
+  ) {
+    console.log("✅ PASSED - Least recently used PDF evicted\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Wrong entry evicted\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: TTL
+// ============================================================================
+
+async function testTtl() {
+  console.log("Test 3: TTL");
+  console.log("━".repeat(50));
+
+  const cache = new RenderCache({ ttl: 30, enableLogging: false });
+
+  await cache.set("a", pdf("a"));
+  const fresh = await cache.get("a");
+  await sleep(60);
+  const expired = await cache.get("a");
+
+  console.log(`Fresh: ${Boolean(fresh)}, after TTL: ${Boolean(expired)}`);
+
+  if (fresh && expired === null && cache.entries.size === 0) {
+    console.log("✅ PASSED - Expired PDF dropped\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - PDF outlived its TTL\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Purge
+// ============================================================================
+
+async function testPurge() {
+  console.log("Test 4: Purge");
+  console.log("━".repeat(50));
+
+  const cache = new RenderCache({ enableLogging: false });
+
+  await cache.set("a", pdf("a"), { template: "invoice" });
+  await cache.set("b", pdf("b"), { template: "receipt" });
+  await cache.set("c", pdf("c"), { template: "invoice" });
+
+  const byTemplate = await cache.purge({ template: "invoice" });
+  const left = [...cache.entries.keys()].join(",");
+  const all = await cache.purge();
+
+  console.log(`Purged invoice: ${byTemplate}, left: ${left}, purged rest: ${all}`);
+
+  if (byTemplate === 2 && left === "b" && all === 1 && cache.entries.size === 0) {
+    console.log("✅ PASSED - Purge by template and purge all\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Purge removed the wrong entries\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Redis Store
+// ============================================================================
+
+async function testRedisStore() {
+  console.log("Test 5: Redis Store Shared and Trimmed");
+  console.log("━".repeat(50));
+
+  // ioredis-mock instances share data, like two pods on one Redis
+  const redisA = new RedisMock();
+  const redisB = new RedisMock();
+  const options = { keyPrefix: "cachetest:", max: 2, enableLogging: false };
+  const podA = new RenderCache({ ...options, redis: redisA });
+  const podB = new RenderCache({ ...options, redis: redisB });
+
+  await podA.set("a", pdf("a"), { template: "invoice" });
+  await sleep(5);
+  await podA.set("b", pdf("b"), { template: "receipt" });
+  await sleep(5);
+  const sharedHit = await podB.get("a");
+  await sleep(5);
+  await podB.set("c", pdf("c"), { template: "invoice" });
+
+  const evicted = await podA.get("b");
+  const stats = await podA.getStats();
+  const purged = await podB.purge({ template: "invoice" });
+  const afterPurge = await podA.getStats();
+
+  console.log(`Hit on pod-b: ${Boolean(sharedHit)}, b evicted: ${evicted === null}`);
+  console.log(`Entries: ${stats.entries}, purged invoice: ${purged}, left: ${afterPurge.entries}`);
+
+  redisA.disconnect();
+  redisB.disconnect();
+
+  if (
+    sharedHit?.equals(pdf("a")) &&
+    evicted === null &&
+    stats.store === "redis" &&
+    stats.entries === 2 &&
+    purged === 2 &&
+    afterPurge.entries === 0
+  ) {
+    console.log("✅ PASSED - PDFs shared across instances and trimmed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Redis store did not behave as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Redis Outage
+// ============================================================================
+
+async function testRedisOutage() {
+  console.log("Test 6: Redis Outage Is a Miss");
+  console.log("━".repeat(50));
+
+  const down = () => Promise.reject(new Error("Connection is closed"));
+  const redis = {
+    getBuffer: down,
+    multi: () => ({
+      set: () => {
+        throw new Error("Connection is closed");
+      },
+    }),
+  };
+  const cache = new RenderCache({ redis, enableLogging: false });
+
+  let threw = false;
+  let buffer;
+  try {
+    await cache.set("a", pdf("a"));
+    buffer = await cache.get("a");
+  } catch {
+    threw = true;
+  }
+
+  console.log(`Threw: ${threw}, buffer: ${buffer}, misses: ${cache.stats.misses}`);
+
+  if (!threw && buffer === null && cache.stats.misses === 1) {
+    console.log("✅ PASSED - Outage costs a re-render, not the request\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Redis error reached the caller\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 7: Server ETag
+// ============================================================================
+
+async function testServerEtag() {
+  console.log("Test 7: Server ETag");
+  console.log("━".repeat(50));
+
+  const env = { JWT_SECRET: "", ENABLE_TEMPLATE_CACHE: "true" };
+  const summary = (res) => ({
+    status: res.status,
+    type: res.headers.get("content-type"),
+    etag: res.headers.get("etag"),
+  });
+
+  let miss, revalidated;
+  let { child, url } = await startServer(env);
+  try {
+    const first = await fetch(`${url}/pdf`);
+    await first.arrayBuffer();
+    miss = summary(first);
+
+    revalidated = summary(
+      await fetch(`${url}/pdf`, { headers: { "If-None-Match": miss.etag } }),
+    );
+  } finally {
+    await stopServer(child);
+  }
+
+  // A lane without room refuses every render, after the ETag was set
+  let failed;
+  ({ child, url } = await startServer({ ...env, PDF_LANE_NORMAL_MAX_QUEUE: "0" }));
+  try {
+    const res = await fetch(`${url}/pdf`);
+    failed = { ...summary(res), body: await res.json() };
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`Render: ${JSON.stringify(miss)}`);
+  console.log(`Revalidated: ${JSON.stringify(revalidated)}`);
+  console.log(`Failed: ${failed.status} ${failed.type}, ETag ${failed.etag}`);
+
+  if (
+    miss.status === 200 &&
+    /^W\/"[0-9a-f]{32}"$/.test(miss.etag) &&
+    revalidated.status === 304 &&
+    revalidated.etag === miss.etag &&
+    failed.status === 503 &&
+    failed.type.startsWith("application/json") &&
+    failed.body.error === "Server overloaded" &&
+    failed.etag === null
+  ) {
+    console.log("✅ PASSED - ETag on 200 and 304 only\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - ETag sent with an error\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     RENDER CACHE TEST SUITE                               ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(testKeys());
+    results.push(await testLruEviction());
+    results.push(await testTtl());
+    results.push(await testPurge());
+    results.push(await testRedisStore());
+    results.push(await testRedisOutage());
+    results.push(await testServerEtag());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Render cache verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,321 @@
+import { RequestTracker } from "../src/middleware/request-tracker.js";
+import { RenderJobService } from "../src/services/render-job-service.js";
+
+/**
+ * Render Jobs Test Suite
+ *
+ * Runs the in-memory job service against a stand-in render service.
+ * Tests to verify:
+ * 1. Submitted jobs render in the background and keep their result
+ * 2. Failed attempts are retried within the tracker's budget
+ * 3. Jobs out of attempts fail once, with their document for the DLQ
+ * 4. Only render jobs are visible as jobs
+ * 5. Shutdown stops scheduled retries and leaves the job pending
+ */
+
+console.log("🧪 Render Jobs Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+const docDefinition = { content: ["Invoice INV-001"] };
+
+// Fails the first `failures` renders, then returns a small "PDF"
+function createPdfService(failures = 0) {
+  const service = {
+    calls: [],
+    async renderToBuffer(doc, options) {
+      service.calls.push(options);
+      if (service.calls.length <= failures) {
+        throw new Error(`Render failed (call ${service.calls.length})`);
+      }
+      return Buffer.from("%PDF-1.7 test");
+    },
+  };
+  return service;
+}
+
+function createJobs(pdfService, trackerOptions = {}) {
+  const requestTracker = new RequestTracker({
+    maxRetries: 3,
+    retryDelay: 20,
+    enableLogging: false,
+    ...trackerOptions,
+  });
+  const jobs = new RenderJobService({
+    pdfService,
+    requestTracker,
+    enableLogging: false,
+  });
+  return { jobs, requestTracker };
+}
+
+// ============================================================================
+// Test 1: Job Completes
+// ============================================================================
+
+async function testJobCompletes() {
+  console.log("Test 1: Job Completes");
+  console.log("━".repeat(50));
+
+  const pdfService = createPdfService();
+  const { jobs, requestTracker } = createJobs(pdfService);
+
+  const completed = [];
+  jobs.on("job-completed", (event) => completed.push(event));
+
+  const jobId = await jobs.submit(docDefinition, {
+    template: "invoice",
+    tenant: "clinic-a",
+    priority: "bulk",
+  });
+  const submitted = await jobs.getJob(jobId);
+
+  await waitFor(async () => (await jobs.getJob(jobId)).status === "completed");
+
+  const job = await jobs.getJob(jobId);
+  const result = await jobs.getResult(jobId);
+
+  console.log(`Status at submit: ${submitted.status}`);
+  console.log(`Status: ${job.status}, attempts: ${job.attempts}`);
+  console.log(`Result: ${result?.length} bytes, lane: ${pdfService.calls[0]?.priority}`);
+
+  await jobs.shutdown();
+  await requestTracker.shutdown();
+
+  if (
+    submitted.status === "pending" &&
+    job.status === "completed" &&
+    job.attempts === 1 &&
+    job.template === "invoice" &&
+    job.tenant === "clinic-a" &&
+    job.resultSize === result.length &&
+    result.toString() === "%PDF-1.7 test" &&
+    completed.length === 1 &&
+    completed[0].jobId === jobId &&
+    pdfService.calls[0].priority === "bulk" &&
+    pdfService.calls[0].maxRetries === 1
+  ) {
+    console.log("✅ PASSED - Job rendered in the background\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Job did not complete as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Retry Until Success
+// ============================================================================
+
+async function testRetry() {
+  console.log("Test 2: Retry Until Success");
+  console.log("━".repeat(50));
+
+  const pdfService = createPdfService(2);
+  const { jobs, requestTracker } = createJobs(pdfService);
+
+  const retries = [];
+  jobs.on("job-retry", (event) => retries.push(event));
+
+  const jobId = await jobs.submit(docDefinition, { template: "invoice" });
+  await waitFor(async () => (await jobs.getJob(jobId)).status === "completed");
+
+  const job = await jobs.getJob(jobId);
+
+  console.log(`Status: ${job.status}, attempts: ${job.attempts}`);
+  console.log(`Retries: ${retries.map((r) => r.attempt).join(",")}`);
+  console.log(`Errors kept: ${job.errors.length}`);
+
+  await jobs.shutdown();
+  await requestTracker.shutdown();
+
+  if (
+    job.status === "completed" &&
+    job.attempts === 3 &&
+    retries.map((r) => r.attempt).join(",") === "1,2" &&
+    job.errors.length === 2 &&
+    job.errors[0].error === "Render failed (call 1)"
+  ) {
+    console.log("✅ PASSED - Failed attempts retried, history kept\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retries did not behave as expected\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Exhausted Job Fails
+// ============================================================================
+
+async function testExhaustedJob() {
+  console.log("Test 3: Exhausted Job Fails");
+  console.log("━".repeat(50));
+
+  const pdfService = createPdfService(Infinity);
+  const { jobs, requestTracker } = createJobs(pdfService, { maxRetries: 2 });
+
+  const failed = [];
+  jobs.on("job-failed", (event) => failed.push(event));
+
+  const jobId = await jobs.submit(docDefinition, { template: "invoice" });
+  await waitFor(async () => (await jobs.getJob(jobId)).status === "failed");
+  await sleep(50);
+
+  const job = await jobs.getJob(jobId);
+  const result = await jobs.getResult(jobId);
+  const stats = await jobs.getStats();
+
+  console.log(`Status: ${job.status}, attempts: ${job.attempts}`);
+  console.log(`job-failed events: ${failed.length}`);
+  console.log(`Pending after failure: ${stats.pending}`);
+
+  await jobs.shutdown();
+  await requestTracker.shutdown();
+
+  if (
+    job.status === "failed" &&
+    job.attempts === 2 &&
+    job.error === "Render failed (call 2)" &&
+    result === null &&
+    failed.length === 1 &&
+    failed[0].attempts === 2 &&
+    failed[0].docDefinition === docDefinition &&
+    stats.pending === 0
+  ) {
+    console.log("✅ PASSED - Job failed once with its document\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Exhausted job was not reported correctly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Only Render Jobs Are Jobs
+// ============================================================================
+
+async function testJobVisibility() {
+  console.log("Test 4: Only Render Jobs Are Jobs");
+  console.log("━".repeat(50));
+
+  const { jobs, requestTracker } = createJobs(createPdfService());
+
+  // A synchronous /pdf render tracked by the same tracker
+  const requestId = requestTracker.createRequest({ template: "invoice" });
+
+  const unknown = await jobs.getJob("no-such-job");
+  const httpRender = await jobs.getJob(requestId);
+  const unknownResult = await jobs.getResult("no-such-job");
+
+  console.log(`Unknown id: ${unknown}, HTTP render: ${httpRender}`);
+
+  await jobs.shutdown();
+  await requestTracker.shutdown();
+
+  if (unknown === null && httpRender === null && unknownResult === null) {
+    console.log("✅ PASSED - Other tracked requests stay hidden\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - A non-job was reported as a job\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Shutdown Stops Retries
+// ============================================================================
+
+async function testShutdown() {
+  console.log("Test 5: Shutdown Stops Retries");
+  console.log("━".repeat(50));
+
+  const pdfService = createPdfService(1);
+  const { jobs, requestTracker } = createJobs(pdfService, {
+    retryDelay: 200,
+  });
+
+  const jobId = await jobs.submit(docDefinition, { template: "invoice" });
+  await waitFor(() => jobs.retryTimers.size === 1);
+
+  await jobs.shutdown();
+  await sleep(300);
+
+  const job = await jobs.getJob(jobId);
+  const stats = await jobs.getStats();
+
+  console.log(`Status: ${job.status}, renders: ${pdfService.calls.length}`);
+  console.log(`Pending: ${stats.pending}, retries scheduled: ${stats.retryScheduled}`);
+
+  await requestTracker.shutdown();
+
+  if (
+    job.status === "retry_pending" &&
+    pdfService.calls.length === 1 &&
+    stats.pending === 1 &&
+    stats.retryScheduled === 0
+  ) {
+    console.log("✅ PASSED - Retry cancelled, job kept for the snapshot\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Job kept running after shutdown\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     RENDER JOBS TEST SUITE                                ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testJobCompletes());
+    results.push(await testRetry());
+    results.push(await testExhaustedJob());
+    results.push(await testJobVisibility());
+    results.push(await testShutdown());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Render jobs verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,431 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { RequestTracker } from "../src/middleware/request-tracker.js";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { RenderJobService } from "../src/services/render-job-service.js";
+import { createPayloadKey } from "../src/services/payload-seal.js";
+import {
+  readSnapshot,
+  removeSnapshot,
+  writeSnapshot,
+} from "../src/services/shutdown-snapshot.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Shutdown Snapshot Test Suite
+ *
+ * Tests to verify:
+ * 1. A snapshot is written whole and sealed, and kept until removed
+ * 2. A corrupt or unreadable snapshot is moved aside, not resumed or lost
+ * 3. Restored jobs keep their id and history and run again
+ * 4. Draining reports completed and abandoned tasks and renders
+ * 5. Jobs pending at SIGTERM complete after a restart
+ */
+
+console.log("🧪 Shutdown Snapshot Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+const docDefinition = { content: ["Invoice INV-001"] };
+
+// Fails the first `failures` renders, then returns a small "PDF"
+function createPdfService(failures = 0) {
+  const service = {
+    calls: 0,
+    async renderToBuffer() {
+      service.calls++;
+      if (service.calls <= failures) {
+        throw new Error(`Render failed (call ${service.calls})`);
+      }
+      return Buffer.from("%PDF-1.7 test");
+    },
+  };
+  return service;
+}
+
+function createJobs(pdfService) {
+  const requestTracker = new RequestTracker({
+    maxRetries: 3,
+    retryDelay: 200,
+    enableLogging: false,
+  });
+  const jobs = new RenderJobService({
+    pdfService,
+    requestTracker,
+    enableLogging: false,
+  });
+  return { jobs, requestTracker };
+}
+
+// ============================================================================
+// Test 1: Write and Read
+// ============================================================================
+
+const key = createPayloadKey("snapshot-test-key");
+
+async function testWriteAndRead(dir) {
+  console.log("Test 1: Write and Read");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "nested", "snapshot.json");
+  const jobs = [{ jobId: "job-1", metadata: { tenant: "a" }, docDefinition }];
+
+  await writeSnapshot(filePath, { jobs: [{ jobId: "older", docDefinition }] }, { key });
+  await writeSnapshot(filePath, { jobs }, { key });
+  const files = await readdir(join(dir, "nested"));
+  const content = await readFile(filePath, "utf-8");
+
+  const snapshot = await readSnapshot(filePath, { key });
+  const again = await readSnapshot(filePath, { key });
+  await removeSnapshot(filePath);
+  await removeSnapshot(filePath);
+  const removed = await readSnapshot(filePath, { key });
+  const left = await readdir(join(dir, "nested"));
+
+  // Production refuses to write patient data without a key
+  let refused = null;
+  try {
+    await writeSnapshot(filePath, { jobs }, { requireKey: true });
+  } catch (err) {
+    refused = err.message;
+  }
+  const afterRefusal = await readdir(join(dir, "nested"));
+
+  console.log(`Files after write: ${files.join(", ")}`);
+  console.log(`On disk: ${content.slice(0, 90)}...`);
+  console.log(`Read: ${JSON.stringify(snapshot.jobs)}`);
+  console.log(`Read again: ${Boolean(again)}, after remove: ${removed}, files left: ${left.length}`);
+  console.log(`Without a key: ${refused}, files: ${afterRefusal.length}`);
+
+  if (
+    files.join(",") === "snapshot.json" &&
+    !content.includes("INV-001") &&
+    JSON.parse(content).jobs[0].payload &&
+    snapshot.pid === process.pid &&
+    Date.now() - snapshot.createdAt < 5000 &&
+    JSON.stringify(snapshot.jobs) === JSON.stringify(jobs) &&
+    JSON.stringify(again.jobs) === JSON.stringify(jobs) &&
+    removed === null &&
+    left.length === 0 &&
+    refused === "Refusing to write 1 jobs without an encryption key" &&
+    afterRefusal.length === 0
+  ) {
+    console.log("✅ PASSED - Latest snapshot sealed, kept until removed\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Snapshot not written or read cleanly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Corrupt Snapshot
+// ============================================================================
+
+async function readAside(dir, name, options) {
+  let error = null;
+  try {
+    await readSnapshot(join(dir, name), options);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const files = await readdir(dir);
+  const moved = files.find((file) => file.startsWith(`${name}.corrupt-`));
+  const content = moved ? await readFile(join(dir, moved), "utf-8") : null;
+  return { error, files, moved, content };
+}
+
+async function testCorrupt(dir) {
+  console.log("Test 2: Corrupt Snapshot");
+  console.log("━".repeat(50));
+
+  await writeFile(join(dir, "corrupt.json"), '{"jobs": [{"jobId": "job-1"');
+  const corrupt = await readAside(dir, "corrupt.json", { key });
+
+  // Sealed with another key, or read without one
+  const jobs = [{ jobId: "job-1", docDefinition }];
+  await writeSnapshot(join(dir, "other-key.json"), { jobs }, { key });
+  const otherKey = await readAside(dir, "other-key.json", {
+    key: createPayloadKey("another-key"),
+  });
+  await writeSnapshot(join(dir, "no-key.json"), { jobs }, { key });
+  const noKey = await readAside(dir, "no-key.json");
+
+  console.log(`Corrupt: ${corrupt.error}`);
+  console.log(`Other key: ${otherKey.error}`);
+  console.log(`No key: ${noKey.error}`);
+  console.log(`Files: ${noKey.files.join(", ")}`);
+
+  if (
+    corrupt.error?.includes(`moved to ${join(dir, corrupt.moved)}`) &&
+    corrupt.content === '{"jobs": [{"jobId": "job-1"' &&
+    otherKey.moved &&
+    JSON.parse(otherKey.content).jobs[0].payload &&
+    noKey.error?.startsWith("Job payloads are sealed, but no key is set") &&
+    noKey.moved &&
+    !noKey.files.some((file) => file.endsWith(".json"))
+  ) {
+    console.log("✅ PASSED - Kept for inspection, next start not blocked\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Corrupt snapshot mishandled\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Restore Jobs
+// ============================================================================
+
+async function testRestore() {
+  console.log("Test 3: Restore Jobs");
+  console.log("━".repeat(50));
+
+  // First process: one failed attempt, stopped during the retry wait
+  const before = createJobs(createPdfService(1));
+  const jobId = await before.jobs.submit(docDefinition, {
+    template: "invoice",
+    tenant: "clinic-a",
+  });
+  await waitFor(() => before.jobs.retryTimers.size === 1);
+  await before.jobs.shutdown();
+  const snapshot = before.jobs.snapshot();
+  await before.requestTracker.shutdown();
+
+  // Next process
+  const pdfService = createPdfService();
+  const after = createJobs(pdfService);
+  const completed = [];
+  after.jobs.on("job-completed", (event) => completed.push(event.jobId));
+  after.jobs.restore(JSON.parse(JSON.stringify(snapshot)));
+  await waitFor(() => completed.length === 1);
+
+  const job = await after.jobs.getJob(jobId);
+  const result = await after.jobs.getResult(jobId);
+  await after.requestTracker.shutdown();
+
+  console.log(`Snapshot: ${JSON.stringify(snapshot.map((s) => [s.jobId, s.metadata.tenant, s.errors.length]))}`);
+  console.log(`After restore: ${job.status}, tenant ${job.tenant}, errors ${job.errors.length}, result ${result?.length} bytes`);
+
+  if (
+    snapshot.length === 1 &&
+    snapshot[0].jobId === jobId &&
+    snapshot[0].errors.length === 1 &&
+    completed[0] === jobId &&
+    job.status === "completed" &&
+    job.tenant === "clinic-a" &&
+    job.errors.length === 1 &&
+    result?.length > 0 &&
+    pdfService.calls === 1
+  ) {
+    console.log("✅ PASSED - Job resumed under its id with its history\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Restored job lost or changed\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Drain
+// ============================================================================
+
+async function testDrain() {
+  console.log("Test 4: Drain Counts");
+  console.log("━".repeat(50));
+
+  const service = new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    maxRetries: 1,
+  });
+  const longDoc = {
+    content: Array.from({ length: 3000 }, (_, i) => `Line ${i}`),
+  };
+
+  // Everything finishes within the deadline
+  const renders = [
+    service.renderToBuffer(docDefinition),
+    service.renderToBuffer(docDefinition),
+    service.renderToBuffer({ content: [{ table: { body: "not rows" } }] }),
+  ].map((render) => render.catch(() => {}));
+  const drained = await service.drain(10_000);
+  await Promise.all(renders);
+
+  // The deadline passes mid-render: an HTTP render and a render job
+  const running = [
+    service.renderToBuffer(longDoc),
+    service.renderToBuffer(longDoc, { metadata: { type: "render-job" } }),
+  ].map((render) => render.catch(() => {}));
+  await waitFor(() => service.activeTasks.size === 2);
+  const cutShort = await service.drain(0);
+
+  await Promise.all(running);
+  await service.close({ drainTimeout: 0 });
+
+  console.log(`Within the deadline: ${JSON.stringify(drained)}`);
+  console.log(`Past the deadline: ${JSON.stringify(cutShort)}`);
+
+  if (
+    JSON.stringify(drained) ===
+      '{"completed":2,"failed":1,"cancelled":0,"abandoned":0,"abandonedRenders":0}' &&
+    cutShort.abandoned === 2 &&
+    cutShort.abandonedRenders === 1 &&
+    cutShort.completed === 0
+  ) {
+    console.log("✅ PASSED - Finished tasks and abandoned renders reported\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Drain counts wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Restart
+// ============================================================================
+
+async function testRestart(dir) {
+  console.log("Test 5: Jobs Survive a Restart");
+  console.log("━".repeat(50));
+
+  const env = {
+    JWT_SECRET: "",
+    // Nothing is waited for, so the jobs are still pending at exit
+    ENABLE_GRACEFUL_SHUTDOWN: "false",
+    SHUTDOWN_SNAPSHOT_PATH: join(dir, "restart", "snapshot.json"),
+    DLQ_ENCRYPTION_KEY: "snapshot-test-key",
+  };
+
+  const { data } = JSON.parse(
+    await readFile(join(__dirname, "..", "src/data/opd-data.json"), "utf-8"),
+  );
+
+  const first = await startServer(env);
+  let jobIds, code;
+  try {
+    jobIds = await Promise.all(
+      Array.from({ length: 5 }, async () => {
+        const res = await fetch(`${first.url}/jobs`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ data }),
+        });
+        return (await res.json()).jobId;
+      }),
+    );
+  } finally {
+    code = await stopServer(first.child);
+  }
+
+  const content = await readFile(env.SHUTDOWN_SNAPSHOT_PATH, "utf-8");
+  const snapshot = JSON.parse(content);
+  const persisted = snapshot.jobs.map((job) => job.jobId);
+
+  const second = await startServer(env);
+  let jobs;
+  try {
+    const getJobs = () =>
+      Promise.all(
+        persisted.map(async (jobId) =>
+          (await fetch(`${second.url}/jobs/${jobId}`)).json(),
+        ),
+      );
+    await waitFor(async () => {
+      jobs = await getJobs();
+      return jobs.every((job) => job.status === "completed");
+    }, 30_000);
+  } finally {
+    await stopServer(second.child);
+  }
+  const left = await readdir(join(dir, "restart"));
+
+  console.log(`Exit code: ${code}, submitted: ${jobIds.length}, persisted: ${persisted.length}`);
+  console.log(`After restart: ${jobs.map((job) => job.status).join(", ")}`);
+  console.log(`Files left: ${left.join(", ")}`);
+
+  if (
+    code === 0 &&
+    persisted.length > 0 &&
+    persisted.every((jobId) => jobIds.includes(jobId)) &&
+    snapshot.jobs.every((job) => job.payload && !job.docDefinition) &&
+    !content.includes(data.admission_details.patient_name) &&
+    jobs.every((job) => job.status === "completed" && job.resultSize > 0) &&
+    !left.includes("snapshot.json")
+  ) {
+    console.log("✅ PASSED - Unfinished jobs resumed by the next process\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Jobs lost across the restart\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     SHUTDOWN SNAPSHOT TEST SUITE                          ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+  const dir = await mkdtemp(join(tmpdir(), "pdf-snapshot-test-"));
+
+  try {
+    results.push(await testWriteAndRead(dir));
+    results.push(await testCorrupt(dir));
+    results.push(await testRestore());
+    results.push(await testDrain());
+    results.push(await testRestart(dir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Shutdown snapshot verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
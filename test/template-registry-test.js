@@ -0,0 +1,425 @@
+import { readFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+import { TemplateRegistry } from "../src/services/template-registry.js";
+import { invoiceSchema } from "../src/schemas/invoice.schema.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Template Registry Test Suite
+ *
+ * Tests to verify:
+ * 1. Template names and definitions are checked on registration
+ * 2. A registered template is built and rendered by its name
+ * 3. The server lists templates and answers 404 for unknown ones
+ * 4. Validation reports every error with a JSON pointer to its field
+ * 5. The server answers 422 for invalid data and serves template schemas
+ */
+
+console.log("🧪 Template Registry Test Suite\n");
+
+const receipt = {
+  description: "Payment receipt",
+  version: "2.1.0",
+  build: (data, context) => ({
+    content: [
+      `Receipt ${data.receipt_no}`,
+      `Received from ${data.payer} for ${context.tenant}`,
+    ],
+  }),
+};
+
+// ============================================================================
+// Test 1: Registration
+// ============================================================================
+
+function testRegistration() {
+  console.log("Test 1: Registration");
+  console.log("━".repeat(50));
+
+  const registry = new TemplateRegistry();
+  registry.register("receipt", receipt);
+
+  const refusals = {
+    "Receipt": () => registry.register("Receipt", receipt),
+    "-receipt": () => registry.register("-receipt", receipt),
+    "stream": () => registry.register("stream", receipt),
+    "receipt again": () => registry.register("receipt", receipt),
+    "no build": () => registry.register("letter", {}),
+    "check not a function": () =>
+      registry.register("letter", { ...receipt, check: true }),
+  };
+
+  let ok = true;
+  for (const [name, register] of Object.entries(refusals)) {
+    let error = null;
+    try {
+      register();
+    } catch (err) {
+      error = err.message;
+    }
+    console.log(`${error ? "✓" : "✗"} ${name}: ${error ?? "accepted"}`);
+    ok &&= error !== null;
+  }
+
+  const listing = JSON.stringify(registry.list());
+  console.log(`Listing: ${listing}`);
+
+  ok &&=
+    listing ===
+      '[{"name":"receipt","description":"Payment receipt","version":"2.1.0","hasSchema":false}]' &&
+    registry.has("receipt") &&
+    !registry.has("letter") &&
+    Object.isFrozen(registry.get("receipt")) &&
+    registry.getSchema("receipt") === null;
+
+  console.log(ok ? "✅ PASSED - Bad names and definitions refused\n" : "❌ FAILED - Registration rules not applied\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 2: Build by Name
+// ============================================================================
+
+async function testBuild() {
+  console.log("Test 2: Build by Name");
+  console.log("━".repeat(50));
+
+  const registry = new TemplateRegistry();
+  registry.register("receipt", receipt);
+
+  const docDefinition = registry.build(
+    "receipt",
+    { receipt_no: "RCP-7", payer: "Sasuke" },
+    { tenant: "clinic-a" },
+  );
+
+  let missing = null;
+  try {
+    registry.build("letter", {});
+  } catch (err) {
+    missing = err.message;
+  }
+
+  const service = new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+  });
+  const pdf = await service.renderToBuffer(docDefinition);
+  await service.close();
+
+  console.log(`Content: ${JSON.stringify(docDefinition.content)}`);
+  console.log(`Unknown: ${missing}`);
+  console.log(`PDF: ${pdf.length} bytes`);
+
+  if (
+    JSON.stringify(docDefinition.content) ===
+      '["Receipt RCP-7","Received from Sasuke for clinic-a"]' &&
+    missing === 'Template "letter" not found' &&
+    pdf.subarray(0, 5).toString() === "%PDF-"
+  ) {
+    console.log("✅ PASSED - Template built with data and context, rendered\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Template not built by name\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Server Templates
+// ============================================================================
+
+async function testServer() {
+  console.log("Test 3: Server Templates");
+  console.log("━".repeat(50));
+
+  const { data } = JSON.parse(
+    await readFile(join(__dirname, "..", "src/data/opd-data.json"), "utf-8"),
+  );
+  const { child, url } = await startServer({ JWT_SECRET: "" });
+
+  const post = (path, body) =>
+    fetch(`${url}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  let listing, invoice, unknown, unknownJob;
+  try {
+    listing = await (await fetch(`${url}/templates`)).json();
+
+    const res = await post("/pdf/invoice", data);
+    invoice = {
+      status: res.status,
+      type: res.headers.get("content-type"),
+      magic: Buffer.from(await res.arrayBuffer()).subarray(0, 5).toString(),
+    };
+
+    const missing = await post("/pdf/receipt", data);
+    unknown = { status: missing.status, body: await missing.json() };
+
+    const job = await post("/jobs", { template: "receipt", data });
+    unknownJob = { status: job.status, body: await job.json() };
+  } finally {
+    await stopServer(child);
+  }
+
+  console.log(`GET /templates: ${JSON.stringify(listing)}`);
+  console.log(`POST /pdf/invoice: ${invoice.status} ${invoice.type} ${invoice.magic}`);
+  console.log(`POST /pdf/receipt: ${unknown.status} ${JSON.stringify(unknown.body)}`);
+  console.log(`POST /jobs receipt: ${unknownJob.status}`);
+
+  const [template] = listing.templates;
+  if (
+    listing.templates.length === 1 &&
+    template.name === "invoice" &&
+    template.version === "1.2.0" &&
+    template.hasSchema === true &&
+    template.description.length > 0 &&
+    invoice.status === 200 &&
+    invoice.type === "application/pdf" &&
+    invoice.magic === "%PDF-" &&
+    unknown.status === 404 &&
+    unknown.body.error === "Template not found" &&
+    unknown.body.template === "receipt" &&
+    JSON.stringify(unknown.body.available) === '["invoice"]' &&
+    typeof unknown.body.requestId === "string" &&
+    unknownJob.status === 404 &&
+    unknownJob.body.template === "receipt"
+  ) {
+    console.log("✅ PASSED - Templates listed, unknown names answered 404\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Template routes wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Validation
+// ============================================================================
+
+function testValidation() {
+  console.log("Test 4: Validation");
+  console.log("━".repeat(50));
+
+  const checked = [];
+  const registry = new TemplateRegistry();
+  registry.register("receipt", {
+    ...receipt,
+    schema: {
+      type: "object",
+      required: ["receipt_no", "payer/guarantor"],
+      properties: {
+        receipt_no: { type: "string" },
+        amount: { type: "number", minimum: 0 },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["qty"],
+            properties: { qty: { type: "integer" } },
+          },
+        },
+      },
+    },
+    // Rules the schema can't express; only sees data that passed it
+    check: (data) => {
+      checked.push(data.receipt_no);
+      return data.amount > 1000
+        ? [{ pointer: "/amount", message: "needs approval", keyword: "limit" }]
+        : [];
+    },
+  });
+  registry.register("letter", receipt);
+
+  const invalid = registry.validate("receipt", {
+    amount: -1,
+    items: [{ qty: 1.5 }, {}],
+  });
+  const pointers = invalid.errors.map((err) => `${err.pointer} ${err.keyword}`);
+  const valid = registry.validate("receipt", {
+    receipt_no: "RCP-1",
+    "payer/guarantor": "BPJS",
+    amount: 50,
+  });
+  const rejectedByCheck = registry.validate("receipt", {
+    receipt_no: "RCP-2",
+    "payer/guarantor": "BPJS",
+    amount: 5000,
+  });
+  const noSchema = registry.validate("letter", { anything: true });
+
+  console.log(`Errors: ${JSON.stringify(pointers)}`);
+  console.log(`Message: ${invalid.errors[0].message}`);
+  console.log(`Check ran for: ${checked.join(", ")}, its errors: ${JSON.stringify(rejectedByCheck.errors)}`);
+
+  if (
+    invalid.valid === false &&
+    JSON.stringify([...pointers].sort()) ===
+      JSON.stringify([
+        "/amount minimum",
+        "/items/0/qty type",
+        "/items/1/qty required",
+        "/payer~1guarantor required",
+        "/receipt_no required",
+      ]) &&
+    invalid.errors.every((err) => typeof err.message === "string") &&
+    valid.valid === true &&
+    valid.errors.length === 0 &&
+    rejectedByCheck.valid === false &&
+    rejectedByCheck.errors[0].pointer === "/amount" &&
+    checked.join(",") === "RCP-1,RCP-2" &&
+    noSchema.valid === true
+  ) {
+    console.log("✅ PASSED - All errors reported with pointers, check after schema\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Validation errors wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Server Validation and Schemas
+// ============================================================================
+
+async function testServerValidation() {
+  console.log("Test 5: Server Validation and Schemas");
+  console.log("━".repeat(50));
+
+  const { data } = JSON.parse(
+    await readFile(join(__dirname, "..", "src/data/opd-data.json"), "utf-8"),
+  );
+  const { patient_name, ...admission } = data.admission_details;
+  const invalidData = {
+    ...data,
+    admission_details: admission,
+    invoice_details: { ...data.invoice_details, vat: "11%" },
+    currency: "rupiah",
+  };
+  const { child, url } = await startServer({ JWT_SECRET: "" });
+
+  let invalid, job, schema, noSchema;
+  try {
+    const res = await fetch(`${url}/pdf/invoice`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(invalidData),
+    });
+    invalid = {
+      status: res.status,
+      type: res.headers.get("content-type"),
+      body: await res.json(),
+    };
+
+    const submitted = await fetch(`${url}/jobs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ template: "invoice", data: invalidData }),
+    });
+    job = { status: submitted.status, body: await submitted.json() };
+
+    const served = await fetch(`${url}/templates/invoice/schema`);
+    schema = {
+      status: served.status,
+      type: served.headers.get("content-type"),
+      body: await served.json(),
+    };
+
+    const missing = await fetch(`${url}/templates/receipt/schema`);
+    noSchema = { status: missing.status, body: await missing.json() };
+  } finally {
+    await stopServer(child);
+  }
+
+  const pointers = invalid.body.errors?.map((err) => err.pointer) ?? [];
+  console.log(`POST /pdf/invoice: ${invalid.status} ${JSON.stringify(invalid.body)}`);
+  console.log(`POST /jobs: ${job.status}, errors ${job.body.errors?.length}`);
+  console.log(`GET /templates/invoice/schema: ${schema.status} ${schema.type}`);
+  console.log(`GET /templates/receipt/schema: ${noSchema.status} ${noSchema.body.error}`);
+
+  if (
+    invalid.status === 422 &&
+    invalid.type.startsWith("application/json") &&
+    invalid.body.error === "Validation failed" &&
+    invalid.body.template === "invoice" &&
+    typeof invalid.body.requestId === "string" &&
+    JSON.stringify([...pointers].sort()) ===
+      JSON.stringify([
+        "/admission_details/patient_name",
+        "/currency",
+        "/invoice_details/vat",
+      ]) &&
+    job.status === 422 &&
+    job.body.errors.length === 3 &&
+    schema.status === 200 &&
+    schema.type.startsWith("application/schema+json") &&
+    JSON.stringify(schema.body) === JSON.stringify(invoiceSchema) &&
+    noSchema.status === 404 &&
+    noSchema.body.error === "Template not found"
+  ) {
+    console.log("✅ PASSED - 422 lists every field, schema served\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Validation or schema route wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     TEMPLATE REGISTRY TEST SUITE                          ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(testRegistration());
+    results.push(await testBuild());
+    results.push(await testServer());
+    results.push(testValidation());
+    results.push(await testServerValidation());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Template registry verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
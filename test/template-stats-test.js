@@ -0,0 +1,248 @@
+import {
+  pageBucket,
+  PdfRenderServiceResilient,
+} from "../src/services/pdf-render-service-resilient.js";
+
+/**
+ * Template Stats Test Suite
+ *
+ * Tests to verify:
+ * 1. Page counts map to their buckets
+ * 2. Renders are broken down by template and page-count bucket
+ * 3. Failed renders count against their template only
+ * 4. Group summaries report percentiles over a bounded sample window
+ */
+
+console.log("🧪 Template Stats Test Suite\n");
+
+// Single worker, no warmup: stats then only hold the test's renders
+function createService(options = {}) {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    ...options,
+  });
+}
+
+// Document of `pages` pages
+const pagesDoc = (pages) => ({
+  content: Array.from({ length: pages }, (_, i) => ({
+    text: `Page ${i + 1}`,
+    pageBreak: i > 0 ? "before" : undefined,
+  })),
+});
+
+// ============================================================================
+// Test 1: Page Buckets
+// ============================================================================
+
+function testPageBuckets() {
+  console.log("Test 1: Page Buckets");
+  console.log("━".repeat(50));
+
+  const expected = {
+    0: "unknown",
+    1: "1",
+    2: "2-5",
+    5: "2-5",
+    6: "6-10",
+    10: "6-10",
+    11: "11-20",
+    20: "11-20",
+    21: "21-50",
+    50: "21-50",
+    51: "51+",
+    5000: "51+",
+  };
+
+  let ok = pageBucket(undefined) === "unknown";
+  for (const [pages, bucket] of Object.entries(expected)) {
+    const actual = pageBucket(Number(pages));
+    console.log(`${actual === bucket ? "✓" : "✗"} ${pages} pages -> ${actual}`);
+    ok &&= actual === bucket;
+  }
+
+  console.log(ok ? "✅ PASSED - Bucket bounds inclusive\n" : "❌ FAILED - Wrong bucket\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 2: Breakdown
+// ============================================================================
+
+async function testBreakdown() {
+  console.log("Test 2: Breakdown by Template and Pages");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const completed = [];
+  service.on("task-completed", (event) => completed.push(event));
+
+  await service.renderToBuffer(pagesDoc(1), { metadata: { template: "invoice" } });
+  await service.renderToBuffer(pagesDoc(1), { metadata: { template: "invoice" } });
+  const report = await service.renderToBuffer(pagesDoc(7), {
+    metadata: { template: "report" },
+  });
+  await service.renderToBuffer(pagesDoc(1));
+
+  const { templates, pageBuckets } = service.getStats();
+  await service.close();
+
+  console.log(`Templates: ${JSON.stringify(Object.fromEntries(Object.entries(templates).map(([k, v]) => [k, v.renders])))}`);
+  console.log(`Buckets: ${JSON.stringify(Object.fromEntries(Object.entries(pageBuckets).map(([k, v]) => [k, v.renders])))}`);
+  console.log(`Report: ${JSON.stringify(templates.report)}`);
+
+  if (
+    templates.invoice.renders === 2 &&
+    templates.invoice.avgPages === 1 &&
+    templates.report.renders === 1 &&
+    templates.report.avgPages === 7 &&
+    templates.report.maxSize === report.length &&
+    templates.report.avgSize === report.length &&
+    templates.unknown.renders === 1 &&
+    pageBuckets["1"].renders === 3 &&
+    pageBuckets["6-10"].renders === 1 &&
+    Object.keys(pageBuckets).length === 2 &&
+    completed.map((event) => event.pages).join(",") === "1,1,7,1" &&
+    completed[2].size === report.length
+  ) {
+    console.log("✅ PASSED - Each render counted once per dimension\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Breakdown does not match the renders\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Errors Per Template
+// ============================================================================
+
+async function testErrors() {
+  console.log("Test 3: Errors Per Template");
+  console.log("━".repeat(50));
+
+  const service = createService({ maxRetries: 1 });
+  const broken = { content: [{ table: { body: "not rows" } }] };
+
+  await service.renderToBuffer(pagesDoc(1), { metadata: { template: "invoice" } });
+  for (let i = 0; i < 2; i++) {
+    await service
+      .renderToBuffer(broken, { metadata: { template: "receipt" } })
+      .catch(() => {});
+  }
+
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`invoice: ${JSON.stringify({ renders: stats.templates.invoice.renders, errors: stats.templates.invoice.errors })}`);
+  console.log(`receipt: ${JSON.stringify({ renders: stats.templates.receipt.renders, errors: stats.templates.receipt.errors })}`);
+  console.log(`Buckets: ${Object.keys(stats.pageBuckets).join(",")}`);
+
+  if (
+    stats.errors === 2 &&
+    stats.templates.invoice.errors === 0 &&
+    stats.templates.receipt.errors === 2 &&
+    stats.templates.receipt.renders === 0 &&
+    stats.templates.receipt.avgTime === 0 &&
+    Object.keys(stats.pageBuckets).join(",") === "1"
+  ) {
+    console.log("✅ PASSED - Failures attributed to their template\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Errors attributed wrongly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Summaries
+// ============================================================================
+
+async function testSummary() {
+  console.log("Test 4: Percentiles and Sample Window");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const taskInfo = { pages: 3, options: { metadata: { template: "statement" } } };
+
+  // An old slow render, then 1000 renders of 1..100ms that push it out of
+  // the sample window; max and averages still cover every render
+  service.updateStats(5000, 1, taskInfo, 50_000);
+  for (let i = 0; i < service.stats.maxTimings; i++) {
+    service.updateStats((i % 100) + 1, 1, taskInfo, 1000 * ((i % 100) + 1));
+  }
+
+  const summary = service.getStats().templates.statement;
+  await service.close();
+
+  console.log(JSON.stringify(summary));
+
+  if (
+    summary.renders === 1001 &&
+    summary.p50 === 51 &&
+    summary.p95 === 96 &&
+    summary.p99 === 100 &&
+    summary.maxTime === 5000 &&
+    summary.avgTime === Math.round((5000 + 50.5 * 1000) / 1001) &&
+    summary.sizeP50 === 51_000 &&
+    summary.maxSize === 100_000 &&
+    summary.avgPages === 3
+  ) {
+    console.log("✅ PASSED - Percentiles over the recent samples\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Summary wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     TEMPLATE STATS TEST SUITE                             ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(testPageBuckets());
+    results.push(await testBreakdown());
+    results.push(await testErrors());
+    results.push(await testSummary());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Template stats verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,450 @@
+import { existsSync, readFileSync } from "fs";
+import { mkdtemp, rm } from "fs/promises";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  formatTraceparent,
+  OtlpHttpExporter,
+  parseTraceparent,
+  Tracer,
+} from "../src/services/tracer.js";
+import { startServer, stopServer } from "./helpers/server.js";
+
+/**
+ * Tracing Test Suite
+ *
+ * Tests to verify:
+ * 1. traceparent headers are parsed strictly and round-trip
+ * 2. Spans nest under the active span across awaits, errors recorded
+ * 3. New traces are sampled by ratio, incoming ones follow the caller
+ * 4. Spans are exported in batches, bounded and dropped on failure
+ * 5. The OTLP exporter posts OTLP/JSON to the collector
+ * 6. The server continues the caller's trace down to the worker spans
+ */
+
+console.log("🧪 Tracing Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const SPAN_ID = "00f067aa0ba902b7";
+
+// Collects exported batches; fails while `failing` is set
+function createExporter() {
+  const exporter = {
+    batches: [],
+    failing: false,
+    async export(spans) {
+      if (exporter.failing) throw new Error("collector down");
+      exporter.batches.push(spans);
+    },
+  };
+  return exporter;
+}
+
+// ============================================================================
+// Test 1: traceparent
+// ============================================================================
+
+function testTraceparent() {
+  console.log("Test 1: traceparent Parsing");
+  console.log("━".repeat(50));
+
+  const valid = parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`);
+  const unsampled = parseTraceparent(` 00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-00 `);
+  const rejected = [
+    undefined,
+    "",
+    `01-${TRACE_ID}-${SPAN_ID}-01`,
+    `00-${"0".repeat(32)}-${SPAN_ID}-01`,
+    `00-${TRACE_ID}-${"0".repeat(16)}-01`,
+    `00-${TRACE_ID.slice(1)}-${SPAN_ID}-01`,
+    `00-${TRACE_ID}-${SPAN_ID}-01-extra`,
+  ].map(parseTraceparent);
+
+  console.log(`Valid: ${JSON.stringify(valid)}`);
+  console.log(`Unsampled: ${JSON.stringify(unsampled)}`);
+  console.log(`Rejected: ${rejected.filter((r) => r === null).length}/${rejected.length}`);
+
+  if (
+    valid?.traceId === TRACE_ID &&
+    valid.spanId === SPAN_ID &&
+    valid.sampled === true &&
+    unsampled?.traceId === TRACE_ID &&
+    unsampled.sampled === false &&
+    rejected.every((result) => result === null) &&
+    formatTraceparent(valid) === `00-${TRACE_ID}-${SPAN_ID}-01` &&
+    formatTraceparent(unsampled) === `00-${TRACE_ID}-${SPAN_ID}-00`
+  ) {
+    console.log("✅ PASSED - Only well-formed headers accepted\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - traceparent handling wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Nesting and Errors
+// ============================================================================
+
+async function testNesting() {
+  console.log("Test 2: Nesting and Errors");
+  console.log("━".repeat(50));
+
+  const exporter = createExporter();
+  const tracer = new Tracer({ enabled: true, exporter, enableLogging: false });
+
+  let error = null;
+  await tracer.trace("request", async () => {
+    await tracer.trace("build", async () => sleep(5));
+    await Promise.all([
+      tracer.trace("render", async () => sleep(10)),
+      tracer
+        .trace("upload", async () => {
+          await sleep(5);
+          throw new Error("bucket gone");
+        })
+        .catch((err) => {
+          error = err.message;
+        }),
+    ]);
+  });
+  const outside = tracer.startSpan("background");
+  await tracer.shutdown();
+
+  const spans = exporter.batches.flat();
+  const byName = Object.fromEntries(spans.map((span) => [span.name, span]));
+  for (const span of spans) {
+    console.log(`${span.name}: parent ${span.parentSpanId ?? "-"}, ${span.status.code}`);
+  }
+
+  const root = byName.request;
+  if (
+    spans.length === 4 &&
+    root.parentSpanId === null &&
+    ["build", "render", "upload"].every(
+      (name) =>
+        byName[name].parentSpanId === root.spanId &&
+        byName[name].traceId === root.traceId,
+    ) &&
+    byName.upload.status.code === "error" &&
+    byName.upload.events[0].attributes["exception.message"] === "bucket gone" &&
+    error === "bucket gone" &&
+    byName.render.duration >= 9 &&
+    outside.parentSpanId === null &&
+    outside.traceId !== root.traceId
+  ) {
+    console.log("✅ PASSED - Children found their parent\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Spans mis-parented\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Sampling
+// ============================================================================
+
+async function testSampling() {
+  console.log("Test 3: Sampling");
+  console.log("━".repeat(50));
+
+  const exporter = createExporter();
+  const tracer = new Tracer({
+    enabled: true,
+    sampleRatio: 0,
+    exporter,
+    enableLogging: false,
+  });
+
+  tracer.trace("new trace", () => tracer.trace("child", () => {}));
+  tracer.trace("sampled caller", () => {}, {
+    parent: parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`),
+  });
+  tracer.trace("unsampled caller", () => {}, {
+    parent: parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-00`),
+  });
+  await tracer.shutdown();
+
+  const disabled = new Tracer({ exporter, enableLogging: false });
+  let received;
+  const result = disabled.trace("off", (span) => {
+    received = span;
+    return 42;
+  });
+
+  const names = exporter.batches.flat().map((span) => span.name);
+  console.log(`Exported: ${names.join(", ")}`);
+  console.log(`Disabled: span ${received}, result ${result}`);
+
+  if (
+    names.join(",") === "sampled caller" &&
+    exporter.batches.flat()[0].parentSpanId === SPAN_ID &&
+    disabled.startSpan("off") === null &&
+    received === null &&
+    result === 42
+  ) {
+    console.log("✅ PASSED - Caller's decision wins, ratio for new traces\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Sampling decision wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Batching
+// ============================================================================
+
+async function testBatching() {
+  console.log("Test 4: Batching and Bounds");
+  console.log("━".repeat(50));
+
+  const exporter = createExporter();
+  const tracer = new Tracer({
+    enabled: true,
+    batchSize: 3,
+    maxBuffer: 4,
+    exporter,
+    enableLogging: false,
+  });
+  const finished = (name) => ({ name, sampled: true });
+
+  tracer.exportSpans([finished("a"), finished("b")]);
+  const beforeBatch = exporter.batches.length;
+  tracer.exportSpans([finished("c"), { name: "skip", sampled: false }]);
+  await sleep(0);
+
+  // A full buffer drops new spans; a failed export drops the batch
+  exporter.failing = true;
+  tracer.buffer.push(finished("d"), finished("e"), finished("f"));
+  tracer.exportSpans([finished("g"), finished("h")]);
+  await sleep(0);
+
+  const stats = tracer.getStats();
+  await tracer.shutdown();
+
+  console.log(`Batches: ${exporter.batches.map((b) => b.map((s) => s.name).join("")).join(" | ")}`);
+  console.log(`Stats: ${JSON.stringify(stats)}`);
+
+  if (
+    beforeBatch === 0 &&
+    exporter.batches.length === 1 &&
+    exporter.batches[0].map((span) => span.name).join("") === "abc" &&
+    stats.exported === 3 &&
+    stats.exportErrors === 1 &&
+    stats.dropped === 5 &&
+    stats.buffered === 0
+  ) {
+    console.log("✅ PASSED - Memory bounded while the collector is down\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Batching or dropping wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: OTLP Exporter
+// ============================================================================
+
+async function testOtlpExporter() {
+  console.log("Test 5: OTLP Exporter");
+  console.log("━".repeat(50));
+
+  const received = [];
+  let status = 200;
+  const collector = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  collector.listen(0, "127.0.0.1");
+  await new Promise((resolve) => collector.once("listening", resolve));
+
+  const exporter = new OtlpHttpExporter({
+    endpoint: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+    headers: { "x-api-key": "secret" },
+    serviceName: "pdfgen-test",
+  });
+  const tracer = new Tracer({ enabled: true, exporter, enableLogging: false });
+
+  const span = tracer.startSpan("pdf.render", {
+    kind: "client",
+    attributes: { "pdf.pages": 3, "pdf.ratio": 0.5, cached: false, empty: null },
+  });
+  span.addEvent("retry", { attempt: 2 });
+  span.setStatus("error", "timeout");
+  span.end(span.startTime + 1.5);
+  await tracer.flush();
+
+  status = 503;
+  tracer.startSpan("lost").end();
+  await tracer.flush();
+  collector.close();
+
+  const [{ headers, body }] = received;
+  const resource = body.resourceSpans[0].resource.attributes[0];
+  const otlp = body.resourceSpans[0].scopeSpans[0].spans[0];
+  console.log(`Resource: ${JSON.stringify(resource)}`);
+  console.log(`Span: ${JSON.stringify(otlp)}`);
+
+  const duration =
+    BigInt(otlp.endTimeUnixNano) - BigInt(otlp.startTimeUnixNano);
+  const attributes = Object.fromEntries(
+    otlp.attributes.map(({ key, value }) => [key, value]),
+  );
+
+  if (
+    headers["x-api-key"] === "secret" &&
+    headers["content-type"] === "application/json" &&
+    resource.value.stringValue === "pdfgen-test" &&
+    otlp.traceId === span.traceId &&
+    otlp.parentSpanId === undefined &&
+    otlp.kind === 3 &&
+    duration >= 1_499_000n &&
+    duration <= 1_501_000n &&
+    attributes["pdf.pages"].intValue === "3" &&
+    attributes["pdf.ratio"].doubleValue === 0.5 &&
+    attributes.cached.boolValue === false &&
+    !("empty" in attributes) &&
+    otlp.events[0].attributes[0].value.intValue === "2" &&
+    otlp.status.code === 2 &&
+    otlp.status.message === "timeout" &&
+    tracer.stats.exportErrors === 1
+  ) {
+    console.log("✅ PASSED - Spans mapped to OTLP/JSON\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - OTLP payload wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Server Trace
+// ============================================================================
+
+async function testServerTrace(dir) {
+  console.log("Test 6: Server Continues the Trace");
+  console.log("━".repeat(50));
+
+  const filePath = join(dir, "traces.jsonl");
+  const { child, url } = await startServer({
+    JWT_SECRET: "",
+    TRACING_ENABLED: "true",
+    TRACING_EXPORTER: "file",
+    TRACING_FILE_PATH: filePath,
+  });
+
+  const unsampledTrace = "a".repeat(32);
+  let sampled, unsampled;
+  try {
+    sampled = await fetch(`${url}/pdf`, {
+      headers: { traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` },
+    });
+    await sampled.arrayBuffer();
+    unsampled = await fetch(`${url}/pdf`, {
+      headers: { traceparent: `00-${unsampledTrace}-${SPAN_ID}-00` },
+    });
+    await unsampled.arrayBuffer();
+    await fetch(`${url}/health/ready`);
+  } finally {
+    // Shutdown flushes the buffered spans
+    await stopServer(child);
+  }
+
+  const spans = existsSync(filePath)
+    ? readFileSync(filePath, "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+    : [];
+  const byName = Object.fromEntries(spans.map((span) => [span.name, span]));
+  for (const span of spans) {
+    console.log(`${span.name}: ${span.spanId} <- ${span.parentSpanId}`);
+  }
+
+  const request = byName["GET /pdf"];
+  const render = byName["pdf.render"];
+  const attempt = byName["pdf.attempt"];
+  if (
+    sampled.status === 200 &&
+    sampled.headers.get("x-trace-id") === TRACE_ID &&
+    unsampled.headers.get("x-trace-id") === unsampledTrace &&
+    spans.every((span) => span.traceId === TRACE_ID) &&
+    request?.parentSpanId === SPAN_ID &&
+    request.attributes["http.response.status_code"] === 200 &&
+    byName["template.build"]?.parentSpanId === request.spanId &&
+    render?.parentSpanId === request.spanId &&
+    attempt?.parentSpanId === render.spanId &&
+    ["pdf.queue_wait", "pdf.resolve", "pdf.layout"].every(
+      (name) => byName[name]?.parentSpanId === attempt.spanId,
+    ) &&
+    !spans.some((span) => span.name.includes("/health"))
+  ) {
+    console.log("✅ PASSED - Caller's trace reaches the worker\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Trace broken between caller and worker\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     TRACING TEST SUITE                                    ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const dir = await mkdtemp(join(tmpdir(), "pdfgen-tracing-"));
+  const results = [];
+
+  try {
+    results.push(testTraceparent());
+    results.push(await testNesting());
+    results.push(await testSampling());
+    results.push(await testBatching());
+    results.push(await testOtlpExporter());
+    results.push(await testServerTrace(dir));
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Tracing verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,429 @@
+import { createHmac } from "crypto";
+import { createServer } from "http";
+import { WebhookDispatcher } from "../src/services/webhook-dispatcher.js";
+
+/**
+ * Webhook Dispatcher Test Suite
+ *
+ * Tests to verify:
+ * 1. Callbacks carry an HMAC-SHA256 signature over timestamp and body
+ * 2. Failed deliveries are retried with exponential backoff
+ * 3. Client errors and exhausted attempts end in the delivery log
+ * 4. Private, loopback and link-local hosts are refused
+ * 5. Only allowed hosts are accepted when an allowlist is set
+ * 6. Redirects are not followed
+ * 7. A host resolving to a private address when connecting is refused
+ */
+
+console.log("🧪 Webhook Dispatcher Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+const SECRET = "webhook-test-secret";
+
+function createDispatcher(options = {}) {
+  return new WebhookDispatcher({
+    secret: SECRET,
+    retryDelay: 20,
+    retryBackoff: 2,
+    // The receivers below listen on 127.0.0.1
+    allowPrivateAddresses: true,
+    enableLogging: false,
+    ...options,
+  });
+}
+
+// Answers with the next status (the last one repeats) and keeps requests
+async function createReceiver(statuses = [200], headers = {}) {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      const status = statuses[Math.min(received.length, statuses.length) - 1];
+      res.writeHead(status, headers).end();
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  return {
+    received,
+    port: server.address().port,
+    url: `http://127.0.0.1:${server.address().port}/callback`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const settled = (dispatcher, jobId) =>
+  waitFor(() => dispatcher.getDeliveries(jobId)?.status !== "pending");
+
+// ============================================================================
+// Test 1: Signed Callbacks
+// ============================================================================
+
+async function testSignature() {
+  console.log("Test 1: Signed Callbacks");
+  console.log("━".repeat(50));
+
+  const receiver = await createReceiver();
+  const dispatcher = createDispatcher();
+
+  const deliveryId = dispatcher.deliver("job-1", receiver.url, {
+    event: "job.completed",
+    jobId: "job-1",
+  });
+  await settled(dispatcher, "job-1");
+  await dispatcher.shutdown();
+  await receiver.close();
+
+  const [{ headers, body }] = receiver.received;
+  const timestamp = headers["x-webhook-timestamp"];
+  const expected = createHmac("sha256", SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  const delivery = dispatcher.getDeliveries("job-1");
+
+  console.log(`Headers: ${JSON.stringify(headers)}`);
+  console.log(`Delivery: ${delivery.status}, attempts ${JSON.stringify(delivery.attempts.map((a) => a.statusCode))}`);
+
+  if (
+    receiver.received.length === 1 &&
+    headers["x-webhook-signature"] === `sha256=${expected}` &&
+    Math.abs(Number(timestamp) - Date.now() / 1000) < 5 &&
+    headers["x-webhook-id"] === deliveryId &&
+    headers["x-webhook-event"] === "job.completed" &&
+    headers["content-type"] === "application/json" &&
+    JSON.parse(body).jobId === "job-1" &&
+    delivery.status === "delivered" &&
+    delivery.attempts.length === 1 &&
+    delivery.attempts[0].statusCode === 200
+  ) {
+    console.log("✅ PASSED - Signature verifies with the shared secret\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Callback not signed as documented\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Retries With Backoff
+// ============================================================================
+
+async function testRetries() {
+  console.log("Test 2: Retries With Backoff");
+  console.log("━".repeat(50));
+
+  const receiver = await createReceiver([500, 503, 200]);
+  const dispatcher = createDispatcher();
+  const retries = [];
+  dispatcher.on("delivery-retry", (event) => retries.push(event));
+
+  dispatcher.deliver("job-2", receiver.url, { event: "job.completed" });
+  await settled(dispatcher, "job-2");
+  await dispatcher.shutdown();
+  await receiver.close();
+
+  const delivery = dispatcher.getDeliveries("job-2");
+  const signatures = new Set(
+    receiver.received.map(({ headers }) => headers["x-webhook-id"]),
+  );
+
+  console.log(`Retries: ${JSON.stringify(retries.map((r) => [r.attempt, r.delay, r.error]))}`);
+  console.log(`Attempts: ${JSON.stringify(delivery.attempts.map((a) => [a.statusCode, a.error]))}`);
+
+  if (
+    JSON.stringify(retries.map((r) => r.delay)) === "[20,40]" &&
+    retries[0].error === "HTTP 500" &&
+    delivery.status === "delivered" &&
+    delivery.attempts.length === 3 &&
+    delivery.attempts[2].statusCode === 200 &&
+    receiver.received.length === 3 &&
+    signatures.size === 1
+  ) {
+    console.log("✅ PASSED - Retried until delivered, delay doubling\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retries or backoff wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Delivery Log
+// ============================================================================
+
+async function testDeliveryLog() {
+  console.log("Test 3: Delivery Log");
+  console.log("━".repeat(50));
+
+  const rejecting = await createReceiver([400]);
+  const failing = await createReceiver([500]);
+  const dispatcher = createDispatcher({ maxAttempts: 3, maxLogEntries: 2 });
+  const failed = [];
+  dispatcher.on("delivery-failed", (event) => failed.push(event));
+
+  dispatcher.deliver("job-3", rejecting.url, { event: "job.completed" });
+  dispatcher.deliver("job-4", failing.url, { event: "job.failed" });
+  await settled(dispatcher, "job-3");
+  await settled(dispatcher, "job-4");
+
+  // Beyond maxLogEntries the oldest log goes
+  dispatcher.deliver("job-5", rejecting.url, { event: "job.completed" });
+  await settled(dispatcher, "job-5");
+  const stats = dispatcher.getStats();
+  await dispatcher.shutdown();
+  await rejecting.close();
+  await failing.close();
+
+  const rejected = dispatcher.getDeliveries("job-5");
+  const exhausted = dispatcher.getDeliveries("job-4");
+
+  console.log(`Failed: ${JSON.stringify(failed.map((f) => [f.jobId, f.attempts, f.error]))}`);
+  console.log(`Stats: ${JSON.stringify(stats)}, job-3 kept: ${Boolean(dispatcher.getDeliveries("job-3"))}`);
+
+  if (
+    JSON.stringify(failed.map((f) => [f.jobId, f.attempts])) ===
+      '[["job-3",1],["job-4",3],["job-5",1]]' &&
+    rejected.status === "failed" &&
+    rejected.attempts[0].error === "HTTP 400" &&
+    exhausted.status === "failed" &&
+    exhausted.attempts.length === 3 &&
+    exhausted.completedAt >= exhausted.createdAt &&
+    failing.received.length === 3 &&
+    dispatcher.getDeliveries("job-3") === null &&
+    JSON.stringify(stats) === '{"pending":0,"delivered":0,"failed":2}'
+  ) {
+    console.log("✅ PASSED - 4xx not retried, attempts capped, log bounded\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Delivery log wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Private Hosts
+// ============================================================================
+
+async function testPrivateHosts() {
+  console.log("Test 4: Private Hosts");
+  console.log("━".repeat(50));
+
+  const dispatcher = createDispatcher({ allowPrivateAddresses: false });
+  const cases = {
+    "http://10.1.2.3/callback": "host resolves to a private or loopback address",
+    "http://127.0.0.1:3001/callback": "host resolves to a private or loopback address",
+    "http://localhost/callback": "host resolves to a private or loopback address",
+    "http://[::1]/callback": "host resolves to a private or loopback address",
+    "http://169.254.169.254/latest/meta-data": "host resolves to a private or loopback address",
+    "http://[fe80::1]/callback": "host resolves to a private or loopback address",
+    "http://[::ffff:10.0.0.1]/callback": "host resolves to a private or loopback address",
+    "http://192.168.1.10/callback": "host resolves to a private or loopback address",
+    "https://93.184.215.14/callback": null,
+    "file:///etc/passwd": "must be an http(s) URL",
+    "not a url": "must be an http(s) URL",
+  };
+
+  let ok = true;
+  for (const [url, expected] of Object.entries(cases)) {
+    const refused = await dispatcher.checkUrl(url);
+    const match = refused === expected;
+    console.log(`${match ? "✓" : "✗"} ${url}: ${refused ?? "allowed"}`);
+    ok &&= match;
+  }
+
+  // Refused again before sending, without a retry
+  const failed = [];
+  dispatcher.on("delivery-failed", (event) => failed.push(event));
+  dispatcher.deliver("job-6", "http://127.0.0.1:9/callback", {
+    event: "job.completed",
+  });
+  await settled(dispatcher, "job-6");
+  await dispatcher.shutdown();
+
+  console.log(`Delivery: ${JSON.stringify(failed)}`);
+  ok &&=
+    failed.length === 1 &&
+    failed[0].attempts === 1 &&
+    failed[0].error ===
+      "Callback URL refused: host resolves to a private or loopback address";
+
+  console.log(ok ? "✅ PASSED - Internal addresses refused\n" : "❌ FAILED - Internal address accepted\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 5: Allowed Hosts
+// ============================================================================
+
+async function testAllowedHosts() {
+  console.log("Test 5: Allowed Hosts");
+  console.log("━".repeat(50));
+
+  const dispatcher = createDispatcher({
+    allowedHosts: ["billing.example.com", "*.hospital.example", "127.0.0.1"],
+  });
+  const cases = {
+    "https://billing.example.com/hook": null,
+    "https://BILLING.example.com/hook": null,
+    "https://api.hospital.example/hook": null,
+    "https://hospital.example/hook": "host is not allowed for callbacks",
+    "https://billing.example.com.evil.test/hook": "host is not allowed for callbacks",
+    "https://evil-hospital.example/hook": "host is not allowed for callbacks",
+    "http://127.0.0.1/hook": null,
+    "http://localhost/hook": "host is not allowed for callbacks",
+  };
+
+  let ok = true;
+  for (const [url, expected] of Object.entries(cases)) {
+    // The test dispatcher allows private addresses, so nothing is resolved
+    const refused = await dispatcher.checkUrl(url);
+    const match = refused === expected;
+    console.log(`${match ? "✓" : "✗"} ${url}: ${refused ?? "allowed"}`);
+    ok &&= match;
+  }
+  await dispatcher.shutdown();
+
+  console.log(ok ? "✅ PASSED - Only listed hosts accepted\n" : "❌ FAILED - Allowlist not applied\n");
+  return ok;
+}
+
+// ============================================================================
+// Test 6: Redirects
+// ============================================================================
+
+async function testRedirect() {
+  console.log("Test 6: Redirects Not Followed");
+  console.log("━".repeat(50));
+
+  const internal = await createReceiver();
+  const redirecting = await createReceiver([302], {
+    Location: `${internal.url}?from=redirect`,
+  });
+  const dispatcher = createDispatcher();
+
+  dispatcher.deliver("job-7", redirecting.url, { event: "job.completed" });
+  await settled(dispatcher, "job-7");
+  await dispatcher.shutdown();
+  await internal.close();
+  await redirecting.close();
+
+  const delivery = dispatcher.getDeliveries("job-7");
+  console.log(`Delivery: ${delivery.status}, ${JSON.stringify(delivery.attempts.map((a) => [a.statusCode, a.error]))}`);
+  console.log(`Redirect target hit: ${internal.received.length}`);
+
+  if (
+    delivery.status === "failed" &&
+    delivery.attempts.length === 1 &&
+    delivery.attempts[0].statusCode === 302 &&
+    redirecting.received.length === 1 &&
+    internal.received.length === 0
+  ) {
+    console.log("✅ PASSED - Redirect ends the delivery\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Redirect followed\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 7: DNS Rebinding
+// ============================================================================
+
+async function testRebinding() {
+  console.log("Test 7: DNS Rebinding");
+  console.log("━".repeat(50));
+
+  const receiver = await createReceiver();
+  const dispatcher = createDispatcher({ allowPrivateAddresses: false });
+  // The host looked public when checked, then resolves to 127.0.0.1
+  dispatcher.checkUrl = async () => null;
+
+  dispatcher.deliver("job-8", `http://localhost:${receiver.port}/callback`, {
+    event: "job.completed",
+  });
+  await settled(dispatcher, "job-8");
+  await dispatcher.shutdown();
+  await receiver.close();
+
+  const delivery = dispatcher.getDeliveries("job-8");
+  console.log(`Delivery: ${delivery.status}, ${JSON.stringify(delivery.attempts.map((a) => a.error))}`);
+  console.log(`Receiver hit: ${receiver.received.length}`);
+
+  if (
+    delivery.status === "failed" &&
+    delivery.attempts.length === 1 &&
+    delivery.attempts[0].error ===
+      "Callback URL refused: host resolves to a private or loopback address" &&
+    receiver.received.length === 0
+  ) {
+    console.log("✅ PASSED - Connection pinned to checked addresses\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Connected to a private address\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     WEBHOOK DISPATCHER TEST SUITE                         ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testSignature());
+    results.push(await testRetries());
+    results.push(await testDeliveryLog());
+    results.push(await testPrivateHosts());
+    results.push(await testAllowedHosts());
+    results.push(await testRedirect());
+    results.push(await testRebinding());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Webhook dispatcher verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,315 @@
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+
+/**
+ * Worker Recycling Test Suite
+ *
+ * Tests to verify:
+ * 1. Workers are replaced after N renders without failing a render
+ * 2. Workers are replaced after their lifetime
+ * 3. A retiring worker finishes its task and gets no new ones
+ * 4. Workers retire one at a time
+ * 5. A failed terminate frees the slot and is retried
+ */
+
+console.log("🧪 Worker Recycling Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+function createService(options = {}) {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    ...options,
+  });
+}
+
+const doc = { content: ["Invoice INV-001"] };
+
+// Events of the recycling lifecycle, in order
+function recordRecycling(service) {
+  const events = [];
+  service.on("worker-recycling", ({ threadId, reason }) =>
+    events.push(["recycling", threadId, reason]),
+  );
+  service.on("worker-recycled", ({ threadId, reason }) =>
+    events.push(["recycled", threadId, reason]),
+  );
+  return events;
+}
+
+// ============================================================================
+// Test 1: Recycle After Renders
+// ============================================================================
+
+async function testAfterRenders() {
+  console.log("Test 1: Recycle After Renders");
+  console.log("━".repeat(50));
+
+  const service = createService({ recycleAfterRenders: 2 });
+  const events = recordRecycling(service);
+
+  let failures = 0;
+  for (let i = 0; i < 5; i++) {
+    await service.renderToBuffer(doc).catch(() => failures++);
+    // Let the worker's recycle request and the terminate go through
+    await sleep(50);
+  }
+  await waitFor(() => events.filter(([type]) => type === "recycled").length >= 2);
+
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Events: ${JSON.stringify(events)}`);
+  console.log(`Failures: ${failures}, recycled: ${JSON.stringify(stats.recycledWorkers)}`);
+
+  const threads = new Set(events.map(([, threadId]) => threadId));
+  if (
+    failures === 0 &&
+    stats.errors === 0 &&
+    stats.recycledWorkers.renders >= 2 &&
+    events[0][0] === "recycling" &&
+    events[1][0] === "recycled" &&
+    events.every(([, , reason]) => reason === "renders") &&
+    threads.size >= 2
+  ) {
+    console.log("✅ PASSED - Fresh worker took over, no render lost\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Worker not recycled cleanly\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Recycle After Lifetime
+// ============================================================================
+
+async function testLifetime() {
+  console.log("Test 2: Recycle After Lifetime");
+  console.log("━".repeat(50));
+
+  const service = createService({
+    recycleAfterMs: 300,
+    recoveryCheckInterval: 100,
+  });
+  const events = recordRecycling(service);
+
+  await service.renderToBuffer(doc);
+  const recycled = await waitFor(() =>
+    events.some(([type]) => type === "recycled"),
+  );
+  const after = await service.renderToBuffer(doc).then(
+    () => "ok",
+    (err) => err.message,
+  );
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Events: ${JSON.stringify(events)}, render after: ${after}`);
+
+  if (recycled && stats.recycledWorkers.lifetime >= 1 && after === "ok") {
+    console.log("✅ PASSED - Idle worker replaced after its lifetime\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Lifetime not enforced\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Draining
+// ============================================================================
+
+async function testDraining() {
+  console.log("Test 3: Retiring Worker Drains");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const events = recordRecycling(service);
+
+  await service.renderToBuffer(doc);
+  const [threadId] = service.poolWorkers.keys();
+
+  // Recycle while a long render runs on the only worker
+  const longDoc = {
+    content: Array.from({ length: 400 }, (_, i) => `Line ${i}`),
+  };
+  const running = service.renderToBuffer(longDoc);
+  await waitFor(() => service.poolWorkers.get(threadId).worker.currentUsage > 0);
+  service.requestRecycle(threadId, "memory");
+
+  const whileRunning = service.retiringWorkers.has(threadId);
+  const picked = service.pickWorker({ isAbortable: false }, [
+    service.poolWorkers.get(threadId).worker,
+  ]);
+
+  const pdf = await running;
+  await waitFor(() => events.some(([type]) => type === "recycled"));
+  const next = await service.renderToBuffer(doc);
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Retiring while busy: ${whileRunning}, picked: ${picked}`);
+  console.log(`In-flight PDF: ${pdf.length} bytes, next render: ${next.length} bytes`);
+  console.log(`Events: ${JSON.stringify(events)}`);
+
+  if (
+    whileRunning &&
+    picked === null &&
+    pdf.length > 0 &&
+    next.length > 0 &&
+    stats.errors === 0 &&
+    stats.recycledWorkers.memory === 1
+  ) {
+    console.log("✅ PASSED - In-flight render finished before terminate\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Retiring worker lost its render\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: One at a Time
+// ============================================================================
+
+async function testOneAtATime() {
+  console.log("Test 4: One Worker at a Time");
+  console.log("━".repeat(50));
+
+  const service = createService({ minThreads: 2, maxThreads: 2 });
+  const events = recordRecycling(service);
+
+  await Promise.all([service.renderToBuffer(doc), service.renderToBuffer(doc)]);
+  await waitFor(() => service.poolWorkers.size === 2);
+  const [first, second] = service.poolWorkers.keys();
+
+  service.requestRecycle(first, "lifetime");
+  service.requestRecycle(second, "lifetime");
+  const retiringAtOnce = service.retiringWorkers.size;
+  const pending = service.recycleRequests.size;
+
+  await waitFor(
+    () => events.filter(([type]) => type === "recycled").length === 2,
+  );
+  await service.close();
+
+  console.log(`Retiring at once: ${retiringAtOnce}, waiting: ${pending}`);
+  console.log(`Events: ${JSON.stringify(events.map(([type, id]) => `${type}:${id}`))}`);
+
+  const order = events.map(([type, id]) => `${type}:${id}`).join(",");
+  if (
+    retiringAtOnce === 1 &&
+    pending === 1 &&
+    order ===
+      `recycling:${first},recycled:${first},recycling:${second},recycled:${second}`
+  ) {
+    console.log("✅ PASSED - Second worker waited for the first\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Workers recycled together\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Terminate Failure
+// ============================================================================
+
+async function testTerminateFailure() {
+  console.log("Test 5: Terminate Failure Is Retried");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const events = recordRecycling(service);
+
+  await service.renderToBuffer(doc);
+  const [threadId] = service.poolWorkers.keys();
+  const thread = service.piscina.threads.find((t) => t.threadId === threadId);
+
+  thread.terminate = () => Promise.reject(new Error("terminate failed"));
+  service.requestRecycle(threadId, "renders");
+  await sleep(20);
+
+  const retiringAfterFailure = service.retiringWorkers.has(threadId);
+  const requeued = service.recycleRequests.get(threadId);
+
+  // The next worker check tries again with a working terminate
+  delete thread.terminate;
+  service.processRecycling();
+  const recycled = await waitFor(() =>
+    events.some(([type]) => type === "recycled"),
+  );
+  await service.close();
+
+  console.log(`Still retiring: ${retiringAfterFailure}, requeued as: ${requeued}`);
+  console.log(`Recycled on retry: ${recycled}`);
+
+  if (!retiringAfterFailure && requeued === "renders" && recycled) {
+    console.log("✅ PASSED - Recycling not stuck on a failed terminate\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Failed terminate blocked recycling\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     WORKER RECYCLING TEST SUITE                           ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testAfterRenders());
+    results.push(await testLifetime());
+    results.push(await testDraining());
+    results.push(await testOneAtATime());
+    results.push(await testTerminateFailure());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Worker recycling verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,377 @@
+import { Writable } from "stream";
+import { PdfRenderServiceResilient } from "../src/services/pdf-render-service-resilient.js";
+
+/**
+ * Worker Stats Test Suite
+ *
+ * Tests to verify:
+ * 1. Workers report their renders, memory and limit after tasks
+ * 2. Failed renders count as worker errors
+ * 3. Reports are throttled to the stats interval
+ * 4. A steadily growing heap is flagged before it hits the limit
+ * 5. A heap near the limit is flagged at once and cleared on recovery
+ * 6. Stats of an exited worker are dropped
+ * 7. A worker waiting inside a long task still reports on its interval
+ */
+
+console.log("🧪 Worker Stats Test Suite\n");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+const MB = 1024 * 1024;
+
+function createService(options = {}) {
+  return new PdfRenderServiceResilient({
+    minThreads: 1,
+    maxThreads: 1,
+    warmup: false,
+    enableHangDetection: false,
+    enableLogging: false,
+    workerStatsInterval: 1,
+    ...options,
+  });
+}
+
+const doc = { content: ["Invoice INV-001"] };
+
+// Report as a worker would post it, see getWorkerStats in the worker
+const report = (threadId, heapUsed, memoryLimit = 256 * MB) => ({
+  threadId,
+  uptime: 1000,
+  renders: 1,
+  errors: 0,
+  errorRate: 0,
+  avgTime: 10,
+  memoryMB: Math.round(heapUsed / MB),
+  heapUsed,
+  memoryLimit,
+  gcCount: 0,
+});
+
+// ============================================================================
+// Test 1: Reports After Renders
+// ============================================================================
+
+async function testReports() {
+  console.log("Test 1: Reports After Renders");
+  console.log("━".repeat(50));
+
+  // A fresh worker's heap grows fast over its first reports, milliseconds
+  // apart here; only a heap at the limit may warn (see testTrend)
+  const service = createService({ memoryWarningHorizon: 1 });
+
+  for (let i = 0; i < 3; i++) {
+    await service.renderToBuffer(doc);
+  }
+  await waitFor(() => service.getWorkerStats()[0]?.renders === 3);
+
+  const [worker] = service.getWorkerStats();
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(JSON.stringify(worker));
+
+  if (
+    stats.workersReporting === 1 &&
+    stats.workerMemoryWarnings === 0 &&
+    worker.renders === 3 &&
+    worker.errors === 0 &&
+    worker.heapUsed > 0 &&
+    worker.memoryLimitMB > 0 &&
+    worker.memoryLimitMB <= 256 &&
+    worker.memoryWarning === null &&
+    worker.recycling === null &&
+    !Number.isNaN(Date.parse(worker.reportedAt))
+  ) {
+    console.log("✅ PASSED - Worker reported its own counters\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Worker report missing or wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 2: Worker Errors
+// ============================================================================
+
+async function testErrors() {
+  console.log("Test 2: Worker Errors");
+  console.log("━".repeat(50));
+
+  const service = createService({ maxRetries: 1 });
+
+  await service.renderToBuffer(doc);
+  await service
+    .renderToBuffer({ content: [{ table: { body: "not rows" } }] })
+    .catch(() => {});
+  await waitFor(() => service.getWorkerStats()[0]?.errors === 1);
+
+  const [worker] = service.getWorkerStats();
+  await service.close();
+
+  console.log(`Renders: ${worker.renders}, errors: ${worker.errors}, rate: ${worker.errorRate}%`);
+
+  if (worker.renders === 2 && worker.errors === 1 && worker.errorRate === "50.00") {
+    console.log("✅ PASSED - Failed render counted by its worker\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Worker error count wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 3: Reporting Interval
+// ============================================================================
+
+async function testInterval() {
+  console.log("Test 3: Reporting Interval");
+  console.log("━".repeat(50));
+
+  const service = createService({ workerStatsInterval: 60_000 });
+
+  for (let i = 0; i < 3; i++) {
+    await service.renderToBuffer(doc);
+  }
+  await sleep(100);
+
+  const workers = service.getWorkerStats();
+  await service.close();
+
+  console.log(`Reported renders: ${workers.map((w) => w.renders).join(",")}`);
+
+  if (workers.length === 1 && workers[0].renders === 1) {
+    console.log("✅ PASSED - Only the first render reported within the interval\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Reports not throttled\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 4: Memory Trend
+// ============================================================================
+
+async function testTrend() {
+  console.log("Test 4: Memory Trend");
+  console.log("━".repeat(50));
+
+  const service = createService({ memoryWarningHorizon: 300_000 });
+  const warnings = [];
+  service.on("worker-memory-warning", (warning) => warnings.push(warning));
+
+  // Thread 1 grows ~100MB/s, thread 2 stays flat
+  for (let i = 0; i < 4; i++) {
+    service.recordWorkerStats(report(1, (20 + i * 2) * MB));
+    service.recordWorkerStats(report(2, 20 * MB));
+    await sleep(20);
+  }
+
+  const [growing, flat] = service.getWorkerStats();
+  const stats = service.getStats();
+  await service.close();
+
+  console.log(`Growing: ${growing.memoryTrendMBPerMin}MB/min, ${growing.secondsToLimit}s to limit, ${growing.memoryWarning}`);
+  console.log(`Flat: ${flat.memoryTrendMBPerMin}MB/min, ${flat.memoryWarning}`);
+  console.log(`Warnings: ${JSON.stringify(warnings.map((w) => [w.threadId, w.reason]))}`);
+
+  if (
+    growing.memoryWarning === "trending" &&
+    growing.memoryTrendMBPerMin > 0 &&
+    growing.secondsToLimit < 300 &&
+    flat.memoryWarning === null &&
+    flat.secondsToLimit === null &&
+    warnings.length === 1 &&
+    warnings[0].threadId === 1 &&
+    warnings[0].reason === "trending" &&
+    stats.workerMemoryWarnings === 1
+  ) {
+    console.log("✅ PASSED - Growth flagged once, flat heap left alone\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Trend detection wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 5: Near the Limit
+// ============================================================================
+
+async function testNearLimit() {
+  console.log("Test 5: Near the Limit");
+  console.log("━".repeat(50));
+
+  const service = createService();
+  const warnings = [];
+  service.on("worker-memory-warning", (warning) => warnings.push(warning));
+
+  service.recordWorkerStats(report(1, 90 * MB, 100 * MB));
+  const flagged = service.getWorkerStats()[0].memoryWarning;
+  service.recordWorkerStats(report(1, 92 * MB, 100 * MB));
+
+  // After a GC the trend turns negative and the heap is far from the limit
+  await sleep(20);
+  service.recordWorkerStats(report(1, 30 * MB, 100 * MB));
+  const cleared = service.getWorkerStats()[0].memoryWarning;
+  await service.close();
+
+  console.log(`At 90%: ${flagged}, after GC: ${cleared}, events: ${warnings.length}`);
+
+  if (
+    flagged === "near-limit" &&
+    cleared === null &&
+    warnings.length === 1 &&
+    warnings[0].reason === "near-limit" &&
+    warnings[0].memoryLimit === 100 * MB
+  ) {
+    console.log("✅ PASSED - Warned once, cleared after recovery\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Near-limit warning wrong\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 6: Exited Workers
+// ============================================================================
+
+async function testExitedWorker() {
+  console.log("Test 6: Exited Workers Dropped");
+  console.log("━".repeat(50));
+
+  const service = createService();
+
+  await service.renderToBuffer(doc);
+  await waitFor(() => service.getWorkerStats().length === 1);
+  const [{ threadId }] = service.getWorkerStats();
+
+  await service.piscina.threads[0].terminate();
+  const dropped = await waitFor(
+    () => !service.getWorkerStats().some((worker) => worker.threadId === threadId),
+  );
+  await service.close();
+
+  console.log(`Thread ${threadId} dropped: ${dropped}`);
+
+  if (dropped) {
+    console.log("✅ PASSED - No stale stats for gone threads\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - Exited worker still listed\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Test 7: Reports During a Long Task
+// ============================================================================
+
+async function testReportsDuringTask() {
+  console.log("Test 7: Reports During a Long Task");
+  console.log("━".repeat(50));
+
+  const service = createService({ workerStatsInterval: 200 });
+
+  // A client that never reads holds the stream (and its worker) open
+  let received = 0;
+  const stalled = new Writable({
+    write(chunk, encoding, callback) {
+      received++;
+    },
+  });
+  const controller = new AbortController();
+  const longDoc = {
+    content: Array.from({ length: 4000 }, (_, i) => `Line ${i}`),
+  };
+
+  const render = service
+    .renderToStream(longDoc, stalled, {
+      highWaterMark: 1024,
+      signal: controller.signal,
+    })
+    .catch(() => {});
+
+  await waitFor(() => received > 0, 10_000);
+  const reported = await waitFor(
+    () => service.getWorkerStats()[0]?.renders === 1,
+    2000,
+  );
+  const [worker] = service.getWorkerStats();
+
+  controller.abort();
+  await render;
+  await service.close();
+
+  console.log(`Report while the render waits: ${reported} (renders: ${worker?.renders})`);
+
+  if (reported && worker.heapUsed > 0) {
+    console.log("✅ PASSED - Worker reported before its task finished\n");
+    return true;
+  } else {
+    console.log("❌ FAILED - No report until the task ends\n");
+    return false;
+  }
+}
+
+// ============================================================================
+// Run All Tests
+// ============================================================================
+
+async function runAllTests() {
+  console.log("╔═══════════════════════════════════════════════════════════╗");
+  console.log("║     WORKER STATS TEST SUITE                               ║");
+  console.log("╚═══════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const results = [];
+
+  try {
+    results.push(await testReports());
+    results.push(await testErrors());
+    results.push(await testInterval());
+    results.push(await testTrend());
+    results.push(await testNearLimit());
+    results.push(await testExitedWorker());
+    results.push(await testReportsDuringTask());
+  } catch (err) {
+    console.error("Error running tests:", err);
+    process.exit(1);
+  }
+
+  console.log("═".repeat(50));
+  console.log("SUMMARY");
+  console.log("═".repeat(50));
+
+  const passed = results.filter(Boolean).length;
+  const total = results.length;
+
+  console.log(`Passed: ${passed}/${total}`);
+  console.log(`Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log("\n✅ ALL TESTS PASSED - Worker stats verified!\n");
+    process.exit(0);
+  } else {
+    console.log("\n❌ SOME TESTS FAILED - Review implementation!\n");
+    process.exit(1);
+  }
+}
+
+// Run tests
+runAllTests().catch((err) => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});